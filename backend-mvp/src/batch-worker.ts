@@ -0,0 +1,19 @@
+import { logger, logSystem } from './utils/logger'
+import { batchConfig } from './config/batch'
+import { batchProcessor } from './services/batch-processor'
+import { webhookService } from './services/webhooks/webhook-service'
+
+// Standalone batch analysis worker. Run as many as needed alongside the API (which can leave the
+// queue to them with BATCH_WORKER_ENABLED=false); they share the work through the database.
+// Batch events published here are queued for webhook subscriptions here too.
+batchProcessor.start()
+webhookService.start()
+logger.info('Batch worker process started', { concurrency: batchConfig.workerConcurrency })
+
+const shutdown = (signal: string) => {
+  logSystem.shutdown(`${signal} received`)
+  Promise.allSettled([batchProcessor.stop(), webhookService.stop()]).finally(() => process.exit(0))
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'))
+process.on('SIGINT', () => shutdown('SIGINT'))
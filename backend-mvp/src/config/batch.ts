@@ -0,0 +1,25 @@
+import * as dotenv from 'dotenv'
+
+// Load environment variables from .env (if present)
+dotenv.config()
+
+// Batch analysis runs from a queue in the database, worked by every API process that enables it
+// and by any standalone workers (npm run worker:batch)
+export const batchConfig = {
+  // API processes work the queue too; set to false to leave it to standalone workers
+  workerEnabled: process.env.BATCH_WORKER_ENABLED !== 'false',
+  // Documents one process analyzes at a time, across all jobs
+  workerConcurrency: parseInt(process.env.BATCH_WORKER_CONCURRENCY || '3', 10),
+  // How often an idle worker checks for runnable tasks
+  pollIntervalMs: parseInt(process.env.BATCH_POLL_INTERVAL_MS || '2000', 10),
+  // A claimed task is renewed while it runs; if its worker dies, another claims it after this long
+  leaseSeconds: parseInt(process.env.BATCH_LEASE_SECONDS || '60', 10),
+  // First retry of a document that failed transiently (timeout, unreachable model); doubles per attempt
+  retryBaseDelayMs: parseInt(process.env.BATCH_RETRY_BASE_DELAY_MS || '2000', 10),
+  // First retry after the language model's rate limit or quota was hit
+  rateLimitBaseDelayMs: parseInt(process.env.BATCH_RATE_LIMIT_BASE_DELAY_MS || '30000', 10),
+  // Longest wait between attempts
+  retryMaxDelayMs: parseInt(process.env.BATCH_RETRY_MAX_DELAY_MS || '300000', 10),
+  // Finished jobs are kept for their results this long
+  jobRetentionDays: parseInt(process.env.BATCH_JOB_RETENTION_DAYS || '30', 10)
+}
@@ -0,0 +1,15 @@
+import { randomBytes } from 'crypto'
+import * as dotenv from 'dotenv'
+
+// Load environment variables from .env (if present)
+dotenv.config()
+
+// Browsers' EventSource cannot send an Authorization header, so GET /api/events also accepts a
+// short-lived token, issued by POST /api/events/token, in the query string
+export const eventStreamConfig = {
+  // Signs stream tokens. API instances behind one load balancer need the same value; without it
+  // each process uses a random one and only accepts the tokens it issued.
+  tokenSecret: process.env.EVENT_STREAM_TOKEN_SECRET || randomBytes(32).toString('hex'),
+  // A token only opens a stream, so it can be short-lived; clients fetch a new one to reconnect
+  tokenTtlSeconds: parseInt(process.env.EVENT_STREAM_TOKEN_TTL_SECONDS || '60', 10)
+}
@@ -0,0 +1,20 @@
+import * as path from 'path'
+import * as dotenv from 'dotenv'
+
+// Load environment variables from .env (if present)
+dotenv.config()
+
+// Audio and video creatives are transcribed locally: ffmpeg extracts the soundtrack and keyframes,
+// whisper.cpp transcribes speech and Tesseract reads on-screen supertext from the keyframes
+export const mediaConfig = {
+  ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+  whisperPath: process.env.WHISPER_BINARY_PATH || 'whisper-cli',
+  whisperModelPath: process.env.WHISPER_MODEL_PATH || path.join(process.cwd(), 'models', 'ggml-base.bin'),
+  whisperLanguage: process.env.WHISPER_LANGUAGE || 'auto',
+  keyframeIntervalSeconds: parseFloat(process.env.MEDIA_KEYFRAME_INTERVAL_SECONDS || '2'),
+  maxKeyframes: parseInt(process.env.MEDIA_MAX_KEYFRAMES || '150', 10),
+  // Chunked uploads only; a single request is held to UPLOAD_MAX_DOCUMENT_MB
+  maxUploadBytes: parseInt(process.env.MEDIA_MAX_UPLOAD_MB || '200', 10) * 1024 * 1024,
+  // Per ffmpeg/whisper invocation
+  processTimeoutMs: parseInt(process.env.MEDIA_PROCESS_TIMEOUT_MS || '600000', 10)
+}
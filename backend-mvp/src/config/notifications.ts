@@ -0,0 +1,25 @@
+import * as dotenv from 'dotenv'
+
+// Load environment variables from .env (if present)
+dotenv.config()
+
+// Notifications are always listed in the app; users can also have them emailed. Webhooks subscribe
+// to notification:created like any other event (see config/webhooks.ts).
+export const notificationConfig = {
+  // Any SMTP server; locally a sink such as Mailpit or MailHog (SMTP_HOST=localhost, SMTP_PORT=1025)
+  smtp: {
+    host: process.env.SMTP_HOST || '', // Email is not sent when unset
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true', // TLS from the first byte (port 465)
+    // Sending fails unless the server upgrades with STARTTLS; 'auto' upgrades only when it is offered
+    // (local sinks without TLS), 'off' never does
+    startTls: process.env.SMTP_STARTTLS || 'required', // required, auto or off
+    // STARTTLS is required whenever credentials are set, whatever SMTP_STARTTLS says
+    user: process.env.SMTP_USER || '',
+    pass: process.env.SMTP_PASS || '',
+    from: process.env.SMTP_FROM || 'Compliance Scanner <notifications@localhost>',
+    timeoutMs: parseInt(process.env.SMTP_TIMEOUT_MS || '15000', 10)
+  },
+  // Links in emails and webhook payloads point at the frontend
+  appBaseUrl: (process.env.FRONTEND_URL || 'http://localhost:4028').replace(/\/$/, '')
+}
@@ -0,0 +1,18 @@
+import * as path from 'path'
+import * as dotenv from 'dotenv'
+
+// Load environment variables from .env (if present)
+dotenv.config()
+
+// Tesseract models are bundled locally so OCR never downloads language data at runtime.
+// Each language needs its <code>.traineddata file in the directory (eng, hin, mar, tam by default).
+export const ocrConfig = {
+  languages: process.env.OCR_LANGUAGES || 'eng+hin+mar+tam',
+  langPath: process.env.OCR_LANG_PATH || path.join(process.cwd(), 'tessdata'),
+  // PDF pages without a text layer (scanned brochures) are rendered with poppler's pdftoppm and OCR'd
+  pdfRasterizerPath: process.env.PDF_RASTERIZER_PATH || 'pdftoppm',
+  pdfRenderDpi: parseInt(process.env.OCR_PDF_DPI || '200', 10),
+  pdfMaxOcrPages: parseInt(process.env.OCR_PDF_MAX_PAGES || '50', 10),
+  // Findings in regions recognized below this confidence (0-1) are flagged for human verification
+  verificationThreshold: parseFloat(process.env.OCR_VERIFICATION_THRESHOLD || '0.6')
+}
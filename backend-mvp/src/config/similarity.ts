@@ -0,0 +1,12 @@
+import * as dotenv from 'dotenv'
+
+// Load environment variables from .env (if present)
+dotenv.config()
+
+// Uploads are fingerprinted so re-uploads and minor variants of analyzed creatives can be linked
+export const similarityConfig = {
+  // Estimated Jaccard similarity of two documents' text at or above which they are near-duplicates
+  nearDuplicateThreshold: parseFloat(process.env.SIMILARITY_NEAR_DUPLICATE_THRESHOLD || '0.8'),
+  // Most matches reported for an upload
+  maxMatches: parseInt(process.env.SIMILARITY_MAX_MATCHES || '5', 10)
+}
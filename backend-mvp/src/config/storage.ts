@@ -0,0 +1,31 @@
+import * as path from 'path'
+import * as dotenv from 'dotenv'
+
+// Load environment variables from .env (if present)
+dotenv.config()
+
+// Uploaded creatives and generated reports are confidential pre-launch material: they are kept in
+// private buckets and only ever handed out as short-lived signed URLs
+export const storageConfig = {
+  backend: process.env.STORAGE_BACKEND || 'supabase', // supabase, s3 or local
+  signedUrlTtlSeconds: parseInt(process.env.STORAGE_SIGNED_URL_TTL_SECONDS || '900', 10),
+  buckets: {
+    documents: process.env.STORAGE_DOCUMENTS_BUCKET || 'documents',
+    reports: process.env.STORAGE_REPORTS_BUCKET || 'reports'
+  },
+  // Any S3-compatible object store: AWS S3, or MinIO locally (http://localhost:9000)
+  s3: {
+    endpoint: process.env.S3_ENDPOINT || '',
+    region: process.env.S3_REGION || 'us-east-1',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID || '',
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+    // MinIO serves buckets by path; AWS also accepts bucket subdomains
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+  },
+  // Files on this server's disk, served by /api/storage with HMAC-signed links
+  local: {
+    root: process.env.STORAGE_LOCAL_ROOT || path.join(process.cwd(), 'storage'),
+    publicBaseUrl: process.env.STORAGE_LOCAL_BASE_URL || `http://localhost:${process.env.PORT || 3001}/api/storage`,
+    signingSecret: process.env.STORAGE_LOCAL_SIGNING_SECRET || ''
+  }
+}
@@ -28,5 +28,14 @@ export const supabaseAdmin = SUPABASE_SERVICE_ROLE_KEY
   ? createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, { auth: { persistSession: false } })
   : null
 
+// Client for the tables this backend owns (rule packs, guideline versions, organization settings,
+// upload sessions, the batch queue, notifications, webhooks). Their migrations enable row level
+// security without policies, so the public anon key cannot read or change them; the service role
+// bypasses RLS and each service scopes its queries to the user or organization itself.
+if (!supabaseAdmin) {
+  console.warn('SUPABASE_SERVICE_ROLE_KEY is not set: tables protected by row level security will be unreachable')
+}
+export const supabaseServer = supabaseAdmin || supabase
+
 export type { Database }
 
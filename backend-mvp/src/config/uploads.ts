@@ -0,0 +1,23 @@
+import * as os from 'os'
+import * as path from 'path'
+import * as dotenv from 'dotenv'
+
+// Load environment variables from .env (if present)
+dotenv.config()
+
+const MB = 1024 * 1024
+
+export const uploadConfig = {
+  // Single-request uploads (POST /api/documents/upload) are held in memory, so files sent that way,
+  // audio and video included, are kept small
+  maxDocumentBytes: parseInt(process.env.UPLOAD_MAX_DOCUMENT_MB || '10', 10) * MB,
+  // Chunked uploads stream to disk, so print-ready PDFs and decks may be larger, but documents are
+  // still read whole for text extraction (pdf-parse, OCR, Office formats), so keep this to what one
+  // worker can hold several times over (audio and video are capped by MEDIA_MAX_UPLOAD_MB instead)
+  maxChunkedDocumentBytes: parseInt(process.env.UPLOAD_MAX_CHUNKED_DOCUMENT_MB || '100', 10) * MB,
+  chunkSizeBytes: parseInt(process.env.UPLOAD_CHUNK_SIZE_MB || '5', 10) * MB,
+  // Where chunks are kept until the upload is completed; must be shared if the API runs on several hosts
+  tempDir: process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), 'chunked-uploads'),
+  // Unfinished uploads can be resumed for this long
+  sessionTtlHours: parseInt(process.env.UPLOAD_SESSION_TTL_HOURS || '24', 10)
+}
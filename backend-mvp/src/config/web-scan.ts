@@ -0,0 +1,15 @@
+import * as dotenv from 'dotenv'
+
+// Load environment variables from .env (if present)
+dotenv.config()
+
+// Live landing pages are rendered in headless Chrome (Puppeteer) before their text is analyzed
+export const webScanConfig = {
+  navigationTimeoutMs: parseInt(process.env.WEB_SCAN_TIMEOUT_MS || '30000', 10),
+  viewportWidth: parseInt(process.env.WEB_SCAN_VIEWPORT_WIDTH || '1366', 10),
+  // Full-page screenshots are cut off below this height (Chrome cannot capture much taller pages)
+  maxScreenshotHeight: parseInt(process.env.WEB_SCAN_MAX_SCREENSHOT_HEIGHT || '16000', 10),
+  // Pages and their resources may not resolve to loopback, private or link-local addresses
+  // unless this is set (local development and tests)
+  allowPrivateHosts: process.env.WEB_SCAN_ALLOW_PRIVATE_HOSTS === 'true'
+}
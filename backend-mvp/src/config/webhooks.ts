@@ -0,0 +1,24 @@
+import * as dotenv from 'dotenv'
+
+// Load environment variables from .env (if present)
+dotenv.config()
+
+// Events published for a user are also posted to their webhook subscriptions. Deliveries are queued
+// in the database and sent by whichever process finds them due.
+export const webhookConfig = {
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+  // Attempts per delivery, including the first, before it is marked failed
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10),
+  // Wait before the first retry; doubles per attempt
+  retryBaseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS || '30000', 10),
+  // Longest wait between attempts
+  retryMaxDelayMs: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_MS || '3600000', 10),
+  // How often each process looks for deliveries that are due
+  pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '5000', 10),
+  // Users' subscriptions are cached this long when matching events; other processes see changes after it
+  subscriptionCacheMs: parseInt(process.env.WEBHOOK_SUBSCRIPTION_CACHE_MS || '30000', 10),
+  // Delivery log entries are kept this long
+  deliveryRetentionDays: parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS || '30', 10),
+  // Webhook URLs may not resolve to loopback or private addresses unless this is set
+  allowPrivateHosts: process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true'
+}
@@ -60,7 +60,9 @@ export const analyzeDocument = async (req: AuthenticatedRequest, res: Response)
     const analysis = await aiService.analyzeCompliance(
       document.extracted_text,
       documentId,
-      req.user.id
+      req.user.id,
+      req.body,
+      { sourceSegments: document.source_segments, ocr: document.metadata?.ocr }
     )
 
     res.json({
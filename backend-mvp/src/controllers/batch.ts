@@ -3,6 +3,7 @@ import { AuthenticatedRequest } from '../middleware/auth'
 import { batchProcessor } from '../services/batch-processor'
 import { logger } from '../utils/logger'
 import { supabase } from '../config/supabase'
+import { SCORING_PROFILE_NAMES } from '../core-engine/scoring/scoring-profiles'
 import { z } from 'zod'
 
 // Validation schemas
@@ -14,6 +15,7 @@ const createBatchJobSchema = z.object({
     timeoutMs: z.number().min(30000).max(600000).optional(), // 30s to 10min
     skipDuplicates: z.boolean().optional(),
     notifyOnComplete: z.boolean().optional(),
+    strictnessLevel: z.enum(SCORING_PROFILE_NAMES).optional(),
   }).optional()
 })
 
@@ -144,6 +146,147 @@ export const cancelBatchJob = async (req: AuthenticatedRequest, res: Response) =
   }
 }
 
+export const pauseBatchJob = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const jobId = req.params.jobId as string
+
+    const paused = await batchProcessor.pauseBatchJob(jobId, req.user.id)
+
+    if (!paused) {
+      return res.status(400).json({
+        error: 'Cannot pause job',
+        message: 'Job not found or not running'
+      })
+    }
+
+    res.json({ message: 'Batch job paused; documents already being analyzed will finish' })
+
+  } catch (error: any) {
+    logger.error('Pause batch job error', {
+      userId: req.user?.id,
+      jobId: req.params.jobId,
+      error: error.message
+    })
+
+    res.status(500).json({
+      error: 'Failed to pause batch job',
+      details: error.message
+    })
+  }
+}
+
+export const resumeBatchJob = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const jobId = req.params.jobId as string
+
+    const resumed = await batchProcessor.resumeBatchJob(jobId, req.user.id)
+
+    if (!resumed) {
+      return res.status(400).json({
+        error: 'Cannot resume job',
+        message: 'Job not found or not paused'
+      })
+    }
+
+    res.json({ message: 'Batch job resumed' })
+
+  } catch (error: any) {
+    logger.error('Resume batch job error', {
+      userId: req.user?.id,
+      jobId: req.params.jobId,
+      error: error.message
+    })
+
+    res.status(500).json({
+      error: 'Failed to resume batch job',
+      details: error.message
+    })
+  }
+}
+
+export const retryFailedDocuments = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const jobId = req.params.jobId as string
+
+    const retryJobId = await batchProcessor.retryFailedDocuments(jobId, req.user.id)
+
+    if (!retryJobId) {
+      return res.status(400).json({
+        error: 'Cannot retry job',
+        message: 'Job not found, still running, or has no failed documents'
+      })
+    }
+
+    const job = await batchProcessor.getBatchJobStatus(retryJobId, req.user.id)
+
+    res.status(201).json({
+      message: 'Failed documents queued as a new batch job',
+      jobId: retryJobId,
+      parentJobId: jobId,
+      documentCount: job?.progress.total ?? 0
+    })
+
+  } catch (error: any) {
+    logger.error('Retry failed batch documents error', {
+      userId: req.user?.id,
+      jobId: req.params.jobId,
+      error: error.message
+    })
+
+    res.status(500).json({
+      error: 'Failed to retry batch job',
+      details: error.message
+    })
+  }
+}
+
+export const requeueBatchDocument = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const jobId = req.params.jobId as string
+    const documentId = req.params.documentId as string
+
+    const requeued = await batchProcessor.requeueDocument(jobId, documentId, req.user.id)
+
+    if (!requeued) {
+      return res.status(400).json({
+        error: 'Cannot requeue document',
+        message: 'Document not found in the job, or it has not failed or been cancelled'
+      })
+    }
+
+    res.json({ message: 'Document queued for analysis again' })
+
+  } catch (error: any) {
+    logger.error('Requeue batch document error', {
+      userId: req.user?.id,
+      jobId: req.params.jobId,
+      documentId: req.params.documentId,
+      error: error.message
+    })
+
+    res.status(500).json({
+      error: 'Failed to requeue document',
+      details: error.message
+    })
+  }
+}
+
 export const getUserBatchJobs = async (req: AuthenticatedRequest, res: Response) => {
   try {
     if (!req.user) {
@@ -157,6 +300,7 @@ export const getUserBatchJobs = async (req: AuthenticatedRequest, res: Response)
       total: jobs.length,
       pending: jobs.filter(j => j.status === 'pending').length,
       processing: jobs.filter(j => j.status === 'processing').length,
+      paused: jobs.filter(j => j.status === 'paused').length,
       completed: jobs.filter(j => j.status === 'completed').length,
       failed: jobs.filter(j => j.status === 'failed').length,
       partial: jobs.filter(j => j.status === 'partial').length,
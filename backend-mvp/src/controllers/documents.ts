@@ -1,12 +1,93 @@
 import { Response } from 'express'
+import { z } from 'zod'
 import { AuthenticatedRequest } from '../middleware/auth'
+import { formatMegabytes, getUploadSizeLimit, resolveUploadMimetype, UNSUPPORTED_FILE_TYPE_MESSAGE } from '../middleware/validation'
 import { DocumentProcessor } from '../services/document-processor'
 import { AIService } from '../services/ai-service'
+import { pageAnnotator } from '../services/page-annotator'
+import { chunkedUploadService, UploadSession } from '../services/chunked-upload-service'
+import { contentSimilarityService, DocumentSimilarityMetadata } from '../services/content-similarity-service'
+import { documentVersionService } from '../services/document-version-service'
+import { storageService } from '../services/storage/storage-service'
 import { supabase } from '../config/supabase'
 
 const documentProcessor = new DocumentProcessor()
 const aiService = new AIService()
 
+const sha256Schema = z.string().regex(/^[a-f0-9]{64}$/i, 'Must be a hex-encoded SHA-256 digest')
+
+// Upload a new revision of this document
+const previousVersionIdSchema = z.string().uuid('Invalid previous version ID').optional()
+
+const initUploadSchema = z.object({
+  fileName: z.string().min(1, 'File name is required').max(255),
+  mimetype: z.string().default('application/octet-stream'),
+  size: z.number().int().positive('File cannot be empty'),
+  scanConfig: z.record(z.string(), z.any()).optional(),
+  previousVersionId: previousVersionIdSchema
+})
+
+const reuseAnalysisSchema = z.object({
+  sourceDocumentId: z.string().uuid('Invalid source document ID')
+})
+
+const compareVersionsSchema = z.object({
+  // Defaults to the latest earlier version that has been analyzed
+  with: z.string().uuid('Invalid document ID to compare with').optional()
+})
+
+const completeUploadSchema = z.object({
+  // SHA-256 of the chunks' SHA-256 digests concatenated in chunk order
+  checksum: sha256Schema
+})
+
+// Analyze a processed document in the background - the response does not wait for it
+const startAutoAnalysis = (document: any, userId: string, scanConfig: Record<string, any>) => {
+  if (!document.extracted_text) return false
+
+  setImmediate(async () => {
+    try {
+      await aiService.analyzeCompliance(
+        document.extracted_text,
+        document.id,
+        userId,
+        scanConfig,
+        { sourceSegments: document.source_segments, ocr: document.metadata?.ocr }
+      )
+    } catch (error) {
+      console.error('Auto-analysis failed:', error)
+    }
+  })
+
+  return true
+}
+
+// With checkSimilarity, the upload is linked to the user's earlier identical or near-duplicate
+// documents. If one of them has been analyzed, analysis waits for the user to reuse that result
+// or analyze anyway; otherwise it starts in the background as usual. Revisions are uploaded to be
+// re-reviewed, so they are always analyzed.
+const analyzeOrOfferReuse = async (document: any, userId: string, scanConfig: Record<string, any>) => {
+  let similarity: DocumentSimilarityMetadata | null = null
+
+  if (scanConfig.checkSimilarity && !document.previous_version_id) {
+    try {
+      const matches = await contentSimilarityService.findSimilarDocuments(document, userId)
+      similarity = await contentSimilarityService.recordMatches(
+        document,
+        matches,
+        matches.some(match => match.analysis !== null)
+      )
+    } catch (error) {
+      // A failed lookup must not hold up the upload
+      console.error('Similarity check failed:', error)
+    }
+  }
+
+  const autoAnalysisStarted = similarity?.analysisDeferred ? false : startAutoAnalysis(document, userId, scanConfig)
+
+  return { autoAnalysisStarted, similarity }
+}
+
 export const uploadDocument = async (req: AuthenticatedRequest, res: Response) => {
   try {
     if (!req.file) {
@@ -26,33 +107,40 @@ export const uploadDocument = async (req: AuthenticatedRequest, res: Response) =
       }
     }
 
+    const versionResult = previousVersionIdSchema.safeParse(req.body.previousVersionId || undefined)
+    if (!versionResult.success) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        details: versionResult.error.issues.map(err => ({
+          field: 'previousVersionId',
+          message: err.message
+        }))
+      })
+    }
+
+    const version = versionResult.data
+      ? await documentVersionService.getNextVersion(versionResult.data, req.user.id)
+      : null
+    if (versionResult.data && !version) {
+      return res.status(404).json({ error: 'Previous version not found' })
+    }
+
     // Process document (OCR, text extraction)
-    const document = await documentProcessor.processDocument(req.file, req.user.id)
+    const document = await documentProcessor.processDocument(req.file, req.user.id, undefined, version)
     
     // Get scan configuration from request body (if provided)
     const scanConfig = req.body.scanConfig ? JSON.parse(req.body.scanConfig) : {}
     
-    // Start automatic analysis if document has extracted text
-    if (document.extracted_text) {
-      // Trigger analysis in background - don't wait for completion
-      setImmediate(async () => {
-        try {
-          await aiService.analyzeCompliance(
-            document.extracted_text,
-            document.id,
-            req.user!.id
-          )
-        } catch (error) {
-          console.error('Auto-analysis failed:', error)
-        }
-      })
-    }
+    // Start automatic analysis if document has extracted text, unless a prior analysis can be reused
+    const { autoAnalysisStarted, similarity } = await analyzeOrOfferReuse(document, req.user.id, scanConfig)
     
     res.status(201).json({
       message: 'Document uploaded successfully',
       document: {
         ...document,
-        autoAnalysisStarted: !!document.extracted_text
+        autoAnalysisStarted,
+        similarDocuments: similarity?.matches || [],
+        analysisDeferred: !!similarity?.analysisDeferred
       }
     })
   } catch (error: any) {
@@ -64,6 +152,243 @@ export const uploadDocument = async (req: AuthenticatedRequest, res: Response) =
   }
 }
 
+const formatUploadSession = (session: UploadSession, receivedChunks: number[]) => ({
+  uploadId: session.id,
+  fileName: session.file_name,
+  mimetype: session.mimetype,
+  size: session.size,
+  chunkSize: session.chunk_size,
+  totalChunks: session.total_chunks,
+  receivedChunks,
+  status: session.status,
+  documentId: session.document_id,
+  error: session.error,
+  expiresAt: session.expires_at
+})
+
+// The requester's upload session, or null once a 400/404 has been sent
+const loadUploadSession = async (req: AuthenticatedRequest, res: Response) => {
+  const idResult = z.string().uuid().safeParse(req.params.uploadId)
+  if (!idResult.success) {
+    res.status(400).json({ error: 'Invalid upload ID', message: 'Upload ID must be a valid UUID' })
+    return null
+  }
+
+  const session = await chunkedUploadService.getSession(idResult.data, req.user!.id)
+  if (!session) {
+    res.status(404).json({ error: 'Upload not found or expired' })
+  }
+
+  return session
+}
+
+export const initChunkedUpload = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const result = initUploadSchema.safeParse(req.body)
+    if (!result.success) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        details: result.error.issues.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      })
+    }
+
+    const { fileName, size, scanConfig, previousVersionId } = result.data
+    const mimetype = resolveUploadMimetype(result.data.mimetype, fileName)
+    if (!mimetype) {
+      return res.status(400).json({ error: 'Invalid file type', message: UNSUPPORTED_FILE_TYPE_MESSAGE })
+    }
+
+    const limit = getUploadSizeLimit(mimetype, true)
+    if (size > limit) {
+      return res.status(400).json({ error: 'File too large', message: `File size cannot exceed ${formatMegabytes(limit)}` })
+    }
+
+    if (previousVersionId && !await documentVersionService.getDocument(previousVersionId, req.user.id)) {
+      return res.status(404).json({ error: 'Previous version not found' })
+    }
+
+    const session = await chunkedUploadService.createSession(req.user.id, {
+      fileName: fileName.replace(/[^a-zA-Z0-9.-]/g, '_'),
+      mimetype,
+      size,
+      scanConfig,
+      previousVersionId
+    })
+
+    res.status(201).json({ upload: formatUploadSession(session, []) })
+  } catch (error: any) {
+    console.error('Init chunked upload error:', error)
+    res.status(500).json({
+      error: 'Failed to start upload',
+      details: error.message
+    })
+  }
+}
+
+export const getChunkedUpload = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const session = await loadUploadSession(req, res)
+    if (!session) return
+
+    const receivedChunks = await chunkedUploadService.getReceivedChunks(session)
+
+    res.json({ upload: formatUploadSession(session, receivedChunks) })
+  } catch (error: any) {
+    console.error('Get chunked upload error:', error)
+    res.status(500).json({
+      error: 'Failed to retrieve upload',
+      details: error.message
+    })
+  }
+}
+
+export const uploadChunk = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const checksum = sha256Schema.safeParse(req.get('X-Chunk-SHA256'))
+    if (!checksum.success) {
+      return res.status(400).json({ error: 'Invalid chunk checksum', message: 'X-Chunk-SHA256 header must be the SHA-256 of the chunk' })
+    }
+
+    const session = await loadUploadSession(req, res)
+    if (!session) return
+
+    const index = Number(req.params.index)
+    const problem = await chunkedUploadService.writeChunk(session, index, req, checksum.data)
+    if (problem) {
+      return res.status(session.status === 'uploading' ? 400 : 409).json({ error: 'Chunk rejected', message: problem })
+    }
+
+    const receivedChunks = await chunkedUploadService.getReceivedChunks(session)
+
+    res.json({ upload: formatUploadSession(session, receivedChunks) })
+  } catch (error: any) {
+    console.error('Upload chunk error:', error)
+    res.status(500).json({
+      error: 'Failed to store chunk',
+      details: error.message
+    })
+  }
+}
+
+export const completeChunkedUpload = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const result = completeUploadSchema.safeParse(req.body)
+    if (!result.success) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        details: result.error.issues.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      })
+    }
+
+    const session = await loadUploadSession(req, res)
+    if (!session) return
+
+    // Repeated requests (e.g. a retry after the response was lost) report the upload as it stands
+    if (session.status !== 'uploading') {
+      return res.status(session.status === 'failed' ? 422 : 202).json({ upload: formatUploadSession(session, []) })
+    }
+
+    const receivedChunks = await chunkedUploadService.getReceivedChunks(session)
+    const missingChunks = Array.from({ length: session.total_chunks }, (_, index) => index)
+      .filter(index => !receivedChunks.includes(index))
+    if (missingChunks.length > 0) {
+      return res.status(409).json({
+        error: 'Upload incomplete',
+        message: `${missingChunks.length} of ${session.total_chunks} chunks have not been received`,
+        missingChunks
+      })
+    }
+
+    // Every chunk passed its own checksum, so a mismatch here means the client and server
+    // disagree on the file; the upload has to start over
+    if (!await chunkedUploadService.verifyChecksum(session, result.data.checksum)) {
+      await chunkedUploadService.fail(session, 'File checksum did not match the uploaded chunks')
+      return res.status(422).json({
+        error: 'Checksum mismatch',
+        message: 'File checksum did not match the uploaded chunks; please upload the file again'
+      })
+    }
+
+    const claimed = await chunkedUploadService.claimForProcessing(session)
+    if (!claimed) {
+      const current = await chunkedUploadService.getSession(session.id, req.user.id)
+      return res.status(202).json({ upload: current && formatUploadSession(current, []) })
+    }
+
+    // Large files take a while to extract, so processing runs in the background and the client
+    // polls the upload until it has a document
+    const userId = req.user.id
+    setImmediate(async () => {
+      try {
+        const document = await chunkedUploadService.processUpload(claimed)
+        // Matches are recorded before the client, polling the upload, sees it completed
+        await analyzeOrOfferReuse(document, userId, claimed.scan_config)
+        await chunkedUploadService.markCompleted(claimed, document.id)
+      } catch (error: any) {
+        console.error('Chunked upload processing failed:', error)
+        // Otherwise a failure after extraction (analysis, marking it completed) leaves the
+        // session processing, and the client polls it forever
+        await chunkedUploadService.fail(claimed, error.message).catch(failError => {
+          console.error('Failed to mark chunked upload failed:', failError)
+        })
+      }
+    })
+
+    res.status(202).json({ upload: formatUploadSession(claimed, receivedChunks) })
+  } catch (error: any) {
+    console.error('Complete chunked upload error:', error)
+    res.status(500).json({
+      error: 'Failed to complete upload',
+      details: error.message
+    })
+  }
+}
+
+export const abortChunkedUpload = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const session = await loadUploadSession(req, res)
+    if (!session) return
+
+    if (!await chunkedUploadService.deleteSession(session)) {
+      return res.status(409).json({ error: 'Upload is being processed and cannot be cancelled' })
+    }
+
+    res.json({ message: 'Upload cancelled' })
+  } catch (error: any) {
+    console.error('Abort chunked upload error:', error)
+    res.status(500).json({
+      error: 'Failed to cancel upload',
+      details: error.message
+    })
+  }
+}
+
 export const getDocuments = async (req: AuthenticatedRequest, res: Response) => {
   try {
     // Authentication check temporarily disabled
@@ -140,6 +465,244 @@ export const getDocument = async (req: AuthenticatedRequest, res: Response) => {
   }
 }
 
+// Owner's document with its stored file and the page layout needed to draw violations
+const getAnnotatableDocument = async (id: string, userId: string) => {
+  const { data: document, error } = await supabase
+    .from('documents')
+    .select('id, type, storage_backend, storage_path, metadata')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .single()
+
+  if (error) {
+    if (error.code === 'PGRST116') return null
+    throw new Error(`Database error: ${error.message}`)
+  }
+
+  return document
+}
+
+export const getAnnotatedPages = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const document = await getAnnotatableDocument(req.params.id as string, req.user.id)
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' })
+    }
+
+    // Only images and PDFs with OCR word boxes or text-layer positions can be annotated
+    const pages = await pageAnnotator.getPageAnnotations(document, req.user.id)
+
+    res.json({
+      pages: pages.map(page => ({
+        ...page,
+        imageUrl: `/api/documents/${document.id}/annotated-pages/${page.page}`
+      }))
+    })
+  } catch (error: any) {
+    console.error('Get annotated pages error:', error)
+    res.status(500).json({
+      error: 'Failed to retrieve annotated pages',
+      details: error.message
+    })
+  }
+}
+
+export const getAnnotatedPage = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const pageNumber = Number(req.params.page)
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+      return res.status(400).json({ error: 'Page must be a positive integer' })
+    }
+
+    const document = await getAnnotatableDocument(req.params.id as string, req.user.id)
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' })
+    }
+
+    const pages = await pageAnnotator.getPageAnnotations(document, req.user.id)
+    const page = pages.find(candidate => candidate.page === pageNumber)
+    if (!page) {
+      return res.status(404).json({ error: 'Page has no positioned text to annotate' })
+    }
+
+    const image = await pageAnnotator.renderPage(document, page)
+
+    res.set('Content-Type', 'image/png')
+    res.set('Cache-Control', 'private, no-cache')
+    res.send(image)
+  } catch (error: any) {
+    console.error('Render annotated page error:', error)
+    res.status(500).json({
+      error: 'Failed to render annotated page',
+      details: error.message
+    })
+  }
+}
+
+// Short-lived link to the uploaded file (the screenshot, for scanned web pages)
+export const getDocumentFile = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const document = await getAnnotatableDocument(req.params.id as string, req.user.id)
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' })
+    }
+
+    const storedFile = documentProcessor.getStoredFile(document)
+    if (!storedFile) {
+      return res.status(404).json({ error: 'Document has no stored file' })
+    }
+
+    const { url, expiresAt } = await storageService.createSignedUrl(storedFile)
+
+    res.set('Cache-Control', 'private, no-store')
+    res.json({ url, expiresAt })
+  } catch (error: any) {
+    console.error('Get document file error:', error)
+    res.status(500).json({
+      error: 'Failed to retrieve document file',
+      details: error.message
+    })
+  }
+}
+
+export const reuseAnalysis = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const result = reuseAnalysisSchema.safeParse(req.body)
+    if (!result.success) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        details: result.error.issues.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      })
+    }
+
+    const { data: document, error } = await supabase
+      .from('documents')
+      .select('id, content_hash, similarity_signature, similarity_bands')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .maybeSingle()
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`)
+    }
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' })
+    }
+
+    const analysis = await contentSimilarityService.reuseAnalysis(document, result.data.sourceDocumentId, req.user.id)
+    if (!analysis) {
+      return res.status(409).json({
+        error: 'Analysis cannot be reused',
+        message: 'The source document is not a duplicate of this document or has not been analyzed'
+      })
+    }
+
+    res.status(201).json({
+      message: 'Prior analysis reused',
+      analysis
+    })
+  } catch (error: any) {
+    console.error('Reuse analysis error:', error)
+    res.status(500).json({
+      error: 'Failed to reuse analysis',
+      details: error.message
+    })
+  }
+}
+
+export const getDocumentVersions = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const document = await documentVersionService.getDocument(req.params.id as string, req.user.id)
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' })
+    }
+
+    const versions = await documentVersionService.listVersions(document, req.user.id)
+
+    res.json({
+      documentId: document.id,
+      versionNumber: document.version_number,
+      versions
+    })
+  } catch (error: any) {
+    console.error('Get document versions error:', error)
+    res.status(500).json({
+      error: 'Failed to get document versions',
+      details: error.message
+    })
+  }
+}
+
+export const compareDocumentVersions = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const result = compareVersionsSchema.safeParse(req.query)
+    if (!result.success) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        details: result.error.issues.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      })
+    }
+
+    const revision = await documentVersionService.getDocument(req.params.id as string, req.user.id)
+    if (!revision) {
+      return res.status(404).json({ error: 'Document not found' })
+    }
+
+    const baseId = result.data.with ?? await documentVersionService.getDefaultBaseId(revision, req.user.id)
+    if (!baseId) {
+      return res.status(409).json({
+        error: 'No earlier version',
+        message: 'This is the first version of the document; pass `with` to compare it with another document'
+      })
+    }
+
+    const base = await documentVersionService.getDocument(baseId, req.user.id)
+    if (!base) {
+      return res.status(404).json({ error: 'Document to compare with not found' })
+    }
+
+    const comparison = await documentVersionService.compareVersions(base, revision, req.user.id)
+
+    res.json({ comparison })
+  } catch (error: any) {
+    console.error('Compare document versions error:', error)
+    res.status(500).json({
+      error: 'Failed to compare document versions',
+      details: error.message
+    })
+  }
+}
+
 export const deleteDocument = async (req: AuthenticatedRequest, res: Response) => {
   try {
     // Authentication check temporarily disabled
@@ -157,16 +720,26 @@ export const deleteDocument = async (req: AuthenticatedRequest, res: Response) =
 
     const { id } = req.params
 
-    const { error } = await supabase
+    const { data: deleted, error } = await supabase
       .from('documents')
       .delete()
       .eq('id', id)
       .eq('user_id', req.user.id)
+      .select('storage_backend, storage_path')
 
     if (error) {
       throw new Error(`Database error: ${error.message}`)
     }
 
+    // The record is gone either way; a file left behind is only logged
+    for (const document of deleted || []) {
+      const storedFile = documentProcessor.getStoredFile(document)
+      if (storedFile) {
+        await storageService.deleteObject(storedFile)
+          .catch(storageError => console.error('Failed to delete document file:', storageError))
+      }
+    }
+
     res.json({ message: 'Document deleted successfully' })
   } catch (error: any) {
     console.error('Delete document error:', error)
@@ -1,8 +1,44 @@
 import { Request, Response } from 'express'
 import * as fs from 'fs'
 import * as path from 'path'
+import { z } from 'zod'
+import { AuthenticatedRequest } from '../middleware/auth'
 import { logger } from '../utils/logger'
 import { guidelinesCache } from '../utils/cache'
+import { guidelinePreviewService, DEFAULT_PREVIEW_SAMPLE_SIZE } from '../services/guideline-preview-service'
+import { MarketingGuidelines } from '../core-engine/marketing-rules/rbi-marketing-loader'
+
+// Structural check of a candidate marketing guidelines file; unknown fields are kept as-is
+const candidateRuleSchema = z.looseObject({
+  rule_id: z.string().min(1),
+  title: z.string().min(1),
+  severity: z.enum(['critical', 'high', 'medium', 'low']),
+  scoring_weight: z.number(),
+  violation_keywords: z.array(z.string()).optional(),
+  citation: z.looseObject({ document: z.string() })
+})
+
+const candidateGuidelinesSchema = z.looseObject({
+  metadata: z.looseObject({ version: z.string().min(1) }),
+  marketing_compliance_rules: z.record(z.string(), z.array(candidateRuleSchema)),
+  marketing_violation_patterns: z.looseObject({
+    high_risk_phrases: z.array(z.string()),
+    medium_risk_phrases: z.array(z.string()),
+    required_disclaimers: z.array(z.string())
+  }),
+  scoring_methodology: z.looseObject({
+    total_possible_score: z.number(),
+    critical_violations: z.number(),
+    high_violations: z.number(),
+    medium_violations: z.number(),
+    missing_required_elements: z.number()
+  })
+})
+
+const previewRequestSchema = z.object({
+  guidelines: candidateGuidelinesSchema,
+  sampleSize: z.number().int().min(0).max(100).default(DEFAULT_PREVIEW_SAMPLE_SIZE)
+})
 
 /**
  * Get all RBI guidelines
@@ -104,3 +140,42 @@ export const getGuidelinesByCategory = async (req: Request, res: Response) => {
     })
   }
 }
+
+/**
+ * Dry-run a candidate marketing guidelines file: rule diff plus re-scored sample documents
+ */
+export const previewMarketingGuidelines = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    const result = previewRequestSchema.safeParse(req.body)
+    if (!result.success) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        details: result.error.issues.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      })
+    }
+
+    const preview = await guidelinePreviewService.previewCandidate(
+      result.data.guidelines as unknown as MarketingGuidelines,
+      result.data.sampleSize
+    )
+
+    res.json({
+      success: true,
+      preview
+    })
+  } catch (error: any) {
+    logger.error('Failed to preview marketing guidelines', {
+      userId: req.user?.id,
+      error: error.message,
+      stack: error.stack
+    })
+
+    res.status(500).json({
+      error: 'Failed to preview guidelines',
+      details: error.message
+    })
+  }
+}
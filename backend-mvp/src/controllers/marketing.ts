@@ -1,20 +1,136 @@
 import { Response } from 'express'
 import { AuthenticatedRequest } from '../middleware/auth'
 import { logger } from '../utils/logger'
-import { marketingPipeline } from '../core-engine/pipeline/marketing-analysis-pipeline'
+import { marketingPipeline, MarketingAnalysisResult } from '../core-engine/pipeline/marketing-analysis-pipeline'
+import { ViolationMatch } from '../core-engine/marketing-rules/fintech-rule-engine'
+import { guidelineVersionService } from '../services/guideline-version-service'
+import { organizationSettingsService } from '../services/organization-settings-service'
+import { llmProviderRegistry } from '../core-engine/ai/llm-provider-registry'
+import { LLM_PROVIDER_NAMES, AIViolation } from '../core-engine/ai/llm-provider'
+import { scoringProfileRegistry, SCORING_PROFILE_NAMES, isScoringProfileName } from '../core-engine/scoring/scoring-profiles'
 import { supabase } from '../config/supabase'
+import { resolveOrganizationId, resolveEntityType } from '../utils/organization'
+import { assertScannableUrl, webPageScanner } from '../services/web-page-scanner'
+import { DocumentProcessor } from '../services/document-processor'
+import { storageService } from '../services/storage/storage-service'
 import { z } from 'zod'
 
 // Validation schemas
+const llmProviderSchema = z.enum(LLM_PROVIDER_NAMES)
+const llmModelSchema = z.string().min(1).max(100)
+const strictnessLevelSchema = z.enum(SCORING_PROFILE_NAMES)
+
 const analyzeContentSchema = z.object({
   content: z.string().min(10, 'Content must be at least 10 characters').max(50000, 'Content too large'),
   marketingContext: z.string().optional(),
-  documentType: z.enum(['advertisement', 'brochure', 'website_content', 'app_description', 'social_media', 'email_marketing']).optional()
+  documentType: z.enum(['advertisement', 'brochure', 'website_content', 'app_description', 'social_media', 'email_marketing']).optional(),
+  entityType: z.string().min(1).optional(),
+  llmProvider: llmProviderSchema.optional(),
+  llmModel: llmModelSchema.optional(),
+  strictnessLevel: strictnessLevelSchema.optional()
+})
+
+const analyzeUrlSchema = z.object({
+  url: z.string().url('Expected an http or https URL').max(2048),
+  marketingContext: z.string().optional(),
+  entityType: z.string().min(1).optional(),
+  llmProvider: llmProviderSchema.optional(),
+  llmModel: llmModelSchema.optional(),
+  strictnessLevel: strictnessLevelSchema.optional()
 })
 
 const quickCheckSchema = z.object({
   content: z.string().min(5, 'Content must be at least 5 characters').max(10000, 'Content too large for quick check'),
-  marketingContext: z.string().optional()
+  marketingContext: z.string().optional(),
+  entityType: z.string().min(1).optional(),
+  strictnessLevel: strictnessLevelSchema.optional()
+})
+
+const reanalyzeSchema = z.object({
+  guidelinesVersion: z.string().regex(/^[\w.-]+$/, 'Expected a guidelines version or content hash'),
+  marketingContext: z.string().optional(),
+  entityType: z.string().min(1).optional(),
+  strictnessLevel: strictnessLevelSchema.optional() // Defaults to the profile the recorded analysis used
+})
+
+const aiProviderSettingsSchema = z.object({
+  llmProvider: llmProviderSchema.nullable(),
+  llmModel: llmModelSchema.nullable().optional()
+})
+
+const scoringProfileSettingsSchema = z.object({
+  scoringProfile: strictnessLevelSchema.nullable()
+})
+
+// Violation shape shared by all analysis responses
+const formatViolation = (violation: ViolationMatch) => ({
+  source: 'rule' as const,
+  text: violation.matchedText,
+  location: { start: violation.startIndex, end: violation.endIndex },
+  rule: violation.rule.title,
+  category: violation.rule.category,
+  severity: violation.severity,
+  context: violation.context,
+  matchedPattern: violation.matchedPattern,
+  sourceLocation: violation.sourceLocation,
+  ocrConfidence: violation.ocrConfidence,
+  needsHumanVerification: violation.needsHumanVerification,
+  rulePackId: violation.rule.rule_pack_id,
+  citation: {
+    document: violation.rule.citation.document,
+    section: violation.rule.citation.section,
+    url: violation.rule.citation.url
+  },
+  explanation: violation.rule.description
+})
+
+const formatAIViolation = (violation: AIViolation) => ({
+  source: 'ai' as const,
+  ...violation,
+  location: violation.startIndex !== undefined
+    ? { start: violation.startIndex, end: violation.endIndex }
+    : null
+})
+
+// Full analysis payload returned by content and URL analysis
+const formatAnalysis = (analysisResult: MarketingAnalysisResult) => ({
+  // Core compliance data
+  complianceScore: analysisResult.complianceReport.score.totalScore,
+  complianceLevel: analysisResult.complianceReport.score.complianceLevel,
+  riskLevel: analysisResult.complianceReport.score.riskIndicators.level,
+  colorCode: analysisResult.complianceReport.score.colorCode,
+
+  // Violations with citations
+  violations: analysisResult.complianceReport.violations.map(formatViolation),
+
+  // Required citations for all violations
+  citations: analysisResult.complianceReport.citationsRequired,
+
+  // Missing required elements
+  missingElements: analysisResult.complianceReport.missingElements,
+
+  // AI insights
+  aiInsights: {
+    degraded: analysisResult.aiInsights.degraded,
+    degradedReason: analysisResult.aiInsights.degradedReason,
+    contextualInsights: analysisResult.aiInsights.contextualInsights,
+    toneAssessment: analysisResult.aiInsights.marketingToneAssessment,
+    aiViolations: analysisResult.aiInsights.aiViolations.map(formatAIViolation),
+    grounding: analysisResult.aiInsights.grounding
+  },
+
+  // Actionable recommendations
+  recommendations: {
+    overallApproach: analysisResult.recommendations.overallApproach,
+    specificFixes: analysisResult.recommendations.specificFixes.slice(0, 10), // Top 10 fixes
+    requiredAdditions: analysisResult.recommendations.additionsRequired,
+    toneAdjustments: analysisResult.recommendations.toneAdjustments,
+    alternativeVersions: analysisResult.recommendations.alternativeCopyVersions,
+    complianceChecklist: analysisResult.recommendations.complianceChecklist
+  },
+
+  // Metadata
+  metadata: analysisResult.metadata
 })
 
 export const analyzeMarketingContent = async (req: AuthenticatedRequest, res: Response) => {
@@ -35,7 +151,7 @@ export const analyzeMarketingContent = async (req: AuthenticatedRequest, res: Re
       })
     }
 
-    const { content, marketingContext, documentType } = result.data
+    const { content, marketingContext, documentType, entityType, llmProvider, llmModel, strictnessLevel } = result.data
     const documentId = req.params.documentId
 
     logger.info('Marketing content analysis requested', {
@@ -51,60 +167,20 @@ export const analyzeMarketingContent = async (req: AuthenticatedRequest, res: Re
       content,
       req.user.id,
       documentId,
-      marketingContext
+      marketingContext,
+      {
+        organizationId: resolveOrganizationId(req.user),
+        entityType: entityType || resolveEntityType(req.user),
+        llmProvider,
+        llmModel,
+        strictnessLevel
+      }
     )
 
     // Structure response for client
     const response = {
       success: true,
-      analysis: {
-        // Core compliance data
-        complianceScore: analysisResult.complianceReport.score.totalScore,
-        complianceLevel: analysisResult.complianceReport.score.complianceLevel,
-        riskLevel: analysisResult.complianceReport.score.riskIndicators.level,
-        colorCode: analysisResult.complianceReport.score.colorCode,
-        
-        // Violations with citations
-        violations: analysisResult.complianceReport.violations.map(violation => ({
-          text: violation.matchedText,
-          rule: violation.rule.title,
-          category: violation.rule.category,
-          severity: violation.severity,
-          context: violation.context,
-          citation: {
-            document: violation.rule.citation.document,
-            section: violation.rule.citation.section,
-            url: violation.rule.citation.url
-          },
-          explanation: violation.rule.description
-        })),
-
-        // Required citations for all violations
-        citations: analysisResult.complianceReport.citationsRequired,
-
-        // Missing required elements
-        missingElements: analysisResult.complianceReport.missingElements,
-
-        // AI insights
-        aiInsights: {
-          contextualInsights: analysisResult.aiInsights.contextualInsights,
-          toneAssessment: analysisResult.aiInsights.marketingToneAssessment,
-          aiViolations: analysisResult.aiInsights.aiViolations
-        },
-
-        // Actionable recommendations
-        recommendations: {
-          overallApproach: analysisResult.recommendations.overallApproach,
-          specificFixes: analysisResult.recommendations.specificFixes.slice(0, 10), // Top 10 fixes
-          requiredAdditions: analysisResult.recommendations.additionsRequired,
-          toneAdjustments: analysisResult.recommendations.toneAdjustments,
-          alternativeVersions: analysisResult.recommendations.alternativeCopyVersions,
-          complianceChecklist: analysisResult.recommendations.complianceChecklist
-        },
-
-        // Metadata
-        metadata: analysisResult.metadata
-      }
+      analysis: formatAnalysis(analysisResult)
     }
 
     logger.info('Marketing content analysis completed', {
@@ -132,6 +208,106 @@ export const analyzeMarketingContent = async (req: AuthenticatedRequest, res: Re
   }
 }
 
+export const analyzeMarketingUrl = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const result = analyzeUrlSchema.safeParse(req.body)
+    if (!result.success) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        details: result.error.issues.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      })
+    }
+
+    const { url, marketingContext, entityType, llmProvider, llmModel, strictnessLevel } = result.data
+
+    try {
+      await assertScannableUrl(url)
+    } catch (error: any) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        details: [{ field: 'url', message: error.message }]
+      })
+    }
+
+    logger.info('Marketing URL analysis requested', { userId: req.user.id, url })
+
+    const capture = await webPageScanner.scan(url)
+    if (capture.text.trim().length < 10) {
+      return res.status(422).json({
+        success: false,
+        error: 'No visible text found on the page',
+        finalUrl: capture.finalUrl
+      })
+    }
+
+    // The screenshot and rendered text are kept as a document so the result can be revisited
+    const documentProcessor = new DocumentProcessor()
+    const document = await documentProcessor.processWebCapture(capture, req.user.id)
+
+    const analysisResult = await marketingPipeline.analyzeMarketingCompliance(
+      capture.text,
+      req.user.id,
+      document.id,
+      marketingContext || 'website_content',
+      {
+        organizationId: resolveOrganizationId(req.user),
+        entityType: entityType || resolveEntityType(req.user),
+        llmProvider,
+        llmModel,
+        strictnessLevel,
+        sourceSegments: capture.segments
+      }
+    )
+
+    logger.info('Marketing URL analysis completed', {
+      userId: req.user.id,
+      documentId: document.id,
+      url: capture.finalUrl,
+      finalScore: analysisResult.complianceReport.score.totalScore,
+      violationsCount: analysisResult.complianceReport.violations.length
+    })
+
+    // Signed like every stored file; GET /api/documents/:id/file issues a fresh link later
+    const screenshot = await storageService.createSignedUrl(documentProcessor.getStoredFile(document)!)
+
+    res.json({
+      success: true,
+      documentId: document.id,
+      page: {
+        url: capture.url,
+        finalUrl: capture.finalUrl,
+        title: capture.title,
+        httpStatus: capture.httpStatus,
+        capturedAt: capture.capturedAt,
+        screenshotUrl: screenshot.url,
+        screenshotUrlExpiresAt: screenshot.expiresAt,
+        finePrint: capture.finePrint
+      },
+      analysis: formatAnalysis(analysisResult)
+    })
+
+  } catch (error: any) {
+    logger.error('Marketing URL analysis error', {
+      userId: req.user?.id,
+      url: req.body?.url,
+      error: error.message
+    })
+
+    res.status(500).json({
+      success: false,
+      error: 'URL analysis failed',
+      details: error.message
+    })
+  }
+}
+
 export const quickMarketingCheck = async (req: AuthenticatedRequest, res: Response) => {
   try {
     if (!req.user) {
@@ -149,7 +325,7 @@ export const quickMarketingCheck = async (req: AuthenticatedRequest, res: Respon
       })
     }
 
-    const { content, marketingContext } = result.data
+    const { content, marketingContext, entityType, strictnessLevel } = result.data
 
     logger.info('Quick marketing check requested', {
       userId: req.user.id,
@@ -159,7 +335,12 @@ export const quickMarketingCheck = async (req: AuthenticatedRequest, res: Respon
     const checkResult = await marketingPipeline.quickComplianceCheck(
       content,
       req.user.id,
-      marketingContext
+      marketingContext,
+      {
+        organizationId: resolveOrganizationId(req.user),
+        entityType: entityType || resolveEntityType(req.user),
+        strictnessLevel
+      }
     )
 
     res.json({
@@ -242,6 +423,153 @@ export const getMarketingRecommendations = async (req: AuthenticatedRequest, res
   }
 }
 
+/**
+ * Re-run a stored document against a historical guidelines version
+ * ("would this ad have passed under last quarter's rules?"). Results are not persisted.
+ */
+export const reanalyzeWithGuidelinesVersion = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const result = reanalyzeSchema.safeParse(req.body)
+    if (!result.success) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        details: result.error.issues.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      })
+    }
+
+    const { guidelinesVersion, marketingContext, entityType, strictnessLevel } = result.data
+    const { documentId } = req.params
+
+    const { data: document, error: documentError } = await supabase
+      .from('documents')
+      .select('id, extracted_text, source_segments, metadata')
+      .eq('id', documentId)
+      .eq('user_id', req.user.id)
+      .maybeSingle()
+
+    if (documentError) {
+      throw new Error(`Database error: ${documentError.message}`)
+    }
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' })
+    }
+
+    if (!document.extracted_text) {
+      return res.status(400).json({ error: 'Document has no extracted text to analyze' })
+    }
+
+    const guidelines = await guidelineVersionService.getGuidelinesLoader(guidelinesVersion)
+    if (!guidelines) {
+      return res.status(404).json({ error: `Guidelines version '${guidelinesVersion}' not found` })
+    }
+
+    logger.info('Historical guidelines re-analysis requested', {
+      userId: req.user.id,
+      documentId,
+      guidelinesVersion
+    })
+
+    const { data: recordedAnalysis } = await supabase
+      .from('analysis_results')
+      .select('compliance_score, overall_status, analysis_version, analysis_metadata, created_at')
+      .eq('document_id', documentId)
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    // Score with the recorded analysis's profile so only the guidelines differ between the two
+    const recordedProfile = recordedAnalysis?.analysis_metadata?.scoringProfile
+
+    // No documentId: a what-if run must not overwrite the document's recorded analysis
+    const analysisResult = await marketingPipeline.analyzeMarketingCompliance(
+      document.extracted_text,
+      req.user.id,
+      undefined,
+      marketingContext,
+      {
+        organizationId: resolveOrganizationId(req.user),
+        entityType: entityType || resolveEntityType(req.user),
+        guidelines,
+        strictnessLevel: strictnessLevel || (isScoringProfileName(recordedProfile) ? recordedProfile : undefined),
+        sourceSegments: document.source_segments,
+        ocr: document.metadata?.ocr
+      }
+    )
+
+    res.json({
+      success: true,
+      documentId,
+      guidelinesVersion: analysisResult.metadata.guidelinesVersion,
+      analysis: {
+        complianceScore: analysisResult.complianceReport.score.totalScore,
+        complianceLevel: analysisResult.complianceReport.score.complianceLevel,
+        riskLevel: analysisResult.complianceReport.score.riskIndicators.level,
+        violations: analysisResult.complianceReport.violations.map(formatViolation),
+        missingElements: analysisResult.complianceReport.missingElements,
+        metadata: analysisResult.metadata
+      },
+      recordedAnalysis: recordedAnalysis
+        ? {
+            complianceScore: recordedAnalysis.compliance_score,
+            overallStatus: recordedAnalysis.overall_status,
+            guidelinesVersion: recordedAnalysis.analysis_metadata?.guidelinesVersion
+              || (recordedAnalysis.analysis_version ? { version: recordedAnalysis.analysis_version } : null),
+            analyzedAt: recordedAnalysis.created_at
+          }
+        : null
+    })
+
+  } catch (error: any) {
+    logger.error('Historical guidelines re-analysis error', {
+      userId: req.user?.id,
+      documentId: req.params.documentId,
+      error: error.message
+    })
+
+    res.status(500).json({
+      success: false,
+      error: 'Re-analysis failed',
+      details: error.message
+    })
+  }
+}
+
+export const listGuidelineVersions = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const versions = await guidelineVersionService.listVersions()
+
+    res.json({
+      success: true,
+      versions
+    })
+
+  } catch (error: any) {
+    logger.error('List guideline versions error', {
+      userId: req.user?.id,
+      error: error.message
+    })
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list guideline versions',
+      details: error.message
+    })
+  }
+}
+
 export const getComplianceStatistics = async (req: AuthenticatedRequest, res: Response) => {
   try {
     if (!req.user) {
@@ -286,13 +614,14 @@ export const validateMarketingSetup = async (req: AuthenticatedRequest, res: Res
           guidelinesLoaded: validation.guidelinesCount > 0,
           guidelinesCount: validation.guidelinesCount,
           aiModelReady: validation.aiModelReady,
-          geminiConfigured: !!process.env.GOOGLE_AI_API_KEY
+          geminiConfigured: !!process.env.GOOGLE_AI_API_KEY,
+          llmProviders: llmProviderRegistry.listProviders()
         },
         recommendations: validation.isReady 
           ? ['Marketing compliance engine is ready']
           : [
               'Fix configuration issues before using marketing analysis',
-              'Ensure GOOGLE_AI_API_KEY is set',
+              'Set GOOGLE_AI_API_KEY or LLM_BASE_URL for AI insights (the offline stub is used otherwise)',
               'Verify RBI marketing guidelines are loaded'
             ]
       }
@@ -310,4 +639,128 @@ export const validateMarketingSetup = async (req: AuthenticatedRequest, res: Res
       details: error.message
     })
   }
-}
\ No newline at end of file
+}
+/**
+ * Available language model providers and the one this organization uses
+ */
+export const getAIProviderSettings = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const settings = await organizationSettingsService.getSettings(resolveOrganizationId(req.user))
+
+    res.json({
+      success: true,
+      providers: llmProviderRegistry.listProviders(),
+      organization: {
+        llmProvider: settings.llm_provider,
+        llmModel: settings.llm_model
+      }
+    })
+
+  } catch (error: any) {
+    logger.error('Get AI provider settings error', { userId: req.user?.id, error: error.message })
+    res.status(500).json({ success: false, error: 'Failed to get AI provider settings', details: error.message })
+  }
+}
+
+export const updateAIProviderSettings = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const result = aiProviderSettingsSchema.safeParse(req.body)
+    if (!result.success) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        details: result.error.issues.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      })
+    }
+
+    const settings = await organizationSettingsService.updateSettings(
+      resolveOrganizationId(req.user),
+      req.user.id,
+      {
+        llm_provider: result.data.llmProvider,
+        llm_model: result.data.llmModel ?? null
+      }
+    )
+
+    res.json({
+      success: true,
+      organization: {
+        llmProvider: settings.llm_provider,
+        llmModel: settings.llm_model
+      }
+    })
+
+  } catch (error: any) {
+    logger.error('Update AI provider settings error', { userId: req.user?.id, error: error.message })
+    res.status(500).json({ success: false, error: 'Failed to update AI provider settings', details: error.message })
+  }
+}
+
+export const getScoringProfileSettings = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const settings = await organizationSettingsService.getSettings(resolveOrganizationId(req.user))
+
+    res.json({
+      success: true,
+      profiles: scoringProfileRegistry.listProfiles(),
+      defaultProfile: scoringProfileRegistry.getDefaultProfileName(),
+      organization: {
+        scoringProfile: settings.scoring_profile
+      }
+    })
+
+  } catch (error: any) {
+    logger.error('Get scoring profile settings error', { userId: req.user?.id, error: error.message })
+    res.status(500).json({ success: false, error: 'Failed to get scoring profile settings', details: error.message })
+  }
+}
+
+export const updateScoringProfileSettings = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const result = scoringProfileSettingsSchema.safeParse(req.body)
+    if (!result.success) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        details: result.error.issues.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      })
+    }
+
+    const settings = await organizationSettingsService.updateSettings(
+      resolveOrganizationId(req.user),
+      req.user.id,
+      { scoring_profile: result.data.scoringProfile }
+    )
+
+    res.json({
+      success: true,
+      organization: {
+        scoringProfile: settings.scoring_profile
+      }
+    })
+
+  } catch (error: any) {
+    logger.error('Update scoring profile settings error', { userId: req.user?.id, error: error.message })
+    res.status(500).json({ success: false, error: 'Failed to update scoring profile settings', details: error.message })
+  }
+}
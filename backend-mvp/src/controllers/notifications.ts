@@ -0,0 +1,174 @@
+import { Response } from 'express'
+import { AuthenticatedRequest } from '../middleware/auth'
+import { notificationService, NOTIFICATION_TYPES } from '../services/notifications/notification-service'
+import { logger } from '../utils/logger'
+import { z } from 'zod'
+
+// Validation schemas
+const listNotificationsSchema = z.object({
+  limit: z.coerce.number().int().min(1).max(100).optional(),
+  unreadOnly: z.enum(['true', 'false']).transform(value => value === 'true').optional()
+})
+
+const notificationIdSchema = z.string().uuid('Notification ID must be a valid UUID')
+
+// The email address is not settable: notifications only go to the account's verified address
+const updatePreferencesSchema = z.object({
+  emailEnabled: z.boolean().optional(),
+  mutedTypes: z.array(z.enum(NOTIFICATION_TYPES)).optional()
+})
+
+const sendValidationError = (res: Response, issues: z.ZodIssue[]) => res.status(400).json({
+  error: 'Invalid request data',
+  details: issues.map(err => ({
+    field: err.path.join('.'),
+    message: err.message
+  }))
+})
+
+export const listNotifications = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const result = listNotificationsSchema.safeParse(req.query)
+    if (!result.success) {
+      return sendValidationError(res, result.error.issues)
+    }
+
+    const { notifications, unreadCount } = await notificationService.listNotifications(req.user.id, result.data)
+
+    res.json({ notifications, unreadCount })
+
+  } catch (error: any) {
+    logger.error('List notifications error', {
+      userId: req.user?.id,
+      error: error.message
+    })
+
+    res.status(500).json({
+      error: 'Failed to get notifications',
+      details: error.message
+    })
+  }
+}
+
+export const markNotificationRead = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const result = notificationIdSchema.safeParse(req.params.id)
+    if (!result.success) {
+      return sendValidationError(res, result.error.issues)
+    }
+
+    const found = await notificationService.markRead(req.user.id, result.data)
+
+    if (!found) {
+      return res.status(404).json({ error: 'Notification not found' })
+    }
+
+    res.json({ message: 'Notification marked as read' })
+
+  } catch (error: any) {
+    logger.error('Mark notification read error', {
+      userId: req.user?.id,
+      notificationId: req.params.id,
+      error: error.message
+    })
+
+    res.status(500).json({
+      error: 'Failed to mark notification as read',
+      details: error.message
+    })
+  }
+}
+
+export const markAllNotificationsRead = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const updated = await notificationService.markAllRead(req.user.id)
+
+    res.json({ message: 'Notifications marked as read', updated })
+
+  } catch (error: any) {
+    logger.error('Mark all notifications read error', {
+      userId: req.user?.id,
+      error: error.message
+    })
+
+    res.status(500).json({
+      error: 'Failed to mark notifications as read',
+      details: error.message
+    })
+  }
+}
+
+export const getNotificationPreferences = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const preferences = await notificationService.getPreferences(req.user.id)
+
+    res.json({ preferences })
+
+  } catch (error: any) {
+    logger.error('Get notification preferences error', {
+      userId: req.user?.id,
+      error: error.message
+    })
+
+    res.status(500).json({
+      error: 'Failed to get notification preferences',
+      details: error.message
+    })
+  }
+}
+
+export const updateNotificationPreferences = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const result = updatePreferencesSchema.safeParse(req.body)
+    if (!result.success) {
+      return sendValidationError(res, result.error.issues)
+    }
+
+    const current = await notificationService.getPreferences(req.user.id)
+    if ((result.data.emailEnabled ?? current.emailEnabled) && !req.user.email) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        details: [{ field: 'emailEnabled', message: 'Email notifications need an account with an email address' }]
+      })
+    }
+
+    // Refreshed on every save, so a changed account address takes over from the old one
+    const preferences = await notificationService.updatePreferences(req.user.id, {
+      ...result.data,
+      emailAddress: req.user.email || null
+    })
+
+    res.json({ message: 'Notification preferences updated', preferences })
+
+  } catch (error: any) {
+    logger.error('Update notification preferences error', {
+      userId: req.user?.id,
+      error: error.message
+    })
+
+    res.status(500).json({
+      error: 'Failed to update notification preferences',
+      details: error.message
+    })
+  }
+}
@@ -0,0 +1,74 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals'
+import express from 'express'
+import request from 'supertest'
+
+jest.mock('../services/rule-pack-service', () => ({
+  rulePackService: {
+    createRulePack: jest.fn(async (_organizationId: string, _userId: string, input: any) => ({ id: 'pack-1', ...input })),
+    updateRulePack: jest.fn()
+  }
+}))
+
+jest.mock('../core-engine/marketing-rules/rbi-marketing-loader', () => ({
+  marketingLoader: { getCachedRules: async () => [] }
+}))
+
+import { rulePackService } from '../services/rule-pack-service'
+import { createRulePack, updateRulePack } from './rule-packs'
+
+const app = express()
+app.use(express.json())
+app.use((req: any, _res, next) => {
+  req.user = { id: 'user-123', email: 'compliance@example.com', appMetadata: { organization_id: 'org-1' } }
+  next()
+})
+app.post('/rule-packs', createRulePack)
+app.put('/rule-packs/:id', updateRulePack)
+
+const houseRule = (pattern: string) => ({
+  rule_id: 'HOUSE_001',
+  category: 'advertising',
+  title: 'No approval promises',
+  severity: 'high',
+  citation: { document: 'Marketing policy' },
+  violation_patterns: [{ type: 'regex', pattern }]
+})
+
+describe('rule pack house rule patterns', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  test('should save a regex pattern that cannot backtrack catastrophically', async () => {
+    const response = await request(app)
+      .post('/rule-packs')
+      .send({ name: 'House rules', rules: [houseRule('guarantee(d|s)?\\s+(loan\\s+)?approv(al|ed)')] })
+
+    expect(response.status).toBe(201)
+    expect(rulePackService.createRulePack).toHaveBeenCalled()
+  })
+
+  test.each([
+    ['nested quantifiers', '(\\w+\\s?)*$'],
+    ['repeated alternatives', '(approval|approved)+ guaranteed'],
+    ['a bounded repeat of an unbounded one', '(.*a){20}']
+  ])('should reject a regex pattern with %s', async (_kind, pattern) => {
+    const response = await request(app)
+      .post('/rule-packs')
+      .send({ name: 'House rules', rules: [houseRule(pattern)] })
+
+    expect(response.status).toBe(400)
+    expect(response.body.details).toEqual([expect.stringContaining('HOUSE_001: Regular expression repeats a quantifier')])
+    expect(rulePackService.createRulePack).not.toHaveBeenCalled()
+  })
+
+  test('should reject overlong regex patterns on update', async () => {
+    const response = await request(app)
+      .put('/rule-packs/5f0c8a4e-8b1d-4c3e-9a7f-2d6b1e0c9a11')
+      .send({ rules: [houseRule(`guaranteed ${'a'.repeat(200)}`)] })
+
+    expect(response.status).toBe(400)
+    expect(response.body.details).toEqual(['HOUSE_001: Regular expressions are limited to 200 characters'])
+    expect(rulePackService.updateRulePack).not.toHaveBeenCalled()
+  })
+})
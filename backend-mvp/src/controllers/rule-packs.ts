@@ -0,0 +1,282 @@
+import { Response } from 'express'
+import { AuthenticatedRequest } from '../middleware/auth'
+import { rulePackService } from '../services/rule-pack-service'
+import { patternMatcher } from '../core-engine/marketing-rules/pattern-matcher'
+import { DISCLOSURE_FACTS } from '../core-engine/marketing-rules/disclosure-extractor'
+import { MarketingRule, marketingLoader } from '../core-engine/marketing-rules/rbi-marketing-loader'
+import { resolveOrganizationId, resolveEntityType } from '../utils/organization'
+import { logger } from '../utils/logger'
+import { z } from 'zod'
+
+const severitySchema = z.enum(['critical', 'high', 'medium', 'low'])
+
+const violationPatternSchema = z.object({
+  id: z.string().optional(),
+  type: z.enum(['phrase', 'regex', 'proximity']),
+  pattern: z.string().min(1).optional(),
+  terms: z.array(z.string().min(1)).optional(),
+  within_words: z.number().int().min(0).max(50).optional(),
+  word_boundary: z.boolean().optional(),
+  case_sensitive: z.boolean().optional(),
+  negation_window: z.number().int().min(0).max(10).optional(),
+  confidence: z.number().min(0).max(1).optional()
+})
+
+const disclosureFactSchema = z.enum(DISCLOSURE_FACTS)
+
+const disclosureRequirementSchema = z.object({
+  id: z.string().optional(),
+  element: z.string().min(1),
+  when: disclosureFactSchema.optional(),
+  require: disclosureFactSchema
+})
+
+// House rules use the same shape as the RBI marketing rules
+const houseRuleSchema = z.object({
+  rule_id: z.string().min(1).max(64),
+  category: z.string().min(1),
+  title: z.string().min(1),
+  description: z.string().default(''),
+  marketing_context: z.string().default(''),
+  content: z.string().default(''),
+  violation_keywords: z.array(z.string().min(1)).default([]),
+  violation_patterns: z.array(violationPatternSchema).optional(),
+  required_marketing_elements: z.array(z.string().min(1)).default([]),
+  disclosure_requirements: z.array(disclosureRequirementSchema).optional(),
+  prohibited_marketing_claims: z.array(z.string().min(1)).default([]),
+  localized_keywords: z.partialRecord(z.enum(['en', 'hi', 'hi-Latn', 'mr', 'ta']), z.object({
+    violation_keywords: z.array(z.string().min(1)).optional(),
+    prohibited_marketing_claims: z.array(z.string().min(1)).optional()
+  })).optional(),
+  severity: severitySchema,
+  scoring_weight: z.number().min(0).max(100).default(10),
+  citation: z.object({
+    document: z.string().min(1),
+    title: z.string().default('Internal house rule'),
+    date: z.string().default(''),
+    section: z.string().default(''),
+    url: z.string().url().optional()
+  })
+})
+
+const ruleOverrideSchema = z.object({
+  disabled: z.boolean().optional(),
+  severity: severitySchema.optional(),
+  scoring_weight: z.number().min(0).max(100).optional(),
+  impact_multiplier: z.number().min(0).max(5).optional()
+})
+
+// No defaults here: zod applies them inside .partial(), which would wipe rules on update
+const updateRulePackSchema = z.object({
+  name: z.string().min(1, 'Name is required').max(200),
+  description: z.string().max(2000).nullable(),
+  entity_type: z.string().min(1).nullable(),
+  priority: z.number().int().min(0).max(1000),
+  is_active: z.boolean(),
+  rules: z.array(houseRuleSchema).max(500),
+  overrides: z.record(z.string(), ruleOverrideSchema)
+}).partial()
+
+const createRulePackSchema = updateRulePackSchema.required({ name: true }).extend({
+  rules: z.array(houseRuleSchema).max(500).default([]),
+  overrides: z.record(z.string(), ruleOverrideSchema).default({})
+})
+
+const rulePackIdSchema = z.string().uuid('Invalid rule pack ID format')
+
+const sendValidationError = (res: Response, issues: z.ZodIssue[]) => {
+  return res.status(400).json({
+    error: 'Invalid request data',
+    details: issues.map(err => ({
+      field: err.path.join('.'),
+      message: err.message
+    }))
+  })
+}
+
+/**
+ * Reject house rules with duplicate or RBI-reserved IDs and malformed patterns
+ */
+const validateHouseRules = async (rules: MarketingRule[]): Promise<string[]> => {
+  const problems: string[] = []
+  const seen = new Set<string>()
+  const baselineIds = new Set((await marketingLoader.getCachedRules()).map(rule => rule.rule_id))
+
+  for (const rule of rules) {
+    if (seen.has(rule.rule_id)) {
+      problems.push(`Duplicate rule_id: ${rule.rule_id}`)
+    }
+    seen.add(rule.rule_id)
+
+    if (baselineIds.has(rule.rule_id)) {
+      problems.push(`${rule.rule_id}: RBI rule IDs cannot be redefined - use overrides instead`)
+    }
+
+    for (const pattern of rule.violation_patterns || []) {
+      patternMatcher.validatePattern(pattern).forEach(problem => problems.push(`${rule.rule_id}: ${problem}`))
+    }
+  }
+
+  return problems
+}
+
+export const listRulePacks = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const rulePacks = await rulePackService.listRulePacks(resolveOrganizationId(req.user))
+
+    res.json({ success: true, rulePacks })
+
+  } catch (error: any) {
+    logger.error('List rule packs error', { userId: req.user?.id, error: error.message })
+    res.status(500).json({ success: false, error: 'Failed to list rule packs', details: error.message })
+  }
+}
+
+export const getRulePack = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const idResult = rulePackIdSchema.safeParse(req.params.id)
+    if (!idResult.success) {
+      return sendValidationError(res, idResult.error.issues)
+    }
+
+    const rulePack = await rulePackService.getRulePack(idResult.data, resolveOrganizationId(req.user))
+    if (!rulePack) {
+      return res.status(404).json({ error: 'Rule pack not found' })
+    }
+
+    res.json({ success: true, rulePack })
+
+  } catch (error: any) {
+    logger.error('Get rule pack error', { userId: req.user?.id, rulePackId: req.params.id, error: error.message })
+    res.status(500).json({ success: false, error: 'Failed to get rule pack', details: error.message })
+  }
+}
+
+export const createRulePack = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const result = createRulePackSchema.safeParse(req.body)
+    if (!result.success) {
+      return sendValidationError(res, result.error.issues)
+    }
+
+    const rules = result.data.rules as MarketingRule[]
+    const problems = await validateHouseRules(rules)
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Invalid house rules', details: problems })
+    }
+
+    const rulePack = await rulePackService.createRulePack(
+      resolveOrganizationId(req.user),
+      req.user.id,
+      { ...result.data, rules }
+    )
+
+    res.status(201).json({ success: true, rulePack })
+
+  } catch (error: any) {
+    logger.error('Create rule pack error', { userId: req.user?.id, error: error.message })
+    res.status(500).json({ success: false, error: 'Failed to create rule pack', details: error.message })
+  }
+}
+
+export const updateRulePack = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const idResult = rulePackIdSchema.safeParse(req.params.id)
+    if (!idResult.success) {
+      return sendValidationError(res, idResult.error.issues)
+    }
+
+    const result = updateRulePackSchema.safeParse(req.body)
+    if (!result.success) {
+      return sendValidationError(res, result.error.issues)
+    }
+
+    const rules = result.data.rules as MarketingRule[] | undefined
+    const problems = rules ? await validateHouseRules(rules) : []
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Invalid house rules', details: problems })
+    }
+
+    const rulePack = await rulePackService.updateRulePack(
+      idResult.data,
+      resolveOrganizationId(req.user),
+      { ...result.data, ...(rules && { rules }) }
+    )
+
+    if (!rulePack) {
+      return res.status(404).json({ error: 'Rule pack not found' })
+    }
+
+    res.json({ success: true, rulePack })
+
+  } catch (error: any) {
+    logger.error('Update rule pack error', { userId: req.user?.id, rulePackId: req.params.id, error: error.message })
+    res.status(500).json({ success: false, error: 'Failed to update rule pack', details: error.message })
+  }
+}
+
+export const deleteRulePack = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const idResult = rulePackIdSchema.safeParse(req.params.id)
+    if (!idResult.success) {
+      return sendValidationError(res, idResult.error.issues)
+    }
+
+    await rulePackService.deleteRulePack(idResult.data, resolveOrganizationId(req.user))
+
+    res.json({ success: true, message: 'Rule pack deleted successfully' })
+
+  } catch (error: any) {
+    logger.error('Delete rule pack error', { userId: req.user?.id, rulePackId: req.params.id, error: error.message })
+    res.status(500).json({ success: false, error: 'Failed to delete rule pack', details: error.message })
+  }
+}
+
+/**
+ * Preview the rule set an analysis would run with for this organization
+ */
+export const getEffectiveRules = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const entityType = typeof req.query.entityType === 'string'
+      ? req.query.entityType
+      : resolveEntityType(req.user)
+
+    const rules = await rulePackService.getEffectiveRules(resolveOrganizationId(req.user), entityType)
+
+    res.json({
+      success: true,
+      entityType: entityType || null,
+      totalRules: rules.length,
+      houseRules: rules.filter(rule => rule.rule_pack_id).length,
+      rules
+    })
+
+  } catch (error: any) {
+    logger.error('Get effective rules error', { userId: req.user?.id, error: error.message })
+    res.status(500).json({ success: false, error: 'Failed to resolve effective rules', details: error.message })
+  }
+}
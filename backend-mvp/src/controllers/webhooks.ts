@@ -0,0 +1,321 @@
+import { Response } from 'express'
+import { AuthenticatedRequest } from '../middleware/auth'
+import { webhookService, WEBHOOK_EVENT_TYPES } from '../services/webhooks/webhook-service'
+import { logger } from '../utils/logger'
+import { z } from 'zod'
+
+// Validation schemas
+const subscriptionSchema = z.object({
+  url: z.string().url().max(2048),
+  eventTypes: z.array(z.enum(WEBHOOK_EVENT_TYPES)).min(1, 'Choose at least one event type'),
+  description: z.string().max(200).nullable().optional(),
+  secret: z.string().min(16, 'Secret must be at least 16 characters').max(256).optional(),
+  active: z.boolean().optional()
+})
+
+const updateSubscriptionSchema = subscriptionSchema
+  .omit({ secret: true })
+  .partial()
+  .extend({ rotateSecret: z.boolean().optional() })
+
+const listDeliveriesSchema = z.object({
+  status: z.enum(['pending', 'succeeded', 'failed']).optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional()
+})
+
+const subscriptionIdSchema = z.string().uuid('Subscription ID must be a valid UUID')
+const deliveryIdSchema = z.string().uuid('Delivery ID must be a valid UUID')
+
+const sendValidationError = (res: Response, issues: z.ZodIssue[]) => res.status(400).json({
+  error: 'Invalid request data',
+  details: issues.map(err => ({
+    field: err.path.join('.'),
+    message: err.message
+  }))
+})
+
+// Answers 400 and returns false when webhooks may not be sent to the URL
+const checkUrl = async (res: Response, url: string | undefined): Promise<boolean> => {
+  if (!url) return true
+  try {
+    await webhookService.assertWebhookUrl(url)
+    return true
+  } catch (error: any) {
+    res.status(400).json({
+      error: 'Invalid request data',
+      details: [{ field: 'url', message: error.message }]
+    })
+    return false
+  }
+}
+
+export const getWebhookEventTypes = async (_req: AuthenticatedRequest, res: Response) => {
+  res.json({ eventTypes: WEBHOOK_EVENT_TYPES })
+}
+
+export const listWebhookSubscriptions = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const subscriptions = await webhookService.listSubscriptions(req.user.id)
+
+    res.json({ subscriptions })
+
+  } catch (error: any) {
+    logger.error('List webhook subscriptions error', {
+      userId: req.user?.id,
+      error: error.message
+    })
+
+    res.status(500).json({
+      error: 'Failed to get webhook subscriptions',
+      details: error.message
+    })
+  }
+}
+
+export const createWebhookSubscription = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const result = subscriptionSchema.safeParse(req.body)
+    if (!result.success) {
+      return sendValidationError(res, result.error.issues)
+    }
+    if (!await checkUrl(res, result.data.url)) return
+
+    const subscription = await webhookService.createSubscription(req.user.id, result.data)
+
+    res.status(201).json({ message: 'Webhook subscription created', subscription })
+
+  } catch (error: any) {
+    logger.error('Create webhook subscription error', {
+      userId: req.user?.id,
+      error: error.message
+    })
+
+    res.status(500).json({
+      error: 'Failed to create webhook subscription',
+      details: error.message
+    })
+  }
+}
+
+export const getWebhookSubscription = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const result = subscriptionIdSchema.safeParse(req.params.id)
+    if (!result.success) {
+      return sendValidationError(res, result.error.issues)
+    }
+
+    const subscription = await webhookService.getSubscription(req.user.id, result.data)
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook subscription not found' })
+    }
+
+    res.json({ subscription })
+
+  } catch (error: any) {
+    logger.error('Get webhook subscription error', {
+      userId: req.user?.id,
+      subscriptionId: req.params.id,
+      error: error.message
+    })
+
+    res.status(500).json({
+      error: 'Failed to get webhook subscription',
+      details: error.message
+    })
+  }
+}
+
+export const updateWebhookSubscription = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const idResult = subscriptionIdSchema.safeParse(req.params.id)
+    if (!idResult.success) {
+      return sendValidationError(res, idResult.error.issues)
+    }
+
+    const result = updateSubscriptionSchema.safeParse(req.body)
+    if (!result.success) {
+      return sendValidationError(res, result.error.issues)
+    }
+
+    const current = await webhookService.getSubscription(req.user.id, idResult.data)
+    if (!current) {
+      return res.status(404).json({ error: 'Webhook subscription not found' })
+    }
+    // An unchanged URL is not checked again
+    if (result.data.url !== current.url && !await checkUrl(res, result.data.url)) return
+
+    const subscription = await webhookService.updateSubscription(req.user.id, idResult.data, result.data)
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook subscription not found' })
+    }
+
+    res.json({ message: 'Webhook subscription updated', subscription })
+
+  } catch (error: any) {
+    logger.error('Update webhook subscription error', {
+      userId: req.user?.id,
+      subscriptionId: req.params.id,
+      error: error.message
+    })
+
+    res.status(500).json({
+      error: 'Failed to update webhook subscription',
+      details: error.message
+    })
+  }
+}
+
+export const deleteWebhookSubscription = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const result = subscriptionIdSchema.safeParse(req.params.id)
+    if (!result.success) {
+      return sendValidationError(res, result.error.issues)
+    }
+
+    const deleted = await webhookService.deleteSubscription(req.user.id, result.data)
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Webhook subscription not found' })
+    }
+
+    res.json({ message: 'Webhook subscription deleted' })
+
+  } catch (error: any) {
+    logger.error('Delete webhook subscription error', {
+      userId: req.user?.id,
+      subscriptionId: req.params.id,
+      error: error.message
+    })
+
+    res.status(500).json({
+      error: 'Failed to delete webhook subscription',
+      details: error.message
+    })
+  }
+}
+
+export const listWebhookDeliveries = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const idResult = subscriptionIdSchema.safeParse(req.params.id)
+    if (!idResult.success) {
+      return sendValidationError(res, idResult.error.issues)
+    }
+
+    const result = listDeliveriesSchema.safeParse(req.query)
+    if (!result.success) {
+      return sendValidationError(res, result.error.issues)
+    }
+
+    const deliveries = await webhookService.listDeliveries(req.user.id, idResult.data, result.data)
+
+    if (!deliveries) {
+      return res.status(404).json({ error: 'Webhook subscription not found' })
+    }
+
+    res.json({ deliveries })
+
+  } catch (error: any) {
+    logger.error('List webhook deliveries error', {
+      userId: req.user?.id,
+      subscriptionId: req.params.id,
+      error: error.message
+    })
+
+    res.status(500).json({
+      error: 'Failed to get webhook deliveries',
+      details: error.message
+    })
+  }
+}
+
+export const getWebhookDelivery = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const result = deliveryIdSchema.safeParse(req.params.deliveryId)
+    if (!result.success) {
+      return sendValidationError(res, result.error.issues)
+    }
+
+    const delivery = await webhookService.getDelivery(req.user.id, result.data)
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook delivery not found' })
+    }
+
+    res.json({ delivery })
+
+  } catch (error: any) {
+    logger.error('Get webhook delivery error', {
+      userId: req.user?.id,
+      deliveryId: req.params.deliveryId,
+      error: error.message
+    })
+
+    res.status(500).json({
+      error: 'Failed to get webhook delivery',
+      details: error.message
+    })
+  }
+}
+
+export const replayWebhookDelivery = async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'User not authenticated' })
+    }
+
+    const result = deliveryIdSchema.safeParse(req.params.deliveryId)
+    if (!result.success) {
+      return sendValidationError(res, result.error.issues)
+    }
+
+    const delivery = await webhookService.replayDelivery(req.user.id, result.data)
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook delivery not found' })
+    }
+
+    res.status(202).json({ message: 'Webhook delivery queued', delivery })
+
+  } catch (error: any) {
+    logger.error('Replay webhook delivery error', {
+      userId: req.user?.id,
+      deliveryId: req.params.deliveryId,
+      error: error.message
+    })
+
+    res.status(500).json({
+      error: 'Failed to replay webhook delivery',
+      details: error.message
+    })
+  }
+}
@@ -0,0 +1,86 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals'
+import { LLMProviderRegistry } from './llm-provider-registry'
+import { StubMarketingAnalyzer } from './stub-marketing-analyzer'
+import { ViolationMatch } from '../marketing-rules/fintech-rule-engine'
+
+jest.mock('../../utils/logger')
+
+describe('LLMProviderRegistry', () => {
+  const originalEnv = { ...process.env }
+  let registry: LLMProviderRegistry
+
+  beforeEach(() => {
+    delete process.env.GOOGLE_AI_API_KEY
+    delete process.env.LLM_PROVIDER
+    registry = new LLMProviderRegistry()
+  })
+
+  afterEach(() => {
+    process.env = { ...originalEnv }
+  })
+
+  test('should default to the offline stub without a Gemini key', () => {
+    expect(registry.getDefaultProviderName()).toBe('stub')
+    expect(registry.resolve().name).toBe('stub')
+  })
+
+  test('should default to Gemini when its key is configured', () => {
+    process.env.GOOGLE_AI_API_KEY = 'test-ai-key'
+
+    expect(registry.resolve().name).toBe('gemini')
+  })
+
+  test('should honour LLM_PROVIDER', () => {
+    process.env.LLM_PROVIDER = 'openai_compatible'
+
+    expect(registry.resolve().name).toBe('openai_compatible')
+  })
+
+  test('should prefer the request selection over the organization setting', () => {
+    const provider = registry.resolve(
+      { provider: 'openai_compatible', model: 'qwen2.5' },
+      { provider: 'stub', model: null }
+    )
+
+    expect(provider.name).toBe('openai_compatible')
+    expect(provider.getModel()).toBe('qwen2.5')
+  })
+
+  test('should fall back to the organization setting when the request has none', () => {
+    expect(registry.resolve({}, { provider: 'openai_compatible', model: null }).name).toBe('openai_compatible')
+  })
+
+  test('should fall back to the stub instead of throwing for an unconfigured provider', () => {
+    expect(registry.resolve({ provider: 'gemini' }).name).toBe('stub')
+  })
+
+  test('should report provider status', () => {
+    const statuses = registry.listProviders()
+
+    expect(statuses.find(status => status.name === 'gemini')).toMatchObject({ configured: false, isDefault: false })
+    expect(statuses.find(status => status.name === 'stub')).toMatchObject({ configured: true, isDefault: true })
+  })
+})
+
+describe('StubMarketingAnalyzer', () => {
+  const stub = new StubMarketingAnalyzer()
+
+  test('should derive a deterministic analysis from rule-based violations', async () => {
+    const violations = [{ severity: 'critical' }, { severity: 'medium' }] as ViolationMatch[]
+
+    const first = await stub.analyzeMarketingContent('Guaranteed approval', [], violations)
+    const second = await stub.analyzeMarketingContent('Guaranteed approval', [], violations)
+
+    expect(first.complianceScore).toBe(67)
+    expect(first.overallStatus).toBe('needs_review')
+    expect(first.marketingToneAssessment.appropriateness).toBe('concerning')
+    expect({ ...second, processingTimeMs: 0 }).toEqual({ ...first, processingTimeMs: 0 })
+  })
+
+  test('should not rewrite copy', async () => {
+    const draft = await stub.generateMarketingRecommendations('Original copy', [], ['APR disclosure'])
+
+    expect(draft.improvedCopy).toBe('Original copy')
+    expect(draft.additionalSuggestions).toEqual(['Add: APR disclosure'])
+  })
+})
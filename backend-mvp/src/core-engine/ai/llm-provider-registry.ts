@@ -0,0 +1,70 @@
+import { logger } from '../../utils/logger'
+import { MarketingLLMProvider, LLMProviderName, LLM_PROVIDER_NAMES } from './llm-provider'
+import { GeminiMarketingAnalyzer } from './gemini-marketing-analyzer'
+import { OpenAICompatibleMarketingAnalyzer } from './openai-compatible-analyzer'
+import { StubMarketingAnalyzer } from './stub-marketing-analyzer'
+
+export interface LLMProviderSelection {
+  provider?: LLMProviderName | null
+  model?: string | null
+}
+
+export interface LLMProviderStatus {
+  name: LLMProviderName
+  model: string
+  configured: boolean
+  isDefault: boolean
+}
+
+/**
+ * Resolves which language model backend serves a request
+ */
+export class LLMProviderRegistry {
+  private providers: Record<LLMProviderName, MarketingLLMProvider> = {
+    gemini: new GeminiMarketingAnalyzer(),
+    openai_compatible: new OpenAICompatibleMarketingAnalyzer(),
+    stub: new StubMarketingAnalyzer()
+  }
+
+  /**
+   * LLM_PROVIDER when set, otherwise Gemini if its key is present, otherwise the offline stub
+   */
+  getDefaultProviderName(): LLMProviderName {
+    const configured = process.env.LLM_PROVIDER as LLMProviderName | undefined
+    if (configured && LLM_PROVIDER_NAMES.includes(configured)) {
+      return configured
+    }
+    return this.providers.gemini.isConfigured() ? 'gemini' : 'stub'
+  }
+
+  /**
+   * Resolve a provider from the most specific selection (request, then organization), falling
+   * back to the default. Unconfigured providers resolve to the stub rather than failing.
+   */
+  resolve(...selections: Array<LLMProviderSelection | null | undefined>): MarketingLLMProvider {
+    const selection = selections.find(candidate => candidate?.provider) || {}
+    const name = selection.provider || this.getDefaultProviderName()
+    const provider = this.providers[name]
+
+    if (!provider.isConfigured()) {
+      logger.warn('LLM provider not configured, using offline stub', { provider: name })
+      return this.providers.stub
+    }
+
+    return selection.model ? provider.withModel(selection.model) : provider
+  }
+
+  listProviders(): LLMProviderStatus[] {
+    const defaultName = this.getDefaultProviderName()
+
+    return LLM_PROVIDER_NAMES.map(name => ({
+      name,
+      model: this.providers[name].getModel(),
+      configured: this.providers[name].isConfigured(),
+      isDefault: name === defaultName
+    }))
+  }
+}
+
+// Export singleton instance
+export const llmProviderRegistry = new LLMProviderRegistry()
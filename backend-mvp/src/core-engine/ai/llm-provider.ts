@@ -0,0 +1,107 @@
+import { MarketingRule } from '../marketing-rules/rbi-marketing-loader'
+import { ViolationMatch } from '../marketing-rules/fintech-rule-engine'
+import { SourceLocation } from '../../services/document-extractors'
+
+export type LLMProviderName = 'gemini' | 'openai_compatible' | 'stub'
+
+export const LLM_PROVIDER_NAMES: LLMProviderName[] = ['gemini', 'openai_compatible', 'stub']
+
+export interface AIViolation {
+  text: string // Passage as quoted by the model
+  ruleCategory: string
+  severity: 'critical' | 'high' | 'medium' | 'low'
+  explanation: string
+  suggestedFix: string
+  confidenceScore: number
+  // Set once the quote has been aligned to the source text (see violation-grounding)
+  startIndex?: number
+  endIndex?: number
+  matchedText?: string
+  alignment?: 'exact' | 'normalized' | 'fuzzy'
+  alignmentScore?: number
+  sourceLocation?: SourceLocation
+  ocrConfidence?: number
+  needsHumanVerification?: boolean
+}
+
+export interface GeminiAnalysisResult {
+  complianceScore: number
+  overallStatus: 'compliant' | 'needs_review' | 'non_compliant'
+  aiViolations: AIViolation[]
+  contextualInsights: string[]
+  marketingToneAssessment: {
+    tone: string
+    appropriateness: 'appropriate' | 'concerning' | 'inappropriate'
+    suggestions: string[]
+  }
+  processingTimeMs: number
+  degraded: boolean // True when no valid model response was obtained and this is a placeholder result
+  degradedReason?: string
+  grounding?: {
+    unmatched: number // Quotes that do not occur in the document
+    duplicates: number // Findings already covered by a rule-engine hit or another AI finding
+  }
+}
+
+export interface AIRecommendationDraft {
+  improvedCopy: string
+  beforeAfterComparisons: Array<{
+    before: string
+    after: string
+    reason: string
+    rbiReference: string
+  }>
+  additionalSuggestions: string[]
+  degraded: boolean
+}
+
+/**
+ * Confidence recorded with a stored analysis: the mean confidence of the AI findings,
+ * or zero when the AI stage only produced a degraded placeholder
+ */
+export function calculateAIConfidence(insights: GeminiAnalysisResult): number {
+  if (insights.degraded) return 0
+  if (insights.aiViolations.length === 0) return 0.8
+
+  return insights.aiViolations.reduce((sum, v) => sum + v.confidenceScore, 0) / insights.aiViolations.length
+}
+
+export interface AIModelInfo {
+  provider: LLMProviderName
+  model: string
+}
+
+/**
+ * A language model backend for the AI stages of the marketing pipeline.
+ * Implementations never throw from the analysis methods - failures degrade to a fallback result.
+ */
+export interface MarketingLLMProvider {
+  readonly name: LLMProviderName
+
+  /**
+   * Model identifier recorded with every result (e.g. "gemini-pro", "llama3.1")
+   */
+  getModel(): string
+
+  /**
+   * Whether the provider has the credentials / endpoint it needs
+   */
+  isConfigured(): boolean
+
+  /**
+   * Return a provider bound to a different model of the same backend
+   */
+  withModel(model: string): MarketingLLMProvider
+
+  analyzeMarketingContent(
+    text: string,
+    applicableRules: MarketingRule[],
+    ruleBasedViolations: ViolationMatch[]
+  ): Promise<GeminiAnalysisResult>
+
+  generateMarketingRecommendations(
+    originalText: string,
+    violations: ViolationMatch[],
+    missingElements: string[]
+  ): Promise<AIRecommendationDraft>
+}
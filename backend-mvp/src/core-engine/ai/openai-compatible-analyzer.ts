@@ -0,0 +1,59 @@
+import OpenAI from 'openai'
+import { PromptedMarketingAnalyzer } from './prompted-marketing-analyzer'
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1' // Local Ollama server
+const DEFAULT_MODEL = 'llama3.1'
+const DEFAULT_TIMEOUT_MS = 120000
+
+const SYSTEM_PROMPT = 'You are an expert RBI compliance analyst for FinTech marketing. Always answer with a single JSON object.'
+
+/**
+ * Any OpenAI-compatible chat completions endpoint: OpenAI itself, or a local
+ * Ollama / llama.cpp server for air-gapped deployments (no API key needed).
+ */
+export class OpenAICompatibleMarketingAnalyzer extends PromptedMarketingAnalyzer {
+  readonly name = 'openai_compatible' as const
+  private client: OpenAI | null = null
+
+  constructor(
+    model: string = process.env.LLM_MODEL || DEFAULT_MODEL,
+    private baseURL: string = process.env.LLM_BASE_URL || DEFAULT_BASE_URL
+  ) {
+    super(model)
+  }
+
+  isConfigured(): boolean {
+    return !!this.baseURL
+  }
+
+  withModel(model: string): OpenAICompatibleMarketingAnalyzer {
+    return new OpenAICompatibleMarketingAnalyzer(model, this.baseURL)
+  }
+
+  protected async complete(prompt: string): Promise<string> {
+    const response = await this.getClient().chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0.2,
+      response_format: { type: 'json_object' }
+    })
+
+    return response.choices[0]?.message?.content || ''
+  }
+
+  private getClient(): OpenAI {
+    if (!this.client) {
+      this.client = new OpenAI({
+        baseURL: this.baseURL,
+        // Local servers ignore the key, but the SDK requires one
+        apiKey: process.env.LLM_API_KEY || 'not-needed',
+        timeout: Number(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+        maxRetries: 1
+      })
+    }
+    return this.client
+  }
+}
@@ -0,0 +1,122 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals'
+import { PromptedMarketingAnalyzer } from './prompted-marketing-analyzer'
+
+jest.mock('../../utils/logger')
+
+class ScriptedAnalyzer extends PromptedMarketingAnalyzer {
+  readonly name = 'openai_compatible' as const
+  prompts: string[] = []
+
+  constructor(private responses: Array<string | Error>) {
+    super('test-model')
+  }
+
+  isConfigured(): boolean {
+    return true
+  }
+
+  withModel(): ScriptedAnalyzer {
+    return this
+  }
+
+  protected async complete(prompt: string): Promise<string> {
+    this.prompts.push(prompt)
+    const response = this.responses[Math.min(this.prompts.length, this.responses.length) - 1]
+    if (response instanceof Error) throw response
+    return response
+  }
+}
+
+const validAnalysis = {
+  complianceScore: 62,
+  overallStatus: 'needs_review',
+  aiViolations: [{
+    text: 'guaranteed approval',
+    ruleCategory: 'misleading_claims',
+    severity: 'critical',
+    explanation: 'Approval cannot be guaranteed',
+    suggestedFix: 'subject to eligibility',
+    confidenceScore: 0.9
+  }],
+  contextualInsights: ['Urgency-driven copy'],
+  marketingToneAssessment: {
+    tone: 'aggressive',
+    appropriateness: 'concerning',
+    suggestions: ['Tone down urgency']
+  }
+}
+
+describe('PromptedMarketingAnalyzer', () => {
+  const originalEnv = { ...process.env }
+
+  beforeEach(() => {
+    delete process.env.LLM_MAX_REPAIR_ATTEMPTS
+  })
+
+  afterEach(() => {
+    process.env = { ...originalEnv }
+  })
+
+  test('should accept a valid response wrapped in prose', async () => {
+    const analyzer = new ScriptedAnalyzer([`Here is the analysis:\n\`\`\`json\n${JSON.stringify(validAnalysis)}\n\`\`\``])
+
+    const result = await analyzer.analyzeMarketingContent('Guaranteed approval!', [], [])
+
+    expect(result.degraded).toBe(false)
+    expect(result.complianceScore).toBe(62)
+    expect(result.aiViolations[0].severity).toBe('critical')
+    expect(analyzer.prompts).toHaveLength(1)
+  })
+
+  test('should re-ask with the validation problems and use the repaired response', async () => {
+    const invalid = { ...validAnalysis, overallStatus: 'mostly fine', complianceScore: 140 }
+    const analyzer = new ScriptedAnalyzer([JSON.stringify(invalid), JSON.stringify(validAnalysis)])
+
+    const result = await analyzer.analyzeMarketingContent('Guaranteed approval!', [], [])
+
+    expect(result.degraded).toBe(false)
+    expect(analyzer.prompts).toHaveLength(2)
+    expect(analyzer.prompts[1]).toContain('YOUR PREVIOUS RESPONSE WAS REJECTED')
+    expect(analyzer.prompts[1]).toContain('overallStatus')
+    expect(analyzer.prompts[1]).toContain('complianceScore')
+  })
+
+  test('should mark the fallback as degraded once repair attempts are exhausted', async () => {
+    const analyzer = new ScriptedAnalyzer(['I cannot help with that'])
+
+    const result = await analyzer.analyzeMarketingContent('Guaranteed approval!', [], [])
+
+    expect(result.degraded).toBe(true)
+    expect(result.degradedReason).toContain('does not contain a JSON object')
+    expect(result.aiViolations).toEqual([])
+    expect(analyzer.prompts).toHaveLength(3)
+  })
+
+  test('should honour LLM_MAX_REPAIR_ATTEMPTS', async () => {
+    process.env.LLM_MAX_REPAIR_ATTEMPTS = '0'
+    const analyzer = new ScriptedAnalyzer(['{"complianceScore": "high"}'])
+
+    const result = await analyzer.analyzeMarketingContent('Guaranteed approval!', [], [])
+
+    expect(result.degraded).toBe(true)
+    expect(analyzer.prompts).toHaveLength(1)
+  })
+
+  test('should mark the fallback as degraded when the model call fails', async () => {
+    const analyzer = new ScriptedAnalyzer([new Error('connect ECONNREFUSED')])
+
+    const result = await analyzer.analyzeMarketingContent('Guaranteed approval!', [], [])
+
+    expect(result.degraded).toBe(true)
+    expect(result.degradedReason).toBe('connect ECONNREFUSED')
+  })
+
+  test('should keep the original copy when recommendations cannot be validated', async () => {
+    const analyzer = new ScriptedAnalyzer(['{"improvedCopy": ""}'])
+
+    const draft = await analyzer.generateMarketingRecommendations('Original copy', [], [])
+
+    expect(draft.degraded).toBe(true)
+    expect(draft.improvedCopy).toBe('Original copy')
+  })
+})
@@ -0,0 +1,346 @@
+import { z } from 'zod'
+import { logger } from '../../utils/logger'
+import { MarketingRule } from '../marketing-rules/rbi-marketing-loader'
+import { ViolationMatch } from '../marketing-rules/fintech-rule-engine'
+import { MarketingLLMProvider, LLMProviderName, GeminiAnalysisResult, AIRecommendationDraft } from './llm-provider'
+import { analysisResponseSchema, recommendationResponseSchema, validateModelResponse } from './response-schemas'
+
+const DEFAULT_MAX_REPAIR_ATTEMPTS = 2
+
+/**
+ * Shared prompts and schema-validated response handling for providers that answer free-text
+ * prompts with JSON.
+ * Subclasses only implement the call to their model.
+ */
+export abstract class PromptedMarketingAnalyzer implements MarketingLLMProvider {
+  abstract readonly name: LLMProviderName
+
+  constructor(protected model: string) {}
+
+  getModel(): string {
+    return this.model
+  }
+
+  abstract isConfigured(): boolean
+
+  abstract withModel(model: string): MarketingLLMProvider
+
+  /**
+   * Send a prompt to the model and return its raw text response
+   */
+  protected abstract complete(prompt: string): Promise<string>
+
+  /**
+   * Analyze marketing content with the provider's model
+   */
+  async analyzeMarketingContent(
+    text: string,
+    applicableRules: MarketingRule[],
+    ruleBasedViolations: ViolationMatch[]
+  ): Promise<GeminiAnalysisResult> {
+    const startTime = Date.now()
+
+    try {
+      logger.info('Starting AI marketing analysis', {
+        provider: this.name,
+        model: this.model,
+        textLength: text.length,
+        rulesCount: applicableRules.length,
+        ruleBasedViolations: ruleBasedViolations.length
+      })
+
+      const prompt = this.buildAnalysisPrompt(text, applicableRules, ruleBasedViolations)
+      const response = await this.completeValidated(prompt, analysisResponseSchema, 'analysis')
+
+      const analysis: GeminiAnalysisResult = {
+        ...response,
+        processingTimeMs: Date.now() - startTime,
+        degraded: false
+      }
+
+      logger.info('AI marketing analysis completed', {
+        provider: this.name,
+        score: analysis.complianceScore,
+        aiViolationsFound: analysis.aiViolations.length,
+        processingTime: analysis.processingTimeMs
+      })
+
+      return analysis
+
+    } catch (error: any) {
+      const processingTime = Date.now() - startTime
+      logger.error('AI marketing analysis failed', {
+        provider: this.name,
+        model: this.model,
+        error: error.message,
+        processingTime,
+        textLength: text.length
+      })
+
+      // Return fallback analysis
+      return this.getFallbackAnalysis(processingTime, error.message)
+    }
+  }
+
+  /**
+   * Build comprehensive analysis prompt
+   */
+  private buildAnalysisPrompt(
+    text: string,
+    rules: MarketingRule[],
+    ruleBasedViolations: ViolationMatch[]
+  ): string {
+    const ruleContext = rules.map(rule => ({
+      id: rule.rule_id,
+      category: rule.category,
+      title: rule.title,
+      description: rule.description,
+      violations: rule.violation_keywords,
+      required: rule.required_marketing_elements,
+      prohibited: rule.prohibited_marketing_claims
+    }))
+
+    const existingViolations = ruleBasedViolations.map(v => ({
+      rule: v.rule.rule_id,
+      text: v.matchedText,
+      type: v.violationType,
+      severity: v.severity
+    }))
+
+    return `
+You are an expert RBI (Reserve Bank of India) compliance analyst specializing in FinTech marketing materials. 
+Analyze the following marketing content for compliance with RBI guidelines.
+
+MARKETING CONTENT TO ANALYZE:
+"""
+${text}
+"""
+
+APPLICABLE RBI RULES:
+${JSON.stringify(ruleContext, null, 2)}
+
+RULE-BASED VIOLATIONS ALREADY DETECTED:
+${JSON.stringify(existingViolations, null, 2)}
+
+ANALYSIS REQUIREMENTS:
+1. Provide contextual analysis beyond simple keyword matching
+2. Assess marketing tone and appropriateness for financial services
+3. Identify subtle violations that rule-based detection might miss
+4. Consider customer perspective and potential for misleading interpretation
+5. Evaluate compliance with fair marketing practices
+6. Check for implicit claims or implications that violate RBI guidelines
+
+OUTPUT FORMAT (JSON):
+{
+  "complianceScore": <number 0-100>,
+  "overallStatus": "<compliant|needs_review|non_compliant>",
+  "aiViolations": [
+    {
+      "text": "<problematic text from content>",
+      "ruleCategory": "<relevant RBI rule category>",
+      "severity": "<critical|high|medium|low>",
+      "explanation": "<detailed explanation of why this violates RBI guidelines>",
+      "suggestedFix": "<specific suggested replacement text>",
+      "confidenceScore": <0-1>
+    }
+  ],
+  "contextualInsights": [
+    "<insight about overall marketing approach>",
+    "<observation about customer impact>",
+    "<note about regulatory risk>"
+  ],
+  "marketingToneAssessment": {
+    "tone": "<description of marketing tone>",
+    "appropriateness": "<appropriate|concerning|inappropriate>",
+    "suggestions": [
+      "<suggestion for tone improvement>"
+    ]
+  }
+}
+
+FOCUS AREAS:
+- Misleading claims or implications
+- Missing mandatory disclosures
+- Inappropriate marketing language for financial services
+- Customer protection considerations
+- Regulatory compliance beyond obvious violations
+- Marketing ethics and fair practices
+
+Provide specific, actionable insights that help create compliant, effective marketing content.
+`
+  }
+
+  /**
+   * Complete a prompt and validate the JSON response against a schema. Invalid responses are
+   * sent back to the model with the validation problems, up to LLM_MAX_REPAIR_ATTEMPTS times.
+   */
+  protected async completeValidated<T>(prompt: string, schema: z.ZodType<T>, purpose: string): Promise<T> {
+    const maxRepairAttempts = this.getMaxRepairAttempts()
+    let currentPrompt = prompt
+
+    for (let attempt = 0; ; attempt++) {
+      const responseText = await this.complete(currentPrompt)
+      const validation = validateModelResponse(responseText, schema)
+
+      if (validation.success) {
+        if (attempt > 0) {
+          logger.info('AI response repaired', { provider: this.name, model: this.model, purpose, attempts: attempt + 1 })
+        }
+        return validation.data
+      }
+
+      logger.warn('AI response failed validation', {
+        provider: this.name,
+        model: this.model,
+        purpose,
+        attempt: attempt + 1,
+        problems: validation.problems.slice(0, 10),
+        responseLength: responseText.length
+      })
+
+      if (attempt >= maxRepairAttempts) {
+        throw new Error(`Invalid ${purpose} response after ${attempt + 1} attempts: ${validation.problems.slice(0, 3).join('; ')}`)
+      }
+
+      currentPrompt = this.buildRepairPrompt(prompt, responseText, validation.problems)
+    }
+  }
+
+  /**
+   * Re-ask with the original task, the rejected answer and what was wrong with it
+   */
+  private buildRepairPrompt(originalPrompt: string, invalidResponse: string, problems: string[]): string {
+    return `${originalPrompt}
+
+YOUR PREVIOUS RESPONSE WAS REJECTED:
+"""
+${invalidResponse.slice(0, 4000)}
+"""
+
+VALIDATION PROBLEMS:
+${problems.slice(0, 20).map(problem => `- ${problem}`).join('\n')}
+
+Respond again with a single JSON object that follows the OUTPUT FORMAT exactly. Use only the allowed
+enum values, numbers for scores, and no text outside the JSON.
+`
+  }
+
+  private getMaxRepairAttempts(): number {
+    const configured = parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS || '', 10)
+    return Number.isNaN(configured) ? DEFAULT_MAX_REPAIR_ATTEMPTS : Math.max(0, configured)
+  }
+
+  /**
+   * Generate marketing copy recommendations with the provider's model
+   */
+  async generateMarketingRecommendations(
+    originalText: string,
+    violations: ViolationMatch[],
+    missingElements: string[]
+  ): Promise<AIRecommendationDraft> {
+    try {
+      const prompt = this.buildRecommendationPrompt(originalText, violations, missingElements)
+      const response = await this.completeValidated(prompt, recommendationResponseSchema, 'recommendation')
+
+      return { ...response, degraded: false }
+
+    } catch (error: any) {
+      logger.error('Failed to generate AI recommendations', {
+        provider: this.name,
+        error: error.message,
+        violationsCount: violations.length
+      })
+
+      return {
+        improvedCopy: originalText,
+        beforeAfterComparisons: [],
+        additionalSuggestions: ['AI recommendation generation failed - manual review required'],
+        degraded: true
+      }
+    }
+  }
+
+  /**
+   * Build recommendation prompt
+   */
+  private buildRecommendationPrompt(
+    text: string,
+    violations: ViolationMatch[],
+    missingElements: string[]
+  ): string {
+    const violationDetails = violations.map(v => ({
+      text: v.matchedText,
+      rule: v.rule.title,
+      reason: v.rule.description,
+      citation: v.rule.citation
+    }))
+
+    return `
+You are an expert copywriter specializing in RBI-compliant FinTech marketing content.
+Rewrite the following marketing content to be fully RBI compliant while maintaining its marketing effectiveness.
+
+ORIGINAL CONTENT:
+"""
+${text}
+"""
+
+VIOLATIONS TO FIX:
+${JSON.stringify(violationDetails, null, 2)}
+
+MISSING REQUIRED ELEMENTS:
+${JSON.stringify(missingElements, null, 2)}
+
+REQUIREMENTS:
+1. Fix all identified violations
+2. Add all missing required elements naturally
+3. Maintain marketing appeal and brand voice
+4. Ensure clear, transparent communication
+5. Follow RBI fair practices guidelines
+6. Make content customer-friendly and informative
+
+OUTPUT FORMAT (JSON):
+{
+  "improvedCopy": "<complete rewritten marketing content>",
+  "beforeAfterComparisons": [
+    {
+      "before": "<original problematic text>",
+      "after": "<compliant replacement>", 
+      "reason": "<explanation of change>",
+      "rbiReference": "<relevant RBI guideline>"
+    }
+  ],
+  "additionalSuggestions": [
+    "<additional improvement suggestion>",
+    "<marketing enhancement idea>",
+    "<compliance best practice tip>"
+  ]
+}
+
+Focus on creating marketing content that is both compliant and effective.
+`
+  }
+
+  /**
+   * Get fallback analysis when AI fails
+   */
+  private getFallbackAnalysis(processingTime: number, reason: string): GeminiAnalysisResult {
+    return {
+      complianceScore: 50, // Placeholder only - flagged as degraded so it is never shown as an AI finding
+      overallStatus: 'needs_review',
+      aiViolations: [],
+      contextualInsights: [
+        'AI analysis unavailable - manual review required',
+        'Consider consulting RBI guidelines directly',
+        'Recommend legal compliance review'
+      ],
+      marketingToneAssessment: {
+        tone: 'unknown',
+        appropriateness: 'concerning',
+        suggestions: ['Manual tone assessment needed']
+      },
+      processingTimeMs: processingTime,
+      degraded: true,
+      degradedReason: reason
+    }
+  }
+}
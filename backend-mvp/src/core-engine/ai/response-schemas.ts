@@ -0,0 +1,75 @@
+import { z } from 'zod'
+
+/**
+ * Schemas for the JSON the analysis prompts ask models to return. Every model response is
+ * validated against these before it reaches the pipeline.
+ */
+
+const severitySchema = z.enum(['critical', 'high', 'medium', 'low'])
+
+export const aiViolationSchema = z.object({
+  text: z.string().min(1),
+  ruleCategory: z.string().min(1),
+  severity: severitySchema,
+  explanation: z.string(),
+  suggestedFix: z.string(),
+  confidenceScore: z.coerce.number().min(0).max(1)
+})
+
+export const analysisResponseSchema = z.object({
+  complianceScore: z.coerce.number().min(0).max(100),
+  overallStatus: z.enum(['compliant', 'needs_review', 'non_compliant']),
+  aiViolations: z.array(aiViolationSchema).default([]),
+  contextualInsights: z.array(z.string()).default([]),
+  marketingToneAssessment: z.object({
+    tone: z.string().min(1),
+    appropriateness: z.enum(['appropriate', 'concerning', 'inappropriate']),
+    suggestions: z.array(z.string()).default([])
+  })
+})
+
+export const recommendationResponseSchema = z.object({
+  improvedCopy: z.string().min(1),
+  beforeAfterComparisons: z.array(z.object({
+    before: z.string(),
+    after: z.string(),
+    reason: z.string(),
+    rbiReference: z.string().default('')
+  })).default([]),
+  additionalSuggestions: z.array(z.string()).default([])
+})
+
+export type AnalysisResponse = z.infer<typeof analysisResponseSchema>
+export type RecommendationResponse = z.infer<typeof recommendationResponseSchema>
+
+export type ResponseValidation<T> =
+  | { success: true; data: T }
+  | { success: false; problems: string[] }
+
+/**
+ * Extract the JSON object from a model response (models often wrap it in prose or
+ * code fences) and validate it against a schema
+ */
+export function validateModelResponse<T>(responseText: string, schema: z.ZodType<T>): ResponseValidation<T> {
+  const jsonMatch = responseText.match(/\{[\s\S]*\}/)
+  if (!jsonMatch) {
+    return { success: false, problems: ['Response does not contain a JSON object'] }
+  }
+
+  let json: unknown
+  try {
+    json = JSON.parse(jsonMatch[0])
+  } catch (error: any) {
+    return { success: false, problems: [`Response is not valid JSON: ${error.message}`] }
+  }
+
+  const result = schema.safeParse(json)
+  if (!result.success) {
+    return {
+      success: false,
+      problems: result.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+    }
+  }
+
+  return { success: true, data: result.data }
+}
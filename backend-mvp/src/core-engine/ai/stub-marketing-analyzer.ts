@@ -0,0 +1,76 @@
+import { MarketingRule } from '../marketing-rules/rbi-marketing-loader'
+import { ViolationMatch } from '../marketing-rules/fintech-rule-engine'
+import { MarketingLLMProvider, GeminiAnalysisResult, AIRecommendationDraft } from './llm-provider'
+
+const SEVERITY_PENALTIES: Record<ViolationMatch['severity'], number> = {
+  critical: 25,
+  high: 15,
+  medium: 8,
+  low: 3
+}
+
+/**
+ * Deterministic offline provider: derives "AI" insights from the rule-based findings
+ * without calling any model. Used in tests, air-gapped installs without a local model,
+ * and whenever no other provider is configured.
+ */
+export class StubMarketingAnalyzer implements MarketingLLMProvider {
+  readonly name = 'stub' as const
+
+  constructor(private model: string = 'deterministic-v1') {}
+
+  getModel(): string {
+    return this.model
+  }
+
+  isConfigured(): boolean {
+    return true
+  }
+
+  withModel(model: string): StubMarketingAnalyzer {
+    return new StubMarketingAnalyzer(model)
+  }
+
+  async analyzeMarketingContent(
+    text: string,
+    applicableRules: MarketingRule[],
+    ruleBasedViolations: ViolationMatch[]
+  ): Promise<GeminiAnalysisResult> {
+    const startTime = Date.now()
+    const penalty = ruleBasedViolations.reduce((total, violation) => total + SEVERITY_PENALTIES[violation.severity], 0)
+    const complianceScore = Math.max(0, 100 - penalty)
+    const seriousViolations = ruleBasedViolations.filter(v => v.severity === 'critical' || v.severity === 'high')
+
+    return {
+      complianceScore,
+      overallStatus: complianceScore >= 80 ? 'compliant' : complianceScore >= 50 ? 'needs_review' : 'non_compliant',
+      aiViolations: [],
+      contextualInsights: [
+        'Offline analysis: insights are derived from rule-based findings only',
+        `${ruleBasedViolations.length} rule-based violations across ${applicableRules.length} applicable rules`
+      ],
+      marketingToneAssessment: {
+        tone: 'not assessed',
+        appropriateness: seriousViolations.length > 0 ? 'concerning' : 'appropriate',
+        suggestions: seriousViolations.length > 0
+          ? ['Remove guarantee and certainty claims flagged by the rule engine']
+          : []
+      },
+      processingTimeMs: Date.now() - startTime,
+      degraded: false // Deliberately model-free, not a failed model call
+    }
+  }
+
+  async generateMarketingRecommendations(
+    originalText: string,
+    violations: ViolationMatch[],
+    missingElements: string[]
+  ): Promise<AIRecommendationDraft> {
+    return {
+      improvedCopy: originalText, // No rewrite without a model
+      beforeAfterComparisons: [],
+      additionalSuggestions: missingElements.map(element => `Add: ${element}`),
+      degraded: false
+    }
+  }
+}
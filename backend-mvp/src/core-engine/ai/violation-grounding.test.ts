@@ -0,0 +1,87 @@
+import { describe, test, expect } from '@jest/globals'
+import { AIViolationGrounder } from './violation-grounding'
+import { AIViolation } from './llm-provider'
+import { ViolationMatch } from '../marketing-rules/fintech-rule-engine'
+
+const aiViolation = (text: string, confidenceScore = 0.8): AIViolation => ({
+  text,
+  ruleCategory: 'misleading_claims',
+  severity: 'high',
+  explanation: 'Misleading claim',
+  suggestedFix: 'Qualify the claim',
+  confidenceScore
+})
+
+const ruleHit = (text: string, source: string): ViolationMatch => {
+  const startIndex = source.indexOf(text)
+  return {
+    rule: { rule_id: 'DLM_001' },
+    matchedText: text,
+    startIndex,
+    endIndex: startIndex + text.length
+  } as ViolationMatch
+}
+
+describe('AIViolationGrounder', () => {
+  const grounder = new AIViolationGrounder()
+  const source = 'Get instant personal loans!\nBad credit? No problem, we approve everyone.\nLowest rates in India.'
+
+  test('should align exact quotes to character offsets', () => {
+    const { violations } = grounder.ground(source, [aiViolation('we approve everyone')])
+
+    expect(violations).toHaveLength(1)
+    expect(violations[0].alignment).toBe('exact')
+    expect(source.slice(violations[0].startIndex, violations[0].endIndex)).toBe('we approve everyone')
+  })
+
+  test('should ignore case, punctuation and surrounding quotes', () => {
+    const { violations } = grounder.ground(source, [aiViolation('"bad credit no problem"')])
+
+    expect(violations[0].alignment).toBe('normalized')
+    expect(violations[0].matchedText).toBe('Bad credit? No problem')
+  })
+
+  test('should align paraphrased quotes by token similarity', () => {
+    const { violations } = grounder.ground(source, [aiViolation('Bad credit? No problem, we will approve everyone')])
+
+    expect(violations[0].alignment).toBe('fuzzy')
+    expect(violations[0].matchedText).toBe('Bad credit? No problem, we approve everyone')
+    expect(violations[0].alignmentScore).toBeGreaterThan(0.9)
+  })
+
+  test('should reject quotes that do not occur in the document', () => {
+    const { violations, rejected } = grounder.ground(source, [aiViolation('zero processing fees forever')])
+
+    expect(violations).toEqual([])
+    expect(rejected[0].reason).toBe('not_found')
+  })
+
+  test('should drop findings that overlap a rule-engine hit', () => {
+    const { violations, rejected } = grounder.ground(
+      source,
+      [aiViolation('instant personal loans'), aiViolation('Lowest rates in India')],
+      [ruleHit('instant', source)]
+    )
+
+    expect(violations.map(v => v.matchedText)).toEqual(['Lowest rates in India'])
+    expect(rejected[0]).toMatchObject({ reason: 'duplicate_of_rule', duplicateOf: 'DLM_001' })
+  })
+
+  test('should keep the most confident of overlapping AI findings, in document order', () => {
+    const { violations, rejected } = grounder.ground(source, [
+      aiViolation('Lowest rates in India', 0.9),
+      aiViolation('approve everyone', 0.6),
+      aiViolation('we approve everyone', 0.95)
+    ])
+
+    expect(violations.map(v => v.matchedText)).toEqual(['we approve everyone', 'Lowest rates in India'])
+    expect(rejected[0].reason).toBe('duplicate')
+  })
+
+  test('should ground Devanagari quotes', () => {
+    const hindi = 'तुरंत लोन पाएं। गारंटीड अप्रूवल, कोई दस्तावेज़ नहीं।'
+    const { violations } = grounder.ground(hindi, [aiViolation('गारंटीड अप्रूवल')])
+
+    expect(violations[0].matchedText).toBe('गारंटीड अप्रूवल')
+  })
+})
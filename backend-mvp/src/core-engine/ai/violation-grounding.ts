@@ -0,0 +1,205 @@
+import { normalizeText } from '../language/text-normalizer'
+import { ViolationMatch } from '../marketing-rules/fintech-rule-engine'
+import { AIViolation } from './llm-provider'
+
+export interface GroundingOptions {
+  minSimilarity: number // Token similarity (0-1) a paraphrased quote needs to be accepted
+  duplicateOverlap: number // Share of the shorter span that must overlap to count as the same finding
+}
+
+export interface UngroundedAIViolation {
+  violation: AIViolation
+  reason: 'not_found' | 'duplicate_of_rule' | 'duplicate'
+  duplicateOf?: string // rule_id of the overlapping rule-engine hit
+}
+
+export interface AIViolationGrounding {
+  violations: AIViolation[] // Grounded and deduplicated, in document order
+  rejected: UngroundedAIViolation[]
+}
+
+interface Token {
+  value: string
+  start: number
+  end: number
+}
+
+interface Span {
+  start: number
+  end: number
+  alignment: NonNullable<AIViolation['alignment']>
+  score: number
+}
+
+const DEFAULT_OPTIONS: GroundingOptions = {
+  minSimilarity: 0.6,
+  duplicateOverlap: 0.5
+}
+
+const TOKEN_REGEX = /[\p{L}\p{M}\p{N}_'’%₹]+/gu
+const QUOTE_TRIM = /^[\s"'“”‘’«»`.…]+|[\s"'“”‘’«»`.…]+$/g
+const MAX_QUOTE_TOKENS = 60
+
+/**
+ * Aligns AI-reported violations to character offsets in the analyzed text, so they can be
+ * highlighted like rule-engine hits. Quotes are matched exactly, then ignoring case and
+ * punctuation, then by token similarity for paraphrases. Quotes that cannot be found are
+ * rejected, and findings that overlap a rule-engine hit are dropped as duplicates.
+ * Offsets refer to the normalized text, matching ViolationMatch.
+ */
+export class AIViolationGrounder {
+  private options: GroundingOptions
+
+  constructor(options: Partial<GroundingOptions> = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options }
+  }
+
+  ground(text: string, aiViolations: AIViolation[], ruleViolations: ViolationMatch[] = []): AIViolationGrounding {
+    const source = normalizeText(text)
+    const sourceTokens = this.tokenize(source)
+    const rejected: UngroundedAIViolation[] = []
+    const candidates: AIViolation[] = []
+
+    for (const violation of aiViolations) {
+      const span = this.locate(source, sourceTokens, violation.text)
+      if (!span) {
+        rejected.push({ violation, reason: 'not_found' })
+        continue
+      }
+
+      const grounded: AIViolation = {
+        ...violation,
+        startIndex: span.start,
+        endIndex: span.end,
+        matchedText: source.slice(span.start, span.end),
+        alignment: span.alignment,
+        alignmentScore: Math.round(span.score * 100) / 100
+      }
+
+      const ruleHit = ruleViolations.find(rule => this.isSameSpan(grounded, rule.startIndex, rule.endIndex))
+      if (ruleHit) {
+        rejected.push({ violation: grounded, reason: 'duplicate_of_rule', duplicateOf: ruleHit.rule.rule_id })
+        continue
+      }
+
+      candidates.push(grounded)
+    }
+
+    // When the model reports the same passage twice, keep the most confident finding
+    const kept: AIViolation[] = []
+    for (const candidate of [...candidates].sort((a, b) => b.confidenceScore - a.confidenceScore)) {
+      if (kept.some(existing => this.isSameSpan(candidate, existing.startIndex!, existing.endIndex!))) {
+        rejected.push({ violation: candidate, reason: 'duplicate' })
+      } else {
+        kept.push(candidate)
+      }
+    }
+
+    return {
+      violations: kept.sort((a, b) => a.startIndex! - b.startIndex!),
+      rejected
+    }
+  }
+
+  /**
+   * Find the span of a quote in the source text, or null when it does not occur
+   */
+  private locate(source: string, sourceTokens: Token[], rawQuote: string): Span | null {
+    const quote = normalizeText(rawQuote || '').replace(QUOTE_TRIM, '')
+    if (!quote) return null
+
+    const exactIndex = source.indexOf(quote)
+    if (exactIndex !== -1) {
+      return { start: exactIndex, end: exactIndex + quote.length, alignment: 'exact', score: 1 }
+    }
+
+    const quoteTokens = this.tokenize(quote).slice(0, MAX_QUOTE_TOKENS).map(token => token.value)
+    if (quoteTokens.length === 0) return null
+
+    return this.findTokenSequence(sourceTokens, quoteTokens) || this.findSimilarWindow(sourceTokens, quoteTokens)
+  }
+
+  /**
+   * Same words in the same order, ignoring case, punctuation and whitespace
+   */
+  private findTokenSequence(sourceTokens: Token[], quoteTokens: string[]): Span | null {
+    for (let i = 0; i + quoteTokens.length <= sourceTokens.length; i++) {
+      if (quoteTokens.every((token, offset) => sourceTokens[i + offset].value === token)) {
+        return {
+          start: sourceTokens[i].start,
+          end: sourceTokens[i + quoteTokens.length - 1].end,
+          alignment: 'normalized',
+          score: 1
+        }
+      }
+    }
+    return null
+  }
+
+  /**
+   * Best window of similar length whose words mostly follow the quote (paraphrases, dropped
+   * or inserted words). Windows must start and end on a word from the quote.
+   */
+  private findSimilarWindow(sourceTokens: Token[], quoteTokens: string[]): Span | null {
+    if (quoteTokens.length < 2) return null
+
+    const quoteWords = new Set(quoteTokens)
+    const slack = Math.max(1, Math.floor(quoteTokens.length * 0.3))
+    const minLength = Math.max(1, quoteTokens.length - slack)
+    const maxLength = quoteTokens.length + slack
+    let best: Span | null = null
+
+    for (let i = 0; i < sourceTokens.length; i++) {
+      if (!quoteWords.has(sourceTokens[i].value)) continue
+
+      for (let length = minLength; length <= maxLength && i + length <= sourceTokens.length; length++) {
+        const last = sourceTokens[i + length - 1]
+        if (!quoteWords.has(last.value)) continue
+
+        const window = sourceTokens.slice(i, i + length).map(token => token.value)
+        const score = (2 * this.longestCommonSubsequence(quoteTokens, window)) / (quoteTokens.length + length)
+
+        if (score >= this.options.minSimilarity && (!best || score > best.score)) {
+          best = { start: sourceTokens[i].start, end: last.end, alignment: 'fuzzy', score }
+        }
+      }
+    }
+
+    return best
+  }
+
+  private longestCommonSubsequence(a: string[], b: string[]): number {
+    let previous = new Array(b.length + 1).fill(0)
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = new Array(b.length + 1).fill(0)
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = a[i - 1] === b[j - 1]
+          ? previous[j - 1] + 1
+          : Math.max(previous[j], current[j - 1])
+      }
+      previous = current
+    }
+
+    return previous[b.length]
+  }
+
+  private isSameSpan(violation: AIViolation, start: number, end: number): boolean {
+    const overlap = Math.min(violation.endIndex!, end) - Math.max(violation.startIndex!, start)
+    if (overlap <= 0) return false
+
+    const shorter = Math.min(violation.endIndex! - violation.startIndex!, end - start)
+    return shorter > 0 && overlap / shorter >= this.options.duplicateOverlap
+  }
+
+  private tokenize(text: string): Token[] {
+    return Array.from(text.matchAll(TOKEN_REGEX), match => ({
+      value: match[0].toLowerCase(),
+      start: match.index!,
+      end: match.index! + match[0].length
+    }))
+  }
+}
+
+// Export singleton instance
+export const aiViolationGrounder = new AIViolationGrounder()
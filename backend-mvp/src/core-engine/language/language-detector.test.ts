@@ -0,0 +1,46 @@
+import { describe, test, expect } from '@jest/globals'
+import { LanguageDetector } from './language-detector'
+
+describe('LanguageDetector', () => {
+  const detector = new LanguageDetector()
+
+  test('should default to English for text without letters', () => {
+    expect(detector.detect('₹ 10,000 @ 12%')).toMatchObject({ primary: 'en', languages: ['en'], confidence: 0 })
+  })
+
+  test('should detect English', () => {
+    expect(detector.detect('Get instant personal loans with low interest rates').languages).toEqual(['en'])
+  })
+
+  test('should detect Hindi and ignore a stray English brand name', () => {
+    const result = detector.detect('अब पाएं तुरंत पर्सनल लोन, आपके लिए सबसे कम ब्याज दर पर। आज ही आवेदन करें और घर बैठे मंजूरी पाएं। PayMe')
+
+    expect(result.primary).toBe('hi')
+    expect(result.languages).toEqual(['hi'])
+  })
+
+  test('should tell Marathi apart from Hindi', () => {
+    expect(detector.detect('तुमच्या गरजांसाठी हमखास कर्ज आता उपलब्ध आहे').primary).toBe('mr')
+  })
+
+  test('should detect Tamil', () => {
+    expect(detector.detect('உடனடி தனிநபர் கடன் இப்போது கிடைக்கும்').primary).toBe('ta')
+  })
+
+  test('should detect romanized Hindi alongside English', () => {
+    const result = detector.detect('Loan pakka milega, bina documents ke! Abhi apply karo')
+
+    expect(result.primary).toBe('hi-Latn')
+    expect(result.languages).toEqual(['hi-Latn', 'en'])
+  })
+
+  test('should report every script in code-mixed creatives', () => {
+    const result = detector.detect('Personal loan at lowest rates - अब तुरंत लोन पाएं और बचत करें')
+
+    expect(result.languages).toEqual(expect.arrayContaining(['en', 'hi']))
+  })
+
+  test('should map languages to Tesseract models without duplicates', () => {
+    expect(detector.toTesseractLanguages(['hi-Latn', 'en', 'hi'])).toBe('eng+hin')
+  })
+})
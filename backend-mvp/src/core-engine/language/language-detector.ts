@@ -0,0 +1,122 @@
+export type SupportedLanguage = 'en' | 'hi' | 'hi-Latn' | 'mr' | 'ta'
+
+export interface LanguageDetectionResult {
+  primary: SupportedLanguage
+  languages: SupportedLanguage[] // Every language with a meaningful share of the text (code-mixed creatives have several)
+  scripts: {
+    latin: number
+    devanagari: number
+    tamil: number
+  } // Share of letters per script, 0-1
+  confidence: number
+}
+
+// Tesseract model for each language; romanized Hindi is read by the English model
+export const TESSERACT_LANGUAGE_CODES: Record<SupportedLanguage, string> = {
+  'en': 'eng',
+  'hi': 'hin',
+  'hi-Latn': 'eng',
+  'mr': 'mar',
+  'ta': 'tam'
+}
+
+// High-frequency function words that tell Hindi and Marathi apart (both use Devanagari)
+const HINDI_MARKERS = new Set([
+  'है', 'हैं', 'और', 'नहीं', 'के', 'की', 'का', 'में', 'लिए', 'आपके', 'करें', 'पर', 'से', 'यह', 'अब'
+])
+const MARATHI_MARKERS = new Set([
+  'आहे', 'आहेत', 'आणि', 'नाही', 'साठी', 'मध्ये', 'करा', 'आपल्या', 'तुमच्या', 'व', 'हे', 'ला', 'चे', 'ची', 'आता'
+])
+
+// Romanized Hindi words common in Hinglish ads that are not English words
+const HINGLISH_MARKERS = new Set([
+  'hai', 'hain', 'aur', 'nahi', 'nahin', 'ke', 'ki', 'ka', 'mein', 'se', 'abhi', 'karo', 'kare', 'karein',
+  'paisa', 'paise', 'apna', 'apne', 'aapka', 'aapke', 'sirf', 'turant', 'bina', 'milega', 'milegi',
+  'pakka', 'lijiye', 'yeh', 'ye', 'wala', 'wali', 'bhi', 'koi', 'jaldi', 'rupaye', 'kya'
+])
+
+const WORD_REGEX = /[\p{L}\p{M}]+/gu
+const LATIN_LETTER = /\p{Script=Latin}/u
+const DEVANAGARI_LETTER = /\p{Script=Devanagari}/u
+const TAMIL_LETTER = /\p{Script=Tamil}/u
+
+const MIN_SCRIPT_SHARE = 0.1 // Scripts below this share are treated as noise (brand names, stray OCR glyphs)
+const MIN_HINGLISH_HITS = 2
+const HINGLISH_PRIMARY_RATIO = 0.15
+
+export class LanguageDetector {
+  /**
+   * Detect the languages of a document from script usage and marker words
+   */
+  detect(text: string): LanguageDetectionResult {
+    const counts = { latin: 0, devanagari: 0, tamil: 0 }
+
+    for (const char of text) {
+      if (LATIN_LETTER.test(char)) counts.latin++
+      else if (DEVANAGARI_LETTER.test(char)) counts.devanagari++
+      else if (TAMIL_LETTER.test(char)) counts.tamil++
+    }
+
+    const totalLetters = counts.latin + counts.devanagari + counts.tamil
+    if (totalLetters === 0) {
+      return {
+        primary: 'en',
+        languages: ['en'],
+        scripts: { latin: 0, devanagari: 0, tamil: 0 },
+        confidence: 0
+      }
+    }
+
+    const scripts = {
+      latin: counts.latin / totalLetters,
+      devanagari: counts.devanagari / totalLetters,
+      tamil: counts.tamil / totalLetters
+    }
+
+    const words = (text.match(WORD_REGEX) || []).map(word => word.toLowerCase())
+    const shares = new Map<SupportedLanguage, number>()
+
+    if (scripts.latin >= MIN_SCRIPT_SHARE) {
+      const latinWords = words.filter(word => LATIN_LETTER.test(word))
+      const hinglishHits = latinWords.filter(word => HINGLISH_MARKERS.has(word)).length
+      const hinglishRatio = latinWords.length > 0 ? hinglishHits / latinWords.length : 0
+
+      if (hinglishHits >= MIN_HINGLISH_HITS) {
+        // Hinglish copy still carries English terms ("loan", "EMI", "approval"), so keep both
+        shares.set('hi-Latn', hinglishRatio >= HINGLISH_PRIMARY_RATIO ? scripts.latin : scripts.latin / 2)
+        shares.set('en', hinglishRatio >= HINGLISH_PRIMARY_RATIO ? scripts.latin / 2 : scripts.latin)
+      } else {
+        shares.set('en', scripts.latin)
+      }
+    }
+
+    if (scripts.devanagari >= MIN_SCRIPT_SHARE) {
+      const marathiHits = words.filter(word => MARATHI_MARKERS.has(word)).length + (text.match(/ळ/g) || []).length
+      const hindiHits = words.filter(word => HINDI_MARKERS.has(word)).length
+      shares.set(marathiHits > hindiHits ? 'mr' : 'hi', scripts.devanagari)
+    }
+
+    if (scripts.tamil >= MIN_SCRIPT_SHARE) {
+      shares.set('ta', scripts.tamil)
+    }
+
+    const ranked = Array.from(shares.entries()).sort((a, b) => b[1] - a[1])
+
+    return {
+      primary: ranked[0][0],
+      languages: ranked.map(([language]) => language),
+      scripts,
+      confidence: Math.round(ranked[0][1] * 100) / 100
+    }
+  }
+
+  /**
+   * Tesseract language string (e.g. "eng+hin") for a set of languages
+   */
+  toTesseractLanguages(languages: SupportedLanguage[]): string {
+    return [...new Set(languages.map(language => TESSERACT_LANGUAGE_CODES[language]))].join('+')
+  }
+}
+
+// Export singleton instance
+export const languageDetector = new LanguageDetector()
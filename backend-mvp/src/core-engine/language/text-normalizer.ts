@@ -0,0 +1,12 @@
+// Zero-width joiners only shape Indic conjuncts on screen; they must not break keyword matches
+const ZERO_WIDTH_CHARACTERS = /[\u200B\u200C\u200D\u2060\uFEFF]/g
+
+/**
+ * Normalize text before matching so Devanagari and Tamil compare reliably:
+ * canonical composition (NFC) keeps nukta and vowel-sign sequences consistent between
+ * keywords and documents, and zero-width joiners are dropped.
+ * Character offsets reported by the rule engine refer to the normalized text.
+ */
+export const normalizeText = (text: string): string => {
+  return text.normalize('NFC').replace(ZERO_WIDTH_CHARACTERS, '')
+}
@@ -0,0 +1,92 @@
+import { describe, test, expect } from '@jest/globals'
+import { DisclosureExtractor } from './disclosure-extractor'
+
+describe('DisclosureExtractor', () => {
+  const extractor = new DisclosureExtractor()
+
+  describe('percentages', () => {
+    test('should parse APR ranges', () => {
+      const result = extractor.extract('Personal loans at 18% - 36% APR. Apply now!')
+
+      expect(result.apr).toEqual({ stated: true, isRange: true, min: 18, max: 36 })
+      expect(result.facts).toEqual(expect.arrayContaining(['apr_stated', 'apr_range', 'interest_rate_advertised']))
+    })
+
+    test('should not treat "April" as an APR disclosure', () => {
+      const result = extractor.extract('Our April offer: interest from 10.99% p.a.')
+
+      expect(result.apr.stated).toBe(false)
+      expect(result.percentages[0]).toMatchObject({ min: 10.99, kind: 'interest', period: 'annual' })
+    })
+
+    test('should detect monthly rates', () => {
+      const result = extractor.extract('Loans at just 1.5% per month')
+
+      expect(result.percentages[0]).toMatchObject({ min: 1.5, period: 'monthly', kind: 'interest' })
+      expect(result.facts).toContain('monthly_rate_advertised')
+    })
+
+    test('should not classify unlabelled percentages as rates', () => {
+      expect(extractor.extract('100% approval for everyone').percentages[0].kind).toBe('other')
+    })
+  })
+
+  describe('amounts', () => {
+    test('should parse rupee amounts with Indian grouping and multipliers', () => {
+      const result = extractor.extract('Get a loan of ₹1,50,000 or borrow up to Rs. 5 lakh')
+
+      expect(result.amounts.map(amount => amount.max)).toEqual([150000, 500000])
+      expect(result.amounts.every(amount => amount.kind === 'loan_amount')).toBe(true)
+      expect(result.facts).toContain('loan_amount_advertised')
+    })
+
+    test('should share the multiplier across a range', () => {
+      expect(extractor.extract('Loans from ₹1-5 lakh').amounts[0]).toMatchObject({ min: 100000, max: 500000 })
+    })
+
+    test('should label fee amounts by the nearest label', () => {
+      const result = extractor.extract('Processing fee ₹999 on loans up to ₹2 lakh')
+
+      expect(result.amounts.map(amount => amount.kind)).toEqual(['fee', 'loan_amount'])
+      expect(result.facts).toContain('processing_fee_disclosed')
+    })
+
+    test('should count an explicit nil processing fee as disclosed', () => {
+      expect(extractor.extract('Zero processing fee on all loans').facts).toContain('processing_fee_disclosed')
+    })
+  })
+
+  describe('tenures', () => {
+    test('should parse tenure ranges in months', () => {
+      const result = extractor.extract('Repay over 3 - 5 years')
+
+      expect(result.tenures[0]).toMatchObject({ minMonths: 36, maxMonths: 60 })
+      expect(result.facts).toEqual(expect.arrayContaining(['tenure_disclosed', 'tenure_range']))
+    })
+
+    test('should ignore speed claims', () => {
+      expect(extractor.extract('Money in your account in 2 days').tenures).toHaveLength(0)
+    })
+
+    test('should parse Hindi tenures', () => {
+      expect(extractor.extract('लोन अवधि 12 से 36 महीने').tenures[0]).toMatchObject({ minMonths: 12, maxMonths: 36 })
+    })
+  })
+
+  describe('requirements', () => {
+    const requirement = {
+      element: 'APR stated as an annualized range when a monthly rate is advertised',
+      when: 'monthly_rate_advertised' as const,
+      require: 'apr_range' as const
+    }
+
+    test('should skip requirements whose condition does not hold', () => {
+      expect(extractor.isSatisfied(requirement, extractor.extract('Interest from 12% p.a.'))).toBe(true)
+    })
+
+    test('should enforce requirements whose condition holds', () => {
+      expect(extractor.isSatisfied(requirement, extractor.extract('Only 2% per month!'))).toBe(false)
+      expect(extractor.isSatisfied(requirement, extractor.extract('Only 2% per month (24% - 30% APR)'))).toBe(true)
+    })
+  })
+})
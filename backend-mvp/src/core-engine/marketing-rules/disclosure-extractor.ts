@@ -0,0 +1,375 @@
+// Facts derived from the quantities stated in marketing copy, referenced by rule disclosure requirements
+export type DisclosureFact =
+  | 'apr_stated' // A percentage labelled as APR / annual percentage rate
+  | 'apr_range' // APR given as a range ("18% - 36% APR")
+  | 'interest_rate_advertised' // Any interest rate or APR figure
+  | 'monthly_rate_advertised' // A rate quoted per month or per day ("1.5% per month")
+  | 'loan_amount_advertised' // A ₹ amount presented as the loan or credit amount
+  | 'processing_fee_disclosed' // A processing fee figure, or an explicit nil/zero fee
+  | 'tenure_disclosed' // A repayment tenure ("up to 36 months")
+  | 'tenure_range' // Tenure given as a range ("3 - 36 months")
+
+export const DISCLOSURE_FACTS: DisclosureFact[] = [
+  'apr_stated', 'apr_range', 'interest_rate_advertised', 'monthly_rate_advertised',
+  'loan_amount_advertised', 'processing_fee_disclosed', 'tenure_disclosed', 'tenure_range'
+]
+
+export interface DisclosureRequirement {
+  id?: string
+  element: string // Reported as missing when unmet; replaces the free-text check of a required element with the same text
+  when?: DisclosureFact // Only enforced when this fact holds ("if a monthly rate is advertised...")
+  require: DisclosureFact
+}
+
+export type QuantityKind = 'apr' | 'interest' | 'fee' | 'loan_amount' | 'other'
+export type RatePeriod = 'annual' | 'monthly' | 'daily'
+
+interface ExtractedQuantity {
+  text: string
+  start: number
+  end: number
+  min: number
+  max: number // Equal to min for single figures
+  kind: QuantityKind
+}
+
+export interface ExtractedPercentage extends ExtractedQuantity {
+  period: RatePeriod | null
+}
+
+export interface ExtractedAmount extends ExtractedQuantity {
+  currency: 'INR'
+}
+
+export interface ExtractedTenure {
+  text: string
+  start: number
+  end: number
+  minMonths: number
+  maxMonths: number
+}
+
+export interface ExtractedDisclosures {
+  percentages: ExtractedPercentage[]
+  amounts: ExtractedAmount[]
+  tenures: ExtractedTenure[]
+  apr: {
+    stated: boolean
+    isRange: boolean
+    min?: number
+    max?: number
+  }
+  facts: DisclosureFact[]
+}
+
+// Indian digit grouping ("1,00,000") as well as plain and decimal numbers
+const NUMBER = '\\d{1,3}(?:,\\d{2,3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?'
+const RANGE_SEPARATOR = '\\s*(?:-|–|—|to|से)\\s*'
+const PERCENT_SIGN = '\\s*(?:%|percent(?![\\p{L}])|प्रतिशत)'
+const CURRENCY = '(?:₹|(?<![\\p{L}])(?:rs\\.?|inr))\\s*'
+const MULTIPLIER = '\\s*(lakhs?|lacs?|crores?|cr|k|l|लाख|करोड़)(?![\\p{L}\\p{M}])'
+const TENURE_UNIT = '\\s*(days?|months?|mos?|years?|yrs?|दिन|महीने|महीनों|माह|वर्ष|साल|महिने|வருடங்கள்|மாதங்கள்)(?![\\p{L}\\p{M}])'
+
+const PERCENT_REGEX = new RegExp(
+  `(?<![\\d.])(${NUMBER})(?:${PERCENT_SIGN})?(?:${RANGE_SEPARATOR}(${NUMBER}))?${PERCENT_SIGN}`,
+  'giu'
+)
+const CURRENCY_AMOUNT_REGEX = new RegExp(
+  `${CURRENCY}(${NUMBER})(?:${MULTIPLIER})?(?:${RANGE_SEPARATOR}(?:${CURRENCY})?(${NUMBER})(?:${MULTIPLIER})?)?`,
+  'giu'
+)
+// "5 lakh" or "50,000 rupees" without a currency symbol
+const WORDED_AMOUNT_REGEX = new RegExp(
+  `(?<![\\d.])(${NUMBER})(?:\\s*(lakhs?|lacs?|crores?|लाख|करोड़)(?![\\p{L}\\p{M}])|\\s*(?:rupees|रुपये|रुपए))`,
+  'giu'
+)
+const TENURE_REGEX = new RegExp(
+  `(?<![\\d.])(${NUMBER})(?:${TENURE_UNIT})?(?:${RANGE_SEPARATOR}(${NUMBER}))?${TENURE_UNIT}`,
+  'giu'
+)
+const NIL_FEE_REGEX = /(?<![\p{L}])(?:zero|nil|no|free|शून्य)\s+(?:processing\s+)?(?:fees?|charges?)(?![\p{L}])/iu
+
+const MULTIPLIER_VALUES: Record<string, number> = {
+  k: 1e3, l: 1e5, lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, 'लाख': 1e5,
+  cr: 1e7, crore: 1e7, crores: 1e7, 'करोड़': 1e7
+}
+
+const MONTHS_PER_UNIT: Record<string, number> = {
+  day: 1 / 30, days: 1 / 30, 'दिन': 1 / 30,
+  month: 1, months: 1, mo: 1, mos: 1, 'महीने': 1, 'महीनों': 1, 'माह': 1, 'महिने': 1, 'மாதங்கள்': 1,
+  year: 12, years: 12, yr: 12, yrs: 12, 'वर्ष': 12, 'साल': 12, 'வருடங்கள்': 12
+}
+
+// Labels that say what a figure is, nearest label wins
+const KIND_LABELS: Array<{ kind: QuantityKind; terms: string[] }> = [
+  { kind: 'apr', terms: ['apr', 'annual percentage rate', 'annualised rate', 'annualized rate', 'वार्षिक प्रतिशत दर', 'ஆண்டு சதவீத விகிதம்'] },
+  { kind: 'fee', terms: ['processing fee', 'processing fees', 'processing charge', 'processing charges', 'fee', 'fees', 'शुल्क', 'फीस', 'கட்டணம்'] },
+  { kind: 'interest', terms: ['interest', 'roi', 'rate', 'rates', 'ब्याज', 'व्याज', 'दर', 'வட்டி'] },
+  { kind: 'loan_amount', terms: ['loan', 'loans', 'credit', 'borrow', 'amount', 'लोन', 'कर्ज', 'ऋण', 'கடன்'] }
+]
+
+const PERCENTAGE_KINDS: QuantityKind[] = ['apr', 'fee', 'interest']
+const AMOUNT_KINDS: QuantityKind[] = ['fee', 'loan_amount']
+
+// Speed claims ("money in 2 days", "2 दिन में") are not repayment tenures
+const SPEED_CUES_BEFORE = ['in', 'within']
+const SPEED_CUES_AFTER = ['में', 'मध्ये']
+
+const PERIOD_LABELS: Array<{ period: RatePeriod; terms: string[] }> = [
+  { period: 'monthly', terms: ['per month', 'p.m.', 'pm', '/month', '/ month', 'a month', 'monthly', 'प्रति माह', 'प्रति महीना', 'मासिक', 'मासिक दर'] },
+  { period: 'daily', terms: ['per day', '/day', 'a day', 'daily', 'प्रति दिन'] },
+  { period: 'annual', terms: ['per annum', 'p.a.', 'pa', '/year', '/ year', 'a year', 'per year', 'annually', 'yearly', 'apr', 'प्रति वर्ष', 'सालाना', 'वार्षिक'] }
+]
+
+const CONTEXT_WORDS_BEFORE = 6
+const CONTEXT_WORDS_AFTER = 4
+// Full stops only end a sentence after a word or figure, so "p.a." and "Rs. 500" stay inside it
+const SENTENCE_BREAK = /[!?;\n।॥]|(?<=\p{L}{3}|[\d%])\.(?=\s|$)/gu
+
+export class DisclosureExtractor {
+  /**
+   * Parse percentages, ₹ amounts and tenures in the copy and derive disclosure facts
+   */
+  extract(text: string): ExtractedDisclosures {
+    const lowerText = text.toLowerCase()
+    const percentages = this.extractPercentages(lowerText, text)
+    const tenures = this.extractTenures(lowerText, text)
+    const amounts = this.extractAmounts(lowerText, text, [...percentages, ...tenures])
+
+    const aprFigures = percentages.filter(percentage => percentage.kind === 'apr')
+    const apr = aprFigures.length === 0
+      ? { stated: false, isRange: false }
+      : {
+          stated: true,
+          isRange: aprFigures.some(figure => figure.max > figure.min),
+          min: Math.min(...aprFigures.map(figure => figure.min)),
+          max: Math.max(...aprFigures.map(figure => figure.max))
+        }
+
+    const facts = new Set<DisclosureFact>()
+    if (apr.stated) facts.add('apr_stated')
+    if (apr.isRange) facts.add('apr_range')
+    if (percentages.some(percentage => percentage.kind === 'apr' || percentage.kind === 'interest')) {
+      facts.add('interest_rate_advertised')
+    }
+    if (percentages.some(percentage => percentage.kind !== 'fee' && (percentage.period === 'monthly' || percentage.period === 'daily'))) {
+      facts.add('monthly_rate_advertised')
+    }
+    if (amounts.some(amount => amount.kind === 'loan_amount')) facts.add('loan_amount_advertised')
+    if ([...percentages, ...amounts].some(quantity => quantity.kind === 'fee') || NIL_FEE_REGEX.test(lowerText)) {
+      facts.add('processing_fee_disclosed')
+    }
+    if (tenures.length > 0) facts.add('tenure_disclosed')
+    if (tenures.some(tenure => tenure.maxMonths > tenure.minMonths)) facts.add('tenure_range')
+
+    return { percentages, amounts, tenures, apr, facts: Array.from(facts) }
+  }
+
+  /**
+   * Evaluate a rule's disclosure requirement; requirements whose condition does not hold are satisfied
+   */
+  isSatisfied(requirement: DisclosureRequirement, disclosures: ExtractedDisclosures): boolean {
+    if (requirement.when && !disclosures.facts.includes(requirement.when)) {
+      return true
+    }
+    return disclosures.facts.includes(requirement.require)
+  }
+
+  private extractPercentages(lowerText: string, text: string): ExtractedPercentage[] {
+    const percentages: ExtractedPercentage[] = []
+
+    for (const match of lowerText.matchAll(PERCENT_REGEX)) {
+      const start = match.index!
+      const end = start + match[0].length
+      const min = this.parseNumber(match[1])
+      const max = match[2] ? this.parseNumber(match[2]) : min
+      const period = this.detectPeriod(lowerText, start, end)
+      // An unlabelled figure quoted per month or per annum is still a rate
+      const kind = this.classify(lowerText, start, end, PERCENTAGE_KINDS, period ? 'interest' : 'other')
+
+      percentages.push({
+        text: text.substring(start, end),
+        start,
+        end,
+        min: Math.min(min, max),
+        max: Math.max(min, max),
+        kind,
+        period: kind === 'apr' ? 'annual' : period
+      })
+    }
+
+    return percentages
+  }
+
+  private extractAmounts(
+    lowerText: string,
+    text: string,
+    claimed: Array<{ start: number; end: number }>
+  ): ExtractedAmount[] {
+    const amounts: ExtractedAmount[] = []
+    const overlaps = (start: number, end: number) =>
+      [...claimed, ...amounts].some(quantity => start < quantity.end && end > quantity.start)
+
+    for (const match of lowerText.matchAll(CURRENCY_AMOUNT_REGEX)) {
+      const start = match.index!
+      const end = start + match[0].length
+      const max = match[3] ? this.applyMultiplier(match[3], match[4]) : undefined
+      let min = this.applyMultiplier(match[1], match[2])
+
+      // "₹1-5 lakh": the first figure shares the second figure's multiplier
+      if (max !== undefined && !match[2] && match[4]) {
+        const shared = this.applyMultiplier(match[1], match[4])
+        if (shared <= max) min = shared
+      }
+
+      amounts.push(this.toAmount(lowerText, text, start, end, min, max ?? min))
+    }
+
+    for (const match of lowerText.matchAll(WORDED_AMOUNT_REGEX)) {
+      const start = match.index!
+      const end = start + match[0].length
+      if (overlaps(start, end)) continue
+
+      const value = this.applyMultiplier(match[1], match[2])
+      amounts.push(this.toAmount(lowerText, text, start, end, value, value))
+    }
+
+    return amounts
+      .filter(amount => !claimed.some(quantity => amount.start < quantity.end && amount.end > quantity.start))
+      .sort((a, b) => a.start - b.start)
+  }
+
+  private extractTenures(lowerText: string, text: string): ExtractedTenure[] {
+    const tenures: ExtractedTenure[] = []
+
+    for (const match of lowerText.matchAll(TENURE_REGEX)) {
+      const start = match.index!
+      const end = start + match[0].length
+
+      const { before, after } = this.contextWindows(lowerText, start, end)
+      if (SPEED_CUES_BEFORE.includes(before.split(' ').pop()!) || SPEED_CUES_AFTER.includes(after.split(' ')[0])) {
+        continue
+      }
+      const unit = MONTHS_PER_UNIT[match[4]] ?? MONTHS_PER_UNIT[match[2]] ?? 1
+      const first = this.parseNumber(match[1]) * (MONTHS_PER_UNIT[match[2]] ?? unit)
+      const second = match[3] ? this.parseNumber(match[3]) * unit : first
+
+      tenures.push({
+        text: text.substring(start, end),
+        start,
+        end,
+        minMonths: Math.min(first, second),
+        maxMonths: Math.max(first, second)
+      })
+    }
+
+    return tenures
+  }
+
+  private toAmount(lowerText: string, text: string, start: number, end: number, min: number, max: number): ExtractedAmount {
+    return {
+      text: text.substring(start, end),
+      start,
+      end,
+      min: Math.min(min, max),
+      max: Math.max(min, max),
+      kind: this.classify(lowerText, start, end, AMOUNT_KINDS, 'other'),
+      currency: 'INR'
+    }
+  }
+
+  /**
+   * Label a figure by the nearest label in its sentence, preferring labels before the figure
+   */
+  private classify(
+    lowerText: string,
+    start: number,
+    end: number,
+    kinds: QuantityKind[],
+    fallback: QuantityKind
+  ): QuantityKind {
+    const { before, after } = this.contextWindows(lowerText, start, end)
+    const labels = KIND_LABELS.filter(label => kinds.includes(label.kind))
+
+    let nearest: { kind: QuantityKind; distance: number } | null = null
+    for (const { kind, terms } of labels) {
+      for (const term of terms) {
+        const index = this.lastIndexOfTerm(before, term)
+        if (index >= 0) {
+          const distance = before.length - (index + term.length)
+          if (!nearest || distance < nearest.distance) nearest = { kind, distance }
+        }
+      }
+    }
+    if (nearest) return nearest.kind
+
+    for (const { kind, terms } of labels) {
+      for (const term of terms) {
+        const index = this.indexOfTerm(after, term)
+        if (index >= 0 && (!nearest || index < nearest.distance)) nearest = { kind, distance: index }
+      }
+    }
+    return nearest ? nearest.kind : fallback
+  }
+
+  private detectPeriod(lowerText: string, start: number, end: number): RatePeriod | null {
+    const { before, after } = this.contextWindows(lowerText, start, end)
+
+    for (const window of [after, before]) {
+      for (const { period, terms } of PERIOD_LABELS) {
+        if (terms.some(term => this.indexOfTerm(window, term) >= 0)) return period
+      }
+    }
+    return null
+  }
+
+  /**
+   * A few words either side of a figure, without crossing sentence breaks
+   */
+  private contextWindows(lowerText: string, start: number, end: number): { before: string; after: string } {
+    const breaks = (window: string) => Array.from(window.matchAll(SENTENCE_BREAK)).map(match => match.index!)
+
+    let before = lowerText.substring(0, start)
+    before = before.substring(Math.max(-1, ...breaks(before)) + 1)
+    let after = lowerText.substring(end)
+    const [sentenceEnd] = breaks(after)
+    if (sentenceEnd !== undefined) after = after.substring(0, sentenceEnd + 1)
+
+    const beforeWords = before.split(/\s+/).filter(Boolean)
+    const afterWords = after.split(/\s+/).filter(Boolean)
+
+    return {
+      before: beforeWords.slice(-CONTEXT_WORDS_BEFORE).join(' '),
+      after: afterWords.slice(0, CONTEXT_WORDS_AFTER).join(' ')
+    }
+  }
+
+  private indexOfTerm(window: string, term: string): number {
+    const match = this.termRegex(term).exec(window)
+    return match ? match.index : -1
+  }
+
+  private lastIndexOfTerm(window: string, term: string): number {
+    let last = -1
+    for (const match of window.matchAll(new RegExp(this.termRegex(term).source, 'gu'))) {
+      last = match.index!
+    }
+    return last
+  }
+
+  private termRegex(term: string): RegExp {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+    return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escaped}(?![\\p{L}\\p{M}\\p{N}])`, 'u')
+  }
+
+  private applyMultiplier(value: string, multiplier?: string): number {
+    return this.parseNumber(value) * (multiplier ? MULTIPLIER_VALUES[multiplier] ?? 1 : 1)
+  }
+
+  private parseNumber(value: string): number {
+    return parseFloat(value.replace(/,/g, ''))
+  }
+}
+
+// Export singleton instance
+export const disclosureExtractor = new DisclosureExtractor()
@@ -1,4 +1,11 @@
-import { MarketingRule, marketingLoader } from './rbi-marketing-loader'
+import { MarketingRule, RBIMarketingLoader, GuidelineVersion, marketingLoader } from './rbi-marketing-loader'
+import { PatternMatch, PatternMatcher } from './pattern-matcher'
+import { disclosureExtractor, ExtractedDisclosures } from './disclosure-extractor'
+import { languageDetector, SupportedLanguage } from '../language/language-detector'
+import { normalizeText } from '../language/text-normalizer'
+import { scoringProfileRegistry, ScoringProfile, ScoringProfileName } from '../scoring/scoring-profiles'
+import { rulePackService } from '../../services/rule-pack-service'
+import { SourceLocation } from '../../services/document-extractors'
 import { logger } from '../../utils/logger'
 import { performanceLogger } from '../../utils/logger'
 
@@ -12,6 +19,10 @@ export interface ViolationMatch {
   confidence: number // 0-1 confidence score
   severity: 'critical' | 'high' | 'medium' | 'low'
   scoringImpact: number // Points deducted from total score
+  matchedPattern?: PatternMatch['variant'] // Which keyword, regex or proximity variant fired
+  sourceLocation?: SourceLocation // Paragraph, slide or heading in the uploaded file, when its structure is known
+  ocrConfidence?: number // Recognition confidence (0-1) of the OCR'd words the match covers
+  needsHumanVerification?: boolean // Found in a poorly recognized region; check against the original
 }
 
 export interface ComplianceAnalysis {
@@ -20,15 +31,30 @@ export interface ComplianceAnalysis {
   violations: ViolationMatch[]
   missingElements: string[]
   requiredDisclaimers: string[]
+  disclosures: ExtractedDisclosures // Rates, ₹ amounts and tenures stated in the copy
   appliedRules: MarketingRule[]
   analysisMetadata: {
     textLength: number
     rulesEvaluated: number
     processingTimeMs: number
     riskLevel: 'low' | 'medium' | 'high'
+    guidelinesVersion: GuidelineVersion
+    scoringProfile: ScoringProfileName
+    language: {
+      primary: SupportedLanguage
+      detected: SupportedLanguage[]
+    }
   }
 }
 
+export interface RuleEngineOptions {
+  organizationId?: string // Resolve the organization's rule packs over the RBI baseline
+  entityType?: string // Only packs targeting this entity type (or all types) apply
+  guidelines?: RBIMarketingLoader // Historical guideline snapshot to analyze against instead of the active file
+  languages?: SupportedLanguage[] // Languages of the creative, primary first (detected from the text when omitted)
+  scoringProfile?: ScoringProfile // Deductions and thresholds to score with (the default profile when omitted)
+}
+
 export class FinTechRuleEngine {
   private readonly CONTEXT_WINDOW = 50 // Characters around violation for context
   private readonly HIGH_CONFIDENCE_THRESHOLD = 0.8
@@ -41,45 +67,62 @@ export class FinTechRuleEngine {
    */
   async analyzeMarketingCompliance(
     text: string,
-    marketingContext?: string
+    marketingContext?: string,
+    options: RuleEngineOptions = {}
   ): Promise<ComplianceAnalysis> {
     const startTime = Date.now()
+    const guidelines = options.guidelines || marketingLoader
+    const profile = options.scoringProfile || scoringProfileRegistry.resolve()
+    text = normalizeText(text)
+    const languages = options.languages?.length ? options.languages : languageDetector.detect(text).languages
     
     try {
       logger.info('Starting marketing compliance analysis', {
         textLength: text.length,
-        hasContext: !!marketingContext
+        hasContext: !!marketingContext,
+        organizationId: options.organizationId,
+        guidelinesVersion: guidelines.getVersionInfo().version,
+        languages,
+        scoringProfile: profile.name
       })
 
       // Get applicable rules
-      const applicableRules = await this.getApplicableRules(text, marketingContext)
+      const applicableRules = await this.getApplicableRules(text, marketingContext, options, guidelines)
       
       // Detect violations
-      const violations = await this.detectViolations(text, applicableRules)
+      const violations = await this.detectViolations(text, applicableRules, guidelines, languages, profile)
       
       // Find missing required elements
-      const missingElements = await this.findMissingElements(text, applicableRules)
+      const disclosures = disclosureExtractor.extract(text)
+      const missingElements = await this.findMissingElements(text, applicableRules, disclosures, guidelines)
       
       // Check for required disclaimers
-      const requiredDisclaimers = await this.checkRequiredDisclaimers(text)
+      const requiredDisclaimers = await this.checkRequiredDisclaimers(text, guidelines)
       
       // Calculate compliance score
-      const overallScore = this.calculateComplianceScore(violations, missingElements)
+      const overallScore = this.calculateComplianceScore(violations, missingElements, guidelines, profile)
       
       const processingTime = Date.now() - startTime
       
       const analysis: ComplianceAnalysis = {
         overallScore,
-        complianceLevel: this.getComplianceLevel(overallScore),
+        complianceLevel: this.getComplianceLevel(overallScore, profile),
         violations,
         missingElements,
         requiredDisclaimers,
+        disclosures,
         appliedRules: applicableRules,
         analysisMetadata: {
           textLength: text.length,
           rulesEvaluated: applicableRules.length,
           processingTimeMs: processingTime,
-          riskLevel: this.getRiskLevel(violations)
+          riskLevel: this.getRiskLevel(violations, profile),
+          guidelinesVersion: guidelines.getVersionInfo(),
+          scoringProfile: profile.name,
+          language: {
+            primary: languages[0],
+            detected: languages
+          }
         }
       }
 
@@ -104,8 +147,16 @@ export class FinTechRuleEngine {
   /**
    * Get rules applicable to the text and marketing context
    */
-  private async getApplicableRules(text: string, context?: string): Promise<MarketingRule[]> {
-    const allRules = await marketingLoader.getCachedRules()
+  private async getApplicableRules(
+    text: string,
+    context: string | undefined,
+    options: RuleEngineOptions,
+    guidelines: RBIMarketingLoader
+  ): Promise<MarketingRule[]> {
+    const baselineRules = await guidelines.getCachedRules()
+    const allRules = options.organizationId
+      ? await rulePackService.getEffectiveRules(options.organizationId, options.entityType, baselineRules)
+      : baselineRules
     
     if (!context) {
       // If no specific context, apply all rules
@@ -113,11 +164,11 @@ export class FinTechRuleEngine {
     }
     
     // Get context-specific rules
-    const contextRules = marketingLoader.getRulesByMarketingContext(context)
+    const contextRules = guidelines.getRulesByMarketingContext(context, allRules)
     
     // Also include rules whose keywords appear in the text
     const textWords = this.extractKeywords(text)
-    const keywordRules = marketingLoader.getRulesByKeywords(textWords)
+    const keywordRules = guidelines.getRulesByKeywords(textWords, allRules)
     
     // Combine and deduplicate
     const applicableRules = new Set([...contextRules, ...keywordRules])
@@ -128,44 +179,81 @@ export class FinTechRuleEngine {
   /**
    * Detect violations in marketing text
    */
-  private async detectViolations(text: string, rules: MarketingRule[]): Promise<ViolationMatch[]> {
+  private async detectViolations(
+    text: string,
+    rules: MarketingRule[],
+    guidelines: RBIMarketingLoader,
+    languages: SupportedLanguage[],
+    profile: ScoringProfile
+  ): Promise<ViolationMatch[]> {
     const violations: ViolationMatch[] = []
-    const normalizedText = text.toLowerCase()
+    const matcher = guidelines.getPatternMatcher()
 
     for (const rule of rules) {
-      // Check for violation keywords
-      for (const keyword of rule.violation_keywords) {
-        const matches = this.findTextMatches(normalizedText, keyword.toLowerCase())
-        for (const match of matches) {
-          violations.push({
-            rule,
-            violationType: 'keyword_violation',
-            matchedText: text.substring(match.start, match.end),
-            startIndex: match.start,
-            endIndex: match.end,
-            context: this.getContext(text, match.start, match.end),
-            confidence: this.calculateConfidence(keyword, match.matchedText),
-            severity: rule.severity,
-            scoringImpact: this.getScoringImpact(rule.severity)
-          })
+      const seenSpans = new Set<string>()
+      const addViolation = (
+        match: PatternMatch,
+        violationType: ViolationMatch['violationType'],
+        confidence: number,
+        scoringImpact: number
+      ) => {
+        // A keyword and a pattern of the same rule can fire on the same span - report it once
+        const spanKey = `${violationType}:${match.start}:${match.end}`
+        if (seenSpans.has(spanKey)) return
+        seenSpans.add(spanKey)
+
+        violations.push({
+          rule,
+          violationType,
+          matchedText: text.substring(match.start, match.end),
+          startIndex: match.start,
+          endIndex: match.end,
+          context: this.getContext(text, match.start, match.end),
+          confidence,
+          severity: rule.severity,
+          scoringImpact,
+          matchedPattern: match.variant
+        })
+      }
+
+      const localized = languages.map(language => rule.localized_keywords?.[language])
+
+      // Check for violation keywords (word-boundary, negation-aware), including those declared for the creative's languages
+      const violationKeywords = [
+        ...(rule.violation_keywords || []),
+        ...localized.flatMap(keywords => keywords?.violation_keywords || [])
+      ]
+      for (const keyword of violationKeywords) {
+        for (const match of matcher.findMatches(text, keyword)) {
+          addViolation(
+            match,
+            'keyword_violation',
+            this.calculateConfidence(keyword, match.matchedText),
+            this.getRuleScoringImpact(rule, guidelines, profile)
+          )
+        }
+      }
+
+      // Check regex and proximity patterns
+      for (const pattern of rule.violation_patterns || []) {
+        for (const match of matcher.findMatches(text, pattern)) {
+          addViolation(match, 'keyword_violation', match.confidence, this.getRuleScoringImpact(rule, guidelines, profile))
         }
       }
 
       // Check for prohibited claims
-      for (const claim of rule.prohibited_marketing_claims) {
-        const matches = this.findTextMatches(normalizedText, claim.toLowerCase())
-        for (const match of matches) {
-          violations.push({
-            rule,
-            violationType: 'prohibited_claim',
-            matchedText: text.substring(match.start, match.end),
-            startIndex: match.start,
-            endIndex: match.end,
-            context: this.getContext(text, match.start, match.end),
-            confidence: this.calculateConfidence(claim, match.matchedText),
-            severity: rule.severity,
-            scoringImpact: this.getScoringImpact(rule.severity) * 1.5 // Higher impact for prohibited claims
-          })
+      const prohibitedClaims = [
+        ...(rule.prohibited_marketing_claims || []),
+        ...localized.flatMap(keywords => keywords?.prohibited_marketing_claims || [])
+      ]
+      for (const claim of prohibitedClaims) {
+        for (const match of matcher.findMatches(text, claim)) {
+          addViolation(
+            match,
+            'prohibited_claim',
+            this.calculateConfidence(claim, match.matchedText),
+            this.getRuleScoringImpact(rule, guidelines, profile) * profile.prohibitedClaimMultiplier // Higher impact for prohibited claims
+          )
         }
       }
     }
@@ -182,17 +270,32 @@ export class FinTechRuleEngine {
   /**
    * Find missing required elements
    */
-  private async findMissingElements(text: string, rules: MarketingRule[]): Promise<string[]> {
+  private async findMissingElements(
+    text: string,
+    rules: MarketingRule[],
+    disclosures: ExtractedDisclosures,
+    guidelines: RBIMarketingLoader
+  ): Promise<string[]> {
     const missingElements: string[] = []
-    const normalizedText = text.toLowerCase()
 
     for (const rule of rules) {
+      const requirements = rule.disclosure_requirements || []
+
+      // Elements backed by a disclosure requirement are judged on the stated figures, not on wording
       for (const requiredElement of rule.required_marketing_elements) {
-        const isPresent = this.checkElementPresence(normalizedText, requiredElement)
+        if (requirements.some(requirement => requirement.element === requiredElement)) continue
+
+        const isPresent = this.checkElementPresence(text, requiredElement, guidelines.getPatternMatcher())
         if (!isPresent) {
           missingElements.push(`${requiredElement} (Required by: ${rule.title})`)
         }
       }
+
+      for (const requirement of requirements) {
+        if (!disclosureExtractor.isSatisfied(requirement, disclosures)) {
+          missingElements.push(`${requirement.element} (Required by: ${rule.title})`)
+        }
+      }
     }
 
     return [...new Set(missingElements)] // Remove duplicates
@@ -201,13 +304,12 @@ export class FinTechRuleEngine {
   /**
    * Check for required disclaimers
    */
-  private async checkRequiredDisclaimers(text: string): Promise<string[]> {
-    const requiredDisclaimers = marketingLoader.getRequiredDisclaimers()
+  private async checkRequiredDisclaimers(text: string, guidelines: RBIMarketingLoader): Promise<string[]> {
+    const requiredDisclaimers = guidelines.getRequiredDisclaimers()
     const missingDisclaimers: string[] = []
-    const normalizedText = text.toLowerCase()
 
     for (const disclaimer of requiredDisclaimers) {
-      const isPresent = this.checkElementPresence(normalizedText, disclaimer)
+      const isPresent = this.checkElementPresence(text, disclaimer, guidelines.getPatternMatcher())
       if (!isPresent) {
         missingDisclaimers.push(disclaimer)
       }
@@ -219,8 +321,13 @@ export class FinTechRuleEngine {
   /**
    * Calculate overall compliance score (0-100)
    */
-  private calculateComplianceScore(violations: ViolationMatch[], missingElements: string[]): number {
-    const methodology = marketingLoader.getScoringMethodology()
+  private calculateComplianceScore(
+    violations: ViolationMatch[],
+    missingElements: string[],
+    guidelines: RBIMarketingLoader,
+    profile: ScoringProfile
+  ): number {
+    const methodology = guidelines.getScoringMethodology()
     if (!methodology) {
       throw new Error('Scoring methodology not available')
     }
@@ -233,7 +340,10 @@ export class FinTechRuleEngine {
     }
 
     // Deduct points for missing elements
-    score += missingElements.length * methodology.missing_required_elements
+    const missingElementImpact = profile.missingElementDeduction !== undefined
+      ? -profile.missingElementDeduction
+      : methodology.missing_required_elements
+    score += missingElements.length * missingElementImpact
 
     // Ensure score is within bounds
     return Math.max(0, Math.min(100, Math.round(score)))
@@ -242,48 +352,24 @@ export class FinTechRuleEngine {
   /**
    * Get compliance level based on score
    */
-  private getComplianceLevel(score: number): 'compliant' | 'needs_review' | 'non_compliant' {
-    if (score >= 80) return 'compliant'
-    if (score >= 50) return 'needs_review'
+  private getComplianceLevel(score: number, profile: ScoringProfile): 'compliant' | 'needs_review' | 'non_compliant' {
+    if (score >= profile.thresholds.compliant) return 'compliant'
+    if (score >= profile.thresholds.needsReview) return 'needs_review'
     return 'non_compliant'
   }
 
   /**
    * Get risk level based on violations
    */
-  private getRiskLevel(violations: ViolationMatch[]): 'low' | 'medium' | 'high' {
+  private getRiskLevel(violations: ViolationMatch[], profile: ScoringProfile): 'low' | 'medium' | 'high' {
     const criticalViolations = violations.filter(v => v.severity === 'critical').length
     const highViolations = violations.filter(v => v.severity === 'high').length
 
-    if (criticalViolations > 0 || highViolations > 2) return 'high'
-    if (highViolations > 0 || violations.length > 3) return 'medium'
+    if (criticalViolations > 0 || highViolations > profile.risk.highViolationsForHighRisk) return 'high'
+    if (highViolations > 0 || violations.length > profile.risk.violationsForMediumRisk) return 'medium'
     return 'low'
   }
 
-  /**
-   * Find all matches of a pattern in text
-   */
-  private findTextMatches(text: string, pattern: string): Array<{start: number, end: number, matchedText: string}> {
-    const matches: Array<{start: number, end: number, matchedText: string}> = []
-    
-    // Simple substring search (can be enhanced with regex for more complex patterns)
-    let startIndex = 0
-    while (true) {
-      const index = text.indexOf(pattern, startIndex)
-      if (index === -1) break
-      
-      matches.push({
-        start: index,
-        end: index + pattern.length,
-        matchedText: text.substring(index, index + pattern.length)
-      })
-      
-      startIndex = index + 1
-    }
-    
-    return matches
-  }
-
   /**
    * Get context around a violation
    */
@@ -347,16 +433,12 @@ export class FinTechRuleEngine {
   /**
    * Check if required element is present in text
    */
-  private checkElementPresence(text: string, element: string): boolean {
-    // Enhanced logic to check for variations of required elements
-    const elementLower = element.toLowerCase()
-    
-    // Direct substring match
-    if (text.includes(elementLower)) return true
-    
-    // Check for common variations
-    const variations = this.getElementVariations(elementLower)
-    return variations.some(variation => text.includes(variation))
+  private checkElementPresence(text: string, element: string, matcher: PatternMatcher): boolean {
+    // Whole-word matching, so "APR" is not found inside "April"; negation is irrelevant for presence
+    const variations = this.getElementVariations(element.toLowerCase())
+    return variations.some(variation =>
+      matcher.findMatches(text, { type: 'phrase', pattern: variation, negation_window: 0 }).length > 0
+    )
   }
 
   /**
@@ -366,17 +448,27 @@ export class FinTechRuleEngine {
     const variations: string[] = [element]
     
     // Add common variations for specific elements
-    if (element.includes('apr')) {
-      variations.push('annual percentage rate', 'effective interest rate', 'yearly interest rate')
+    // Hindi, Marathi and Tamil equivalents are included for regional-language creatives
+    if (/\bapr\b/.test(element)) {
+      variations.push(
+        'annual percentage rate', 'effective interest rate', 'yearly interest rate',
+        'वार्षिक प्रतिशत दर', 'वार्षिक ब्याज दर', 'वार्षिक व्याज दर', 'ஆண்டு சதவீத விகிதம்'
+      )
     }
     if (element.includes('processing fee')) {
-      variations.push('service charge', 'handling fee', 'administrative fee')
+      variations.push(
+        'service charge', 'handling fee', 'administrative fee',
+        'प्रोसेसिंग शुल्क', 'प्रोसेसिंग फीस', 'प्रक्रिया शुल्क', 'செயலாக்க கட்டணம்'
+      )
     }
     if (element.includes('terms and conditions')) {
-      variations.push('t&c', 'terms & conditions', 'tnc', 'terms of service')
+      variations.push(
+        't&c', 'terms & conditions', 'tnc', 'terms of service',
+        'नियम और शर्तें', 'नियम व शर्तें', 'नियम व अटी', 'விதிமுறைகள் மற்றும் நிபந்தனைகள்'
+      )
     }
     if (element.includes('grievance')) {
-      variations.push('complaint', 'customer service', 'support', 'help')
+      variations.push('complaint', 'customer service', 'support', 'help', 'शिकायत', 'तक्रार', 'புகார்')
     }
     
     return variations
@@ -385,8 +477,16 @@ export class FinTechRuleEngine {
   /**
    * Get scoring impact based on severity
    */
-  private getScoringImpact(severity: MarketingRule['severity']): number {
-    const methodology = marketingLoader.getScoringMethodology()
+  private getScoringImpact(
+    severity: MarketingRule['severity'],
+    guidelines: RBIMarketingLoader,
+    profile: ScoringProfile
+  ): number {
+    if (profile.severityDeductions) {
+      return -profile.severityDeductions[severity]
+    }
+
+    const methodology = guidelines.getScoringMethodology()
     if (!methodology) return -10
     
     switch (severity) {
@@ -398,6 +498,13 @@ export class FinTechRuleEngine {
     }
   }
 
+  /**
+   * Get scoring impact for a rule, honouring organization re-weighting
+   */
+  private getRuleScoringImpact(rule: MarketingRule, guidelines: RBIMarketingLoader, profile: ScoringProfile): number {
+    return this.getScoringImpact(rule.severity, guidelines, profile) * (rule.impact_multiplier ?? 1)
+  }
+
   /**
    * Get severity weight for sorting
    */
@@ -416,10 +523,9 @@ export class FinTechRuleEngine {
    */
   private extractKeywords(text: string): string[] {
     // Simple keyword extraction - can be enhanced with NLP
-    return text
-      .toLowerCase()
-      .split(/\s+/)
-      .filter(word => word.length > 3)
+    return (text.toLowerCase().match(/[\p{L}\p{M}\p{N}_'%-]+/gu) || [])
+      // Short Latin words are mostly noise; Indic words are short in code points (e.g. "लोन")
+      .filter(word => word.length > 3 || (word.length > 1 && /[^\x00-\x7F]/.test(word)))
       .filter(word => !this.isStopWord(word))
       .slice(0, 50) // Limit to first 50 keywords for performance
   }
@@ -431,7 +537,15 @@ export class FinTechRuleEngine {
     const stopWords = new Set([
       'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with',
       'by', 'from', 'as', 'is', 'was', 'are', 'were', 'be', 'been', 'being',
-      'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should'
+      'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should',
+      // Hindi
+      'और', 'के', 'की', 'का', 'में', 'है', 'हैं', 'से', 'को', 'पर', 'लिए', 'यह', 'वह', 'भी', 'तो', 'एक',
+      // Marathi
+      'आणि', 'आहे', 'आहेत', 'च्या', 'साठी', 'मध्ये', 'हे', 'ते', 'व', 'ला',
+      // Tamil
+      'மற்றும்', 'இது', 'அது', 'ஒரு', 'உள்ள', 'என்று',
+      // Romanized Hindi (Hinglish)
+      'hai', 'hain', 'aur', 'mein', 'liye', 'bhi', 'yeh', 'woh'
     ])
     return stopWords.has(word)
   }
@@ -0,0 +1,181 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals'
+import { canBacktrackCatastrophically, PatternMatcher } from './pattern-matcher'
+
+jest.mock('../../utils/logger')
+
+describe('PatternMatcher', () => {
+  let matcher: PatternMatcher
+
+  beforeEach(() => {
+    matcher = new PatternMatcher()
+    matcher.configure()
+  })
+
+  describe('phrase matching', () => {
+    test('should match plain keywords case-insensitively', () => {
+      const matches = matcher.findMatches('Get GUARANTEED approval today', 'guaranteed approval')
+
+      expect(matches).toHaveLength(1)
+      expect(matches[0].matchedText).toBe('GUARANTEED approval')
+      expect(matches[0].start).toBe(4)
+      expect(matches[0].variant).toEqual({ id: undefined, type: 'phrase', source: 'guaranteed approval' })
+    })
+
+    test('should respect word boundaries', () => {
+      expect(matcher.findMatches('Our unassured returns', 'assured')).toHaveLength(0)
+      expect(matcher.findMatches('Assured returns', 'assured')).toHaveLength(1)
+    })
+
+    test('should allow word boundaries to be disabled per pattern', () => {
+      const matches = matcher.findMatches('Our unassured returns', {
+        type: 'phrase',
+        pattern: 'assured',
+        word_boundary: false
+      })
+
+      expect(matches).toHaveLength(1)
+    })
+
+    test('should tolerate extra whitespace between phrase words', () => {
+      expect(matcher.findMatches('guaranteed\n  approval', 'guaranteed approval')).toHaveLength(1)
+    })
+  })
+
+  describe('negation windows', () => {
+    test('should ignore negated keywords', () => {
+      expect(matcher.findMatches('Loans are not guaranteed', 'guaranteed')).toHaveLength(0)
+      expect(matcher.findMatches('Approval is never guaranteed', 'guaranteed')).toHaveLength(0)
+    })
+
+    test('should only look back within the configured window', () => {
+      const text = 'No paperwork hassles and fast processing, guaranteed'
+      expect(matcher.findMatches(text, 'guaranteed')).toHaveLength(1)
+    })
+
+    test('should not carry negation across sentences', () => {
+      expect(matcher.findMatches('Not today. Guaranteed approval tomorrow', 'guaranteed')).toHaveLength(1)
+    })
+
+    test('should not carry negation across commas and conjunctions', () => {
+      expect(matcher.findMatches('No processing fee, guaranteed approval', 'guaranteed approval')).toHaveLength(1)
+      expect(matcher.findMatches('No paperwork and guaranteed approval', 'guaranteed approval')).toHaveLength(1)
+      expect(matcher.findMatches('Zero fees – guaranteed approval', 'guaranteed approval')).toHaveLength(1)
+      expect(matcher.findMatches('Approval is not guaranteed', 'guaranteed')).toHaveLength(0)
+      expect(matcher.findMatches('गारंटीड लोन और शुल्क नहीं', 'गारंटीड लोन')).toHaveLength(1)
+    })
+
+    test('should allow negation checks to be disabled', () => {
+      const matches = matcher.findMatches('We have no hidden charges', {
+        id: 'P3',
+        type: 'regex',
+        pattern: 'no\\s+hidden\\s+(charges|fees)',
+        negation_window: 0
+      })
+
+      expect(matches).toHaveLength(1)
+      expect(matches[0].matchedText).toBe('no hidden charges')
+      expect(matches[0].variant.id).toBe('P3')
+    })
+
+    test('should ignore keywords negated after the match in Indic languages', () => {
+      expect(matcher.findMatches('लोन की मंजूरी गारंटीड नहीं है', 'गारंटीड')).toHaveLength(0)
+      expect(matcher.findMatches('Approval pakka nahi hai', 'pakka')).toHaveLength(0)
+      expect(matcher.findMatches('गारंटीड लोन अभी पाएं', 'गारंटीड लोन')).toHaveLength(1)
+    })
+
+    test('should treat the danda as a sentence break', () => {
+      expect(matcher.findMatches('गारंटीड लोन। शुल्क नहीं', 'गारंटीड लोन')).toHaveLength(1)
+    })
+  })
+
+  describe('Indic text', () => {
+    test('should match Devanagari keywords on word boundaries', () => {
+      expect(matcher.findMatches('अब गारंटीड लोन पाएं', 'गारंटीड लोन')).toHaveLength(1)
+      expect(matcher.findMatches('अगारंटीड लोन', 'गारंटीड लोन')).toHaveLength(0)
+    })
+
+    test('should normalize composition and zero-width joiners in keywords', () => {
+      // Precomposed क़ (U+0958) in the keyword, क + nukta in the (normalized) document text
+      expect(matcher.findMatches('क\u093Cर्ज तुरंत', '\u0958र्ज')).toHaveLength(1)
+      expect(matcher.findMatches('गारंटीड लोन', 'गारंटीड\u200C लोन')).toHaveLength(1)
+    })
+  })
+
+  describe('regex matching', () => {
+    test('should match regex patterns and record the variant', () => {
+      const matches = matcher.findMatches('Rates starting from 10.5% for everyone', {
+        id: 'DLM_002_P1',
+        type: 'regex',
+        pattern: 'starting\\s+from\\s+\\d+(\\.\\d+)?\\s*%'
+      })
+
+      expect(matches).toHaveLength(1)
+      expect(matches[0].matchedText).toBe('starting from 10.5%')
+      expect(matches[0].variant).toEqual({
+        id: 'DLM_002_P1',
+        type: 'regex',
+        source: 'starting\\s+from\\s+\\d+(\\.\\d+)?\\s*%'
+      })
+      expect(matches[0].confidence).toBe(0.9)
+    })
+
+    test('should skip invalid regular expressions', () => {
+      const pattern = { type: 'regex' as const, pattern: '(unclosed' }
+
+      expect(matcher.findMatches('anything', pattern)).toEqual([])
+      expect(matcher.validatePattern(pattern)).toEqual(['Invalid regular expression: (unclosed'])
+    })
+
+    test('should refuse regular expressions that can backtrack catastrophically', () => {
+      const pattern = { type: 'regex' as const, pattern: '(a+)+$' }
+
+      expect(matcher.findMatches(`${'a'.repeat(40)}!`, pattern)).toEqual([])
+      expect(matcher.validatePattern(pattern))
+        .toEqual(['Regular expression repeats a quantifier or alternatives inside a quantifier: (a+)+$'])
+    })
+  })
+
+  describe('proximity matching', () => {
+    const pattern = {
+      id: 'DLM_001_P2',
+      type: 'proximity' as const,
+      terms: ['approval', 'guaranteed'],
+      within_words: 3
+    }
+
+    test('should match terms within N words in either order', () => {
+      const matches = matcher.findMatches('Loan approval is fully guaranteed', pattern)
+
+      expect(matches).toHaveLength(1)
+      expect(matches[0].matchedText).toBe('approval is fully guaranteed')
+      expect(matches[0].variant.type).toBe('proximity')
+      expect(matcher.findMatches('Guaranteed quick approval', pattern)).toHaveLength(1)
+    })
+
+    test('should not match terms further apart than the window', () => {
+      const text = 'Approval depends on many factors and nothing here is guaranteed'
+      expect(matcher.findMatches(text, pattern)).toHaveLength(0)
+    })
+
+    test('should reject proximity patterns without enough terms', () => {
+      expect(matcher.validatePattern({ type: 'proximity', terms: ['approval'], within_words: 2 }))
+        .toContain('Proximity patterns require at least two terms')
+    })
+  })
+})
+
+describe('catastrophic backtracking check', () => {
+  test('should flag repeated quantifiers and repeated alternatives', () => {
+    expect(['(a+)+', '(\\w+\\s?)*$', '(.*a){20}', '(a|ab)+c', '(?:x|y)*z', '(?<!\\w)(\\d+)+', '(unclosed']
+      .filter(source => !canBacktrackCatastrophically(source))).toEqual([])
+  })
+
+  test('should accept optional groups, bounded choices and lookbehind', () => {
+    expect([
+      'guarantee(d|s)?\\s+(loan\\s+)?approv(al|ed)',
+      '(starting\\s+(from|at)|as\\s+low\\s+as)\\s+\\d+(\\.\\d+)?\\s*%',
+      '(?<![\\p{L}])pre-approved',
+      '\\d{1,3}%'
+    ].filter(canBacktrackCatastrophically)).toEqual([])
+  })
+})
@@ -0,0 +1,408 @@
+import ret, { Tokens, types } from 'ret'
+import { logger } from '../../utils/logger'
+import { normalizeText } from '../language/text-normalizer'
+
+export type PatternType = 'phrase' | 'regex' | 'proximity'
+
+export interface ViolationPattern {
+  id?: string
+  type: PatternType
+  pattern?: string // Phrase text or regex source
+  terms?: string[] // Proximity: every term must appear within `within_words` of the others
+  within_words?: number
+  word_boundary?: boolean
+  case_sensitive?: boolean
+  negation_window?: number // Words before the match scanned for negation terms (0 disables all negation checks)
+  confidence?: number
+}
+
+export interface MatchingConfiguration {
+  word_boundary: boolean
+  negation_window: number
+  negation_terms: string[]
+  // Hindi, Marathi and Tamil negate after the claim ("गारंटी नहीं", "உத்தரவாதம் இல்லை")
+  trailing_negation_window: number
+  trailing_negation_terms: string[]
+}
+
+export interface PatternMatch {
+  start: number
+  end: number
+  matchedText: string
+  variant: {
+    id?: string
+    type: PatternType
+    source: string
+  }
+  confidence: number
+}
+
+interface Token {
+  start: number
+  end: number
+  text: string
+}
+
+const DEFAULT_CONFIGURATION: MatchingConfiguration = {
+  word_boundary: true,
+  negation_window: 3,
+  negation_terms: [
+    'no', 'not', 'never', 'without', 'non', 'nor', 'neither', 'cannot',
+    "can't", "don't", "doesn't", "isn't", "aren't", "won't", 'nothing',
+    'नहीं', 'नही', 'न', 'मत', 'nahi', 'nahin'
+  ],
+  trailing_negation_window: 2,
+  trailing_negation_terms: ['नहीं', 'नही', 'नाही', 'नको', 'இல்லை', 'அல்ல', 'nahi', 'nahin']
+}
+
+// Unicode-aware word characters so boundaries work beyond ASCII text
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}_]'
+const TOKEN_REGEX = /[\p{L}\p{M}\p{N}_'’%]+/gu
+// Negation only reaches within its clause: in "No processing fee, guaranteed approval" the "No" is
+// about the fee. Clauses end at sentence breaks (including the Devanagari danda and double danda),
+// commas, colons and dashes, and at conjunctions.
+const CLAUSE_BREAK = /[.!?;,:\n\u0964\u0965\u2013\u2014]/
+const CLAUSE_CONJUNCTIONS = new Set(['and', 'but', 'plus', 'yet', 'while', 'whereas', 'और', 'लेकिन', 'मगर', 'aur', 'lekin', 'magar'])
+
+// Regex patterns run against every analyzed document, so their length is capped
+export const MAX_REGEX_PATTERN_LENGTH = 200
+
+/**
+ * Whether a regex can backtrack catastrophically (ReDoS): a quantifier that repeats more than once
+ * around another one, as in (a+)+, or around alternatives, as in (a|ab)+, leaves the engine
+ * exponentially many ways to fail on the same text. Sources that cannot be parsed count as risky.
+ */
+export const canBacktrackCatastrophically = (source: string): boolean => {
+  let tree: Tokens
+  try {
+    // The parser does not know lookbehind; its contents are checked like any other group
+    tree = ret(source.replace(/\(\?<[!=]/g, '(?:'))
+  } catch {
+    return true
+  }
+
+  const walk = (token: Tokens, repeated: boolean): boolean => {
+    if (token.type === types.REPETITION) {
+      const repeats = token.max > 1
+      return (repeats && repeated) || walk(token.value, repeated || repeats)
+    }
+    if (token.type !== types.ROOT && token.type !== types.GROUP) return false
+    if (repeated && token.options && token.options.length > 1) return true
+
+    const branches = token.options || [token.stack || []]
+    return branches.some(branch => branch.some(child => walk(child, repeated)))
+  }
+
+  return walk(tree, false)
+}
+
+export class PatternMatcher {
+  private regexCache: Map<string, RegExp | null> = new Map()
+
+  constructor(private configuration: MatchingConfiguration = DEFAULT_CONFIGURATION) {}
+
+  /**
+   * Replace matching defaults (called by the guidelines loader)
+   */
+  configure(configuration?: Partial<MatchingConfiguration>): void {
+    this.configuration = { ...DEFAULT_CONFIGURATION, ...(configuration || {}) }
+    this.regexCache.clear()
+  }
+
+  getConfiguration(): MatchingConfiguration {
+    return this.configuration
+  }
+
+  /**
+   * Normalize a plain keyword or pattern definition into a ViolationPattern
+   */
+  toPattern(keywordOrPattern: string | ViolationPattern): ViolationPattern {
+    if (typeof keywordOrPattern === 'string') {
+      return { type: 'phrase', pattern: keywordOrPattern }
+    }
+    return keywordOrPattern
+  }
+
+  /**
+   * Find all non-negated matches of a pattern in text
+   */
+  findMatches(text: string, keywordOrPattern: string | ViolationPattern): PatternMatch[] {
+    const pattern = this.toPattern(keywordOrPattern)
+    const rawMatches = pattern.type === 'proximity'
+      ? this.findProximityMatches(text, pattern)
+      : this.findRegexMatches(text, pattern)
+
+    const negationWindow = pattern.negation_window ?? this.configuration.negation_window
+    if (negationWindow <= 0) {
+      return rawMatches
+    }
+
+    return rawMatches.filter(match =>
+      !this.isNegated(text, match.start, negationWindow) && !this.isNegatedAfter(text, match.end)
+    )
+  }
+
+  /**
+   * Validate a pattern definition, returning a list of problems
+   */
+  validatePattern(pattern: ViolationPattern): string[] {
+    const problems: string[] = []
+
+    if (pattern.type === 'proximity') {
+      if (!pattern.terms || pattern.terms.length < 2) {
+        problems.push('Proximity patterns require at least two terms')
+      }
+      if (pattern.within_words === undefined || pattern.within_words < 0) {
+        problems.push('Proximity patterns require a non-negative within_words')
+      }
+      return problems
+    }
+
+    if (!pattern.pattern) {
+      problems.push(`${pattern.type} patterns require a pattern`)
+    } else if (pattern.type === 'regex' && pattern.pattern.length > MAX_REGEX_PATTERN_LENGTH) {
+      problems.push(`Regular expressions are limited to ${MAX_REGEX_PATTERN_LENGTH} characters`)
+    } else if (pattern.type === 'regex' && this.isValidRegex(pattern.pattern) && canBacktrackCatastrophically(pattern.pattern)) {
+      problems.push(`Regular expression repeats a quantifier or alternatives inside a quantifier: ${pattern.pattern}`)
+    } else if (!this.compile(pattern)) {
+      problems.push(`Invalid regular expression: ${pattern.pattern}`)
+    }
+
+    return problems
+  }
+
+  /**
+   * Phrase and regex matching
+   */
+  private findRegexMatches(text: string, pattern: ViolationPattern): PatternMatch[] {
+    const regex = this.compile(pattern)
+    if (!regex) return []
+
+    const matches: PatternMatch[] = []
+    regex.lastIndex = 0
+
+    let match: RegExpExecArray | null
+    while ((match = regex.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        regex.lastIndex++
+        continue
+      }
+
+      matches.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        matchedText: match[0],
+        variant: {
+          id: pattern.id,
+          type: pattern.type,
+          source: pattern.pattern!
+        },
+        confidence: pattern.confidence ?? (pattern.type === 'regex' ? 0.9 : 1.0)
+      })
+    }
+
+    return matches
+  }
+
+  /**
+   * "Within N words of" matching: every term must occur with at most N words between them
+   */
+  private findProximityMatches(text: string, pattern: ViolationPattern): PatternMatch[] {
+    const terms = pattern.terms || []
+    const maxGap = pattern.within_words ?? 0
+    if (terms.length < 2) return []
+
+    const tokens = this.tokenize(text)
+    const occurrences = terms.map(term =>
+      this.findRegexMatches(text, { ...pattern, type: 'phrase', pattern: term }).map(match => ({
+        start: match.start,
+        end: match.end,
+        firstToken: this.tokenIndexAt(tokens, match.start),
+        lastToken: this.tokenIndexAt(tokens, match.end - 1)
+      }))
+    )
+
+    if (occurrences.some(list => list.length === 0)) return []
+
+    const matches: PatternMatch[] = []
+    const seen = new Set<string>()
+
+    // Anchor on each occurrence of the first term and look for the nearest occurrence of every other term
+    for (const anchor of occurrences[0]) {
+      let start = anchor.start
+      let end = anchor.end
+      let satisfied = true
+
+      for (const others of occurrences.slice(1)) {
+        const nearest = others
+          .map(other => ({ other, gap: this.wordGap(anchor, other) }))
+          .filter(candidate => candidate.gap <= maxGap)
+          .sort((a, b) => a.gap - b.gap)[0]
+
+        if (!nearest) {
+          satisfied = false
+          break
+        }
+
+        start = Math.min(start, nearest.other.start)
+        end = Math.max(end, nearest.other.end)
+      }
+
+      const key = `${start}:${end}`
+      if (satisfied && !seen.has(key)) {
+        seen.add(key)
+        matches.push({
+          start,
+          end,
+          matchedText: text.substring(start, end),
+          variant: {
+            id: pattern.id,
+            type: 'proximity',
+            source: `${terms.join(' ~ ')} (within ${maxGap} words)`
+          },
+          confidence: pattern.confidence ?? 0.75
+        })
+      }
+    }
+
+    return matches
+  }
+
+  /**
+   * Check the words preceding a match (within the same clause) for negation terms
+   */
+  private isNegated(text: string, matchStart: number, window: number): boolean {
+    const prefix = text.substring(0, matchStart)
+    const clauseStart = this.lastClauseBreak(prefix) + 1
+    const clauseWords = this.tokenize(prefix.substring(clauseStart))
+      .map(token => token.text.toLowerCase().replace(/’/g, "'"))
+    const conjunction = clauseWords.map(word => CLAUSE_CONJUNCTIONS.has(word)).lastIndexOf(true)
+    const precedingWords = clauseWords.slice(conjunction + 1).slice(-window)
+
+    const negations = new Set(this.configuration.negation_terms.map(term => term.toLowerCase()))
+    return precedingWords.some(word => negations.has(word))
+  }
+
+  /**
+   * Check the words following a match (within the same clause) for trailing negation terms
+   */
+  private isNegatedAfter(text: string, matchEnd: number): boolean {
+    const window = this.configuration.trailing_negation_window
+    if (window <= 0) return false
+
+    const suffix = text.substring(matchEnd)
+    const clauseEnd = suffix.search(CLAUSE_BREAK)
+    const clauseWords = this.tokenize(clauseEnd >= 0 ? suffix.substring(0, clauseEnd) : suffix)
+      .map(token => token.text.toLowerCase())
+    const conjunction = clauseWords.findIndex(word => CLAUSE_CONJUNCTIONS.has(word))
+    const followingWords = clauseWords.slice(0, conjunction >= 0 ? conjunction : undefined).slice(0, window)
+
+    const negations = new Set(this.configuration.trailing_negation_terms.map(term => term.toLowerCase()))
+    return followingWords.some(word => negations.has(word))
+  }
+
+  private lastClauseBreak(text: string): number {
+    for (let i = text.length - 1; i >= 0; i--) {
+      if (CLAUSE_BREAK.test(text[i])) return i
+    }
+    return -1
+  }
+
+  private compile(pattern: ViolationPattern): RegExp | null {
+    const wordBoundary = pattern.word_boundary ?? this.configuration.word_boundary
+    const flags = pattern.case_sensitive ? 'gu' : 'giu'
+    const cacheKey = `${pattern.type}|${wordBoundary}|${flags}|${pattern.pattern}`
+
+    if (this.regexCache.has(cacheKey)) {
+      return this.regexCache.get(cacheKey)!
+    }
+
+    let regex: RegExp | null = null
+    if (pattern.type === 'regex' && !this.isSafeRegex(pattern.pattern!)) {
+      // Stored before patterns were checked when saved
+      logger.warn('Skipping violation pattern that could backtrack catastrophically', {
+        patternId: pattern.id,
+        pattern: pattern.pattern
+      })
+      this.regexCache.set(cacheKey, null)
+      return null
+    }
+
+    try {
+      let source = pattern.type === 'regex'
+        ? pattern.pattern!
+        : this.escapeRegex(normalizeText(pattern.pattern!.trim())).replace(/\s+/g, '\\s+')
+
+      if (wordBoundary) {
+        source = `(?<!${WORD_CHAR})(?:${source})(?!${WORD_CHAR})`
+      }
+
+      regex = new RegExp(source, flags)
+    } catch (error: any) {
+      logger.warn('Skipping invalid violation pattern', {
+        patternId: pattern.id,
+        pattern: pattern.pattern,
+        error: error.message
+      })
+    }
+
+    this.regexCache.set(cacheKey, regex)
+    return regex
+  }
+
+  private isValidRegex(source: string): boolean {
+    try {
+      new RegExp(source, 'u')
+      return true
+    } catch {
+      return false
+    }
+  }
+
+  private isSafeRegex(source: string): boolean {
+    return source.length <= MAX_REGEX_PATTERN_LENGTH && !canBacktrackCatastrophically(source)
+  }
+
+  private tokenize(text: string): Token[] {
+    const tokens: Token[] = []
+    for (const match of text.matchAll(TOKEN_REGEX)) {
+      tokens.push({ start: match.index!, end: match.index! + match[0].length, text: match[0] })
+    }
+    return tokens
+  }
+
+  /**
+   * Index of the token containing (or immediately following) a character offset
+   */
+  private tokenIndexAt(tokens: Token[], offset: number): number {
+    let low = 0
+    let high = tokens.length - 1
+    while (low <= high) {
+      const mid = (low + high) >> 1
+      if (tokens[mid].end <= offset) {
+        low = mid + 1
+      } else if (tokens[mid].start > offset) {
+        high = mid - 1
+      } else {
+        return mid
+      }
+    }
+    return low
+  }
+
+  private wordGap(
+    a: { firstToken: number; lastToken: number },
+    b: { firstToken: number; lastToken: number }
+  ): number {
+    if (b.firstToken > a.lastToken) return b.firstToken - a.lastToken - 1
+    if (a.firstToken > b.lastToken) return a.firstToken - b.lastToken - 1
+    return 0 // Overlapping spans
+  }
+
+  private escapeRegex(value: string): string {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  }
+}
+
+// Export singleton instance
+export const patternMatcher = new PatternMatcher()
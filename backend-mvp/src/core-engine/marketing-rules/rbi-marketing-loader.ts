@@ -1,7 +1,17 @@
 import * as fs from 'fs'
 import * as path from 'path'
+import * as crypto from 'crypto'
 import { logger } from '../../utils/logger'
 import { guidelinesCache } from '../../utils/cache'
+import { PatternMatcher, ViolationPattern, MatchingConfiguration } from './pattern-matcher'
+import { DisclosureRequirement } from './disclosure-extractor'
+import { SupportedLanguage } from '../language/language-detector'
+import { normalizeText } from '../language/text-normalizer'
+
+export interface LocalizedKeywords {
+  violation_keywords?: string[]
+  prohibited_marketing_claims?: string[]
+}
 
 export interface MarketingRule {
   rule_id: string
@@ -11,10 +21,15 @@ export interface MarketingRule {
   marketing_context: string
   content: string
   violation_keywords: string[]
+  violation_patterns?: ViolationPattern[] // Regex, word-boundary and proximity patterns
   required_marketing_elements: string[]
+  disclosure_requirements?: DisclosureRequirement[] // Checked against the figures parsed from the copy (APR, fees, tenure)
   prohibited_marketing_claims: string[]
+  localized_keywords?: Partial<Record<SupportedLanguage, LocalizedKeywords>> // Keywords in the language of the creative, keyed by language code
   severity: 'critical' | 'high' | 'medium' | 'low'
   scoring_weight: number
+  impact_multiplier?: number // Set by organization rule pack overrides
+  rule_pack_id?: string // Present on house rules and overridden RBI rules
   effective_date?: string
   penalties?: string[]
   citation: {
@@ -46,6 +61,7 @@ export interface MarketingGuidelines {
     medium_risk_phrases: string[]
     required_disclaimers: string[]
   }
+  matching_configuration?: Partial<MatchingConfiguration>
   scoring_methodology: {
     total_possible_score: number
     critical_violations: number
@@ -62,16 +78,80 @@ export interface MarketingGuidelines {
   }
 }
 
+export interface GuidelineVersion {
+  version: string // metadata.version as authored in the guidelines file
+  contentHash: string // SHA-256 of the file content, distinguishes edits that forgot to bump the version
+}
+
+export interface GuidelineSnapshot extends GuidelineVersion {
+  guidelines: MarketingGuidelines
+}
+
+export interface RuleSummary {
+  rule_id: string
+  title: string
+  category: string
+  severity: MarketingRule['severity']
+}
+
+export interface ListChange {
+  added: string[]
+  removed: string[]
+}
+
+export interface ModifiedRule extends RuleSummary {
+  changedFields: string[]
+  severity_change?: { from: MarketingRule['severity']; to: MarketingRule['severity'] }
+  scoring_weight_change?: { from: number; to: number }
+  violation_keywords?: ListChange
+  prohibited_marketing_claims?: ListChange
+  required_marketing_elements?: ListChange
+}
+
+export interface RuleSetDiff {
+  added: RuleSummary[]
+  removed: RuleSummary[]
+  modified: ModifiedRule[]
+  unchangedCount: number
+  scoringMethodologyChanges: Array<{ field: string; from: unknown; to: unknown }>
+}
+
+// Free-text fields compared verbatim when diffing rule sets
+const DIFFED_TEXT_FIELDS = ['title', 'category', 'description', 'marketing_context', 'content'] as const
+const DIFFED_LIST_FIELDS = ['violation_keywords', 'prohibited_marketing_claims', 'required_marketing_elements'] as const
+
 export class RBIMarketingLoader {
   private guidelines: MarketingGuidelines | null = null
+  private versionInfo: GuidelineVersion | null = null
   private rulesIndex: Map<string, MarketingRule> = new Map()
   private categoryIndex: Map<string, MarketingRule[]> = new Map()
   private keywordIndex: Map<string, MarketingRule[]> = new Map()
+  // Each rule set matches with its own matching_configuration, so a snapshot or candidate file
+  // is analyzed the way that file specifies regardless of the active one
+  private matcher = new PatternMatcher()
+
+  /**
+   * Load the active guidelines file, or wrap a stored historical snapshot
+   */
+  constructor(snapshot?: GuidelineSnapshot) {
+    if (snapshot) {
+      this.guidelines = snapshot.guidelines
+      this.versionInfo = { version: snapshot.version, contentHash: snapshot.contentHash }
+      this.matcher.configure(this.guidelines.matching_configuration)
+      this.buildIndexes()
+      return
+    }
 
-  constructor() {
     this.loadGuidelines()
   }
 
+  /**
+   * Hash guideline file content for version tracking
+   */
+  static hashContent(content: string): string {
+    return crypto.createHash('sha256').update(content).digest('hex')
+  }
+
   /**
    * Load RBI marketing guidelines from JSON file
    */
@@ -85,13 +165,19 @@ export class RBIMarketingLoader {
 
       const fileContent = fs.readFileSync(guidelinesPath, 'utf-8')
       this.guidelines = JSON.parse(fileContent) as MarketingGuidelines
+      this.versionInfo = {
+        version: this.guidelines.metadata.version,
+        contentHash: RBIMarketingLoader.hashContent(fileContent)
+      }
       
+      this.matcher.configure(this.guidelines.matching_configuration)
       this.buildIndexes()
       
       logger.info('RBI Marketing Guidelines loaded successfully', {
         totalRules: this.guidelines.metadata.total_marketing_rules,
         categories: Object.keys(this.guidelines.marketing_compliance_rules).length,
-        version: this.guidelines.metadata.version
+        version: this.guidelines.metadata.version,
+        contentHash: this.versionInfo.contentHash
       })
 
     } catch (error: any) {
@@ -123,16 +209,35 @@ export class RBIMarketingLoader {
         this.rulesIndex.set(rule.rule_id, rule)
         
         // Keyword index
-        const violationKeywords = rule.violation_keywords || []
-        const prohibitedClaims = rule.prohibited_marketing_claims || []
-        const allKeywords = [...violationKeywords, ...prohibitedClaims]
+        const localized = Object.values(rule.localized_keywords || {})
+        const violationKeywords = [...(rule.violation_keywords || []), ...localized.flatMap(l => l?.violation_keywords || [])]
+        const prohibitedClaims = [
+          ...(rule.prohibited_marketing_claims || []),
+          ...localized.flatMap(l => l?.prohibited_marketing_claims || [])
+        ]
+        const patternTerms = (rule.violation_patterns || []).flatMap(pattern =>
+          pattern.type === 'proximity' ? pattern.terms || [] : pattern.type === 'phrase' ? [pattern.pattern!] : []
+        )
+        const allKeywords = [...violationKeywords, ...prohibitedClaims, ...patternTerms].filter(Boolean)
         allKeywords.forEach(keyword => {
-          const normalizedKeyword = keyword.toLowerCase()
+          const normalizedKeyword = normalizeText(keyword).toLowerCase()
           if (!this.keywordIndex.has(normalizedKeyword)) {
             this.keywordIndex.set(normalizedKeyword, [])
           }
           this.keywordIndex.get(normalizedKeyword)!.push(rule)
         })
+
+        // Surface malformed patterns at load time rather than silently at match time
+        ;(rule.violation_patterns || []).forEach(pattern => {
+          const problems = this.matcher.validatePattern(pattern)
+          if (problems.length > 0) {
+            logger.warn('Invalid violation pattern in marketing rule', {
+              ruleId: rule.rule_id,
+              patternId: pattern.id,
+              problems
+            })
+          }
+        })
       })
     })
 
@@ -143,6 +248,13 @@ export class RBIMarketingLoader {
     })
   }
 
+  /**
+   * Pattern matcher configured with these guidelines' matching_configuration
+   */
+  getPatternMatcher(): PatternMatcher {
+    return this.matcher
+  }
+
   /**
    * Get all marketing rules
    */
@@ -170,12 +282,31 @@ export class RBIMarketingLoader {
 
   /**
    * Get rules that match violation keywords
+   * (pass `rules` to search an organization's effective rule set instead of the baseline index)
    */
-  getRulesByKeywords(keywords: string[]): MarketingRule[] {
+  getRulesByKeywords(keywords: string[], rules?: MarketingRule[]): MarketingRule[] {
     const matchingRules = new Set<MarketingRule>()
+    const normalizedKeywords = keywords.map(keyword => normalizeText(keyword).toLowerCase())
+    
+    if (rules) {
+      const keywordSet = new Set(normalizedKeywords)
+      rules.forEach(rule => {
+        const ruleKeywords = [
+          ...(rule.violation_keywords || []),
+          ...(rule.prohibited_marketing_claims || []),
+          ...Object.values(rule.localized_keywords || {}).flatMap(l => [
+            ...(l?.violation_keywords || []),
+            ...(l?.prohibited_marketing_claims || [])
+          ])
+        ]
+        if (ruleKeywords.some(keyword => keywordSet.has(normalizeText(keyword).toLowerCase()))) {
+          matchingRules.add(rule)
+        }
+      })
+      return Array.from(matchingRules)
+    }
     
-    keywords.forEach(keyword => {
-      const normalizedKeyword = keyword.toLowerCase()
+    normalizedKeywords.forEach(normalizedKeyword => {
       const rules = this.keywordIndex.get(normalizedKeyword)
       if (rules) {
         rules.forEach(rule => matchingRules.add(rule))
@@ -188,12 +319,12 @@ export class RBIMarketingLoader {
   /**
    * Get rules applicable to specific marketing context
    */
-  getRulesByMarketingContext(context: string): MarketingRule[] {
+  getRulesByMarketingContext(context: string, rules: MarketingRule[] = this.getAllRules()): MarketingRule[] {
     const contextKeywords = context.toLowerCase().split(/\s+/)
     const matchingRules: MarketingRule[] = []
     
-    this.getAllRules().forEach(rule => {
-      const marketingContext = rule.marketing_context.toLowerCase()
+    rules.forEach(rule => {
+      const marketingContext = (rule.marketing_context || '').toLowerCase()
       if (contextKeywords.some(keyword => marketingContext.includes(keyword))) {
         matchingRules.push(rule)
       }
@@ -237,6 +368,126 @@ export class RBIMarketingLoader {
     return this.guidelines?.metadata || null
   }
 
+  /**
+   * Get the version and content hash of the loaded guidelines
+   */
+  getVersionInfo(): GuidelineVersion {
+    if (!this.versionInfo) {
+      throw new Error('Marketing guidelines not loaded')
+    }
+
+    return this.versionInfo
+  }
+
+  /**
+   * Get the loaded guidelines as a snapshot for persistence
+   */
+  getSnapshot(): GuidelineSnapshot {
+    if (!this.guidelines) {
+      throw new Error('Marketing guidelines not loaded')
+    }
+
+    return { ...this.getVersionInfo(), guidelines: this.guidelines }
+  }
+
+  /**
+   * Diff this rule set against a candidate set, using the rule indexes of both loaders
+   */
+  diffAgainst(candidate: RBIMarketingLoader): RuleSetDiff {
+    const summarize = (rule: MarketingRule): RuleSummary => ({
+      rule_id: rule.rule_id,
+      title: rule.title,
+      category: rule.category,
+      severity: rule.severity
+    })
+
+    const diff: RuleSetDiff = {
+      added: [],
+      removed: [],
+      modified: [],
+      unchangedCount: 0,
+      scoringMethodologyChanges: []
+    }
+
+    candidate.rulesIndex.forEach((rule, ruleId) => {
+      if (!this.rulesIndex.has(ruleId)) {
+        diff.added.push(summarize(rule))
+      }
+    })
+
+    this.rulesIndex.forEach((rule, ruleId) => {
+      const candidateRule = candidate.rulesIndex.get(ruleId)
+      if (!candidateRule) {
+        diff.removed.push(summarize(rule))
+        return
+      }
+
+      const modified: ModifiedRule = { ...summarize(candidateRule), changedFields: [] }
+
+      DIFFED_TEXT_FIELDS.forEach(field => {
+        if ((rule[field] || '') !== (candidateRule[field] || '')) {
+          modified.changedFields.push(field)
+        }
+      })
+
+      if (rule.severity !== candidateRule.severity) {
+        modified.changedFields.push('severity')
+        modified.severity_change = { from: rule.severity, to: candidateRule.severity }
+      }
+
+      if (rule.scoring_weight !== candidateRule.scoring_weight) {
+        modified.changedFields.push('scoring_weight')
+        modified.scoring_weight_change = { from: rule.scoring_weight, to: candidateRule.scoring_weight }
+      }
+
+      DIFFED_LIST_FIELDS.forEach(field => {
+        const before = new Set(rule[field] || [])
+        const after = new Set(candidateRule[field] || [])
+        const change: ListChange = {
+          added: [...after].filter(item => !before.has(item)),
+          removed: [...before].filter(item => !after.has(item))
+        }
+
+        if (change.added.length > 0 || change.removed.length > 0) {
+          modified.changedFields.push(field)
+          modified[field] = change
+        }
+      })
+
+      if (JSON.stringify(rule.violation_patterns || []) !== JSON.stringify(candidateRule.violation_patterns || [])) {
+        modified.changedFields.push('violation_patterns')
+      }
+
+      if (JSON.stringify(rule.localized_keywords || {}) !== JSON.stringify(candidateRule.localized_keywords || {})) {
+        modified.changedFields.push('localized_keywords')
+      }
+
+      if (JSON.stringify(rule.disclosure_requirements || []) !== JSON.stringify(candidateRule.disclosure_requirements || [])) {
+        modified.changedFields.push('disclosure_requirements')
+      }
+
+      if (modified.changedFields.length > 0) {
+        diff.modified.push(modified)
+      } else {
+        diff.unchangedCount++
+      }
+    })
+
+    const currentMethodology: Record<string, unknown> = this.getScoringMethodology() || {}
+    const candidateMethodology: Record<string, unknown> = candidate.getScoringMethodology() || {}
+    new Set([...Object.keys(currentMethodology), ...Object.keys(candidateMethodology)]).forEach(field => {
+      if (JSON.stringify(currentMethodology[field]) !== JSON.stringify(candidateMethodology[field])) {
+        diff.scoringMethodologyChanges.push({
+          field,
+          from: currentMethodology[field],
+          to: candidateMethodology[field]
+        })
+      }
+    })
+
+    return diff
+  }
+
   /**
    * Search rules by text content (fuzzy search)
    */
@@ -303,7 +554,8 @@ export class RBIMarketingLoader {
    * Get cached or fresh rules
    */
   async getCachedRules(): Promise<MarketingRule[]> {
-    const cacheKey = 'marketing_rules_all'
+    // Keyed by content hash so reloads and historical snapshots never serve each other's rules
+    const cacheKey = `marketing_rules_all:${this.getVersionInfo().contentHash}`
     
     try {
       const cached = await guidelinesCache.get(cacheKey)
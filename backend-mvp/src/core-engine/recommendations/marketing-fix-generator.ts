@@ -1,6 +1,7 @@
 import { ViolationMatch } from '../marketing-rules/fintech-rule-engine'
 import { MarketingRule } from '../marketing-rules/rbi-marketing-loader'
-import { geminiAnalyzer, GeminiAnalysisResult } from '../ai/gemini-marketing-analyzer'
+import { GeminiAnalysisResult, MarketingLLMProvider } from '../ai/llm-provider'
+import { llmProviderRegistry } from '../ai/llm-provider-registry'
 import { logger } from '../../utils/logger'
 import nlp from 'compromise'
 
@@ -51,7 +52,8 @@ export class MarketingFixGenerator {
     originalText: string,
     violations: ViolationMatch[],
     missingElements: string[],
-    geminiInsights?: GeminiAnalysisResult
+    geminiInsights?: GeminiAnalysisResult,
+    llmProvider: MarketingLLMProvider = llmProviderRegistry.resolve()
   ): Promise<MarketingRecommendations> {
     try {
       logger.info('Generating marketing recommendations', {
@@ -70,7 +72,7 @@ export class MarketingFixGenerator {
       const toneAdjustments = await this.generateToneAdjustments(originalText, violations, geminiInsights)
       
       // Generate alternative copy versions
-      const alternativeCopyVersions = await this.generateAlternativeCopyVersions(originalText, violations)
+      const alternativeCopyVersions = await this.generateAlternativeCopyVersions(originalText, violations, llmProvider)
       
       // Create compliance checklist
       const complianceChecklist = this.generateComplianceChecklist(violations, missingElements)
@@ -413,8 +415,8 @@ export class MarketingFixGenerator {
       })
     }
 
-    // Use Gemini insights if available
-    if (geminiInsights?.marketingToneAssessment) {
+    // Use AI insights if available (a degraded placeholder is not an assessment)
+    if (geminiInsights?.marketingToneAssessment && !geminiInsights.degraded) {
       if (geminiInsights.marketingToneAssessment.appropriateness !== 'appropriate') {
         adjustments.push({
           issue: 'Marketing tone concerns identified by AI analysis',
@@ -441,7 +443,8 @@ export class MarketingFixGenerator {
    */
   private async generateAlternativeCopyVersions(
     originalText: string,
-    violations: ViolationMatch[]
+    violations: ViolationMatch[],
+    llmProvider: MarketingLLMProvider
   ): Promise<MarketingRecommendations['alternativeCopyVersions']> {
     const versions: MarketingRecommendations['alternativeCopyVersions'] = []
 
@@ -478,14 +481,14 @@ export class MarketingFixGenerator {
         riskLevel: 'low'
       })
 
-      // Use Gemini for enhanced version if available
-      const geminiRecommendations = await geminiAnalyzer.generateMarketingRecommendations(
+      // Use the language model for an enhanced version if available
+      const geminiRecommendations = await llmProvider.generateMarketingRecommendations(
         originalText,
         violations,
         []
       )
 
-      if (geminiRecommendations.improvedCopy && geminiRecommendations.improvedCopy !== originalText) {
+      if (!geminiRecommendations.degraded && geminiRecommendations.improvedCopy !== originalText) {
         versions.push({
           version: 'AI-Enhanced Compliant',
           compliantText: geminiRecommendations.improvedCopy,
@@ -1,6 +1,9 @@
 import { ViolationMatch, ComplianceAnalysis } from '../marketing-rules/fintech-rule-engine'
 import { MarketingRule } from '../marketing-rules/rbi-marketing-loader'
 import { logger } from '../../utils/logger'
+import { scoringProfileRegistry, ScoringProfile } from './scoring-profiles'
+
+const DEFAULT_MISSING_ELEMENT_DEDUCTION = 5
 
 export interface ScoreBreakdown {
   totalScore: number
@@ -23,6 +26,7 @@ export interface ScoreBreakdown {
   }
   complianceLevel: 'compliant' | 'needs_review' | 'non_compliant'
   colorCode: 'green' | 'yellow' | 'red'
+  scoringProfile: ScoringProfile['name']
   riskIndicators: {
     level: 'low' | 'medium' | 'high' | 'critical'
     factors: string[]
@@ -50,35 +54,31 @@ export interface ComplianceReport {
 
 export class MarketingComplianceScorer {
   private readonly BASE_SCORE = 100
-  private readonly CATEGORY_WEIGHTS = {
-    'digital_lending_marketing': 30,
-    'payment_systems_marketing': 20,
-    'payment_aggregator_marketing': 15,
-    'nbfc_marketing': 15,
-    'fair_practices_marketing': 10,
-    'customer_protection_marketing': 10
-  }
 
   constructor() {}
 
   /**
-   * Generate comprehensive compliance report with scoring
+   * Generate comprehensive compliance report with scoring, using the profile the analysis was scored with
    */
   async generateComplianceReport(analysis: ComplianceAnalysis): Promise<ComplianceReport> {
     try {
+      const profile = scoringProfileRegistry.resolve(analysis.analysisMetadata.scoringProfile)
+
       logger.info('Generating compliance report', {
         overallScore: analysis.overallScore,
-        violationsCount: analysis.violations.length
+        violationsCount: analysis.violations.length,
+        scoringProfile: profile.name
       })
 
       const scoreBreakdown = await this.calculateDetailedScore(
         analysis.violations,
         analysis.missingElements,
-        analysis.appliedRules
+        analysis.appliedRules,
+        profile
       )
 
       const citationsRequired = this.generateCitations(analysis.violations)
-      const recommendations = await this.generateRecommendations(analysis)
+      const recommendations = await this.generateRecommendations(analysis, profile)
       const complianceSummary = this.generateComplianceSummary(analysis, scoreBreakdown)
 
       const report: ComplianceReport = {
@@ -113,7 +113,8 @@ export class MarketingComplianceScorer {
   private async calculateDetailedScore(
     violations: ViolationMatch[],
     missingElements: string[],
-    appliedRules: MarketingRule[]
+    appliedRules: MarketingRule[],
+    profile: ScoringProfile
   ): Promise<ScoreBreakdown> {
     let totalScore = this.BASE_SCORE
 
@@ -154,18 +155,18 @@ export class MarketingComplianceScorer {
     }
 
     // Deduct for missing elements
-    deductions.missingElements = missingElements.length * 5
+    deductions.missingElements = missingElements.length * (profile.missingElementDeduction ?? DEFAULT_MISSING_ELEMENT_DEDUCTION)
     totalScore -= deductions.missingElements
 
     // Calculate category scores
-    const categoryScores = this.calculateCategoryScores(violations, appliedRules)
+    const categoryScores = this.calculateCategoryScores(violations, appliedRules, profile)
 
     // Determine compliance level and color
-    const complianceLevel = this.getComplianceLevel(totalScore)
-    const colorCode = this.getColorCode(totalScore)
+    const complianceLevel = this.getComplianceLevel(totalScore, profile)
+    const colorCode = this.getColorCode(totalScore, profile)
     
     // Assess risk indicators
-    const riskIndicators = this.assessRiskIndicators(violations, missingElements)
+    const riskIndicators = this.assessRiskIndicators(violations, missingElements, profile)
 
     return {
       totalScore: Math.max(0, Math.min(100, Math.round(totalScore))),
@@ -174,6 +175,7 @@ export class MarketingComplianceScorer {
       categoryScores,
       complianceLevel,
       colorCode,
+      scoringProfile: profile.name,
       riskIndicators
     }
   }
@@ -183,7 +185,8 @@ export class MarketingComplianceScorer {
    */
   private calculateCategoryScores(
     violations: ViolationMatch[],
-    appliedRules: MarketingRule[]
+    appliedRules: MarketingRule[],
+    profile: ScoringProfile
   ): { [category: string]: { score: number; maxPossible: number; violations: number; weight: number } } {
     const categoryScores: any = {}
 
@@ -199,7 +202,7 @@ export class MarketingComplianceScorer {
     }
 
     // Calculate score for each category
-    Object.entries(this.CATEGORY_WEIGHTS).forEach(([category, weight]) => {
+    Object.entries(profile.categoryWeights).forEach(([category, weight]) => {
       const categoryViolations = violationsByCategory[category] || []
       const maxPossible = weight
       let categoryScore = maxPossible
@@ -268,7 +271,7 @@ export class MarketingComplianceScorer {
   /**
    * Generate actionable recommendations
    */
-  private async generateRecommendations(analysis: ComplianceAnalysis): Promise<string[]> {
+  private async generateRecommendations(analysis: ComplianceAnalysis, profile: ScoringProfile): Promise<string[]> {
     const recommendations: string[] = []
 
     // Recommendations based on violations
@@ -311,7 +314,7 @@ export class MarketingComplianceScorer {
     }
 
     // Risk-based recommendations
-    const riskLevel = this.getRiskLevel(analysis.violations)
+    const riskLevel = this.getRiskLevel(analysis.violations, profile)
     switch (riskLevel) {
       case 'critical':
         recommendations.unshift(`IMMEDIATE ACTION REQUIRED: Critical RBI violations detected that could result in penalties up to ₹1 crore`)
@@ -385,18 +388,18 @@ export class MarketingComplianceScorer {
   /**
    * Get compliance level from score
    */
-  private getComplianceLevel(score: number): 'compliant' | 'needs_review' | 'non_compliant' {
-    if (score >= 80) return 'compliant'
-    if (score >= 50) return 'needs_review'
+  private getComplianceLevel(score: number, profile: ScoringProfile): 'compliant' | 'needs_review' | 'non_compliant' {
+    if (score >= profile.thresholds.compliant) return 'compliant'
+    if (score >= profile.thresholds.needsReview) return 'needs_review'
     return 'non_compliant'
   }
 
   /**
    * Get color code from score
    */
-  private getColorCode(score: number): 'green' | 'yellow' | 'red' {
-    if (score >= 80) return 'green'
-    if (score >= 50) return 'yellow'
+  private getColorCode(score: number, profile: ScoringProfile): 'green' | 'yellow' | 'red' {
+    if (score >= profile.thresholds.compliant) return 'green'
+    if (score >= profile.thresholds.needsReview) return 'yellow'
     return 'red'
   }
 
@@ -405,7 +408,8 @@ export class MarketingComplianceScorer {
    */
   private assessRiskIndicators(
     violations: ViolationMatch[],
-    missingElements: string[]
+    missingElements: string[],
+    profile: ScoringProfile
   ): { level: 'low' | 'medium' | 'high' | 'critical'; factors: string[]; immediateActions: string[] } {
     const factors: string[] = []
     const immediateActions: string[] = []
@@ -421,15 +425,15 @@ export class MarketingComplianceScorer {
       immediateActions.push('Stop marketing campaign immediately')
       immediateActions.push('Legal review required')
       immediateActions.push('Remediate critical violations before proceeding')
-    } else if (highCount > 2 || missingElements.length > 5) {
+    } else if (highCount > profile.risk.highViolationsForHighRisk || missingElements.length > profile.risk.missingElementsForHighRisk) {
       level = 'high'
       factors.push(`${highCount} high-priority violations`)
-      if (missingElements.length > 5) {
+      if (missingElements.length > profile.risk.missingElementsForHighRisk) {
         factors.push(`${missingElements.length} missing disclosures`)
       }
       immediateActions.push('Review before publication')
       immediateActions.push('Address high-priority issues')
-    } else if (highCount > 0 || violations.length > 3) {
+    } else if (highCount > 0 || violations.length > profile.risk.violationsForMediumRisk) {
       level = 'medium'
       factors.push('Multiple compliance issues detected')
       immediateActions.push('Review and improve before publication')
@@ -441,13 +445,13 @@ export class MarketingComplianceScorer {
   /**
    * Get risk level from violations
    */
-  private getRiskLevel(violations: ViolationMatch[]): 'low' | 'medium' | 'high' | 'critical' {
+  private getRiskLevel(violations: ViolationMatch[], profile: ScoringProfile): 'low' | 'medium' | 'high' | 'critical' {
     const criticalCount = violations.filter(v => v.severity === 'critical').length
     const highCount = violations.filter(v => v.severity === 'high').length
 
     if (criticalCount > 0) return 'critical'
-    if (highCount > 2) return 'high'
-    if (highCount > 0 || violations.length > 3) return 'medium'
+    if (highCount > profile.risk.highViolationsForHighRisk) return 'high'
+    if (highCount > 0 || violations.length > profile.risk.violationsForMediumRisk) return 'medium'
     return 'low'
   }
 }
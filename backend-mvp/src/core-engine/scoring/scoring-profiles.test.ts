@@ -0,0 +1,103 @@
+import { describe, test, expect, afterEach, jest } from '@jest/globals'
+import { ScoringProfileRegistry } from './scoring-profiles'
+import { complianceScorer } from './marketing-scorer'
+import { ComplianceAnalysis, ViolationMatch } from '../marketing-rules/fintech-rule-engine'
+
+jest.mock('../../utils/logger')
+
+const violation = (severity: ViolationMatch['severity'], scoringImpact: number): ViolationMatch => ({
+  rule: {
+    rule_id: 'DLM_001',
+    category: 'digital_lending_marketing',
+    title: 'Guaranteed approval',
+    description: 'Approval cannot be guaranteed',
+    citation: { document: 'RBI Digital Lending Directions', section: '4.2' }
+  },
+  violationType: 'keyword_violation',
+  matchedText: 'guaranteed approval',
+  startIndex: 0,
+  endIndex: 19,
+  context: 'guaranteed approval',
+  confidence: 0.9,
+  severity,
+  scoringImpact
+} as ViolationMatch)
+
+const analysis = (scoringProfile: ComplianceAnalysis['analysisMetadata']['scoringProfile'], violations: ViolationMatch[]) => ({
+  overallScore: 0,
+  complianceLevel: 'needs_review',
+  violations,
+  missingElements: ['APR disclosure'],
+  requiredDisclaimers: [],
+  appliedRules: [],
+  analysisMetadata: { scoringProfile }
+} as unknown as ComplianceAnalysis)
+
+describe('ScoringProfileRegistry', () => {
+  const originalEnv = { ...process.env }
+  const registry = new ScoringProfileRegistry()
+
+  afterEach(() => {
+    process.env = { ...originalEnv }
+  })
+
+  test('should default to the standard profile', () => {
+    delete process.env.SCORING_PROFILE
+
+    expect(registry.resolve().name).toBe('standard')
+  })
+
+  test('should honour SCORING_PROFILE', () => {
+    process.env.SCORING_PROFILE = 'strict'
+
+    expect(registry.resolve().name).toBe('strict')
+  })
+
+  test('should prefer the scan strictness level over the organization default', () => {
+    expect(registry.resolve('lenient', 'strict').name).toBe('lenient')
+    expect(registry.resolve(undefined, 'strict').name).toBe('strict')
+  })
+
+  test('should ignore unknown profile names', () => {
+    expect(registry.resolve('paranoid', 'lenient').name).toBe('lenient')
+  })
+
+  test('should keep the guideline methodology for the standard profile', () => {
+    expect(registry.get('standard').severityDeductions).toBeUndefined()
+    expect(registry.get('strict').severityDeductions!.critical).toBeGreaterThan(registry.get('lenient').severityDeductions!.critical)
+  })
+})
+
+describe('MarketingComplianceScorer with scoring profiles', () => {
+  test('should apply profile thresholds to the same score', async () => {
+    const violations = [violation('high', -15)]
+
+    const lenient = await complianceScorer.generateComplianceReport(analysis('lenient', violations))
+    const strict = await complianceScorer.generateComplianceReport(analysis('strict', violations))
+
+    expect(lenient.score.scoringProfile).toBe('lenient')
+    expect(lenient.score.totalScore).toBe(82) // 100 - 15 - 3 for the missing element
+    expect(lenient.score.complianceLevel).toBe('compliant')
+    expect(strict.score.totalScore).toBe(77) // 100 - 15 - 8
+    expect(strict.score.complianceLevel).toBe('needs_review')
+    expect(strict.score.colorCode).toBe('yellow')
+  })
+
+  test('should apply profile risk thresholds', async () => {
+    const violations = [violation('high', -15)]
+
+    const standard = await complianceScorer.generateComplianceReport(analysis('standard', violations))
+    const strict = await complianceScorer.generateComplianceReport(analysis('strict', violations))
+
+    expect(standard.score.riskIndicators.level).toBe('medium')
+    expect(strict.score.riskIndicators.level).toBe('high')
+  })
+
+  test('should weight categories by profile', async () => {
+    const standard = await complianceScorer.generateComplianceReport(analysis('standard', []))
+    const strict = await complianceScorer.generateComplianceReport(analysis('strict', []))
+
+    expect(standard.score.categoryScores.customer_protection_marketing.weight).toBe(10)
+    expect(strict.score.categoryScores.customer_protection_marketing.weight).toBe(15)
+  })
+})
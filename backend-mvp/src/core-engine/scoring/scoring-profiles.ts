@@ -0,0 +1,110 @@
+import { MarketingRule } from '../marketing-rules/rbi-marketing-loader'
+import { logger } from '../../utils/logger'
+
+export type ScoringProfileName = 'lenient' | 'standard' | 'strict'
+
+export const SCORING_PROFILE_NAMES: ScoringProfileName[] = ['lenient', 'standard', 'strict']
+
+export interface ScoringProfile {
+  name: ScoringProfileName
+  description: string
+  thresholds: {
+    compliant: number // Minimum score to be compliant (green)
+    needsReview: number // Minimum score to need review (yellow); anything lower is non-compliant
+  }
+  // Points deducted per violation. When omitted, the guideline file's scoring_methodology applies,
+  // so historical guideline snapshots keep scoring the way they did.
+  severityDeductions?: Record<MarketingRule['severity'], number>
+  missingElementDeduction?: number
+  prohibitedClaimMultiplier: number // Applied on top of the severity deduction for prohibited claims
+  categoryWeights: Record<string, number>
+  risk: {
+    highViolationsForHighRisk: number // More high-severity violations than this is high risk
+    missingElementsForHighRisk: number
+    violationsForMediumRisk: number // More violations of any severity than this is medium risk
+  }
+}
+
+const BASE_CATEGORY_WEIGHTS: Record<string, number> = {
+  'digital_lending_marketing': 30,
+  'payment_systems_marketing': 20,
+  'payment_aggregator_marketing': 15,
+  'nbfc_marketing': 15,
+  'fair_practices_marketing': 10,
+  'customer_protection_marketing': 10
+}
+
+const SCORING_PROFILES: Record<ScoringProfileName, ScoringProfile> = {
+  lenient: {
+    name: 'lenient',
+    description: 'Basic compliance check for internal drafts',
+    thresholds: { compliant: 70, needsReview: 40 },
+    severityDeductions: { critical: 20, high: 10, medium: 5, low: 2 },
+    missingElementDeduction: 3,
+    prohibitedClaimMultiplier: 1.25,
+    categoryWeights: BASE_CATEGORY_WEIGHTS,
+    risk: { highViolationsForHighRisk: 3, missingElementsForHighRisk: 7, violationsForMediumRisk: 5 }
+  },
+  standard: {
+    name: 'standard',
+    description: 'Comprehensive scanning against the RBI scoring methodology',
+    thresholds: { compliant: 80, needsReview: 50 },
+    prohibitedClaimMultiplier: 1.5,
+    categoryWeights: BASE_CATEGORY_WEIGHTS,
+    risk: { highViolationsForHighRisk: 2, missingElementsForHighRisk: 5, violationsForMediumRisk: 3 }
+  },
+  strict: {
+    name: 'strict',
+    description: 'Detailed regulatory review before publication',
+    thresholds: { compliant: 90, needsReview: 65 },
+    severityDeductions: { critical: 35, high: 20, medium: 12, low: 5 },
+    missingElementDeduction: 8,
+    prohibitedClaimMultiplier: 2,
+    categoryWeights: {
+      ...BASE_CATEGORY_WEIGHTS,
+      'fair_practices_marketing': 15,
+      'customer_protection_marketing': 15
+    },
+    risk: { highViolationsForHighRisk: 0, missingElementsForHighRisk: 3, violationsForMediumRisk: 1 }
+  }
+}
+
+export const isScoringProfileName = (value: unknown): value is ScoringProfileName =>
+  SCORING_PROFILE_NAMES.includes(value as ScoringProfileName)
+
+/**
+ * Named scoring profiles selectable per scan (strictnessLevel) and per organization
+ */
+export class ScoringProfileRegistry {
+  /**
+   * SCORING_PROFILE when set, otherwise standard
+   */
+  getDefaultProfileName(): ScoringProfileName {
+    const configured = process.env.SCORING_PROFILE
+    return isScoringProfileName(configured) ? configured : 'standard'
+  }
+
+  get(name: ScoringProfileName): ScoringProfile {
+    return SCORING_PROFILES[name]
+  }
+
+  /**
+   * Resolve the most specific selection (scan, then organization), falling back to the default.
+   * Unknown names are ignored rather than failing the analysis.
+   */
+  resolve(...selections: Array<string | null | undefined>): ScoringProfile {
+    for (const selection of selections) {
+      if (!selection) continue
+      if (isScoringProfileName(selection)) return SCORING_PROFILES[selection]
+      logger.warn('Unknown scoring profile, ignoring', { scoringProfile: selection })
+    }
+    return SCORING_PROFILES[this.getDefaultProfileName()]
+  }
+
+  listProfiles(): ScoringProfile[] {
+    return SCORING_PROFILE_NAMES.map(name => SCORING_PROFILES[name])
+  }
+}
+
+// Export singleton instance
+export const scoringProfileRegistry = new ScoringProfileRegistry()
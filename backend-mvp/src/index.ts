@@ -13,6 +13,11 @@ import { logger, logSystem, requestLogger } from './utils/logger'
 import { generalRateLimit, speedLimiter } from './middleware/rate-limiter'
 import { authenticateUser, requireAdminRole, requireRole, AuthenticatedRequest } from './middleware/auth.enhanced'
 import { getCacheStats } from './utils/cache'
+import { uploadConfig } from './config/uploads'
+import { formatMegabytes } from './middleware/validation'
+import { batchConfig } from './config/batch'
+import { batchProcessor } from './services/batch-processor'
+import { webhookService } from './services/webhooks/webhook-service'
 
 // Import routes
 import authRoutes from './routes/auth'
@@ -23,6 +28,11 @@ import marketingRoutes from './routes/marketing'
 import dashboardRoutes from './routes/dashboard'
 import reportRoutes from './routes/reports'
 import guidelinesRoutes from './routes/guidelines'
+import rulePackRoutes from './routes/rule-packs'
+import storageRoutes from './routes/storage'
+import eventRoutes from './routes/events'
+import notificationRoutes from './routes/notifications'
+import webhookRoutes from './routes/webhooks'
 
 const app = express()
 const PORT = process.env.PORT || 3001
@@ -53,7 +63,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-Chunk-SHA256']
 }))
 app.use(compression())
 
@@ -107,6 +117,11 @@ app.use('/api/marketing', marketingRoutes)
 app.use('/api/dashboard', dashboardRoutes)
 app.use('/api/reports', reportRoutes)
 app.use('/api/guidelines', guidelinesRoutes)
+app.use('/api/rule-packs', rulePackRoutes)
+app.use('/api/storage', storageRoutes)
+app.use('/api/events', eventRoutes)
+app.use('/api/notifications', notificationRoutes)
+app.use('/api/webhooks', webhookRoutes)
 
 // Error handling middleware
 app.use((err: any, req: express.Request, res: express.Response, next: express.NextFunction): void => {
@@ -119,7 +134,7 @@ app.use((err: any, req: express.Request, res: express.Response, next: express.Ne
   if (err.code === 'LIMIT_FILE_SIZE') {
     res.status(400).json({
       error: 'File too large',
-      message: 'File size must be less than 10MB'
+      message: `Files sent in a single request cannot exceed ${formatMegabytes(uploadConfig.maxDocumentBytes)}; send larger files as a chunked upload (/api/documents/uploads)`
     })
     return
   }
@@ -163,18 +178,24 @@ if (process.env.NODE_ENV !== 'test') {
     logger.info('  • Marketing compliance engine ready')
     logger.info('  • Google Gemini AI integration active')
     logger.info('  • RBI guidelines loaded')
+
+    if (batchConfig.workerEnabled) {
+      batchProcessor.start()
+    }
+    webhookService.start()
   })
 }
 
-// Graceful shutdown
+// Graceful shutdown: batch tasks still running go back to the queue for other workers, and
+// webhook deliveries not yet sent are left for other processes
 process.on('SIGTERM', () => {
   logSystem.shutdown('SIGTERM received')
-  process.exit(0)
+  Promise.allSettled([batchProcessor.stop(), webhookService.stop()]).finally(() => process.exit(0))
 })
 
 process.on('SIGINT', () => {
   logSystem.shutdown('SIGINT received')
-  process.exit(0)
+  Promise.allSettled([batchProcessor.stop(), webhookService.stop()]).finally(() => process.exit(0))
 })
 
 export default app
\ No newline at end of file
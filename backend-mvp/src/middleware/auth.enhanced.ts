@@ -8,6 +8,7 @@ export interface AuthenticatedRequest extends Request {
     email: string
     role?: string
     metadata?: Record<string, any>
+    appMetadata?: Record<string, any> // Set server-side only; organization and entity type come from here
   }
 }
 
@@ -118,6 +119,7 @@ export const authenticateUser = async (
       id: user.id,
       email: user.email || '',
       metadata: user.user_metadata || {},
+      appMetadata: user.app_metadata || {},
       // Store role from metadata if available
       role: (user.user_metadata?.role || user.app_metadata?.role) || 'user'
     }
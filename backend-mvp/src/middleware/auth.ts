@@ -6,6 +6,7 @@ export interface AuthenticatedRequest extends Request {
     id: string
     email: string
     role?: string
+    appMetadata?: Record<string, any> // Set server-side only; organization and entity type come from here
   }
 }
 
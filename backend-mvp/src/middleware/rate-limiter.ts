@@ -4,6 +4,9 @@ import { ipKeyGenerator } from 'express-rate-limit'
 
 const isDevelopment = process.env.NODE_ENV === 'development'
 
+// A chunked upload sends one request per chunk; starting the upload is what counts against the limits
+const isUploadChunk = (req: any) => req.method === 'PUT' && /\/documents\/uploads\/[^/]+\/chunks\//.test(req.originalUrl)
+
 // General API rate limiting
 export const generalRateLimit = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -14,6 +17,7 @@ export const generalRateLimit = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  skip: isUploadChunk
 })
 
 // Strict rate limiting for document upload
@@ -46,7 +50,8 @@ export const speedLimiter = slowDown({
   delayAfter: isDevelopment ? 500 : 50, // Development: 500 requests, Production: 50 requests per windowMs without delay
   delayMs: () => 500, // Add 500ms delay per request after delayAfter
   maxDelayMs: 20000, // Maximum delay of 20 seconds
-  validate: { delayMs: false } // Disable the warning
+  validate: { delayMs: false }, // Disable the warning
+  skip: isUploadChunk
 })
 
 // Per-user rate limiting (requires authentication)
@@ -1,5 +1,50 @@
 import { z } from 'zod'
 import { Request, Response, NextFunction } from 'express'
+import { mediaConfig } from '../config/media'
+import { uploadConfig } from '../config/uploads'
+import { getSourceFormat, SOURCE_FORMAT_MIMETYPES } from '../services/document-extractors'
+import { getMediaFormat, MEDIA_EXTENSION_MIMETYPES, MEDIA_MIMETYPES } from '../services/media-transcript'
+
+export const ALLOWED_UPLOAD_MIMETYPES = [
+  'application/pdf',
+  'image/jpeg',
+  'image/jpg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'text/html',
+  'text/plain',
+  ...Object.keys(MEDIA_MIMETYPES)
+] as [string, ...string[]]
+
+export const UNSUPPORTED_FILE_TYPE_MESSAGE = 'Only PDF, DOCX, PPTX, HTML and TXT files, images (JPG, PNG, GIF, WebP) and audio/video (MP3, WAV, M4A, AAC, OGG, MP4, MOV, WebM, MKV) are allowed'
+
+/**
+ * Mimetype an upload is stored and processed as. Some browsers send Word, PowerPoint, HTML, text
+ * and media files as application/octet-stream, so the extension decides; null if unsupported.
+ */
+export const resolveUploadMimetype = (mimetype: string, filename: string): string | null => {
+  if (ALLOWED_UPLOAD_MIMETYPES.includes(mimetype)) return mimetype
+
+  const sourceFormat = getSourceFormat(mimetype, filename)
+  if (sourceFormat) return SOURCE_FORMAT_MIMETYPES[sourceFormat]
+
+  const extension = filename.split('.').pop()?.toLowerCase() || ''
+  return getMediaFormat(mimetype, filename) ? MEDIA_EXTENSION_MIMETYPES[extension] : null
+}
+
+/**
+ * Largest file accepted for a mimetype. Single-request uploads are held in memory, so every file
+ * sent that way is held to the document limit; larger documents, audio and video are sent in chunks.
+ */
+export const getUploadSizeLimit = (mimetype: string, chunked = false): number => {
+  if (!chunked) return uploadConfig.maxDocumentBytes
+  return MEDIA_MIMETYPES[mimetype] ? mediaConfig.maxUploadBytes : uploadConfig.maxChunkedDocumentBytes
+}
+
+export const formatMegabytes = (bytes: number) => `${Math.round(bytes / (1024 * 1024))}MB`
 
 // Document text validation schema
 const documentTextSchema = z.object({
@@ -27,20 +72,22 @@ const documentTextSchema = z.object({
 // File validation schema
 const fileUploadSchema = z.object({
   originalname: z.string().min(1, 'File name is required'),
-  mimetype: z.enum([
-    'application/pdf',
-    'image/jpeg',
-    'image/jpg', 
-    'image/png',
-    'image/gif',
-    'image/webp'
-  ], {
-    message: 'Only PDF files and images (JPG, PNG, GIF, WebP) are allowed'
+  mimetype: z.enum(ALLOWED_UPLOAD_MIMETYPES, {
+    message: UNSUPPORTED_FILE_TYPE_MESSAGE
   }),
   size: z.number()
-    .min(1, 'File cannot be empty')
-    .max(10 * 1024 * 1024, 'File size cannot exceed 10MB'),
+    .min(1, 'File cannot be empty'),
   buffer: z.instanceof(Buffer, { message: 'Invalid file buffer' })
+}).superRefine((file, ctx) => {
+  const limit = getUploadSizeLimit(file.mimetype)
+
+  if (file.size > limit) {
+    ctx.addIssue({
+      code: 'custom',
+      path: ['size'],
+      message: `File size cannot exceed ${formatMegabytes(limit)}; send larger files as a chunked upload`
+    })
+  }
 })
 
 // Document ID validation
@@ -5,6 +5,10 @@ import {
   createBatchAnalysis,
   getBatchJobStatus,
   cancelBatchJob,
+  pauseBatchJob,
+  resumeBatchJob,
+  retryFailedDocuments,
+  requeueBatchDocument,
   getUserBatchJobs,
   getBatchJobResults
 } from '../controllers/batch'
@@ -20,5 +24,9 @@ router.get('/jobs', getUserBatchJobs)
 router.get('/jobs/:jobId', getBatchJobStatus)
 router.get('/jobs/:jobId/results', getBatchJobResults)
 router.post('/jobs/:jobId/cancel', cancelBatchJob)
+router.post('/jobs/:jobId/pause', pauseBatchJob)
+router.post('/jobs/:jobId/resume', resumeBatchJob)
+router.post('/jobs/:jobId/retry-failed', analysisRateLimit, retryFailedDocuments)
+router.post('/jobs/:jobId/documents/:documentId/requeue', requeueBatchDocument)
 
 export default router
\ No newline at end of file
@@ -2,13 +2,30 @@ import { Router } from 'express'
 import multer from 'multer'
 import { authenticateUser } from '../middleware/auth.enhanced'
 import { uploadRateLimit } from '../middleware/rate-limiter'
-import { validateFileUpload, validateDocumentId } from '../middleware/validation'
+import {
+  validateFileUpload,
+  validateDocumentId,
+  resolveUploadMimetype,
+  UNSUPPORTED_FILE_TYPE_MESSAGE
+} from '../middleware/validation'
 import {
   uploadDocument,
   getDocuments,
   getDocument,
-  deleteDocument
+  deleteDocument,
+  getAnnotatedPages,
+  getAnnotatedPage,
+  getDocumentFile,
+  initChunkedUpload,
+  getChunkedUpload,
+  uploadChunk,
+  completeChunkedUpload,
+  abortChunkedUpload,
+  reuseAnalysis,
+  getDocumentVersions,
+  compareDocumentVersions
 } from '../controllers/documents'
+import { uploadConfig } from '../config/uploads'
 
 const router = Router()
 
@@ -16,23 +33,20 @@ const router = Router()
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
+    // Files are held in memory, so audio, video and documents over UPLOAD_MAX_DOCUMENT_MB are
+    // sent through the chunked upload routes, which stream them to disk
+    fileSize: uploadConfig.maxDocumentBytes
   },
   fileFilter: (req, file, cb) => {
-    // Accept PDF files and images for OCR processing
-    const allowedTypes = [
-      'application/pdf',
-      'image/jpeg',
-      'image/jpg',
-      'image/png',
-      'image/gif',
-      'image/webp'
-    ]
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    // PDFs and images for OCR; Word, PowerPoint, HTML and text creatives; TV, YouTube and radio
+    // spots, transcribed with their time offsets. The mimetype is corrected by file extension.
+    const mimetype = resolveUploadMimetype(file.mimetype, file.originalname)
+
+    if (mimetype) {
+      file.mimetype = mimetype
       cb(null, true)
     } else {
-      cb(new Error('Only PDF files and images (JPG, PNG, GIF, WebP) are allowed'))
+      cb(new Error(UNSUPPORTED_FILE_TYPE_MESSAGE))
     }
   }
 })
@@ -42,8 +56,22 @@ router.use(authenticateUser)
 
 // Document routes
 router.post('/upload', upload.single('document'), validateFileUpload, uploadDocument) // uploadRateLimit removed
+
+// Resumable chunked uploads: chunk bodies are raw bytes (application/octet-stream) streamed to disk
+router.post('/uploads', initChunkedUpload)
+router.get('/uploads/:uploadId', getChunkedUpload)
+router.put('/uploads/:uploadId/chunks/:index', uploadChunk)
+router.post('/uploads/:uploadId/complete', completeChunkedUpload)
+router.delete('/uploads/:uploadId', abortChunkedUpload)
+
 router.get('/', getDocuments)
 router.get('/:id', validateDocumentId, getDocument)
+router.get('/:id/annotated-pages', validateDocumentId, getAnnotatedPages)
+router.get('/:id/annotated-pages/:page', validateDocumentId, getAnnotatedPage)
+router.get('/:id/file', validateDocumentId, getDocumentFile)
+router.post('/:id/reuse-analysis', validateDocumentId, reuseAnalysis)
+router.get('/:id/versions', validateDocumentId, getDocumentVersions)
+router.get('/:id/compare', validateDocumentId, compareDocumentVersions)
 router.delete('/:id', validateDocumentId, deleteDocument)
 
 export default router
\ No newline at end of file
@@ -0,0 +1,71 @@
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals'
+import express from 'express'
+import { AddressInfo } from 'net'
+import { Server } from 'http'
+
+// Stands in for Supabase token validation: only "Bearer valid-token" is accepted
+jest.mock('../middleware/auth.enhanced', () => ({
+  authenticateUser: (req: any, res: any, next: any) => {
+    if (req.headers.authorization !== 'Bearer valid-token') {
+      return res.status(401).json({ error: 'Authorization required' })
+    }
+    req.user = { id: 'user-123', email: 'priya@example.com' }
+    next()
+  }
+}))
+
+import eventRoutes from './events'
+import { realtimeEvents, RealtimeEventName } from '../services/realtime-events'
+import { createStreamToken } from '../services/stream-tokens'
+
+describe('event stream authentication', () => {
+  let server: Server
+  let baseUrl: string
+
+  beforeAll(async () => {
+    const app = express()
+    app.use('/api/events', eventRoutes)
+    server = app.listen(0)
+    await new Promise(resolve => server.once('listening', resolve))
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}/api/events`
+  })
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  test('should issue a stream token for a Bearer-authenticated user and stream that user\'s events with it', async () => {
+    const issued = await fetch(`${baseUrl}/token`, { method: 'POST', headers: { Authorization: 'Bearer valid-token' } })
+    expect(issued.status).toBe(200)
+    const { token, expiresAt } = await issued.json() as { token: string; expiresAt: string }
+    expect(Date.parse(expiresAt)).toBeGreaterThan(Date.now())
+
+    realtimeEvents.publish('user-123', RealtimeEventName.BATCH_PROGRESS, { jobId: 'batch_1' })
+    const controller = new AbortController()
+    const stream = await fetch(`${baseUrl}?since=0&token=${encodeURIComponent(token)}`, { signal: controller.signal })
+
+    expect(stream.status).toBe(200)
+    expect(stream.headers.get('content-type')).toContain('text/event-stream')
+
+    const reader = stream.body!.getReader()
+    let received = ''
+    while (!received.includes('event: batch:progress')) {
+      const { value, done } = await reader.read()
+      if (done) break
+      received += Buffer.from(value).toString('utf8')
+    }
+    controller.abort()
+
+    expect(received).toContain('"jobId":"batch_1"')
+  })
+
+  test('should refuse a stream without a Bearer token or with a forged or expired stream token', async () => {
+    const expired = createStreamToken('user-123', Date.now() - 10 * 60 * 1000).token
+    const forged = createStreamToken('user-123').token.replace(/.$/, char => char === '0' ? '1' : '0')
+
+    expect((await fetch(`${baseUrl}/token`, { method: 'POST' })).status).toBe(401)
+    expect((await fetch(baseUrl)).status).toBe(401)
+    expect((await fetch(`${baseUrl}?token=${expired}`)).status).toBe(401)
+    expect((await fetch(`${baseUrl}?token=${forged}`)).status).toBe(401)
+  })
+})
@@ -0,0 +1,80 @@
+import { Router, Response, NextFunction } from 'express'
+import { authenticateUser, AuthenticatedRequest } from '../middleware/auth.enhanced'
+import { realtimeEvents, RealtimeEvent } from '../services/realtime-events'
+import { createStreamToken, verifyStreamToken } from '../services/stream-tokens'
+
+const router = Router()
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL_MS = 25000
+
+// EventSource cannot send headers, so browsers open the stream with a token from POST /token;
+// other clients may send their Bearer token as usual
+const authenticateStream = (req: AuthenticatedRequest, res: Response, next: NextFunction) => {
+  if (typeof req.query.token !== 'string') {
+    return authenticateUser(req, res, next)
+  }
+
+  const userId = verifyStreamToken(req.query.token)
+  if (!userId) {
+    return res.status(401).json({
+      error: 'Authentication failed',
+      message: 'Invalid or expired stream token'
+    })
+  }
+
+  req.user = { id: userId, email: '' }
+  next()
+}
+
+router.post('/token', authenticateUser, (req: AuthenticatedRequest, res: Response) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'User not authenticated' })
+  }
+
+  res.json(createStreamToken(req.user.id))
+})
+
+// Server-sent events: analysis stages, violations as they are found, and batch job progress.
+// A reconnecting client sends Last-Event-ID (or ?since=<last id>) and receives what it missed;
+// ?since=0 asks for every recent event, for a page that starts listening just after it uploaded a
+// document.
+router.get('/', authenticateStream, (req: AuthenticatedRequest, res: Response) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'User not authenticated' })
+  }
+
+  const lastEventId = Number(req.get('Last-Event-ID') ?? req.query.since)
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+  res.flushHeaders()
+  res.write('retry: 3000\n\n')
+
+  const send = (event: RealtimeEvent) => {
+    res.write(`id: ${event.id}\nevent: ${event.event}\ndata: ${JSON.stringify({
+      event: event.event,
+      data: event.data,
+      timestamp: event.timestamp
+    })}\n\n`)
+  }
+
+  const unsubscribe = realtimeEvents.subscribe(
+    req.user.id,
+    send,
+    Number.isInteger(lastEventId) && lastEventId >= 0 ? lastEventId : undefined
+  )
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS)
+
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+  })
+})
+
+export default router
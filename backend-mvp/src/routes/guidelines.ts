@@ -1,5 +1,6 @@
 import { Router } from 'express'
-import { getRBIGuidelines, getGuidelinesByCategory } from '../controllers/guidelines'
+import { authenticateUser, requireAdminRole } from '../middleware/auth.enhanced'
+import { getRBIGuidelines, getGuidelinesByCategory, previewMarketingGuidelines } from '../controllers/guidelines'
 
 const router = Router()
 
@@ -7,4 +8,7 @@ const router = Router()
 router.get('/rbi', getRBIGuidelines)
 router.get('/rbi/:category', getGuidelinesByCategory)
 
+// Dry-run of a new marketing guidelines file before it goes live - admins only
+router.post('/marketing/preview', authenticateUser, requireAdminRole, previewMarketingGuidelines)
+
 export default router
@@ -1,13 +1,20 @@
 import { Router } from 'express'
-import { authenticateUser } from '../middleware/auth.enhanced'
+import { authenticateUser, requireRole } from '../middleware/auth.enhanced'
 import { userAnalysisRateLimit } from '../middleware/rate-limiter'
 import { validateDocumentId, validateAnalysisParams } from '../middleware/validation'
 import {
   analyzeMarketingContent,
+  analyzeMarketingUrl,
   quickMarketingCheck,
   getMarketingRecommendations,
   getComplianceStatistics,
-  validateMarketingSetup
+  validateMarketingSetup,
+  reanalyzeWithGuidelinesVersion,
+  listGuidelineVersions,
+  getAIProviderSettings,
+  updateAIProviderSettings,
+  getScoringProfileSettings,
+  updateScoringProfileSettings
 } from '../controllers/marketing'
 
 const router = Router()
@@ -17,10 +24,17 @@ router.use(authenticateUser)
 
 // Marketing compliance routes
 router.post('/analyze/content', userAnalysisRateLimit, analyzeMarketingContent)
+router.post('/analyze/url', userAnalysisRateLimit, analyzeMarketingUrl)
 router.post('/check/quick', quickMarketingCheck)
 router.post('/documents/:documentId/analyze', userAnalysisRateLimit, validateDocumentId, validateAnalysisParams, analyzeMarketingContent)
 router.get('/documents/:documentId/recommendations', validateDocumentId, getMarketingRecommendations)
+router.post('/documents/:documentId/reanalyze', userAnalysisRateLimit, validateDocumentId, reanalyzeWithGuidelinesVersion)
+router.get('/guidelines/versions', listGuidelineVersions)
 router.get('/statistics', getComplianceStatistics)
 router.get('/setup/validate', validateMarketingSetup)
+router.get('/ai/providers', getAIProviderSettings)
+router.put('/ai/providers', requireRole(['admin', 'compliance_manager']), updateAIProviderSettings)
+router.get('/scoring/profiles', getScoringProfileSettings)
+router.put('/scoring/profiles', requireRole(['admin', 'compliance_manager']), updateScoringProfileSettings)
 
 export default router
\ No newline at end of file
@@ -0,0 +1,23 @@
+import { Router } from 'express'
+import { authenticateUser } from '../middleware/auth.enhanced'
+import {
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences
+} from '../controllers/notifications'
+
+const router = Router()
+
+// All routes require authentication
+router.use(authenticateUser)
+
+// In-app notifications and where else they are delivered
+router.get('/', listNotifications)
+router.post('/read-all', markAllNotificationsRead)
+router.post('/:id/read', markNotificationRead)
+router.get('/preferences', getNotificationPreferences)
+router.put('/preferences', updateNotificationPreferences)
+
+export default router
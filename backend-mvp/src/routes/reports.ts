@@ -5,6 +5,7 @@ import { Response } from 'express'
 import { AuthenticatedRequest } from '../middleware/auth'
 import { supabase } from '../config/supabase'
 import { reportGenerationService, ReportConfig, ExportSettings } from '../services/reportGeneration'
+import { notificationService } from '../services/notifications/notification-service'
 import { z } from 'zod'
 
 const router = Router()
@@ -86,7 +87,7 @@ router.post('/generate', async (req: AuthenticatedRequest, res: Response) => {
 
     // Generate the actual PDF report
     try {
-      const fileName = await reportGenerationService.generateReport(
+      const { fileName, storageBackend } = await reportGenerationService.generateReport(
         req.user.id,
         config,
         exportSettings
@@ -98,6 +99,7 @@ router.post('/generate', async (req: AuthenticatedRequest, res: Response) => {
         .update({
           status: 'completed',
           file_name: fileName,
+          storage_backend: storageBackend,
           completed_at: new Date().toISOString()
         })
         .eq('id', reportRecord.id)
@@ -106,18 +108,26 @@ router.post('/generate', async (req: AuthenticatedRequest, res: Response) => {
         console.error('Failed to update report record:', updateError)
       }
 
+      // Download links expire, so the notification points at the report history instead
+      void notificationService.notify(req.user.id, {
+        type: 'report_ready',
+        severity: 'success',
+        title: 'Report ready',
+        message: `"${config.title}" has been generated and is ready to download.`,
+        link: '/compliance-reports',
+        data: { reportId: reportRecord.id, template: config.template, format: exportSettings.format }
+      })
+
       // Get download URL
-      const { data: downloadUrl } = await supabase.storage
-        .from('reports')
-        .createSignedUrl(`reports/${fileName}`, 3600) // 1 hour expiry
+      const downloadUrl = await reportGenerationService.createDownloadUrl(fileName, storageBackend)
 
       res.json({
         success: true,
         message: 'Report generated successfully',
         reportId: reportRecord.id,
         fileName,
-        downloadUrl: downloadUrl?.signedUrl,
-        expiresAt: new Date(Date.now() + 3600 * 1000).toISOString()
+        downloadUrl: downloadUrl.url,
+        expiresAt: downloadUrl.expiresAt
       })
 
     } catch (generationError: any) {
@@ -240,13 +250,12 @@ router.get('/history', async (req: AuthenticatedRequest, res: Response) => {
       (reports || []).map(async (report) => {
         if (report.status === 'completed' && report.file_name) {
           try {
-            const { data: downloadUrl } = await supabase.storage
-              .from('reports')
-              .createSignedUrl(`reports/${report.file_name}`, 3600)
-            
+            const downloadUrl = await reportGenerationService.createDownloadUrl(report.file_name, report.storage_backend)
+
             return {
               ...report,
-              downloadUrl: downloadUrl?.signedUrl
+              downloadUrl: downloadUrl.url,
+              downloadUrlExpiresAt: downloadUrl.expiresAt
             }
           } catch (error) {
             console.error('Failed to create download URL:', error)
@@ -327,20 +336,19 @@ router.get('/analysis/:documentId', validateDocumentId, async (req: Authenticate
         watermark: false
       }
 
-      const fileName = await reportGenerationService.generateReport(
+      const { fileName, storageBackend } = await reportGenerationService.generateReport(
         req.user.id,
         config,
         exportSettings
       )
 
-      const { data: downloadUrl } = await supabase.storage
-        .from('reports')
-        .createSignedUrl(`reports/${fileName}`, 3600)
+      const downloadUrl = await reportGenerationService.createDownloadUrl(fileName, storageBackend)
 
       res.json({ 
         success: true,
         fileName,
-        downloadUrl: downloadUrl?.signedUrl,
+        downloadUrl: downloadUrl.url,
+        expiresAt: downloadUrl.expiresAt,
         message: 'PDF report generated successfully'
       })
     }
@@ -427,20 +435,19 @@ router.get('/violations', async (req: AuthenticatedRequest, res: Response) => {
         watermark: false
       }
 
-      const fileName = await reportGenerationService.generateReport(
+      const { fileName, storageBackend } = await reportGenerationService.generateReport(
         req.user.id,
         config,
         exportSettings
       )
 
-      const { data: downloadUrl } = await supabase.storage
-        .from('reports')
-        .createSignedUrl(`reports/${fileName}`, 3600)
+      const downloadUrl = await reportGenerationService.createDownloadUrl(fileName, storageBackend)
 
       res.json({ 
         success: true,
         fileName,
-        downloadUrl: downloadUrl?.signedUrl,
+        downloadUrl: downloadUrl.url,
+        expiresAt: downloadUrl.expiresAt,
         message: 'PDF violations report generated successfully'
       })
     }
@@ -0,0 +1,27 @@
+import { Router } from 'express'
+import { authenticateUser, requireRole } from '../middleware/auth.enhanced'
+import {
+  listRulePacks,
+  getRulePack,
+  createRulePack,
+  updateRulePack,
+  deleteRulePack,
+  getEffectiveRules
+} from '../controllers/rule-packs'
+
+const router = Router()
+
+// All routes require authentication
+router.use(authenticateUser)
+
+const requireRulePackEditor = requireRole(['admin', 'compliance_manager'])
+
+// Rule pack routes
+router.get('/', listRulePacks)
+router.get('/effective', getEffectiveRules)
+router.get('/:id', getRulePack)
+router.post('/', requireRulePackEditor, createRulePack)
+router.put('/:id', requireRulePackEditor, updateRulePack)
+router.delete('/:id', requireRulePackEditor, deleteRulePack)
+
+export default router
@@ -0,0 +1,32 @@
+import { Router, Request, Response } from 'express'
+import { storageConfig } from '../config/storage'
+import { storageService } from '../services/storage/storage-service'
+
+const router = Router()
+
+// Files kept by the local storage backend. There is no session here: the link itself is the
+// credential, so only an unexpired HMAC signature issued by the API opens a file.
+router.get('/:bucket/*key', (req: Request, res: Response) => {
+  const bucket = req.params.bucket as string
+  const key = ([] as string[]).concat(req.params.key).join('/')
+  const expires = Number(req.query.expires)
+  const signature = typeof req.query.signature === 'string' ? req.query.signature : ''
+
+  const local = storageService.getLocalAdapter()
+  const knownBucket = Object.values(storageConfig.buckets).includes(bucket)
+
+  if (!knownBucket || !local.verifySignature(bucket, key, expires, signature)) {
+    return res.status(403).json({ error: 'Invalid or expired link' })
+  }
+
+  res.set('Cache-Control', 'private, no-store')
+  // Signed links are opened by the frontend, which is served from another origin
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  res.sendFile(local.getFilePath(bucket, key), error => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: 'File not found' })
+    }
+  })
+})
+
+export default router
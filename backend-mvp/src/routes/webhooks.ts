@@ -0,0 +1,33 @@
+import { Router } from 'express'
+import { authenticateUser } from '../middleware/auth.enhanced'
+import {
+  getWebhookEventTypes,
+  listWebhookSubscriptions,
+  createWebhookSubscription,
+  getWebhookSubscription,
+  updateWebhookSubscription,
+  deleteWebhookSubscription,
+  listWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery
+} from '../controllers/webhooks'
+
+const router = Router()
+
+// All routes require authentication
+router.use(authenticateUser)
+
+// Subscriptions
+router.get('/event-types', getWebhookEventTypes)
+router.get('/', listWebhookSubscriptions)
+router.post('/', createWebhookSubscription)
+router.get('/:id', getWebhookSubscription)
+router.patch('/:id', updateWebhookSubscription)
+router.delete('/:id', deleteWebhookSubscription)
+
+// Delivery log
+router.get('/:id/deliveries', listWebhookDeliveries)
+router.get('/deliveries/:deliveryId', getWebhookDelivery)
+router.post('/deliveries/:deliveryId/replay', replayWebhookDelivery)
+
+export default router
@@ -127,7 +127,9 @@ describe('AIService', () => {
         'This is a test marketing document with guaranteed returns',
         'user-123',
         'doc-123',
-        'general_marketing'
+        'general_marketing',
+        // No scan configuration, so the organization's (or default) scoring profile applies
+        { strictnessLevel: undefined }
       )
     })
 
@@ -2,8 +2,11 @@ import OpenAI from 'openai'
 import { logger, logAnalysis, performanceLogger } from '../utils/logger'
 // import { analysisCache, createCacheKey, hashText, getCachedAnalysisResult, cacheAnalysisResult } from '../utils/cache'
 import { analyzeTextContent } from '../middleware/validation'
-import { marketingPipeline, MarketingAnalysisResult } from '../core-engine/pipeline/marketing-analysis-pipeline'
+import { marketingPipeline, MarketingAnalysisResult, MarketingAnalysisOptions } from '../core-engine/pipeline/marketing-analysis-pipeline'
+import { calculateAIConfidence } from '../core-engine/ai/llm-provider'
+import { isScoringProfileName } from '../core-engine/scoring/scoring-profiles'
 import { databaseService } from './database-service'
+import { realtimeEvents, RealtimeEventName } from './realtime-events'
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
@@ -21,6 +24,7 @@ export interface ComplianceAnalysis {
     suggestion: string | null
   }>
   confidence: number
+  aiDegradedReason?: string // Set when the language model gave no usable answer and only rules were applied
 }
 
 export class AIService {
@@ -31,7 +35,8 @@ export class AIService {
     text: string, 
     documentId: string, 
     userId: string, 
-    scanConfig?: any
+    scanConfig?: any,
+    source: Pick<MarketingAnalysisOptions, 'sourceSegments' | 'ocr' | 'signal'> = {}
   ): Promise<ComplianceAnalysis> {
     try {
       // Determine marketing context based on scan configuration
@@ -67,21 +72,44 @@ export class AIService {
         text, 
         userId, 
         documentId,
-        marketingContext
+        marketingContext,
+        {
+          // Scan configuration strictness picks the scoring profile; invalid values fall back to the defaults
+          strictnessLevel: isScoringProfileName(scanConfig?.strictnessLevel) ? scanConfig.strictnessLevel : undefined,
+          // Page/slide structure and OCR confidence of the uploaded file, and the abort signal
+          ...source
+        }
       )
 
       // Convert marketing result to legacy format for backward compatibility
       return this.convertToLegacyFormat(marketingResult)
 
     } catch (error: any) {
+      // An aborted analysis must not be saved, which the legacy analysis would do
+      if (source.signal?.aborted) throw error
+
       logger.error('Marketing compliance analysis failed, falling back to legacy', {
         documentId,
         userId,
         error: error.message
       })
 
-      // Fallback to legacy analysis if marketing pipeline fails
-      return this.legacyAnalyzeCompliance(text, documentId, userId, scanConfig)
+      // Fallback to legacy analysis if marketing pipeline fails; its outcome ends the event stream
+      try {
+        const analysis = await this.legacyAnalyzeCompliance(text, documentId, userId, scanConfig)
+        realtimeEvents.publish(userId, RealtimeEventName.ANALYSIS_COMPLETED, {
+          documentId,
+          complianceScore: analysis.complianceScore,
+          complianceLevel: analysis.overallStatus,
+          violationsCount: analysis.violations.length,
+          aiDegraded: false,
+          cacheUsed: false
+        })
+        return analysis
+      } catch (legacyError: any) {
+        realtimeEvents.publish(userId, RealtimeEventName.ANALYSIS_FAILED, { documentId, error: legacyError.message })
+        throw legacyError
+      }
     }
   }
 
@@ -236,9 +264,10 @@ export class AIService {
       complianceScore: marketingResult.complianceReport.score.totalScore,
       overallStatus: marketingResult.complianceReport.score.complianceLevel,
       violations,
-      confidence: marketingResult.aiInsights.aiViolations.length > 0 
-        ? marketingResult.aiInsights.aiViolations.reduce((sum, v) => sum + v.confidenceScore, 0) / marketingResult.aiInsights.aiViolations.length
-        : 0.8
+      confidence: calculateAIConfidence(marketingResult.aiInsights),
+      ...(marketingResult.aiInsights.degraded
+        ? { aiDegradedReason: marketingResult.aiInsights.degradedReason || 'AI analysis unavailable' }
+        : {})
     }
   }
 
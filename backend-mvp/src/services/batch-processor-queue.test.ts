@@ -0,0 +1,204 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals'
+
+jest.mock('./ai-service')
+jest.mock('./document-processor')
+
+type QueryResult = { data: any; error: any }
+
+const updates: Array<{ table: string; values: any; filters: Array<[string, any]> }> = []
+const rpc = jest.fn<(name: string, params: any) => Promise<QueryResult>>()
+let job: any
+let documentRow: any
+let analyzeCompliance: jest.Mock<(...args: any[]) => Promise<any>>
+
+// Records updates and answers reads; every query resolves like a Supabase builder
+const query = (table: string) => {
+  const filters: Array<[string, any]> = []
+  let values: any = null
+  const result = (): QueryResult => {
+    if (table === 'batch_jobs' && !values) return { data: job, error: null }
+    if (table === 'documents') return { data: documentRow, error: null }
+    return { data: [{ id: 'updated' }], error: null }
+  }
+  const builder: any = {
+    update: (next: any) => {
+      values = next
+      updates.push({ table, values, filters })
+      return builder
+    },
+    then: (resolve: any, reject: any) => Promise.resolve(result()).then(resolve, reject),
+    maybeSingle: async () => result(),
+    single: async () => result()
+  }
+  for (const method of ['select', 'eq', 'in', 'is', 'lt', 'order', 'limit', 'insert', 'delete']) {
+    builder[method] = (...args: any[]) => {
+      if (method === 'eq') filters.push([args[0], args[1]])
+      return builder
+    }
+  }
+  return builder
+}
+
+jest.mock('../config/supabase', () => ({
+  supabaseServer: {
+    from: (table: string) => query(table),
+    rpc: (name: string, params: any) => rpc(name, params)
+  }
+}))
+
+import { AIService } from './ai-service'
+import { BatchProcessor, classifyFailure, retryDelayMs } from './batch-processor'
+
+const task = (overrides: Record<string, any> = {}) => ({
+  id: 'task-1',
+  job_id: 'batch_1',
+  document_id: 'doc-1',
+  user_id: 'user-123',
+  status: 'processing',
+  attempts: 1,
+  max_attempts: 3,
+  available_at: new Date().toISOString(),
+  lease_owner: 'worker',
+  lease_expires_at: new Date().toISOString(),
+  error: null,
+  duration_ms: null,
+  created_at: new Date().toISOString(),
+  started_at: new Date().toISOString(),
+  completed_at: null,
+  ...overrides
+})
+
+const taskUpdate = async () => {
+  for (let i = 0; i < 100 && !updates.some(update => update.table === 'batch_tasks'); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+  return updates.find(update => update.table === 'batch_tasks')
+}
+
+describe('batch queue worker', () => {
+  let processor: BatchProcessor
+
+  beforeEach(() => {
+    updates.length = 0
+    job = { id: 'batch_1', user_id: 'user-123', status: 'processing', options: { concurrency: 3 }, total_count: 1 }
+    documentRow = { extracted_text: 'Guaranteed approval', metadata: {} }
+    analyzeCompliance = jest.fn<(...args: any[]) => Promise<any>>()
+    ;(AIService as jest.MockedClass<typeof AIService>).mockImplementation(() => ({ analyzeCompliance }) as any)
+    rpc.mockImplementation(async name => ({ data: name === 'refresh_batch_job' ? [job] : [], error: null }))
+    processor = new BatchProcessor()
+  })
+
+  afterEach(async () => {
+    await processor.stop()
+    jest.clearAllMocks()
+  })
+
+  test('should return a failed attempt to the queue with backoff while retries remain', async () => {
+    rpc.mockImplementationOnce(async () => ({ data: [task()], error: null }))
+    analyzeCompliance.mockRejectedValue(new Error('Model unavailable'))
+
+    const before = Date.now()
+    processor.start()
+    const update = await taskUpdate()
+
+    expect(rpc).toHaveBeenCalledWith('claim_batch_task', expect.objectContaining({ p_lease_seconds: 60 }))
+    expect(update?.values).toEqual(expect.objectContaining({ status: 'pending', error: 'Model unavailable', lease_owner: null }))
+    expect(Date.parse(update?.values.available_at)).toBeGreaterThanOrEqual(before + 2000)
+    // Only the worker holding the lease may record the outcome
+    expect(update?.filters).toEqual(expect.arrayContaining([['id', 'task-1'], ['status', 'processing']]))
+  })
+
+  test('should record success and recount the job', async () => {
+    rpc.mockImplementationOnce(async () => ({ data: [task()], error: null }))
+    analyzeCompliance.mockResolvedValue({ complianceScore: 90 })
+
+    processor.start()
+    const update = await taskUpdate()
+
+    expect(update?.values).toEqual(expect.objectContaining({ status: 'succeeded', error: null, completed_at: expect.any(String) }))
+    await new Promise(resolve => setTimeout(resolve, 20))
+    expect(rpc).toHaveBeenCalledWith('refresh_batch_job', { p_job_id: 'batch_1' })
+  })
+
+  test('should fail a task that keeps losing its worker instead of running it again', async () => {
+    rpc.mockImplementationOnce(async () => ({ data: [task({ attempts: 4 })], error: null }))
+
+    processor.start()
+    const update = await taskUpdate()
+
+    expect(analyzeCompliance).not.toHaveBeenCalled()
+    expect(update?.values).toEqual(expect.objectContaining({ status: 'failed', error: 'Worker stopped responding during analysis' }))
+  })
+
+  test('should fail a document without extracted text at once instead of retrying', async () => {
+    rpc.mockImplementationOnce(async () => ({ data: [task()], error: null }))
+    documentRow = { extracted_text: null, metadata: {} }
+
+    processor.start()
+    const update = await taskUpdate()
+
+    expect(update?.values).toEqual(expect.objectContaining({ status: 'failed', failure_kind: 'permanent' }))
+  })
+
+  test('should analyze again later when a rate limit left only the rules', async () => {
+    rpc.mockImplementationOnce(async () => ({ data: [task()], error: null }))
+    analyzeCompliance.mockResolvedValue({ complianceScore: 70, aiDegradedReason: '429 Too Many Requests' })
+
+    const before = Date.now()
+    processor.start()
+    const update = await taskUpdate()
+
+    expect(update?.values).toEqual(expect.objectContaining({ status: 'pending', failure_kind: 'transient' }))
+    expect(Date.parse(update?.values.available_at)).toBeGreaterThanOrEqual(before + 30000)
+  })
+
+  test('should abort running analyses when stopping and only then hand their tasks back', async () => {
+    rpc.mockImplementationOnce(async () => ({ data: [task()], error: null }))
+    let signal: AbortSignal | undefined
+    analyzeCompliance.mockImplementation((...args) => new Promise((_, reject) => {
+      signal = args[4].signal
+      signal!.addEventListener('abort', () => reject(signal!.reason))
+    }))
+
+    processor.start()
+    for (let i = 0; i < 100 && !signal; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10))
+    }
+    await processor.stop()
+
+    expect(signal?.aborted).toBe(true)
+    // No outcome is recorded for the aborted attempt; the task is released without counting it
+    const taskUpdates = updates.filter(update => update.table === 'batch_tasks')
+    expect(taskUpdates).toHaveLength(1)
+    expect(taskUpdates[0].values).toEqual({ status: 'pending', attempts: 0, lease_owner: null, lease_expires_at: null })
+  })
+
+  test('should keep a rules-only analysis on the last attempt', async () => {
+    rpc.mockImplementationOnce(async () => ({ data: [task({ attempts: 3 })], error: null }))
+    analyzeCompliance.mockResolvedValue({ complianceScore: 70, aiDegradedReason: '429 Too Many Requests' })
+
+    processor.start()
+    const update = await taskUpdate()
+
+    expect(update?.values).toEqual(expect.objectContaining({ status: 'succeeded' }))
+  })
+})
+
+describe('batch retry policy', () => {
+  test('should tell failures another attempt cannot fix from transient ones', () => {
+    expect(classifyFailure('Document not found or has no extracted text')).toBe('permanent')
+    expect(classifyFailure('Analysis timeout')).toBe('transient')
+    expect(classifyFailure('Gemini API error: 429 RESOURCE_EXHAUSTED')).toBe('transient')
+    expect(classifyFailure('Something unexpected')).toBe('transient')
+  })
+
+  test('should back off exponentially, longer after a rate limit, up to the maximum', () => {
+    const noJitter = () => 0
+
+    expect(retryDelayMs(1, 'Analysis timeout', noJitter)).toBe(2000)
+    expect(retryDelayMs(3, 'Analysis timeout', noJitter)).toBe(8000)
+    expect(retryDelayMs(2, 'Rate limit exceeded', noJitter)).toBe(60000)
+    expect(retryDelayMs(10, 'Rate limit exceeded', noJitter)).toBe(300000)
+    expect(retryDelayMs(1, 'Analysis timeout', () => 1)).toBe(2400)
+  })
+})
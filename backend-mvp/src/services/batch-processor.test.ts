@@ -1,6 +1,6 @@
 import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals'
 import { BatchProcessor } from './batch-processor'
-import { supabase } from '../config/supabase'
+import { supabaseServer } from '../config/supabase'
 import { AIService } from './ai-service'
 import { DocumentProcessor } from './document-processor'
 
@@ -50,7 +50,7 @@ describe('BatchProcessor', () => {
     jest.clearAllMocks()
     
     // Mock supabase
-    Object.assign(supabase, mockSupabase)
+    Object.assign(supabaseServer, mockSupabase)
     
     // Mock services
     ;(AIService as jest.MockedClass<typeof AIService>).mockImplementation(() => mockAIService as any)
@@ -1,21 +1,29 @@
-import { supabase } from '../config/supabase'
+import * as os from 'os'
+import { randomUUID } from 'crypto'
+import { supabaseServer } from '../config/supabase'
+import { batchConfig } from '../config/batch'
 import { DocumentProcessor } from './document-processor'
 import { AIService } from './ai-service'
+import { realtimeEvents, RealtimeEventName } from './realtime-events'
+import { notificationService } from './notifications/notification-service'
 import { logger, logAnalysis } from '../utils/logger'
-import { performanceLogger } from '../utils/logger'
+import { ScoringProfileName } from '../core-engine/scoring/scoring-profiles'
 
 interface BatchJob {
   id: string
   userId: string
   documentIds: string[]
-  status: 'pending' | 'processing' | 'completed' | 'failed' | 'partial'
+  status: 'pending' | 'processing' | 'paused' | 'completed' | 'failed' | 'partial'
   progress: {
     total: number
     completed: number
     failed: number
   }
   results: BatchResult[]
+  parentJobId?: string // Set on a job that retries another job's failed documents
   createdAt: Date
+  startedAt?: Date
+  pausedAt?: Date
   completedAt?: Date
   error?: string
 }
@@ -25,7 +33,54 @@ interface BatchResult {
   status: 'success' | 'failed'
   analysisId?: string
   error?: string
+  failureKind?: FailureKind
   duration: number
+  attempts: number
+}
+
+// Transient failures are retried with backoff; permanent ones cannot succeed on another attempt
+export type FailureKind = 'transient' | 'permanent'
+
+interface BatchJobRow {
+  id: string
+  user_id: string
+  status: BatchJob['status']
+  options: BatchAnalysisOptions
+  total_count: number
+  completed_count: number
+  failed_count: number
+  error: string | null
+  parent_job_id: string | null
+  created_at: string
+  started_at: string | null
+  paused_at: string | null
+  completed_at: string | null
+  notified_at: string | null
+}
+
+interface BatchTaskRow {
+  id: string
+  job_id: string
+  document_id: string
+  user_id: string
+  status: 'pending' | 'processing' | 'succeeded' | 'failed' | 'cancelled'
+  attempts: number
+  max_attempts: number
+  available_at: string
+  lease_owner: string | null
+  lease_expires_at: string | null
+  error: string | null
+  failure_kind: FailureKind | null
+  duration_ms: number | null
+  created_at: string
+  started_at: string | null
+  completed_at: string | null
+}
+
+interface RunningTask {
+  task: BatchTaskRow
+  controller: AbortController // Aborts the task's analysis when the worker stops
+  done: Promise<void> // Settles once the task has stopped, with or without an outcome
 }
 
 interface BatchAnalysisOptions {
@@ -34,12 +89,83 @@ interface BatchAnalysisOptions {
   timeoutMs: number
   skipDuplicates: boolean
   notifyOnComplete: boolean
+  strictnessLevel?: ScoringProfileName
+}
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+const CANCELLED_BY_USER = 'Cancelled by user'
+
+// The document itself cannot be analyzed, so retrying cannot help
+const PERMANENT_FAILURE = /not found|no extracted text|do not belong/i
+// The language model's rate limit or quota; the longest backoff
+const RATE_LIMITED = /rate.?limit|too many requests|\b429\b|quota|resource.?exhausted/i
+// Worth another attempt once the model or network recovers
+const TRANSIENT_FAILURE = /timeout|timed out|unavailable|overloaded|\b50[234]\b|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up|fetch failed/i
+
+/**
+ * Whether another attempt may succeed. Errors of unknown cause are retried.
+ */
+export const classifyFailure = (message: string): FailureKind =>
+  PERMANENT_FAILURE.test(message) && !RATE_LIMITED.test(message) && !TRANSIENT_FAILURE.test(message)
+    ? 'permanent'
+    : 'transient'
+
+/**
+ * Wait before the next attempt: doubles with each attempt from a base that is longer after a rate
+ * limit, plus up to 20% jitter so documents that failed together do not retry together
+ */
+export const retryDelayMs = (attempt: number, message: string, random: () => number = Math.random): number => {
+  const base = RATE_LIMITED.test(message) ? batchConfig.rateLimitBaseDelayMs : batchConfig.retryBaseDelayMs
+  const delay = Math.min(batchConfig.retryMaxDelayMs, base * Math.pow(2, Math.max(0, attempt - 1)))
+  return Math.round(delay * (1 + random() * 0.2))
 }
 
+const toBatchResult = (task: BatchTaskRow): BatchResult => ({
+  documentId: task.document_id,
+  status: task.status === 'succeeded' ? 'success' : 'failed',
+  ...(task.status === 'failed' && task.error ? { error: task.error } : {}),
+  ...(task.status === 'failed' && task.failure_kind ? { failureKind: task.failure_kind } : {}),
+  duration: task.duration_ms ?? 0,
+  attempts: task.attempts,
+})
+
+const toBatchJob = (job: BatchJobRow, tasks: BatchTaskRow[]): BatchJob => ({
+  id: job.id,
+  userId: job.user_id,
+  documentIds: tasks.map(task => task.document_id),
+  status: job.status,
+  progress: {
+    total: job.total_count,
+    completed: job.completed_count,
+    failed: job.failed_count,
+  },
+  results: tasks
+    .filter(task => task.status === 'succeeded' || task.status === 'failed')
+    .map(toBatchResult),
+  ...(job.parent_job_id ? { parentJobId: job.parent_job_id } : {}),
+  createdAt: new Date(job.created_at),
+  ...(job.started_at ? { startedAt: new Date(job.started_at) } : {}),
+  ...(job.paused_at ? { pausedAt: new Date(job.paused_at) } : {}),
+  ...(job.completed_at ? { completedAt: new Date(job.completed_at) } : {}),
+  ...(job.error ? { error: job.error } : {}),
+})
+
+/**
+ * Batch analysis on a durable queue. Jobs and their per-document tasks live in the database;
+ * each process runs a worker that leases tasks, renews the lease while analyzing, and releases
+ * it on shutdown. Tasks of a worker that died are claimed again when their lease expires, so
+ * jobs survive restarts and any number of processes can share the work.
+ */
 export class BatchProcessor {
   private documentProcessor = new DocumentProcessor()
   private aiService = new AIService()
-  private activeJobs = new Map<string, BatchJob>()
+  private readonly workerId = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`
+  private readonly runningTasks = new Map<string, RunningTask>()
+  private pollTimer: NodeJS.Timeout | null = null
+  private cleanupTimer: NodeJS.Timeout | null = null
+  private polling = false
   private readonly defaultOptions: BatchAnalysisOptions = {
     concurrency: 3, // Process 3 documents simultaneously
     retryAttempts: 2,
@@ -51,13 +177,14 @@ export class BatchProcessor {
   async createBatchJob(
     userId: string,
     documentIds: string[],
-    options: Partial<BatchAnalysisOptions> = {}
+    options: Partial<BatchAnalysisOptions> = {},
+    parentJobId?: string
   ): Promise<string> {
     const jobId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
     const mergedOptions = { ...this.defaultOptions, ...options }
 
     // Validate documents belong to user
-    const { data: documents, error } = await supabase
+    const { data: documents, error } = await supabaseServer
       .from('documents')
       .select('id, status, extracted_text')
       .in('id', documentIds)
@@ -80,7 +207,7 @@ export class BatchProcessor {
     // Skip documents that already have analysis results if requested
     let finalDocumentIds = validDocuments.map(d => d.id)
     if (mergedOptions.skipDuplicates) {
-      const { data: existingAnalyses } = await supabase
+      const { data: existingAnalyses } = await supabaseServer
         .from('analysis_results')
         .select('document_id')
         .in('document_id', finalDocumentIds)
@@ -101,305 +228,675 @@ export class BatchProcessor {
       throw new Error('All documents have already been analyzed')
     }
 
-    const batchJob: BatchJob = {
-      id: jobId,
-      userId,
-      documentIds: finalDocumentIds,
-      status: 'pending',
-      progress: {
-        total: finalDocumentIds.length,
-        completed: 0,
-        failed: 0,
-      },
-      results: [],
-      createdAt: new Date(),
+    const { error: jobError } = await supabaseServer
+      .from('batch_jobs')
+      .insert({
+        id: jobId,
+        user_id: userId,
+        status: 'pending',
+        options: mergedOptions,
+        total_count: finalDocumentIds.length,
+        parent_job_id: parentJobId ?? null,
+      })
+
+    if (jobError) {
+      throw new Error(`Failed to create batch job: ${jobError.message}`)
     }
 
-    this.activeJobs.set(jobId, batchJob)
+    const { error: tasksError } = await supabaseServer
+      .from('batch_tasks')
+      .insert(finalDocumentIds.map(documentId => ({
+        job_id: jobId,
+        document_id: documentId,
+        user_id: userId,
+        max_attempts: mergedOptions.retryAttempts + 1,
+      })))
+
+    if (tasksError) {
+      await supabaseServer.from('batch_jobs').delete().eq('id', jobId)
+      throw new Error(`Failed to queue batch tasks: ${tasksError.message}`)
+    }
 
     logger.info('Batch job created', {
       jobId,
       userId,
       totalDocuments: finalDocumentIds.length,
       options: mergedOptions,
+      parentJobId,
     })
 
-    // Start processing asynchronously
-    this.processBatchJob(jobId, mergedOptions).catch(error => {
-      logger.error('Batch job failed', { jobId, error })
-      this.updateJobStatus(jobId, 'failed', error.message)
-    })
+    // Pick the job up now rather than at the next poll
+    this.poll()
 
     return jobId
   }
 
-  private async processBatchJob(jobId: string, options: BatchAnalysisOptions): Promise<void> {
-    const job = this.activeJobs.get(jobId)
-    if (!job) {
-      throw new Error(`Job ${jobId} not found`)
-    }
+  /**
+   * Start working the queue in this process
+   */
+  start(): void {
+    if (this.pollTimer) return
 
-    job.status = 'processing'
-    const startTime = Date.now()
+    this.pollTimer = setInterval(() => this.poll(), batchConfig.pollIntervalMs)
+    this.cleanupTimer = setInterval(() => {
+      this.cleanupOldJobs().catch(error => logger.error('Batch job cleanup failed', { error: error.message }))
+    }, HOUR_MS)
 
-    logger.info('Starting batch job processing', {
-      jobId,
-      documentCount: job.documentIds.length,
-      concurrency: options.concurrency,
+    logger.info('Batch worker started', {
+      workerId: this.workerId,
+      concurrency: batchConfig.workerConcurrency,
     })
 
-    try {
-      // Process documents in batches with controlled concurrency
-      const results = await this.processWithConcurrency(
-        job.documentIds,
-        (documentId) => this.processDocument(documentId, job.userId, options),
-        options.concurrency
-      )
-
-      // Update job with results
-      job.results = results
-      job.progress.completed = results.filter(r => r.status === 'success').length
-      job.progress.failed = results.filter(r => r.status === 'failed').length
-      job.completedAt = new Date()
-
-      // Determine final status
-      if (job.progress.failed === 0) {
-        job.status = 'completed'
-      } else if (job.progress.completed === 0) {
-        job.status = 'failed'
-      } else {
-        job.status = 'partial'
-      }
+    this.poll()
+  }
 
-      const duration = Date.now() - startTime
-      logger.info('Batch job completed', {
-        jobId,
-        status: job.status,
-        completed: job.progress.completed,
-        failed: job.progress.failed,
-        duration,
-      })
+  /**
+   * Stop claiming tasks and hand the ones still running back to the queue, so another worker
+   * picks them up without waiting for their leases to expire. Their analyses are aborted first,
+   * and waited for (they stop before their next stage), so none is saved after its task has been
+   * handed on and the document is analyzed twice.
+   */
+  async stop(): Promise<void> {
+    if (!this.pollTimer) return
+
+    clearInterval(this.pollTimer)
+    if (this.cleanupTimer) clearInterval(this.cleanupTimer)
+    this.pollTimer = null
+    this.cleanupTimer = null
+
+    const running = [...this.runningTasks.values()]
+    running.forEach(({ controller }) => controller.abort(new Error('Batch worker stopped')))
+    await Promise.all(running.map(({ done }) => done))
+
+    // Tasks that finished while stopping have left processing, so only aborted ones are released
+    for (const { task } of running) {
+      const { error } = await supabaseServer
+        .from('batch_tasks')
+        .update({
+          status: 'pending',
+          attempts: task.attempts - 1, // The interrupted attempt does not count
+          lease_owner: null,
+          lease_expires_at: null,
+        })
+        .eq('id', task.id)
+        .eq('lease_owner', this.workerId)
+        .eq('status', 'processing')
 
-      // Optional: Send notification or webhook
-      if (options.notifyOnComplete) {
-        await this.notifyJobComplete(job)
+      if (error) {
+        logger.error('Failed to release batch task', { taskId: task.id, error: error.message })
       }
+    }
 
-    } catch (error: any) {
-      job.status = 'failed'
-      job.error = error.message
-      job.completedAt = new Date()
-      
-      logger.error('Batch job processing failed', {
-        jobId,
-        error: error.message,
-        duration: Date.now() - startTime,
+    logger.info('Batch worker stopped', {
+      workerId: this.workerId,
+      releasedTasks: running.length,
+    })
+  }
+
+  // Claim tasks until this worker is at capacity or the queue has nothing runnable
+  private poll(): void {
+    if (!this.pollTimer || this.polling) return
+    this.polling = true
+
+    this.fillSlots()
+      .catch(error => logger.error('Batch queue poll failed', { workerId: this.workerId, error: error.message }))
+      .finally(() => {
+        this.polling = false
       })
+  }
+
+  private async fillSlots(): Promise<void> {
+    while (this.pollTimer && this.runningTasks.size < batchConfig.workerConcurrency) {
+      const task = await this.claimTask()
+      if (!task) return
+
+      const controller = new AbortController()
+      const done = this.runTask(task, controller.signal)
+        .catch(error => {
+          logger.error('Batch task failed unexpectedly', { taskId: task.id, jobId: task.job_id, error: error.message })
+        })
+        .finally(() => {
+          this.runningTasks.delete(task.id)
+          this.poll()
+        })
+      this.runningTasks.set(task.id, { task, controller, done })
     }
   }
 
-  private async processDocument(
-    documentId: string,
-    userId: string,
-    options: BatchAnalysisOptions
-  ): Promise<BatchResult> {
+  private async claimTask(): Promise<BatchTaskRow | null> {
+    const { data, error } = await supabaseServer.rpc('claim_batch_task', {
+      p_worker_id: this.workerId,
+      p_lease_seconds: batchConfig.leaseSeconds,
+    })
+
+    if (error) {
+      throw new Error(`Failed to claim batch task: ${error.message}`)
+    }
+
+    return (data as BatchTaskRow[] | null)?.[0] ?? null
+  }
+
+  /**
+   * Analyze a claimed task's document and record the outcome; when `signal` is aborted (the worker
+   * is stopping) no outcome is recorded, and stop() returns the task to the queue
+   */
+  private async runTask(task: BatchTaskRow, signal: AbortSignal): Promise<void> {
+    const { data: job, error } = await supabaseServer
+      .from('batch_jobs')
+      .select('*')
+      .eq('id', task.job_id)
+      .maybeSingle()
+
+    if (error) {
+      throw new Error(`Failed to get batch job: ${error.message}`)
+    }
+    if (!job) return // Deleted while queued
+
+    const options: BatchAnalysisOptions = { ...this.defaultOptions, ...(job as BatchJobRow).options }
+
+    if (job.status === 'pending') {
+      await supabaseServer
+        .from('batch_jobs')
+        .update({ status: 'processing', started_at: new Date().toISOString() })
+        .eq('id', job.id)
+        .eq('status', 'pending')
+
+      logger.info('Starting batch job processing', {
+        jobId: job.id,
+        documentCount: job.total_count,
+        concurrency: options.concurrency,
+      })
+    }
+
+    // Claimed again after expired leases more often than it may be retried: its analysis keeps
+    // taking the worker down, so it is not run again
+    if (task.attempts > task.max_attempts) {
+      await this.finishTask(task, {
+        status: 'failed',
+        error: 'Worker stopped responding during analysis',
+        failure_kind: 'permanent',
+        duration_ms: 0,
+      })
+      await this.refreshJob(task.job_id)
+      return
+    }
+
+    // Keep the lease while the analysis runs
+    const heartbeat = setInterval(() => {
+      this.renewLease(task).catch(renewError => logger.warn('Failed to renew batch task lease', {
+        taskId: task.id,
+        error: renewError.message,
+      }))
+    }, (batchConfig.leaseSeconds * 1000) / 3)
+
     const startTime = Date.now()
-    let attempts = 0
-
-    while (attempts <= options.retryAttempts) {
-      try {
-        logAnalysis.start(documentId, userId, 0) // Length unknown in batch
-
-        // Get document with extracted text
-        const { data: document, error: docError } = await supabase
-          .from('documents')
-          .select('extracted_text')
-          .eq('id', documentId)
-          .eq('user_id', userId)
-          .single()
-
-        if (docError || !document?.extracted_text) {
-          throw new Error('Document not found or has no extracted text')
-        }
-
-        // Process with timeout
-        const analysisPromise = this.aiService.analyzeCompliance(
-          document.extracted_text,
-          documentId,
-          userId
-        )
-
-        const timeoutPromise = new Promise<never>((_, reject) => {
-          setTimeout(() => reject(new Error('Analysis timeout')), options.timeoutMs)
+    const retriesRemain = task.attempts < task.max_attempts
+    try {
+      await this.processDocument(task.document_id, task.user_id, options, retriesRemain, signal)
+      await this.finishTask(task, { status: 'succeeded', error: null, failure_kind: null, duration_ms: Date.now() - startTime })
+    } catch (analysisError: any) {
+      if (signal.aborted) return
+
+      const duration = Date.now() - startTime
+      const failureKind = classifyFailure(analysisError.message)
+
+      if (failureKind === 'transient' && retriesRemain) {
+        const backoffMs = retryDelayMs(task.attempts, analysisError.message)
+        logger.warn('Document processing failed, retrying', {
+          documentId: task.document_id,
+          attempt: task.attempts,
+          backoffMs,
+          error: analysisError.message,
         })
 
-        await Promise.race([analysisPromise, timeoutPromise])
-
-        const duration = Date.now() - startTime
-        logAnalysis.complete(documentId, userId, duration, 0) // Score unknown
-
-        return {
-          documentId,
-          status: 'success',
-          duration,
-        }
-
-      } catch (error: any) {
-        attempts++
-        const duration = Date.now() - startTime
-
-        if (attempts <= options.retryAttempts) {
-          logger.warn('Document processing failed, retrying', {
-            documentId,
-            attempt: attempts,
-            error: error.message,
-          })
-          
-          // Exponential backoff
-          await this.delay(Math.pow(2, attempts) * 1000)
-        } else {
-          logAnalysis.error(documentId, userId, error, duration)
-          
-          return {
-            documentId,
-            status: 'failed',
-            error: error.message,
-            duration,
-          }
-        }
+        await this.finishTask(task, {
+          status: 'pending',
+          error: analysisError.message,
+          failure_kind: failureKind,
+          duration_ms: duration,
+          available_at: new Date(Date.now() + backoffMs).toISOString(),
+        })
+      } else {
+        logAnalysis.error(task.document_id, task.user_id, analysisError, duration)
+        await this.finishTask(task, { status: 'failed', error: analysisError.message, failure_kind: failureKind, duration_ms: duration })
       }
+    } finally {
+      clearInterval(heartbeat)
     }
 
-    // This should never be reached
-    return {
-      documentId,
-      status: 'failed',
-      error: 'Max retries exceeded',
-      duration: Date.now() - startTime,
-    }
+    await this.refreshJob(task.job_id)
   }
 
-  private async processWithConcurrency<T, R>(
-    items: T[],
-    processor: (item: T) => Promise<R>,
-    concurrency: number
-  ): Promise<R[]> {
-    const results: R[] = []
-    const executing: Promise<void>[] = []
-
-    for (const item of items) {
-      const promise = processor(item).then(result => {
-        results.push(result)
-      })
+  /**
+   * With retriesRemain, an analysis the language model could not take part in because of a rate
+   * limit or outage fails, so the document is analyzed again with the model after a backoff.
+   * An analysis that times out is aborted too, so it is not saved alongside the retry.
+   */
+  private async processDocument(
+    documentId: string,
+    userId: string,
+    options: BatchAnalysisOptions,
+    retriesRemain: boolean = false,
+    signal?: AbortSignal
+  ): Promise<void> {
+    const startTime = Date.now()
+    logAnalysis.start(documentId, userId, 0) // Length unknown in batch
+
+    // Get document with extracted text
+    const { data: document, error: docError } = await supabaseServer
+      .from('documents')
+      .select('extracted_text, source_segments, metadata')
+      .eq('id', documentId)
+      .eq('user_id', userId)
+      .single()
 
-      executing.push(promise)
+    if (docError || !document?.extracted_text) {
+      throw new Error('Document not found or has no extracted text')
+    }
 
-      if (executing.length >= concurrency) {
-        await Promise.race(executing)
-        // Remove completed promises
-        for (let i = executing.length - 1; i >= 0; i--) {
-          if (await this.isPromiseResolved(executing[i])) {
-            executing.splice(i, 1)
-          }
-        }
+    // Process with timeout
+    const timedOut = new AbortController()
+    const analysisPromise = this.aiService.analyzeCompliance(
+      document.extracted_text,
+      documentId,
+      userId,
+      { strictnessLevel: options.strictnessLevel },
+      {
+        sourceSegments: document.source_segments,
+        ocr: document.metadata?.ocr,
+        signal: signal ? AbortSignal.any([signal, timedOut.signal]) : timedOut.signal
       }
+    )
+
+    let timeout: NodeJS.Timeout | undefined
+    const timeoutPromise = new Promise<never>((_, reject) => {
+      timeout = setTimeout(() => {
+        timedOut.abort(new Error('Analysis timeout'))
+        reject(new Error('Analysis timeout'))
+      }, options.timeoutMs)
+    })
+
+    let analysis
+    try {
+      analysis = await Promise.race([analysisPromise, timeoutPromise])
+    } finally {
+      clearTimeout(timeout)
+    }
+
+    const degradedReason = analysis.aiDegradedReason
+    if (degradedReason && retriesRemain && (RATE_LIMITED.test(degradedReason) || TRANSIENT_FAILURE.test(degradedReason))) {
+      throw new Error(`AI analysis unavailable: ${degradedReason}`)
     }
 
-    // Wait for remaining promises
-    await Promise.all(executing)
-    return results
+    logAnalysis.complete(documentId, userId, Date.now() - startTime, 0) // Score unknown
   }
 
-  private async isPromiseResolved(promise: Promise<any>): Promise<boolean> {
-    try {
-      await Promise.race([
-        promise,
-        new Promise(resolve => setTimeout(resolve, 0))
-      ])
-      return true
-    } catch {
-      return true // Promise rejected, which means it's resolved
+  private async renewLease(task: BatchTaskRow): Promise<void> {
+    const { error } = await supabaseServer
+      .from('batch_tasks')
+      .update({ lease_expires_at: new Date(Date.now() + batchConfig.leaseSeconds * 1000).toISOString() })
+      .eq('id', task.id)
+      .eq('lease_owner', this.workerId)
+      .eq('status', 'processing')
+
+    if (error) {
+      throw new Error(error.message)
     }
   }
 
-  private delay(ms: number): Promise<void> {
-    return new Promise(resolve => setTimeout(resolve, ms))
+  /**
+   * Record an attempt's outcome, unless the lease was lost and another worker has the task
+   */
+  private async finishTask(
+    task: BatchTaskRow,
+    outcome: Pick<BatchTaskRow, 'status' | 'error' | 'failure_kind' | 'duration_ms'> & { available_at?: string }
+  ): Promise<void> {
+    const { data, error } = await supabaseServer
+      .from('batch_tasks')
+      .update({
+        ...outcome,
+        lease_owner: null,
+        lease_expires_at: null,
+        ...(outcome.status !== 'pending' && { completed_at: new Date().toISOString() }),
+      })
+      .eq('id', task.id)
+      .eq('lease_owner', this.workerId)
+      .eq('status', 'processing')
+      .select('id')
+
+    if (error) {
+      throw new Error(`Failed to update batch task: ${error.message}`)
+    }
+    if (!data?.length) {
+      logger.warn('Batch task lease lost before it finished', { taskId: task.id, jobId: task.job_id })
+    }
   }
 
-  private updateJobStatus(jobId: string, status: BatchJob['status'], error?: string): void {
-    const job = this.activeJobs.get(jobId)
-    if (job) {
-      job.status = status
-      if (error) job.error = error
-      job.completedAt = new Date()
+  /**
+   * Recount the job's progress; the worker that sees it finish first sends the notification
+   */
+  private async refreshJob(jobId: string): Promise<void> {
+    const { data, error } = await supabaseServer.rpc('refresh_batch_job', { p_job_id: jobId })
+    if (error) {
+      throw new Error(`Failed to refresh batch job: ${error.message}`)
+    }
+
+    const job = (data as BatchJobRow[] | null)?.[0]
+    if (!job) return
+
+    this.publishProgress(job)
+    if (!job.completed_at || job.notified_at) return
+
+    const { data: claimed } = await supabaseServer
+      .from('batch_jobs')
+      .update({ notified_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .is('notified_at', null)
+      .select('id')
+
+    if (!claimed?.length) return
+
+    logger.info('Batch job completed', {
+      jobId,
+      status: job.status,
+      completed: job.completed_count,
+      failed: job.failed_count,
+      duration: Date.parse(job.completed_at) - Date.parse(job.started_at || job.created_at),
+    })
+
+    // Optional: Send notification or webhook
+    if ({ ...this.defaultOptions, ...job.options }.notifyOnComplete) {
+      await this.notifyJobComplete(toBatchJob(job, []))
     }
   }
 
-  private async notifyJobComplete(job: BatchJob): Promise<void> {
-    // This could send an email, webhook, or in-app notification
-    logger.info('Batch job notification sent', {
+  /**
+   * Report a job's counts to its owner's event streams
+   */
+  private publishProgress(job: BatchJobRow): void {
+    realtimeEvents.publish(job.user_id, RealtimeEventName.BATCH_PROGRESS, {
       jobId: job.id,
-      userId: job.userId,
       status: job.status,
+      progress: {
+        total: job.total_count,
+        completed: job.completed_count,
+        failed: job.failed_count,
+      },
+      ...(job.completed_at ? { completedAt: job.completed_at } : {}),
+      ...(job.error ? { error: job.error } : {}),
     })
   }
 
+  private async notifyJobComplete(job: BatchJob): Promise<void> {
+    // Whoever cancelled the job already knows how it ended
+    if (job.error === CANCELLED_BY_USER) return
+
+    const { total, completed, failed } = job.progress
+    const documents = `${total} document${total === 1 ? '' : 's'}`
+
+    await notificationService.notify(job.userId, {
+      type: 'batch_completed',
+      severity: job.status === 'completed' ? 'success' : job.status === 'partial' ? 'warning' : 'critical',
+      title: job.status === 'completed'
+        ? 'Batch analysis finished'
+        : job.status === 'partial' ? 'Batch analysis finished with failures' : 'Batch analysis failed',
+      message: failed > 0
+        ? `${completed} of ${documents} analyzed; ${failed} failed and can be retried.`
+        : `All ${documents} analyzed.`,
+      link: '/content-upload-scanning',
+      data: { jobId: job.id, status: job.status, progress: job.progress },
+    })
+  }
+
+  private async getTasks(jobIds: string[]): Promise<BatchTaskRow[]> {
+    const { data, error } = await supabaseServer
+      .from('batch_tasks')
+      .select('*')
+      .in('job_id', jobIds)
+      .order('created_at', { ascending: true })
+
+    if (error) {
+      throw new Error(`Failed to get batch tasks: ${error.message}`)
+    }
+
+    return (data || []) as BatchTaskRow[]
+  }
+
   // Public API methods
   async getBatchJobStatus(jobId: string, userId: string): Promise<BatchJob | null> {
-    const job = this.activeJobs.get(jobId)
-    if (!job || job.userId !== userId) {
+    const { data: job, error } = await supabaseServer
+      .from('batch_jobs')
+      .select('*')
+      .eq('id', jobId)
+      .eq('user_id', userId)
+      .maybeSingle()
+
+    if (error) {
+      throw new Error(`Failed to get batch job: ${error.message}`)
+    }
+    if (!job) {
       return null
     }
-    return { ...job } // Return a copy
+
+    return toBatchJob(job as BatchJobRow, await this.getTasks([jobId]))
   }
 
+  /**
+   * Stop a job: its queued tasks are cancelled, and documents already being analyzed finish
+   */
   async cancelBatchJob(jobId: string, userId: string): Promise<boolean> {
-    const job = this.activeJobs.get(jobId)
-    if (!job || job.userId !== userId) {
+    const now = new Date().toISOString()
+
+    const { data: cancelled, error } = await supabaseServer
+      .from('batch_jobs')
+      .update({ status: 'failed', error: CANCELLED_BY_USER, completed_at: now })
+      .eq('id', jobId)
+      .eq('user_id', userId)
+      .in('status', ['pending', 'processing', 'paused'])
+      .select('*')
+
+    if (error) {
+      throw new Error(`Failed to cancel batch job: ${error.message}`)
+    }
+    if (!cancelled?.length) {
       return false
     }
 
-    if (job.status === 'processing') {
-      job.status = 'failed'
-      job.error = 'Cancelled by user'
-      job.completedAt = new Date()
-      
-      logger.info('Batch job cancelled', { jobId, userId })
-      return true
+    const { error: tasksError } = await supabaseServer
+      .from('batch_tasks')
+      .update({ status: 'cancelled', completed_at: now })
+      .eq('job_id', jobId)
+      .eq('status', 'pending')
+
+    if (tasksError) {
+      throw new Error(`Failed to cancel batch tasks: ${tasksError.message}`)
+    }
+
+    logger.info('Batch job cancelled', { jobId, userId })
+    this.publishProgress(cancelled[0] as BatchJobRow)
+    return true
+  }
+
+  /**
+   * Stop claiming the job's documents; the ones being analyzed finish
+   */
+  async pauseBatchJob(jobId: string, userId: string): Promise<boolean> {
+    const { data: paused, error } = await supabaseServer
+      .from('batch_jobs')
+      .update({ status: 'paused', paused_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .eq('user_id', userId)
+      .in('status', ['pending', 'processing'])
+      .select('*')
+
+    if (error) {
+      throw new Error(`Failed to pause batch job: ${error.message}`)
+    }
+    if (!paused?.length) {
+      return false
     }
 
-    return false
+    logger.info('Batch job paused', { jobId, userId })
+    this.publishProgress(paused[0] as BatchJobRow)
+    return true
+  }
+
+  async resumeBatchJob(jobId: string, userId: string): Promise<boolean> {
+    const { data: job, error } = await supabaseServer
+      .from('batch_jobs')
+      .select('started_at')
+      .eq('id', jobId)
+      .eq('user_id', userId)
+      .eq('status', 'paused')
+      .maybeSingle()
+
+    if (error) {
+      throw new Error(`Failed to get batch job: ${error.message}`)
+    }
+    if (!job) {
+      return false
+    }
+
+    const { data: resumed, error: resumeError } = await supabaseServer
+      .from('batch_jobs')
+      .update({ status: job.started_at ? 'processing' : 'pending', paused_at: null })
+      .eq('id', jobId)
+      .eq('status', 'paused')
+      .select('id')
+
+    if (resumeError) {
+      throw new Error(`Failed to resume batch job: ${resumeError.message}`)
+    }
+    if (!resumed?.length) {
+      return false
+    }
+
+    logger.info('Batch job resumed', { jobId, userId })
+    // Documents that finished while it was paused may have been its last
+    await this.refreshJob(jobId)
+    this.poll()
+    return true
+  }
+
+  /**
+   * Queue a finished job's failed documents as a new job with the same options. Returns the new
+   * job's id, or null when the job is not found, still running or had no failures.
+   */
+  async retryFailedDocuments(jobId: string, userId: string): Promise<string | null> {
+    const { data: job, error } = await supabaseServer
+      .from('batch_jobs')
+      .select('*')
+      .eq('id', jobId)
+      .eq('user_id', userId)
+      .maybeSingle()
+
+    if (error) {
+      throw new Error(`Failed to get batch job: ${error.message}`)
+    }
+    if (!job?.completed_at) {
+      return null
+    }
+
+    const failedDocumentIds = (await this.getTasks([jobId]))
+      .filter(task => task.status === 'failed')
+      .map(task => task.document_id)
+
+    if (failedDocumentIds.length === 0) {
+      return null
+    }
+
+    // Failed documents may have a rules-only analysis from an attempt; analyze them again regardless
+    return this.createBatchJob(
+      userId,
+      failedDocumentIds,
+      { ...(job as BatchJobRow).options, skipDuplicates: false },
+      jobId
+    )
+  }
+
+  /**
+   * Queue one failed or cancelled document of a job again with fresh attempts. A job that had
+   * finished is reopened and reports its outcome again when the document is done.
+   */
+  async requeueDocument(jobId: string, documentId: string, userId: string): Promise<boolean> {
+    const { data: requeued, error } = await supabaseServer
+      .from('batch_tasks')
+      .update({
+        status: 'pending',
+        attempts: 0,
+        available_at: new Date().toISOString(),
+        error: null,
+        failure_kind: null,
+        duration_ms: null,
+        completed_at: null,
+      })
+      .eq('job_id', jobId)
+      .eq('document_id', documentId)
+      .eq('user_id', userId)
+      .in('status', ['failed', 'cancelled'])
+      .select('id')
+
+    if (error) {
+      throw new Error(`Failed to requeue batch document: ${error.message}`)
+    }
+    if (!requeued?.length) {
+      return false
+    }
+
+    const { error: jobError } = await supabaseServer
+      .from('batch_jobs')
+      .update({ status: 'processing', error: null, completed_at: null, notified_at: null })
+      .eq('id', jobId)
+      .in('status', ['completed', 'failed', 'partial'])
+
+    if (jobError) {
+      throw new Error(`Failed to reopen batch job: ${jobError.message}`)
+    }
+
+    logger.info('Batch document requeued', { jobId, documentId, userId })
+    await this.refreshJob(jobId)
+    this.poll()
+    return true
   }
 
   async getUserBatchJobs(userId: string): Promise<BatchJob[]> {
-    const userJobs: BatchJob[] = []
-    
-    for (const job of this.activeJobs.values()) {
-      if (job.userId === userId) {
-        userJobs.push({ ...job })
-      }
+    const { data: jobs, error } = await supabaseServer
+      .from('batch_jobs')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(100)
+
+    if (error) {
+      throw new Error(`Failed to get batch jobs: ${error.message}`)
     }
-    
-    return userJobs.sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime())
+    if (!jobs?.length) {
+      return []
+    }
+
+    const tasks = await this.getTasks((jobs as BatchJobRow[]).map(job => job.id))
+
+    return (jobs as BatchJobRow[]).map(job => toBatchJob(job, tasks.filter(task => task.job_id === job.id)))
   }
 
-  // Cleanup completed jobs older than 24 hours
-  cleanupOldJobs(): void {
-    const cutoff = Date.now() - (24 * 60 * 60 * 1000)
-    
-    for (const [jobId, job] of this.activeJobs.entries()) {
-      if (job.completedAt && job.completedAt.getTime() < cutoff) {
-        this.activeJobs.delete(jobId)
-        logger.debug('Cleaned up old batch job', { jobId })
-      }
+  // Delete finished jobs older than BATCH_JOB_RETENTION_DAYS; their tasks go with them
+  async cleanupOldJobs(): Promise<void> {
+    const cutoff = new Date(Date.now() - batchConfig.jobRetentionDays * DAY_MS).toISOString()
+
+    const { data, error } = await supabaseServer
+      .from('batch_jobs')
+      .delete()
+      .lt('completed_at', cutoff)
+      .select('id')
+
+    if (error) {
+      throw new Error(`Failed to clean up batch jobs: ${error.message}`)
+    }
+    if (data?.length) {
+      logger.debug('Cleaned up old batch jobs', { count: data.length })
     }
   }
 }
 
 // Singleton instance
 export const batchProcessor = new BatchProcessor()
-
-// Cleanup job - run every hour
-setInterval(() => {
-  batchProcessor.cleanupOldJobs()
-}, 60 * 60 * 1000)
\ No newline at end of file
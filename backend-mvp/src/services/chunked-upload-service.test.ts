@@ -0,0 +1,155 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals'
+import { createHash, randomUUID } from 'crypto'
+import { promises as fs } from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { Readable } from 'stream'
+
+jest.mock('./document-processor')
+
+const sessionUpdates: any[] = []
+const deleteObject = jest.fn<(object: any) => Promise<void>>()
+
+jest.mock('../config/supabase', () => ({
+  supabaseServer: {
+    from: () => ({
+      update: (values: any) => {
+        sessionUpdates.push(values)
+        return { eq: async () => ({ error: null }) }
+      }
+    })
+  }
+}))
+
+jest.mock('./storage/storage-service', () => ({
+  storageService: { deleteObject: (object: any) => deleteObject(object) }
+}))
+
+import { uploadConfig } from '../config/uploads'
+import { ChunkedUploadService, UploadSession } from './chunked-upload-service'
+
+const sha256 = (data: Buffer) => createHash('sha256').update(data).digest()
+
+describe('chunked uploads', () => {
+  const file = Buffer.from('%PDF-1.7 print-ready brochure with a 10.99% p.a. offer and bleed marks')
+  let tempDir: string
+  let service: ChunkedUploadService
+  let session: UploadSession
+
+  beforeEach(async () => {
+    sessionUpdates.length = 0
+    deleteObject.mockReset()
+    deleteObject.mockResolvedValue(undefined)
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'chunked-upload-test-'))
+    service = new ChunkedUploadService({ ...uploadConfig, tempDir, chunkSizeBytes: 32 })
+    session = {
+      id: randomUUID(),
+      user_id: 'user-1',
+      file_name: 'brochure.pdf',
+      mimetype: 'application/pdf',
+      size: file.length,
+      chunk_size: 32,
+      total_chunks: 3,
+      status: 'uploading',
+      scan_config: {},
+      previous_version_id: null,
+      document_id: null,
+      error: null,
+      expires_at: new Date(Date.now() + 60000).toISOString(),
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    }
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true })
+  })
+
+  const chunk = (index: number) => file.subarray(index * 32, (index + 1) * 32)
+
+  test('should accept chunks in any order and report which are still missing', async () => {
+    expect(service.getChunkLength(session, 0)).toBe(32)
+    expect(service.getChunkLength(session, 2)).toBe(file.length - 64)
+
+    expect(await service.writeChunk(session, 2, Readable.from([chunk(2)]), sha256(chunk(2)).toString('hex'))).toBeNull()
+    // Sent again after a dropped response, in two pieces
+    expect(await service.writeChunk(session, 0, Readable.from([chunk(0).subarray(0, 10), chunk(0).subarray(10)]), sha256(chunk(0)).toString('hex'))).toBeNull()
+    expect(await service.writeChunk(session, 0, Readable.from([chunk(0)]), sha256(chunk(0)).toString('hex'))).toBeNull()
+
+    expect(await service.getReceivedChunks(session)).toEqual([0, 2])
+  })
+
+  test('should reject corrupted, truncated and out-of-range chunks without keeping them', async () => {
+    const corrupted = Buffer.from(chunk(1))
+    corrupted[5] ^= 0xff
+
+    expect(await service.writeChunk(session, 1, Readable.from([corrupted]), sha256(chunk(1)).toString('hex')))
+      .toBe('Chunk 1 failed checksum verification')
+    expect(await service.writeChunk(session, 1, Readable.from([chunk(1).subarray(0, 20)]), sha256(chunk(1)).toString('hex')))
+      .toBe('Chunk 1 must be 32 bytes, received 20')
+    expect(await service.writeChunk(session, 1, Readable.from([chunk(1), chunk(2)]), sha256(chunk(1)).toString('hex')))
+      .toMatch(/^Chunk 1 must be 32 bytes/)
+    expect(await service.writeChunk(session, 3, Readable.from([chunk(2)]), sha256(chunk(2)).toString('hex')))
+      .toBe('Chunk index must be between 0 and 2')
+
+    expect(await service.getReceivedChunks(session)).toEqual([])
+    expect(await fs.readdir(path.join(tempDir, session.id))).toEqual([])
+  })
+
+  test('should verify the whole file against the digest of its chunk digests', async () => {
+    for (const index of [0, 1, 2]) {
+      await service.writeChunk(session, index, Readable.from([chunk(index)]), sha256(chunk(index)).toString('hex'))
+    }
+
+    const checksum = sha256(Buffer.concat([0, 1, 2].map(index => sha256(chunk(index))))).toString('hex')
+    expect(await service.verifyChecksum(session, checksum.toUpperCase())).toBe(true)
+    expect(await service.verifyChecksum(session, sha256(file).toString('hex'))).toBe(false)
+  })
+  describe('processing a completed upload', () => {
+    const storedFile = { backend: 'local', bucket: 'documents', key: 'user-1/brochure.pdf' }
+    let stored: Buffer | null
+    let extracted: { path?: string, buffer?: Buffer, contents: Buffer } | null
+    let documentProcessor: any
+
+    beforeEach(async () => {
+      for (const index of [0, 1, 2]) {
+        await service.writeChunk(session, index, Readable.from([chunk(index)]), sha256(chunk(index)).toString('hex'))
+      }
+
+      stored = null
+      extracted = null
+      documentProcessor = (service as any).documentProcessor
+      documentProcessor.storeStream.mockImplementation(async (stream: Readable) => {
+        const data: Buffer[] = []
+        for await (const piece of stream) data.push(piece)
+        stored = Buffer.concat(data)
+        return storedFile
+      })
+      documentProcessor.processDocument.mockImplementation(async (upload: Express.Multer.File) => {
+        extracted = { path: upload.path, buffer: upload.buffer, contents: await fs.readFile(upload.path) }
+        return { id: 'doc-1' }
+      })
+    })
+
+    test('should store and extract the assembled file from disk and then remove it', async () => {
+      expect(await service.processUpload(session)).toEqual({ id: 'doc-1' })
+
+      expect(stored).toEqual(file)
+      expect(extracted?.buffer).toBeUndefined()
+      expect(extracted?.path?.startsWith(path.join(tempDir, session.id))).toBe(true)
+      expect(extracted?.contents).toEqual(file)
+      await expect(fs.access(path.join(tempDir, session.id))).rejects.toThrow()
+      expect(sessionUpdates).toEqual([])
+    })
+
+    test('should delete the stored file and fail the session when extraction fails', async () => {
+      documentProcessor.processDocument.mockRejectedValue(new Error('Failed to extract text from PDF'))
+
+      await expect(service.processUpload(session)).rejects.toThrow('Failed to extract text from PDF')
+
+      expect(deleteObject).toHaveBeenCalledWith(storedFile)
+      expect(sessionUpdates).toEqual([{ status: 'failed', error: 'Failed to extract text from PDF' }])
+      await expect(fs.access(path.join(tempDir, session.id))).rejects.toThrow()
+    })
+  })
+})
@@ -0,0 +1,367 @@
+import { createHash, randomUUID } from 'crypto'
+import { createReadStream, createWriteStream, promises as fs } from 'fs'
+import * as path from 'path'
+import { Readable, Transform } from 'stream'
+import { pipeline } from 'stream/promises'
+import { supabaseServer } from '../config/supabase'
+import { uploadConfig } from '../config/uploads'
+import { logger } from '../utils/logger'
+import { DocumentProcessor } from './document-processor'
+import { documentVersionService } from './document-version-service'
+import { StoredObject } from './storage/storage-adapter'
+import { storageService } from './storage/storage-service'
+
+export type UploadSessionStatus = 'uploading' | 'processing' | 'completed' | 'failed'
+
+export interface UploadSession {
+  id: string
+  user_id: string
+  file_name: string
+  mimetype: string
+  size: number
+  chunk_size: number
+  total_chunks: number
+  status: UploadSessionStatus
+  scan_config: Record<string, any>
+  previous_version_id: string | null // Set when the upload is a revision of that document
+  document_id: string | null
+  error: string | null
+  expires_at: string
+  created_at: string
+  updated_at: string
+}
+
+export interface UploadSessionInput {
+  fileName: string
+  mimetype: string
+  size: number
+  scanConfig?: Record<string, any>
+  previousVersionId?: string
+}
+
+const PART_FILE = /^(\d+)\.part$/
+
+/**
+ * Resumable uploads for creatives too large for a single request. The client opens a session,
+ * PUTs fixed-size chunks (each with its SHA-256) in any order and as often as needed, then
+ * completes the upload with the SHA-256 of the chunk digests concatenated in order — browsers
+ * cannot hash a multi-gigabyte file incrementally, but can hash each chunk as it is sent.
+ * Chunks are streamed to disk and assembled into one file there, which is streamed to storage.
+ * Audio and video are extracted from where they are; documents are read into memory whole for
+ * text extraction, which is why UPLOAD_MAX_CHUNKED_DOCUMENT_MB is lower than the media limit.
+ */
+export class ChunkedUploadService {
+  private documentProcessor = new DocumentProcessor()
+
+  constructor(private config = uploadConfig) {}
+
+  async createSession(userId: string, input: UploadSessionInput): Promise<UploadSession> {
+    // Opportunistic cleanup of abandoned uploads; never holds up a new one
+    this.purgeExpiredSessions().catch(error => {
+      logger.warn('Failed to purge expired upload sessions', { error: error.message })
+    })
+
+    const { data, error } = await supabaseServer
+      .from('upload_sessions')
+      .insert({
+        user_id: userId,
+        file_name: input.fileName,
+        mimetype: input.mimetype,
+        size: input.size,
+        chunk_size: this.config.chunkSizeBytes,
+        total_chunks: Math.ceil(input.size / this.config.chunkSizeBytes),
+        scan_config: input.scanConfig || {},
+        previous_version_id: input.previousVersionId || null,
+        expires_at: new Date(Date.now() + this.config.sessionTtlHours * 60 * 60 * 1000).toISOString()
+      })
+      .select()
+      .single()
+
+    if (error) {
+      throw new Error(`Failed to create upload session: ${error.message}`)
+    }
+
+    await fs.mkdir(this.getSessionDirectory(data.id), { recursive: true })
+    logger.info('Chunked upload started', { uploadId: data.id, size: input.size, chunks: data.total_chunks })
+
+    return data as UploadSession
+  }
+
+  /**
+   * The user's upload session; unfinished sessions past their expiry are treated as gone
+   */
+  async getSession(id: string, userId: string): Promise<UploadSession | null> {
+    const { data, error } = await supabaseServer
+      .from('upload_sessions')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .maybeSingle()
+
+    if (error) {
+      throw new Error(`Failed to get upload session: ${error.message}`)
+    }
+
+    const session = data as UploadSession | null
+    if (session && session.status === 'uploading' && new Date(session.expires_at).getTime() < Date.now()) {
+      return null
+    }
+
+    return session
+  }
+
+  /**
+   * Indexes of the chunks already stored, so an interrupted upload sends only the rest
+   */
+  async getReceivedChunks(session: UploadSession): Promise<number[]> {
+    const files = await fs.readdir(this.getSessionDirectory(session.id)).catch(() => [] as string[])
+
+    return files
+      .map(file => PART_FILE.exec(file))
+      .filter((match): match is RegExpExecArray => match !== null)
+      .map(match => Number(match[1]))
+      .filter(index => index < session.total_chunks)
+      .sort((a, b) => a - b)
+  }
+
+  /**
+   * Byte length chunk `index` must have; every chunk is full-size except the last
+   */
+  getChunkLength(session: UploadSession, index: number): number {
+    return index === session.total_chunks - 1
+      ? session.size - session.chunk_size * (session.total_chunks - 1)
+      : session.chunk_size
+  }
+
+  /**
+   * Stream one chunk to disk, verifying its length and SHA-256 before it is kept. Re-sending a
+   * chunk replaces it. Returns why the chunk was rejected, or null once it is stored.
+   */
+  async writeChunk(session: UploadSession, index: number, body: Readable, checksum: string): Promise<string | null> {
+    if (session.status !== 'uploading') {
+      return `Upload is already ${session.status}`
+    }
+    if (!Number.isInteger(index) || index < 0 || index >= session.total_chunks) {
+      return `Chunk index must be between 0 and ${session.total_chunks - 1}`
+    }
+
+    const expectedLength = this.getChunkLength(session, index)
+    const directory = this.getSessionDirectory(session.id)
+    // Retries of the same chunk may overlap, so each write goes to its own file until verified
+    const partial = path.join(directory, `${index}.${randomUUID()}.tmp`)
+    const hash = createHash('sha256')
+    let received = 0
+
+    // Oversized bodies are drained rather than aborted so the client still gets the rejection
+    const meter = new Transform({
+      transform(data: Buffer, _encoding, callback) {
+        received += data.length
+        if (received > expectedLength) return callback()
+        hash.update(data)
+        callback(null, data)
+      }
+    })
+
+    await fs.mkdir(directory, { recursive: true })
+
+    try {
+      await pipeline(body, meter, createWriteStream(partial))
+
+      if (received !== expectedLength) {
+        await fs.rm(partial, { force: true })
+        return `Chunk ${index} must be ${expectedLength} bytes, received ${received}`
+      }
+
+      if (hash.digest('hex') !== checksum.toLowerCase()) {
+        await fs.rm(partial, { force: true })
+        return `Chunk ${index} failed checksum verification`
+      }
+
+      await fs.rename(partial, this.getChunkPath(session.id, index))
+      return null
+    } catch (error) {
+      await fs.rm(partial, { force: true })
+      throw error
+    }
+  }
+
+  /**
+   * Whether the stored chunks hash to the checksum the client computed while sending them
+   */
+  async verifyChecksum(session: UploadSession, checksum: string): Promise<boolean> {
+    const composite = createHash('sha256')
+
+    for (let index = 0; index < session.total_chunks; index++) {
+      const chunk = createHash('sha256')
+      for await (const data of createReadStream(this.getChunkPath(session.id, index))) {
+        chunk.update(data)
+      }
+      composite.update(chunk.digest())
+    }
+
+    return composite.digest('hex') === checksum.toLowerCase()
+  }
+
+  /**
+   * Move a fully received upload to processing. Only one of several concurrent complete
+   * requests wins; null means the session had already left the uploading state.
+   */
+  async claimForProcessing(session: UploadSession): Promise<UploadSession | null> {
+    const { data, error } = await supabaseServer
+      .from('upload_sessions')
+      .update({ status: 'processing' })
+      .eq('id', session.id)
+      .eq('status', 'uploading')
+      .select()
+      .maybeSingle()
+
+    if (error) {
+      throw new Error(`Failed to update upload session: ${error.message}`)
+    }
+
+    return data as UploadSession | null
+  }
+
+  /**
+   * Assemble the chunks into one file, stream it to storage and extract its text like a
+   * single-request upload. The stored file is deleted again if extraction fails, and the chunks
+   * are removed either way; the session stays processing until markCompleted, so the caller can
+   * finish its own follow-up first.
+   */
+  async processUpload(session: UploadSession) {
+    let storedFile: StoredObject | null = null
+
+    try {
+      // Text extraction, OCR and transcription need the whole file, and read it from here
+      const assembledPath = await this.assembleFile(session)
+
+      storedFile = await this.documentProcessor.storeStream(
+        createReadStream(assembledPath),
+        session.file_name,
+        session.mimetype,
+        session.size,
+        session.user_id
+      )
+
+      // Numbered now rather than when the upload started, as other revisions may have been added since
+      const version = session.previous_version_id
+        ? await documentVersionService.getNextVersion(session.previous_version_id, session.user_id)
+        : null
+
+      const document = await this.documentProcessor.processDocument({
+        originalname: session.file_name,
+        mimetype: session.mimetype,
+        size: session.size,
+        path: assembledPath
+      } as Express.Multer.File, session.user_id, storedFile, version)
+
+      logger.info('Chunked upload processed', { uploadId: session.id, documentId: document.id })
+
+      return document
+    } catch (error: any) {
+      if (storedFile) {
+        await storageService.deleteObject(storedFile).catch(deleteError => {
+          logger.warn('Failed to delete stored file of a failed chunked upload', {
+            uploadId: session.id,
+            error: deleteError.message
+          })
+        })
+      }
+      await this.fail(session, error.message)
+      throw error
+    } finally {
+      await this.removeChunks(session.id)
+    }
+  }
+
+  async markCompleted(session: UploadSession, documentId: string): Promise<void> {
+    await this.updateSession(session.id, { status: 'completed', document_id: documentId, error: null })
+  }
+
+  async fail(session: UploadSession, reason: string): Promise<void> {
+    await this.updateSession(session.id, { status: 'failed', error: reason })
+    await this.removeChunks(session.id)
+  }
+
+  /**
+   * Abandon an upload that is not being processed; its chunks are discarded
+   */
+  async deleteSession(session: UploadSession): Promise<boolean> {
+    if (session.status === 'processing') return false
+
+    const { error } = await supabaseServer
+      .from('upload_sessions')
+      .delete()
+      .eq('id', session.id)
+
+    if (error) {
+      throw new Error(`Failed to delete upload session: ${error.message}`)
+    }
+
+    await this.removeChunks(session.id)
+    return true
+  }
+
+  /**
+   * Remove unfinished sessions past their expiry along with their chunks
+   */
+  async purgeExpiredSessions(): Promise<number> {
+    const { data, error } = await supabaseServer
+      .from('upload_sessions')
+      .delete()
+      .in('status', ['uploading', 'failed'])
+      .lt('expires_at', new Date().toISOString())
+      .select('id')
+
+    if (error) {
+      throw new Error(`Failed to purge upload sessions: ${error.message}`)
+    }
+
+    for (const session of data || []) {
+      await this.removeChunks(session.id)
+    }
+
+    return (data || []).length
+  }
+
+  private async *readChunks(session: UploadSession): AsyncGenerator<Buffer> {
+    for (let index = 0; index < session.total_chunks; index++) {
+      yield* createReadStream(this.getChunkPath(session.id, index))
+    }
+  }
+
+  /**
+   * Concatenate the chunks, in order, into one file in the session directory
+   */
+  private async assembleFile(session: UploadSession): Promise<string> {
+    const assembledPath = path.join(this.getSessionDirectory(session.id), 'upload')
+    await pipeline(Readable.from(this.readChunks(session)), createWriteStream(assembledPath))
+    return assembledPath
+  }
+
+  private async updateSession(id: string, updates: Partial<UploadSession>): Promise<void> {
+    const { error } = await supabaseServer
+      .from('upload_sessions')
+      .update(updates)
+      .eq('id', id)
+
+    if (error) {
+      throw new Error(`Failed to update upload session: ${error.message}`)
+    }
+  }
+
+  private async removeChunks(sessionId: string): Promise<void> {
+    await fs.rm(this.getSessionDirectory(sessionId), { recursive: true, force: true })
+  }
+
+  private getSessionDirectory(sessionId: string): string {
+    return path.join(this.config.tempDir, sessionId)
+  }
+
+  private getChunkPath(sessionId: string, index: number): string {
+    return path.join(this.getSessionDirectory(sessionId), `${index}.part`)
+  }
+}
+
+// Export singleton instance
+export const chunkedUploadService = new ChunkedUploadService()
@@ -0,0 +1,74 @@
+import { describe, test, expect } from '@jest/globals'
+import { promises as fs } from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import {
+  buildMinhashSignature,
+  estimateSimilarity,
+  fingerprintContent,
+  fingerprintFile,
+  getSignatureBands,
+  SIGNATURE_SIZE
+} from './content-fingerprint'
+
+// The same festive banner OCR'd from its 1080x1080 and 300x250 renditions
+const squareBanner = `Diwali Dhamaka Personal Loans
+Get instant approval on loans up to ₹5 lakhs at just 10.99% p.a.
+Zero processing fees till 15 November. Apply on the QuickLoan app.
+T&C apply. Loans at the sole discretion of QuickLoan Finance Ltd, an RBI registered NBFC.`
+
+const mpuBanner = `DIWALI DHAMAKA PERSONAL LOANS
+Get instant approval on loans up to ₹5 lakhs at just 10.99% p.a.
+Zero processing fees till 15 November. Apply on the QuickLoan app
+T&C apply. Loans at the sole discretion of QuickLoan Finance Ltd, an RBl registered NBFC.`
+
+const unrelated = `Open a fixed deposit with SaveMore Bank and earn up to 7.25% p.a. for senior citizens.
+Deposits are insured by DICGC up to ₹5 lakhs per depositor. Premature withdrawal penalties apply.`
+
+describe('content fingerprints', () => {
+  test('should rate renditions of the same creative as near-duplicates and unrelated copy as distinct', () => {
+    const square = buildMinhashSignature(squareBanner)!
+    const mpu = buildMinhashSignature(mpuBanner)!
+    const other = buildMinhashSignature(unrelated)!
+
+    expect(square).toHaveLength(SIGNATURE_SIZE)
+    expect(estimateSimilarity(square, buildMinhashSignature(squareBanner)!)).toBe(1)
+    expect(estimateSimilarity(square, mpu)).toBeGreaterThanOrEqual(0.8)
+    expect(estimateSimilarity(square, other)).toBeLessThan(0.3)
+  })
+
+  test('should give near-duplicates a shared band to be found by', () => {
+    const squareBands = getSignatureBands(buildMinhashSignature(squareBanner)!)
+    const mpuBands = getSignatureBands(buildMinhashSignature(mpuBanner)!)
+
+    expect(squareBands).toHaveLength(32)
+    expect(squareBands[0]).toMatch(/^0:[0-9a-f]{8}$/)
+    expect(squareBands.some(band => mpuBands.includes(band))).toBe(true)
+  })
+
+  test('should hash file content exactly and skip signatures for text too short to compare', () => {
+    const file = Buffer.from('%PDF-1.7 banner')
+
+    expect(fingerprintContent(file, squareBanner).contentHash).toBe(fingerprintContent(Buffer.from(file), mpuBanner).contentHash)
+    expect(fingerprintContent(Buffer.from('%PDF-1.7 banner!'), squareBanner).contentHash).not.toBe(fingerprintContent(file, squareBanner).contentHash)
+    expect(fingerprintContent(file, 'Apply now')).toEqual({
+      contentHash: fingerprintContent(file, null).contentHash,
+      signature: null,
+      bands: []
+    })
+  })
+
+  test('should fingerprint a file on disk the same as its bytes in memory', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'fingerprint-test-'))
+    const file = Buffer.from('%PDF-1.7 print-ready banner')
+
+    try {
+      const filePath = path.join(directory, 'banner.pdf')
+      await fs.writeFile(filePath, file)
+
+      expect(await fingerprintFile(filePath, squareBanner)).toEqual(fingerprintContent(file, squareBanner))
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true })
+    }
+  })
+})
@@ -0,0 +1,133 @@
+import { createHash } from 'crypto'
+import { createReadStream } from 'fs'
+import { normalizeText } from '../core-engine/language/text-normalizer'
+
+/**
+ * Stored on every document: the file's SHA-256 for exact re-uploads, and a MinHash signature of its
+ * text for near-duplicates (the same banner in several sizes, a deck with one slide reworded).
+ * The signature is split into bands; documents sharing any band are candidate matches.
+ */
+export interface ContentFingerprint {
+  contentHash: string
+  signature: number[] | null // null when there is too little text to compare
+  bands: string[]
+}
+
+export const SIGNATURE_SIZE = 128
+
+// 32 bands of 4 rows: documents 60% similar share a band 99% of the time, 30% similar about 23%
+export const BAND_ROWS = 4
+
+// Character shingles tolerate the OCR slips that differ between sizes of the same creative
+const SHINGLE_LENGTH = 5
+
+const MIN_FINGERPRINT_CHARACTERS = 20
+
+// 32-bit finalizer from MurmurHash3: a bijection, so each seed gives a different permutation
+const fmix32 = (value: number): number => {
+  let hash = value
+  hash ^= hash >>> 16
+  hash = Math.imul(hash, 0x85ebca6b)
+  hash ^= hash >>> 13
+  hash = Math.imul(hash, 0xc2b2ae35)
+  hash ^= hash >>> 16
+  return hash >>> 0
+}
+
+const fnv1a = (value: string): number => {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => fmix32(((i + 1) * 0x9e3779b9) >>> 0))
+
+export const hashContent = (content: Buffer | string): string => {
+  return createHash('sha256').update(content).digest('hex')
+}
+
+/**
+ * Case, punctuation and whitespace are ignored so reflowed or restyled copy still matches
+ */
+const normalizeForShingles = (text: string): string => {
+  return normalizeText(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}%₹]+/u)
+    .filter(Boolean)
+    .join(' ')
+}
+
+export const buildMinhashSignature = (text: string): number[] | null => {
+  const normalized = normalizeForShingles(text)
+  if (normalized.length < MIN_FINGERPRINT_CHARACTERS) return null
+
+  const shingles = new Set<number>()
+  for (let i = 0; i + SHINGLE_LENGTH <= normalized.length; i++) {
+    shingles.add(fnv1a(normalized.slice(i, i + SHINGLE_LENGTH)))
+  }
+
+  const signature = new Array<number>(SIGNATURE_SIZE).fill(0xffffffff)
+  for (const shingle of shingles) {
+    for (let k = 0; k < SIGNATURE_SIZE; k++) {
+      const value = fmix32(shingle ^ SEEDS[k])
+      if (value < signature[k]) signature[k] = value
+    }
+  }
+
+  return signature
+}
+
+/**
+ * Locality-sensitive hashing keys, one per band of the signature, prefixed by band number
+ */
+export const getSignatureBands = (signature: number[]): string[] => {
+  const bands: string[] = []
+  for (let start = 0; start < signature.length; start += BAND_ROWS) {
+    const rows = signature.slice(start, start + BAND_ROWS).join(',')
+    bands.push(`${start / BAND_ROWS}:${fnv1a(rows).toString(16).padStart(8, '0')}`)
+  }
+  return bands
+}
+
+/**
+ * Fraction of matching signature positions, an estimate of the Jaccard similarity of the shingles
+ */
+export const estimateSimilarity = (a: number[], b: number[]): number => {
+  if (a.length === 0 || a.length !== b.length) return 0
+
+  let matching = 0
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) matching++
+  }
+
+  return matching / a.length
+}
+
+const buildFingerprint = (contentHash: string, text: string | null): ContentFingerprint => {
+  const signature = text ? buildMinhashSignature(text) : null
+
+  return {
+    contentHash,
+    signature,
+    bands: signature ? getSignatureBands(signature) : []
+  }
+}
+
+export const fingerprintContent = (content: Buffer | string, text: string | null): ContentFingerprint => {
+  return buildFingerprint(hashContent(content), text)
+}
+
+/**
+ * Same as fingerprintContent for a file on disk, hashed as it is read
+ */
+export const fingerprintFile = async (filePath: string, text: string | null): Promise<ContentFingerprint> => {
+  const hash = createHash('sha256')
+  for await (const data of createReadStream(filePath)) {
+    hash.update(data)
+  }
+
+  return buildFingerprint(hash.digest('hex'), text)
+}
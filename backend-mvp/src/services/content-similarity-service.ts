@@ -0,0 +1,180 @@
+import { supabase } from '../config/supabase'
+import { similarityConfig } from '../config/similarity'
+import { logger } from '../utils/logger'
+import { estimateSimilarity } from './content-fingerprint'
+import { AnalysisResultRow, databaseService } from './database-service'
+
+export interface SimilarDocument {
+  documentId: string
+  name: string
+  type: string
+  uploadedAt: string
+  match: 'exact' | 'near' // Identical file, or text similar at or above the near-duplicate threshold
+  similarity: number // Estimated similarity of the text, 0-1 (1 for exact matches)
+  analysis: {
+    analysisId: string
+    complianceScore: number
+    overallStatus: string
+    analyzedAt: string
+  } | null
+}
+
+/**
+ * Stored in documents.metadata.similarity when an upload is checked against earlier documents
+ */
+export interface DocumentSimilarityMetadata {
+  checkedAt: string
+  matches: SimilarDocument[]
+  // Analysis was not started because a match has one that can be reused
+  analysisDeferred: boolean
+}
+
+export interface FingerprintedDocument {
+  id: string
+  content_hash?: string | null
+  similarity_signature?: number[] | null
+  similarity_bands?: string[] | null
+  metadata?: Record<string, any> | null
+}
+
+// Documents sharing a band are only candidates; this many are compared by signature
+const CANDIDATE_LIMIT = 50
+
+/**
+ * Links uploads to the same user's earlier documents that are identical files or near-duplicates,
+ * so a prior analysis can be reused instead of reviewing the same creative again
+ */
+export class ContentSimilarityService {
+  constructor(private config = similarityConfig) {}
+
+  async findSimilarDocuments(document: FingerprintedDocument, userId: string): Promise<SimilarDocument[]> {
+    const matches = new Map<string, Omit<SimilarDocument, 'analysis'>>()
+
+    if (document.content_hash) {
+      const { data, error } = await supabase
+        .from('documents')
+        .select('id, name, type, created_at')
+        .eq('user_id', userId)
+        .eq('content_hash', document.content_hash)
+        .neq('id', document.id)
+        .order('created_at', { ascending: false })
+        .limit(this.config.maxMatches)
+
+      if (error) {
+        throw new Error(`Failed to find duplicate documents: ${error.message}`)
+      }
+
+      for (const row of data || []) {
+        matches.set(row.id, { documentId: row.id, name: row.name, type: row.type, uploadedAt: row.created_at, match: 'exact', similarity: 1 })
+      }
+    }
+
+    const signature = document.similarity_signature
+    if (signature && document.similarity_bands?.length) {
+      const { data, error } = await supabase
+        .from('documents')
+        .select('id, name, type, created_at, similarity_signature')
+        .eq('user_id', userId)
+        .overlaps('similarity_bands', document.similarity_bands)
+        .neq('id', document.id)
+        .order('created_at', { ascending: false })
+        .limit(CANDIDATE_LIMIT)
+
+      if (error) {
+        throw new Error(`Failed to find similar documents: ${error.message}`)
+      }
+
+      for (const row of data || []) {
+        if (matches.has(row.id) || !row.similarity_signature) continue
+
+        const similarity = estimateSimilarity(signature, row.similarity_signature)
+        if (similarity >= this.config.nearDuplicateThreshold) {
+          matches.set(row.id, {
+            documentId: row.id,
+            name: row.name,
+            type: row.type,
+            uploadedAt: row.created_at,
+            match: 'near',
+            similarity: Math.round(similarity * 100) / 100
+          })
+        }
+      }
+    }
+
+    const ranked = [...matches.values()]
+      .sort((a, b) => b.similarity - a.similarity || b.uploadedAt.localeCompare(a.uploadedAt))
+      .slice(0, this.config.maxMatches)
+
+    const analyses = await databaseService.getLatestAnalyses(ranked.map(match => match.documentId), userId)
+
+    return ranked.map(match => {
+      const analysis = analyses.get(match.documentId)
+      return {
+        ...match,
+        analysis: analysis
+          ? {
+            analysisId: analysis.id,
+            complianceScore: analysis.compliance_score,
+            overallStatus: analysis.overall_status,
+            analyzedAt: analysis.created_at
+          }
+          : null
+      }
+    })
+  }
+
+  /**
+   * Record the matches on the document so they can be shown after a background (chunked) upload
+   */
+  async recordMatches(document: FingerprintedDocument, matches: SimilarDocument[], analysisDeferred: boolean): Promise<DocumentSimilarityMetadata> {
+    const similarity: DocumentSimilarityMetadata = {
+      checkedAt: new Date().toISOString(),
+      matches,
+      analysisDeferred
+    }
+
+    const { error } = await supabase
+      .from('documents')
+      .update({ metadata: { ...(document.metadata || {}), similarity } })
+      .eq('id', document.id)
+
+    if (error) {
+      throw new Error(`Failed to record similar documents: ${error.message}`)
+    }
+
+    return similarity
+  }
+
+  /**
+   * Copy the latest analysis of a matching document to this one. Returns null if the source is
+   * not an exact or near-duplicate of the document, or has not been analyzed.
+   */
+  async reuseAnalysis(document: FingerprintedDocument, sourceDocumentId: string, userId: string): Promise<AnalysisResultRow | null> {
+    const matches = await this.findSimilarDocuments(document, userId)
+    const source = matches.find(match => match.documentId === sourceDocumentId)
+    if (!source?.analysis) return null
+
+    const prior = await databaseService.getAnalysisResults(source.documentId, userId)
+    if (!prior) return null
+
+    const analysis = await databaseService.copyAnalysisResults(prior, document.id, userId, {
+      documentId: source.documentId,
+      analysisId: prior.analysis.id,
+      match: source.match,
+      similarity: source.similarity
+    })
+    await databaseService.updateDocumentStatus(document.id, 'analyzed')
+
+    logger.info('Reused prior analysis for duplicate document', {
+      documentId: document.id,
+      sourceDocumentId: source.documentId,
+      match: source.match,
+      similarity: source.similarity
+    })
+
+    return analysis
+  }
+}
+
+// Export singleton instance
+export const contentSimilarityService = new ContentSimilarityService()
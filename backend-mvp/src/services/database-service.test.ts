@@ -226,6 +226,11 @@ describe('DatabaseService', () => {
             { confidenceScore: 0.9 },
             { confidenceScore: 0.8 }
           ]
+        },
+        metadata: {
+          organizationId: 'user-123',
+          guidelinesVersion: { version: '1.0', contentHash: 'abc123' },
+          aiModel: { provider: 'gemini', model: 'gemini-pro' }
         }
       } as MarketingAnalysisResult
 
@@ -258,7 +263,7 @@ describe('DatabaseService', () => {
         expect.objectContaining({
           compliance_score: 78,
           overall_status: 'needs_review',
-          ai_model_used: 'gemini-pro + rule-engine',
+          ai_model_used: 'gemini:gemini-pro + rule-engine',
           confidence: 0.85 // Average of AI violations confidence scores
         })
       )
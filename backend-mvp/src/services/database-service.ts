@@ -1,7 +1,9 @@
 import { supabase } from '../config/supabase'
 import { logger } from '../utils/logger'
 import { MarketingAnalysisResult } from '../core-engine/pipeline/marketing-analysis-pipeline'
+import { calculateAIConfidence } from '../core-engine/ai/llm-provider'
 import { ComplianceStatus } from '../types/database.generated'
+import { SourceLocation } from './document-extractors'
 
 // Define the actual types we expect from database operations
 export interface AnalysisResultRow {
@@ -52,9 +54,18 @@ export interface ComplianceAnalysisData {
     severity: 'low' | 'medium' | 'high' | 'critical'
     confidence: number
     suggestion: string | null
+    ruleId?: string // Guideline rule that raised it; findings are matched by rule across versions
+    matchedText?: string
+    startIndex?: number // Offsets into the document's extracted_text
+    endIndex?: number
+    sourceLocation?: SourceLocation
+    ocrConfidence?: number
+    needsHumanVerification?: boolean
   }>
   confidence: number
   aiModelUsed: string
+  analysisVersion?: string
+  analysisMetadata?: Record<string, any>
 }
 
 /**
@@ -87,7 +98,8 @@ export class DatabaseService {
         confidence: analysisData.confidence,
         user_id: userId,
         created_at: new Date().toISOString(),
-        analysis_metadata: {}
+        analysis_version: analysisData.analysisVersion,
+        analysis_metadata: analysisData.analysisMetadata || {}
       }
       
       const { data: analysisResult, error: analysisError } = await (supabase as any)
@@ -141,10 +153,28 @@ export class DatabaseService {
       const analysisData: ComplianceAnalysisData = {
         complianceScore: result.complianceReport.score.totalScore,
         overallStatus: result.complianceReport.score.complianceLevel,
-        aiModelUsed: 'gemini-pro + rule-engine',
-        confidence: result.aiInsights.aiViolations.length > 0 
-          ? result.aiInsights.aiViolations.reduce((sum, v) => sum + v.confidenceScore, 0) / result.aiInsights.aiViolations.length
-          : 0.8,
+        aiModelUsed: `${result.metadata.aiModel.provider}:${result.metadata.aiModel.model} + rule-engine`,
+        confidence: calculateAIConfidence(result.aiInsights),
+        // Record which guidelines produced this result so it can be reproduced later
+        analysisVersion: result.metadata.guidelinesVersion.version,
+        analysisMetadata: {
+          guidelinesVersion: result.metadata.guidelinesVersion,
+          organizationId: result.metadata.organizationId,
+          aiModel: result.metadata.aiModel,
+          aiDegraded: result.aiInsights.degraded,
+          scoringProfile: result.metadata.scoringProfile,
+          humanVerification: result.metadata.humanVerification,
+          // AI findings are not stored as violations; their grounded spans are kept for page annotations
+          aiFindings: result.aiInsights.aiViolations
+            .filter(violation => violation.startIndex !== undefined && violation.endIndex !== undefined)
+            .map(violation => ({
+              ruleCategory: violation.ruleCategory,
+              severity: violation.severity,
+              explanation: violation.explanation,
+              startIndex: violation.startIndex,
+              endIndex: violation.endIndex
+            }))
+        },
         violations: result.complianceReport.violations.map(violation => ({
           category: violation.rule.category,
           title: violation.rule.title,
@@ -152,7 +182,14 @@ export class DatabaseService {
           severity: violation.severity,
           confidence: violation.confidence,
           suggestion: result.recommendations.specificFixes
-            .find(fix => fix.originalText === violation.matchedText)?.suggestedText || null
+            .find(fix => fix.originalText === violation.matchedText)?.suggestedText || null,
+          ruleId: violation.rule.rule_id,
+          matchedText: violation.matchedText,
+          startIndex: violation.startIndex,
+          endIndex: violation.endIndex,
+          sourceLocation: violation.sourceLocation,
+          ocrConfidence: violation.ocrConfidence,
+          needsHumanVerification: violation.needsHumanVerification
         }))
       }
 
@@ -168,6 +205,89 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * Save a copy of another document's analysis for a duplicate of it, including the violations'
+   * review state. Near-duplicates have different text, so offsets into it are not carried over.
+   */
+  async copyAnalysisResults(
+    prior: { analysis: AnalysisResultRow, violations: ViolationRow[] },
+    documentId: string,
+    userId: string,
+    reusedFrom: { documentId: string, analysisId: string, match: 'exact' | 'near', similarity: number }
+  ): Promise<AnalysisResultRow> {
+    try {
+      const sameText = reusedFrom.match === 'exact'
+      const { aiFindings, ...analysisMetadata } = prior.analysis.analysis_metadata || {}
+
+      const { data: analysisResult, error: analysisError } = await (supabase as any)
+        .from('analysis_results')
+        .insert({
+          document_id: documentId,
+          compliance_score: prior.analysis.compliance_score,
+          overall_status: prior.analysis.overall_status,
+          ai_model_used: prior.analysis.ai_model_used,
+          confidence: prior.analysis.confidence,
+          user_id: userId,
+          created_at: new Date().toISOString(),
+          analysis_version: prior.analysis.analysis_version,
+          analysis_metadata: {
+            ...analysisMetadata,
+            ...(sameText && aiFindings && { aiFindings }),
+            reusedFrom
+          }
+        })
+        .select()
+        .single() as { data: AnalysisResultRow | null; error: any }
+
+      if (analysisError || !analysisResult) {
+        throw new Error(`Failed to save analysis: ${analysisError?.message || 'no row returned'}`)
+      }
+
+      if (prior.violations.length > 0) {
+        const violationsToInsert = prior.violations.map(violation => {
+          const { id, analysis_result_id, created_at, updated_at, ...copied } = violation as ViolationRow & { updated_at?: string }
+          const { location, sourceLocation, ...violationMetadata } = copied.violation_metadata || {}
+
+          return {
+            ...copied,
+            analysis_result_id: analysisResult.id,
+            created_at: new Date().toISOString(),
+            ...(!sameText && { character_position: null, line_number: null }),
+            violation_metadata: {
+              ...violationMetadata,
+              ...(sameText && location && { location }),
+              ...(sameText && sourceLocation && { sourceLocation })
+            }
+          }
+        })
+
+        const { error } = await (supabase as any)
+          .from('violations')
+          .insert(violationsToInsert)
+
+        if (error) {
+          throw new Error(`Failed to save violations: ${error.message}`)
+        }
+      }
+
+      logger.info('Analysis results copied', {
+        documentId,
+        userId,
+        analysisId: analysisResult.id,
+        reusedFrom
+      })
+
+      return analysisResult
+    } catch (error: any) {
+      logger.error('Failed to copy analysis results', {
+        documentId,
+        userId,
+        error: error.message
+      })
+      throw new Error(`Database save failed: ${error.message}`)
+    }
+  }
+
   /**
    * Update document status
    */
@@ -251,6 +371,31 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * Each document's most recent analysis (id, score, status and time only)
+   */
+  async getLatestAnalyses(documentIds: string[], userId: string): Promise<Map<string, AnalysisResultRow>> {
+    const latest = new Map<string, AnalysisResultRow>()
+    if (documentIds.length === 0) return latest
+
+    const { data, error } = await (supabase as any)
+      .from('analysis_results')
+      .select('id, document_id, compliance_score, overall_status, created_at')
+      .in('document_id', documentIds)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      throw new Error(`Failed to get latest analyses: ${error.message}`)
+    }
+
+    for (const row of (data || []) as AnalysisResultRow[]) {
+      if (!latest.has(row.document_id)) latest.set(row.document_id, row)
+    }
+
+    return latest
+  }
+
   /**
    * Get compliance statistics for a user
    */
@@ -321,7 +466,19 @@ export class DatabaseService {
       confidence: violation.confidence,
       suggestion: violation.suggestion || null,
       created_at: new Date().toISOString(),
-      violation_metadata: {},
+      ...(violation.ruleId && { rule_id: violation.ruleId }),
+      ...(violation.matchedText && { matched_text: violation.matchedText }),
+      ...(violation.startIndex !== undefined && { character_position: violation.startIndex }),
+      violation_metadata: {
+        ...(violation.startIndex !== undefined && violation.endIndex !== undefined && {
+          location: { start: violation.startIndex, end: violation.endIndex }
+        }),
+        ...(violation.sourceLocation && { sourceLocation: violation.sourceLocation }),
+        ...(violation.ocrConfidence !== undefined && {
+          ocrConfidence: violation.ocrConfidence,
+          needsHumanVerification: violation.needsHumanVerification
+        })
+      },
       remediation_options: {}
     }))
 
@@ -0,0 +1,168 @@
+import { describe, test, expect } from '@jest/globals'
+import { deflateRawSync } from 'zlib'
+import {
+  extractDocxText,
+  extractPptxText,
+  extractHtmlText,
+  extractPlainText,
+  findSourceLocation,
+  getSourceFormat,
+  hasTextLayer,
+  joinPdfPages
+} from './document-extractors'
+
+// Minimal ZIP writer for fixtures (the reader does not verify CRCs)
+const zip = (files: Record<string, string>): Buffer => {
+  const locals: Buffer[] = []
+  const centrals: Buffer[] = []
+  let offset = 0
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name)
+    const raw = Buffer.from(content)
+    const data = deflateRawSync(raw)
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(8, 8)
+    local.writeUInt32LE(data.length, 18)
+    local.writeUInt32LE(raw.length, 22)
+    local.writeUInt16LE(nameBuffer.length, 26)
+
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0)
+    central.writeUInt16LE(8, 10)
+    central.writeUInt32LE(data.length, 20)
+    central.writeUInt32LE(raw.length, 24)
+    central.writeUInt16LE(nameBuffer.length, 28)
+    central.writeUInt32LE(offset, 42)
+
+    locals.push(local, nameBuffer, data)
+    centrals.push(central, nameBuffer)
+    offset += local.length + nameBuffer.length + data.length
+  }
+
+  const directory = Buffer.concat(centrals)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(Object.keys(files).length, 8)
+  end.writeUInt16LE(Object.keys(files).length, 10)
+  end.writeUInt32LE(directory.length, 12)
+  end.writeUInt32LE(offset, 16)
+
+  return Buffer.concat([...locals, directory, end])
+}
+
+const wordParagraph = (text: string, style?: string) =>
+  `<w:p w14:paraId="1A2B">${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`
+
+const slide = (title: string, ...paragraphs: string[]) => `<p:sld><p:cSld><p:spTree>
+  <p:sp><p:nvSpPr><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>${title}</a:t></a:r></a:p></p:txBody></p:sp>
+  <p:sp><p:txBody>${paragraphs.map(text => `<a:p><a:pPr lvl="1"/><a:r><a:t>${text}</a:t></a:r></a:p>`).join('')}<a:p/></p:txBody></p:sp>
+</p:spTree></p:cSld></p:sld>`
+
+const extractPdfFixture = () => joinPdfPages([
+  { page: 1, text: ' Instant loans for everyone\n', extraction: 'text_layer', ocrConfidence: null },
+  { page: 2, text: '', extraction: 'text_layer', ocrConfidence: null },
+  { page: 3, text: 'Guaranteed approval in 5 minutes', extraction: 'ocr', ocrConfidence: 0.82 }
+])
+
+describe('document extractors', () => {
+  test('should keep Word paragraphs separate and track the current heading', () => {
+    const docx = zip({
+      'word/document.xml': `<w:document><w:body>
+        ${wordParagraph('Personal Loans', 'Heading1')}
+        ${wordParagraph('Guaranteed approval &amp; instant disbursal.')}
+        <w:p><w:r><w:t>Apply</w:t><w:tab/><w:t>today</w:t></w:r></w:p>
+        <w:p w14:paraId="3C4D"/>
+        ${wordParagraph('Fees', 'Heading2')}
+        ${wordParagraph('Processing fee of 2% applies.')}
+      </w:body></w:document>`,
+      'word/media/image1.png': 'not inflated'
+    })
+
+    const { text, segments } = extractDocxText(docx)
+
+    expect(text).toBe('Personal Loans\n\nGuaranteed approval & instant disbursal.\n\nApply today\n\nFees\n\nProcessing fee of 2% applies.')
+    expect(segments.map(segment => text.slice(segment.startIndex, segment.endIndex))[1]).toBe('Guaranteed approval & instant disbursal.')
+    expect(findSourceLocation(segments, text.indexOf('instant'))).toEqual({
+      format: 'docx',
+      paragraph: 2,
+      heading: 'Personal Loans'
+    })
+    expect(findSourceLocation(segments, text.indexOf('2%'))!.heading).toBe('Fees')
+  })
+
+  test('should number PowerPoint slides in presentation order', () => {
+    const pptx = zip({
+      'ppt/presentation.xml': '<p:presentation><p:sldIdLst><p:sldId id="256" r:id="rId3"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst></p:presentation>',
+      'ppt/_rels/presentation.xml.rels': '<Relationships><Relationship Id="rId2" Target="slides/slide1.xml"/><Relationship Id="rId3" Target="slides/slide2.xml"/></Relationships>',
+      'ppt/slides/slide1.xml': slide('Why choose us', 'Lowest rates in India', 'No hidden charges'),
+      'ppt/slides/slide2.xml': slide('QuickLoan', 'Loans in 5 minutes')
+    })
+
+    const { text, segments } = extractPptxText(pptx)
+
+    expect(text.startsWith('QuickLoan\n\nLoans in 5 minutes\n\nWhy choose us')).toBe(true)
+    expect(findSourceLocation(segments, text.indexOf('No hidden'))).toEqual({
+      format: 'pptx',
+      paragraph: 3,
+      slide: 2,
+      heading: 'Why choose us'
+    })
+  })
+
+  test('should split HTML into blocks and drop scripts and styles', () => {
+    const { text, segments } = extractHtmlText(`<!DOCTYPE html><html><head><title>Offer</title><style>p { color: red }</style></head>
+      <body><script>track("view")</script>
+        <h1>Instant&nbsp;Loans</h1>
+        <p>Get <b>pre-approved</b> loans at just 10.5% p.a.<br>T&amp;C apply.</p>
+        <table><tr><td>Rate</td><td>&#8377;999 fee</td></tr></table>
+        <!-- <p>hidden</p> -->
+      </body></html>`)
+
+    expect(text).toBe('Instant Loans\n\nGet pre-approved loans at just 10.5% p.a.\n\nT&C apply.\n\nRate\n\n₹999 fee')
+    expect(findSourceLocation(segments, text.indexOf('₹999'))).toEqual({
+      format: 'html',
+      paragraph: 5,
+      heading: 'Instant Loans'
+    })
+  })
+
+  test('should use blank lines and Markdown headings in plain text', () => {
+    const { text, segments } = extractPlainText('# Festive offer\r\n\r\nZero fees!\r\nApply now.\r\n\r\n\r\n## Terms\n\nSubject to eligibility.')
+
+    expect(text).toBe('# Festive offer\n\nZero fees!\nApply now.\n\n## Terms\n\nSubject to eligibility.')
+    expect(findSourceLocation(segments, text.indexOf('Apply'))).toEqual({ format: 'txt', paragraph: 2, heading: 'Festive offer' })
+    expect(findSourceLocation(segments, text.indexOf('eligibility'))!.heading).toBe('Terms')
+  })
+
+  test('should not locate offsets between paragraphs', () => {
+    const { text, segments } = extractPlainText('First\n\nSecond')
+
+    expect(findSourceLocation(segments, text.indexOf('\n'))).toBeUndefined()
+  })
+
+  test('should report page numbers for PDF text, skipping blank pages', () => {
+    const { text, segments } = extractPdfFixture()
+
+    expect(text).toBe('Instant loans for everyone\n\nGuaranteed approval in 5 minutes')
+    expect(findSourceLocation(segments, text.indexOf('Guaranteed'))).toEqual({ format: 'pdf', page: 3 })
+  })
+
+  test('should treat pages with only a stamped page number as scanned', () => {
+    expect(hasTextLayer('  3 \n')).toBe(false)
+    expect(hasTextLayer('Processing fee of 2% applies')).toBe(true)
+  })
+
+  test('should resolve formats by mimetype, then extension', () => {
+    expect(getSourceFormat('application/vnd.openxmlformats-officedocument.presentationml.presentation')).toBe('pptx')
+    expect(getSourceFormat('application/octet-stream', 'Campaign Draft.DOCX')).toBe('docx')
+    expect(getSourceFormat('application/octet-stream', 'mailer.htm')).toBe('html')
+    expect(getSourceFormat('application/msword', 'legacy.doc')).toBeNull()
+  })
+
+  test('should reject files that are not ZIP archives', () => {
+    expect(() => extractDocxText(Buffer.from('plain text pretending to be a docx'))).toThrow('Not a ZIP archive')
+  })
+})
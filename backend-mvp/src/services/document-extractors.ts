@@ -0,0 +1,370 @@
+import { readZipEntries } from '../utils/zip-reader'
+import { normalizeText } from '../core-engine/language/text-normalizer'
+
+export type SourceFormat = 'docx' | 'pptx' | 'html' | 'txt'
+
+/**
+ * Where a passage sits in the uploaded file, so reviewers can find it in the original
+ */
+export interface SourceLocation {
+  format: SourceFormat | 'pdf' | 'audio' | 'video'
+  paragraph?: number // 1-based; counted per slide for presentations. Not tracked for PDFs or media.
+  page?: number
+  slide?: number
+  heading?: string // Nearest preceding heading, or the slide title
+  startTime?: number // Seconds into an audio or video creative
+  endTime?: number
+  track?: 'speech' | 'on_screen_text' // Spoken transcript or supertext read from keyframes
+}
+
+export interface SourceSegment extends SourceLocation {
+  startIndex: number // Offsets into the extracted text, matching ViolationMatch
+  endIndex: number
+}
+
+export interface StructuredText {
+  text: string
+  segments: SourceSegment[]
+}
+
+export interface PdfPageText {
+  page: number // 1-based
+  text: string
+  extraction: 'text_layer' | 'ocr'
+  ocrConfidence: number | null // 0-1, for OCR'd pages
+}
+
+export const SOURCE_FORMAT_MIMETYPES: Record<SourceFormat, string> = {
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  html: 'text/html',
+  txt: 'text/plain'
+}
+
+const EXTENSION_FORMATS: Record<string, SourceFormat> = {
+  docx: 'docx',
+  pptx: 'pptx',
+  html: 'html',
+  htm: 'html',
+  txt: 'txt'
+}
+
+// A page whose text layer has fewer visible characters than this is treated as scanned
+const MIN_TEXT_LAYER_CHARACTERS = 10
+
+// Paragraphs are separated by a blank line so the rule engine's context windows and
+// proximity rules do not run across slide or section boundaries unnoticed
+const BLOCK_SEPARATOR = '\n\n'
+
+/**
+ * Resolve the format from the mimetype, falling back to the file extension because
+ * browsers report Office files and HTML exports as application/octet-stream on some platforms
+ */
+export const getSourceFormat = (mimetype: string, filename = ''): SourceFormat | null => {
+  const byMimetype = (Object.keys(SOURCE_FORMAT_MIMETYPES) as SourceFormat[])
+    .find(format => SOURCE_FORMAT_MIMETYPES[format] === mimetype)
+  if (byMimetype) return byMimetype
+
+  const extension = filename.split('.').pop()?.toLowerCase() || ''
+  return EXTENSION_FORMATS[extension] || null
+}
+
+/**
+ * Location of the segment containing a character offset of the extracted text. When the end of
+ * the span is given, spoken segments narrow their time range to the span, assuming an even pace.
+ */
+export const findSourceLocation = (
+  segments: SourceSegment[] | null | undefined,
+  index: number,
+  spanEndIndex?: number
+): SourceLocation | undefined => {
+  const segment = segments?.find(candidate => index >= candidate.startIndex && index < candidate.endIndex)
+  if (!segment) return undefined
+
+  const { startIndex, endIndex, ...location } = segment
+  if (location.track !== 'speech' || spanEndIndex === undefined) return location
+
+  const length = endIndex - startIndex
+  const duration = location.endTime! - location.startTime!
+  const timeAt = (offset: number) =>
+    Math.round((location.startTime! + duration * (Math.min(offset, endIndex) - startIndex) / length) * 10) / 10
+
+  return { ...location, startTime: timeAt(index), endTime: timeAt(spanEndIndex) }
+}
+
+/**
+ * Pages with no usable text layer, which need OCR (image-only scans, or only a stamped page number)
+ */
+export const hasTextLayer = (pageText: string): boolean => {
+  return pageText.replace(/\s+/g, '').length >= MIN_TEXT_LAYER_CHARACTERS
+}
+
+/**
+ * Join PDF pages into one text with a segment per page, so violations report page numbers
+ */
+export const joinPdfPages = (pages: PdfPageText[]): StructuredText => {
+  let text = ''
+  const segments: SourceSegment[] = []
+
+  for (const page of pages) {
+    const pageText = normalizeText(page.text).trim()
+    if (!pageText) continue
+
+    if (text) text += BLOCK_SEPARATOR
+    segments.push({ format: 'pdf', page: page.page, startIndex: text.length, endIndex: text.length + pageText.length })
+    text += pageText
+  }
+
+  return { text, segments }
+}
+
+/**
+ * Accumulates paragraphs into one text while recording where each one came from
+ */
+class StructuredTextBuilder {
+  private text = ''
+  private segments: SourceSegment[] = []
+
+  constructor(private format: SourceFormat) {}
+
+  add(rawText: string, location: Omit<SourceLocation, 'format' | 'paragraph'>): boolean {
+    const block = normalizeText(rawText)
+      .split('\n')
+      .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n')
+    if (!block) return false
+
+    if (this.text) this.text += BLOCK_SEPARATOR
+    const startIndex = this.text.length
+    this.text += block
+
+    const previous = this.segments[this.segments.length - 1]
+    const paragraph = previous && previous.slide === location.slide ? previous.paragraph! + 1 : 1
+
+    this.segments.push({
+      format: this.format,
+      paragraph,
+      ...location,
+      startIndex,
+      endIndex: this.text.length
+    })
+    return true
+  }
+
+  build(): StructuredText {
+    return { text: this.text, segments: this.segments }
+  }
+}
+
+const XML_ENTITIES: Record<string, string> = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: '\u00a0',
+  ndash: '–',
+  mdash: '—',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  hellip: '…',
+  bull: '•',
+  middot: '·',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  rupee: '₹',
+  percnt: '%'
+}
+
+const decodeEntities = (text: string): string => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name: string) => {
+    if (name[0] === '#') {
+      const codePoint = name[1] === 'x' || name[1] === 'X'
+        ? parseInt(name.slice(2), 16)
+        : parseInt(name.slice(1), 10)
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity
+    }
+    return XML_ENTITIES[name.toLowerCase()] ?? entity
+  })
+}
+
+/**
+ * Text of one DrawingML or WordprocessingML paragraph: runs, tabs and line breaks
+ */
+const paragraphText = (xml: string, prefix: 'w' | 'a'): string => {
+  const runs = new RegExp(`<${prefix}:t(?:\\s[^>]*)?>([^<]*)</${prefix}:t>|<${prefix}:tab/>|<${prefix}:(?:br|cr)\\b[^>]*/>`, 'g')
+  let text = ''
+
+  for (const match of xml.matchAll(runs)) {
+    if (match[1] !== undefined) text += decodeEntities(match[1])
+    else text += match[0].startsWith(`<${prefix}:tab`) ? '\t' : '\n'
+  }
+
+  return text
+}
+
+/**
+ * Word documents: one segment per paragraph (including table cells), headed by the nearest
+ * paragraph styled as a heading or title
+ */
+export const extractDocxText = (buffer: Buffer): StructuredText => {
+  const xml = readZipEntries(buffer, name => name === 'word/document.xml').get('word/document.xml')
+  if (!xml) {
+    throw new Error('Not a Word document: word/document.xml is missing')
+  }
+
+  const builder = new StructuredTextBuilder('docx')
+  let heading: string | undefined
+
+  for (const [paragraph] of xml.toString('utf8').matchAll(/<w:p(?:\s[^>]*)?(?<!\/)>[\s\S]*?<\/w:p>/g)) {
+    const text = paragraphText(paragraph, 'w')
+    const isHeading = /<w:pStyle w:val="(?:Heading|Title|Subtitle)/i.test(paragraph) || /<w:outlineLvl\b/.test(paragraph)
+
+    if (isHeading && text.trim()) {
+      heading = text.replace(/\s+/g, ' ').trim()
+    }
+    builder.add(text, { heading })
+  }
+
+  return builder.build()
+}
+
+/**
+ * Slide part names in presentation order (the order in presentation.xml, not the file names)
+ */
+const orderedSlideNames = (entries: Map<string, Buffer>): string[] => {
+  const slideNames = Array.from(entries.keys())
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)![1], 10) - parseInt(b.match(/(\d+)\.xml$/)![1], 10))
+
+  const presentation = entries.get('ppt/presentation.xml')?.toString('utf8')
+  const relationships = entries.get('ppt/_rels/presentation.xml.rels')?.toString('utf8')
+  if (!presentation || !relationships) return slideNames
+
+  const targets = new Map<string, string>()
+  for (const [relationship] of relationships.matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = relationship.match(/\bId="([^"]+)"/)?.[1]
+    const target = relationship.match(/\bTarget="([^"]+)"/)?.[1]
+    if (id && target) targets.set(id, `ppt/${target.replace(/^\/?(ppt\/)?/, '')}`)
+  }
+
+  const ordered = Array.from(presentation.matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g))
+    .map(match => targets.get(match[1]))
+    .filter((name): name is string => !!name && entries.has(name))
+
+  return ordered.length > 0 ? ordered : slideNames
+}
+
+/**
+ * PowerPoint decks: one segment per text paragraph, numbered by slide and headed by the
+ * slide title. Speaker notes are not part of the published creative and are skipped.
+ */
+export const extractPptxText = (buffer: Buffer): StructuredText => {
+  const entries = readZipEntries(buffer, name =>
+    /^ppt\/slides\/slide\d+\.xml$/.test(name) || name === 'ppt/presentation.xml' || name === 'ppt/_rels/presentation.xml.rels'
+  )
+  const slideNames = orderedSlideNames(entries)
+  if (slideNames.length === 0) {
+    throw new Error('Not a PowerPoint presentation: no slides found')
+  }
+
+  const builder = new StructuredTextBuilder('pptx')
+
+  slideNames.forEach((name, index) => {
+    const xml = entries.get(name)!.toString('utf8')
+    const slide = index + 1
+
+    const titleShape = Array.from(xml.matchAll(/<p:sp>[\s\S]*?<\/p:sp>/g))
+      .map(match => match[0])
+      .find(shape => /<p:ph\b[^>]*type="(?:title|ctrTitle)"/.test(shape))
+    const title = titleShape
+      ? Array.from(titleShape.matchAll(/<a:p(?:\s[^>]*)?(?<!\/)>[\s\S]*?<\/a:p>/g), match => paragraphText(match[0], 'a'))
+        .join(' ').replace(/\s+/g, ' ').trim() || undefined
+      : undefined
+
+    for (const [paragraph] of xml.matchAll(/<a:p(?:\s[^>]*)?(?<!\/)>[\s\S]*?<\/a:p>/g)) {
+      builder.add(paragraphText(paragraph, 'a'), { slide, heading: title })
+    }
+  })
+
+  return builder.build()
+}
+
+const HTML_BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'caption', 'dd', 'div', 'dl', 'dt', 'figcaption',
+  'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav',
+  'ol', 'p', 'pre', 'section', 'table', 'td', 'th', 'tr', 'ul'
+])
+
+/**
+ * HTML landing pages and email templates: one segment per block element (paragraphs, list
+ * items, table cells), headed by the nearest h1-h6. Scripts, styles and the head are dropped.
+ */
+export const extractHtmlText = (html: string): StructuredText => {
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<![^>]*>|<\?[^>]*>/g, '') // Doctype and processing instructions
+    .replace(/<(script|style|head|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi, '')
+
+  const builder = new StructuredTextBuilder('html')
+  let heading: string | undefined
+  let buffer = ''
+
+  const flush = (isHeading = false) => {
+    const text = decodeEntities(buffer).replace(/\s+/g, ' ').trim()
+    buffer = ''
+    if (isHeading && text) heading = text
+    builder.add(text, { heading })
+  }
+
+  for (const match of body.matchAll(/<(\/?)([a-zA-Z][\w-]*)\b[^>]*>|([^<]+)/g)) {
+    if (match[3] !== undefined) {
+      buffer += match[3]
+      continue
+    }
+
+    const tag = match[2].toLowerCase()
+    if (!HTML_BLOCK_TAGS.has(tag)) continue
+
+    flush(match[1] === '/' && /^h[1-6]$/.test(tag))
+  }
+  flush()
+
+  return builder.build()
+}
+
+/**
+ * Plain text and copy decks: paragraphs are separated by blank lines; Markdown-style
+ * "#" lines are treated as headings
+ */
+export const extractPlainText = (text: string): StructuredText => {
+  const builder = new StructuredTextBuilder('txt')
+  let heading: string | undefined
+
+  for (const paragraph of text.replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/)) {
+    const headingMatch = paragraph.trim().match(/^#{1,6}\s+(.+)$/)
+    if (headingMatch) {
+      heading = headingMatch[1].trim()
+    }
+    builder.add(paragraph, { heading })
+  }
+
+  return builder.build()
+}
+
+export const extractStructuredText = (format: SourceFormat, buffer: Buffer): StructuredText => {
+  switch (format) {
+    case 'docx':
+      return extractDocxText(buffer)
+    case 'pptx':
+      return extractPptxText(buffer)
+    case 'html':
+      return extractHtmlText(buffer.toString('utf8'))
+    case 'txt':
+      return extractPlainText(buffer.toString('utf8'))
+  }
+}
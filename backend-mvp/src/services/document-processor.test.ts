@@ -13,7 +13,6 @@ const mockSupabase = {
   storage: {
     from: jest.fn(() => ({
       upload: jest.fn() as jest.MockedFunction<any>,
-      getPublicUrl: jest.fn() as jest.MockedFunction<any>,
     })),
   },
   from: jest.fn(() => ({
@@ -103,9 +102,8 @@ describe('DocumentProcessor', () => {
     })
   })
 
-  describe('uploadToSupabase', () => {
+  describe('storeFile', () => {
     test('should successfully upload file to Supabase storage', async () => {
-      const mockFileUrl = 'https://supabase.co/storage/v1/object/public/documents/user-123/1234567890-test-document.pdf'
       const mockFileName = 'user-123/1234567890-test-document.pdf'
 
       // Mock Date.now() for consistent filename
@@ -116,13 +114,13 @@ describe('DocumentProcessor', () => {
         error: null,
       })
 
-      ;(mockSupabase.storage.from() as any).getPublicUrl.mockReturnValueOnce({
-        data: { publicUrl: mockFileUrl },
-      })
-
-      const result = await documentProcessor.uploadToSupabase(mockFile, 'user-123')
+      const result = await documentProcessor.storeFile(mockFile, 'user-123')
 
-      expect(result).toBe(mockFileUrl)
+      expect(result).toEqual({
+        backend: 'supabase',
+        bucket: 'documents',
+        key: 'user-123/1234567890000-test-document.pdf'
+      })
       expect(mockSupabase.storage.from).toHaveBeenCalledWith('documents')
       expect(mockSupabase.storage.from().upload).toHaveBeenCalledWith(
         'user-123/1234567890000-test-document.pdf',
@@ -145,7 +143,7 @@ describe('DocumentProcessor', () => {
       })
 
       await expect(
-        documentProcessor.uploadToSupabase(mockFile, 'user-123')
+        documentProcessor.storeFile(mockFile, 'user-123')
       ).rejects.toThrow('Failed to upload file to storage')
 
       expect(mockConsole.error).toHaveBeenCalledWith('File upload error:', expect.any(Error))
@@ -157,7 +155,7 @@ describe('DocumentProcessor', () => {
       )
 
       await expect(
-        documentProcessor.uploadToSupabase(mockFile, 'user-123')
+        documentProcessor.storeFile(mockFile, 'user-123')
       ).rejects.toThrow('Failed to upload file to storage')
     })
 
@@ -169,11 +167,7 @@ describe('DocumentProcessor', () => {
         error: null,
       })
 
-      ;(mockSupabase.storage.from() as any).getPublicUrl.mockReturnValueOnce({
-        data: { publicUrl: 'test-url' },
-      })
-
-      await documentProcessor.uploadToSupabase(mockFile, 'user-456')
+      await documentProcessor.storeFile(mockFile, 'user-456')
 
       expect(mockSupabase.storage.from().upload).toHaveBeenCalledWith(
         'user-456/9876543210000-test-document.pdf',
@@ -188,14 +182,14 @@ describe('DocumentProcessor', () => {
   describe('processDocument', () => {
     test('should successfully process PDF document', async () => {
       const mockExtractedText = 'PDF content text'
-      const mockFileUrl = 'https://supabase.co/storage/test-file.pdf'
       const mockDocument = {
         id: 'doc-123',
         name: 'test-document.pdf',
         original_name: 'test-document.pdf',
         type: 'application/pdf',
         size: 1024000,
-        url: mockFileUrl,
+        storage_backend: 'supabase',
+        storage_path: 'user-123/1234567890000-test-document.pdf',
         status: 'uploaded',
         extracted_text: mockExtractedText,
         user_id: 'user-123',
@@ -216,9 +210,6 @@ describe('DocumentProcessor', () => {
         data: { path: 'test-path' },
         error: null,
       })
-      ;(mockSupabase.storage.from() as any).getPublicUrl.mockReturnValueOnce({
-        data: { publicUrl: mockFileUrl },
-      })
 
       // Mock database insert
       ;(mockSupabase.from() as any).single.mockResolvedValueOnce({
@@ -236,10 +227,13 @@ describe('DocumentProcessor', () => {
         original_name: 'test-document.pdf',
         type: 'application/pdf',
         size: 1024000,
-        url: mockFileUrl,
+        storage_backend: 'supabase',
+        storage_path: expect.stringMatching(/^user-123\/\d+-test-document\.pdf$/),
         status: 'uploaded',
         extracted_text: mockExtractedText,
         user_id: 'user-123',
+        language: 'en',
+        detected_languages: ['en'],
       })
     })
 
@@ -250,14 +244,14 @@ describe('DocumentProcessor', () => {
         mimetype: 'image/jpeg',
       }
 
-      const mockFileUrl = 'https://supabase.co/storage/test-image.jpg'
       const mockDocument = {
         id: 'doc-456',
         name: 'test-image.jpg',
         original_name: 'test-image.jpg',
         type: 'image/jpeg',
         size: 1024000,
-        url: mockFileUrl,
+        storage_backend: 'supabase',
+        storage_path: 'user-123/1234567890000-test-image.jpg',
         status: 'uploaded',
         extracted_text: null,
         user_id: 'user-123',
@@ -268,9 +262,6 @@ describe('DocumentProcessor', () => {
         data: { path: 'test-path' },
         error: null,
       })
-      ;(mockSupabase.storage.from() as any).getPublicUrl.mockReturnValueOnce({
-        data: { publicUrl: mockFileUrl },
-      })
 
       // Mock database insert
       ;(mockSupabase.from() as any).single.mockResolvedValueOnce({
@@ -290,7 +281,6 @@ describe('DocumentProcessor', () => {
     })
 
     test('should handle database insertion errors', async () => {
-      const mockFileUrl = 'https://supabase.co/storage/test-file.pdf'
       const mockDatabaseError = { message: 'Unique constraint violation' }
 
       // Mock successful upload
@@ -298,9 +288,6 @@ describe('DocumentProcessor', () => {
         data: { path: 'test-path' },
         error: null,
       })
-      ;(mockSupabase.storage.from() as any).getPublicUrl.mockReturnValueOnce({
-        data: { publicUrl: mockFileUrl },
-      })
 
       // Mock successful text extraction
       mockPdfParse.mockResolvedValueOnce({
@@ -335,16 +322,12 @@ describe('DocumentProcessor', () => {
     })
 
     test('should handle PDF parsing errors during document processing', async () => {
-      const mockFileUrl = 'https://supabase.co/storage/test-file.pdf'
 
       // Mock successful upload
       ;(mockSupabase.storage.from() as any).upload.mockResolvedValueOnce({
         data: { path: 'test-path' },
         error: null,
       })
-      ;(mockSupabase.storage.from() as any).getPublicUrl.mockReturnValueOnce({
-        data: { publicUrl: mockFileUrl },
-      })
 
       // Mock PDF parsing failure
       mockPdfParse.mockRejectedValueOnce(new Error('Corrupted PDF'))
@@ -1,7 +1,75 @@
 import pdfParse from 'pdf-parse'
-import { createWorker } from 'tesseract.js'
+import { createWorker, Worker } from 'tesseract.js'
 import sharp from 'sharp'
+import { execFile } from 'child_process'
+import { promises as fs } from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { Readable } from 'stream'
+import { promisify } from 'util'
 import { supabase } from '../config/supabase'
+import { ocrConfig } from '../config/ocr'
+import { mediaConfig } from '../config/media'
+import { logger } from '../utils/logger'
+import { languageDetector, SupportedLanguage } from '../core-engine/language/language-detector'
+import { normalizeText } from '../core-engine/language/text-normalizer'
+import {
+  extractStructuredText,
+  getSourceFormat,
+  hasTextLayer,
+  joinPdfPages,
+  PdfPageText,
+  SourceFormat,
+  SourceSegment,
+  StructuredText
+} from './document-extractors'
+import { alignOcrWords, buildOcrMetadata, OcrPageResult } from './ocr-metadata'
+import { ContentFingerprint, fingerprintContent, fingerprintFile } from './content-fingerprint'
+import { DocumentVersionColumns } from './document-version-service'
+import { buildTextLayerMetadata, textItemBox, TextLayerPage } from './page-layout'
+import { WebPageCapture } from './web-page-scanner'
+import { StorageBackendName, StoredObject } from './storage/storage-adapter'
+import { storageService } from './storage/storage-service'
+import {
+  buildTimedTranscript,
+  DocumentMediaMetadata,
+  getMediaFormat,
+  KeyframeText,
+  mergeKeyframeText,
+  MediaFormat,
+  parseWhisperTranscript,
+  TranscriptSegment
+} from './media-transcript'
+
+const execFileAsync = promisify(execFile)
+
+const PDF_RASTERIZE_TIMEOUT_MS = 60000
+
+/**
+ * Page text as pdf-parse assembles it: items on the same baseline are joined, new baselines start a new line.
+ * Item boxes are kept (in points) so violations can be drawn on the rendered page.
+ */
+const renderPageText = async (pageData: any): Promise<{ text: string, layout: TextLayerPage }> => {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+  const view: number[] = pageData.view
+  let lastY: number | undefined
+  let text = ''
+
+  for (const item of textContent.items) {
+    text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`
+    lastY = item.transform[5]
+  }
+
+  return {
+    text,
+    layout: {
+      page: pageData.pageIndex + 1,
+      width: view[2] - view[0],
+      height: view[3] - view[1],
+      items: textContent.items.map((item: any) => ({ text: item.str, bbox: textItemBox(item, view) }))
+    }
+  }
+}
 
 export class DocumentProcessor {
   async extractTextFromPDF(buffer: Buffer): Promise<string> {
@@ -36,38 +104,77 @@ export class DocumentProcessor {
     }
   }
 
+  private async createOcrWorker(): Promise<Worker> {
+    // All configured scripts are loaded at once; the document's language is detected from the result
+    const worker = await createWorker(ocrConfig.languages, 1, {
+      langPath: ocrConfig.langPath,
+      gzip: false
+    })
+
+    // Configure Tesseract for marketing document analysis
+    // (no character whitelist: it would strip Devanagari, Tamil and the ₹ sign)
+    await worker.setParameters({
+      preserve_interword_spaces: '1'
+    })
+
+    return worker
+  }
+
+  /**
+   * OCR one image, keeping word-level boxes and confidences alongside the cleaned-up text
+   */
+  private async recognize(worker: Worker, buffer: Buffer, page?: number): Promise<OcrPageResult & { text: string }> {
+    // Preprocess image for better OCR
+    const processedBuffer = await this.preprocessImage(buffer)
+    
+    const { data } = await worker.recognize(processedBuffer, {}, { text: true, blocks: true })
+    
+    // Calculate average confidence
+    const confidence = data.confidence / 100 // Convert to 0-1 scale
+    
+    // Clean up extracted text
+    const cleanedText = normalizeText(data.text)
+      .replace(/\s+/g, ' ') // Replace multiple spaces with single space
+      .replace(/\n\s*\n/g, '\n') // Replace multiple newlines with single newline
+      .trim()
+
+    // Word boxes are in the coordinates of the preprocessed image
+    const { width = 0, height = 0 } = await sharp(processedBuffer).metadata()
+    const words = (data.blocks || []).flatMap(block =>
+      block.paragraphs.flatMap(paragraph => paragraph.lines.flatMap(line => line.words))
+    )
+
+    return {
+      page,
+      text: cleanedText,
+      confidence,
+      width,
+      height,
+      words: alignOcrWords(cleanedText, words, page)
+    }
+  }
+
   async extractTextFromImage(buffer: Buffer): Promise<{ 
     text: string, 
-    confidence: number 
+    confidence: number,
+    language: SupportedLanguage,
+    ocrPage: OcrPageResult
   }> {
-    const worker = await createWorker('eng')
+    const worker = await this.createOcrWorker()
     
     try {
-      // Preprocess image for better OCR
-      const processedBuffer = await this.preprocessImage(buffer)
+      const { text: cleanedText, ...ocrPage } = await this.recognize(worker, buffer)
+      const { confidence } = ocrPage
       
-      // Configure Tesseract for marketing document analysis
-      await worker.setParameters({
-        tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789.,!?()%-:;@#$&* ',
-        preserve_interword_spaces: '1'
-      })
-      
-      const { data } = await worker.recognize(processedBuffer)
-      
-      // Calculate average confidence
-      const confidence = data.confidence / 100 // Convert to 0-1 scale
-      
-      // Clean up extracted text
-      let cleanedText = data.text
-        .replace(/\s+/g, ' ') // Replace multiple spaces with single space
-        .replace(/\n\s*\n/g, '\n') // Replace multiple newlines with single newline
-        .trim()
-      
-      console.log(`OCR completed with ${confidence.toFixed(2)} confidence`)
+      const { primary: language } = languageDetector.detect(cleanedText)
+
+      console.log(`OCR completed with ${confidence.toFixed(2)} confidence (language: ${language})`)
       
       return {
         text: cleanedText,
-        confidence
+        confidence,
+        language,
+        ocrPage
       }
     } catch (error) {
       console.error('OCR text extraction error:', error)
@@ -77,6 +184,254 @@ export class DocumentProcessor {
     }
   }
 
+  /**
+   * Text of each PDF page. Pages without a text layer (scanned brochures) are rasterized
+   * and OCR'd; if that fails the page keeps whatever text layer it had. OCR results (with
+   * word boxes) are returned for the pages that were replaced by OCR text, and text-layer
+   * item boxes for the rest. A file on disk is rasterized from where it is, but pdf-parse
+   * reads it into memory whole, so chunked uploads are capped by UPLOAD_MAX_CHUNKED_DOCUMENT_MB.
+   */
+  async extractPagesFromPDF(input: Buffer | string): Promise<{
+    pages: PdfPageText[],
+    ocrPages: OcrPageResult[],
+    textLayerPages: TextLayerPage[]
+  }> {
+    const pageTexts: string[] = []
+    const layouts: TextLayerPage[] = []
+
+    try {
+      const data = await pdfParse(typeof input === 'string' ? await fs.readFile(input) : input, {
+        pagerender: async (pageData: any) => {
+          const { text, layout } = await renderPageText(pageData)
+          pageTexts[pageData.pageIndex] = text
+          layouts[pageData.pageIndex] = layout
+          return text
+        }
+      })
+      // pdf-parse renders pages in order and skips pages that fail to render
+      for (let i = 0; i < data.numpages; i++) pageTexts[i] = pageTexts[i] || ''
+    } catch (error) {
+      console.error('PDF text extraction error:', error)
+      throw new Error('Failed to extract text from PDF')
+    }
+
+    const pages: PdfPageText[] = pageTexts.map((text, index) => ({
+      page: index + 1,
+      text,
+      extraction: 'text_layer',
+      ocrConfidence: null
+    }))
+
+    // Pages replaced by OCR text are positioned by their OCR word boxes instead
+    const textLayerPages = () => layouts.filter(layout =>
+      layout && pages[layout.page - 1].extraction === 'text_layer' && layout.items.length > 0
+    )
+
+    const scannedPages = pages.filter(page => !hasTextLayer(page.text))
+    if (scannedPages.length === 0) return { pages, ocrPages: [], textLayerPages: textLayerPages() }
+
+    if (scannedPages.length > ocrConfig.pdfMaxOcrPages) {
+      logger.warn('PDF has more pages without a text layer than are OCR\'d; the rest keep no text', {
+        scannedPages: scannedPages.length,
+        maxOcrPages: ocrConfig.pdfMaxOcrPages
+      })
+    }
+
+    const ocrPages = await this.ocrPdfPages(input, scannedPages.slice(0, ocrConfig.pdfMaxOcrPages))
+    return { pages, ocrPages, textLayerPages: textLayerPages() }
+  }
+
+  /**
+   * Rasterize pages one at a time and OCR them with a single Tesseract worker, updating them in place
+   */
+  private async ocrPdfPages(input: Buffer | string, pages: PdfPageText[]): Promise<OcrPageResult[]> {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-ocr-'))
+    const worker = await this.createOcrWorker()
+    const ocrPages: OcrPageResult[] = []
+
+    try {
+      const pdfPath = typeof input === 'string' ? input : path.join(directory, 'document.pdf')
+      if (typeof input !== 'string') {
+        await fs.writeFile(pdfPath, input)
+      }
+
+      for (const page of pages) {
+        try {
+          const image = await this.rasterizePdfPage(pdfPath, page.page, directory)
+          const { text, ...ocrPage } = await this.recognize(worker, image, page.page)
+
+          if (text.length > page.text.trim().length) {
+            page.text = text
+            page.extraction = 'ocr'
+            page.ocrConfidence = ocrPage.confidence
+            ocrPages.push(ocrPage)
+          }
+        } catch (error: any) {
+          logger.error('PDF page OCR failed', { page: page.page, error: error.message })
+        }
+      }
+
+      logger.info('Scanned PDF pages OCR\'d', { ocrPages: ocrPages.length, scannedPages: pages.length })
+      return ocrPages
+    } finally {
+      await worker.terminate()
+      await fs.rm(directory, { recursive: true, force: true })
+    }
+  }
+
+  /**
+   * Render one PDF page to PNG at OCR_PDF_DPI
+   */
+  async renderPdfPage(buffer: Buffer, page: number): Promise<Buffer> {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-render-'))
+
+    try {
+      const input = path.join(directory, 'document.pdf')
+      await fs.writeFile(input, buffer)
+      return await this.rasterizePdfPage(input, page, directory)
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true })
+    }
+  }
+
+  private async rasterizePdfPage(input: string, page: number, directory: string): Promise<Buffer> {
+    const outputPrefix = path.join(directory, `page-${page}`)
+
+    await execFileAsync(ocrConfig.pdfRasterizerPath, [
+      '-png',
+      '-r', String(ocrConfig.pdfRenderDpi),
+      '-f', String(page),
+      '-l', String(page),
+      '-singlefile',
+      input,
+      outputPrefix
+    ], { timeout: PDF_RASTERIZE_TIMEOUT_MS })
+
+    return fs.readFile(`${outputPrefix}.png`)
+  }
+
+  /**
+   * Word, PowerPoint, HTML and plain-text files, keeping paragraph, slide and heading
+   * boundaries so violations can be traced back to where they appear in the original
+   */
+  extractTextFromStructuredDocument(buffer: Buffer, format: SourceFormat): StructuredText {
+    try {
+      return extractStructuredText(format, buffer)
+    } catch (error) {
+      console.error(`${format.toUpperCase()} text extraction error:`, error)
+      throw new Error(`Failed to extract text from ${format.toUpperCase()}`)
+    }
+  }
+
+  /**
+   * Timestamped transcript of an audio or video creative: speech transcribed with whisper.cpp
+   * and, for video, supertext OCR'd from keyframes sampled every MEDIA_KEYFRAME_INTERVAL_SECONDS.
+   * Either track may fail (no soundtrack, no captions) as long as the other yields text.
+   * A file already on disk is read by ffmpeg where it is.
+   */
+  async extractTextFromMedia(source: Buffer | string, format: MediaFormat, filename: string): Promise<StructuredText & {
+    media: DocumentMediaMetadata
+  }> {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'media-'))
+
+    try {
+      const input = typeof source === 'string' ? source : path.join(directory, `input${path.extname(filename) || ''}`)
+      if (typeof source !== 'string') {
+        await fs.writeFile(input, source)
+      }
+
+      const segments: TranscriptSegment[] = []
+      const media: DocumentMediaMetadata = { format, durationSeconds: null, transcription: null, keyframes: null }
+
+      try {
+        segments.push(...await this.transcribeSpeech(input, directory))
+        media.transcription = {
+          engine: 'whisper.cpp',
+          model: path.basename(mediaConfig.whisperModelPath),
+          language: mediaConfig.whisperLanguage
+        }
+      } catch (error) {
+        console.warn('Speech transcription failed:', error)
+      }
+
+      if (format === 'video') {
+        try {
+          const frames = await this.readKeyframeText(input, directory)
+          segments.push(...mergeKeyframeText(frames, mediaConfig.keyframeIntervalSeconds))
+          media.keyframes = {
+            intervalSeconds: mediaConfig.keyframeIntervalSeconds,
+            sampled: frames.length,
+            withText: frames.filter(frame => frame.text.trim()).length
+          }
+        } catch (error) {
+          console.warn('Keyframe OCR failed:', error)
+        }
+      }
+
+      if (segments.length === 0) {
+        throw new Error('No speech or on-screen text could be extracted')
+      }
+
+      media.durationSeconds = Math.max(...segments.map(segment => segment.endTime))
+      return { ...buildTimedTranscript(segments, format), media }
+    } catch (error) {
+      console.error(`${format} transcription error:`, error)
+      throw new Error(`Failed to transcribe ${format}`)
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true })
+    }
+  }
+
+  private async transcribeSpeech(input: string, directory: string): Promise<TranscriptSegment[]> {
+    // whisper.cpp reads 16 kHz mono WAV
+    const audio = path.join(directory, 'audio.wav')
+    await execFileAsync(mediaConfig.ffmpegPath, [
+      '-hide_banner', '-loglevel', 'error', '-y',
+      '-i', input,
+      '-vn', '-ac', '1', '-ar', '16000', '-c:a', 'pcm_s16le',
+      audio
+    ], { timeout: mediaConfig.processTimeoutMs })
+
+    const outputPrefix = path.join(directory, 'transcript')
+    await execFileAsync(mediaConfig.whisperPath, [
+      '-m', mediaConfig.whisperModelPath,
+      '-f', audio,
+      '-l', mediaConfig.whisperLanguage,
+      '-oj',
+      '-of', outputPrefix,
+      '-np'
+    ], { timeout: mediaConfig.processTimeoutMs, maxBuffer: 16 * 1024 * 1024 })
+
+    return parseWhisperTranscript(JSON.parse(await fs.readFile(`${outputPrefix}.json`, 'utf8')))
+  }
+
+  private async readKeyframeText(input: string, directory: string): Promise<KeyframeText[]> {
+    const interval = mediaConfig.keyframeIntervalSeconds
+    await execFileAsync(mediaConfig.ffmpegPath, [
+      '-hide_banner', '-loglevel', 'error', '-y',
+      '-i', input,
+      '-vf', `fps=1/${interval}`,
+      '-frames:v', String(mediaConfig.maxKeyframes),
+      path.join(directory, 'frame-%05d.png')
+    ], { timeout: mediaConfig.processTimeoutMs })
+
+    const frameFiles = (await fs.readdir(directory)).filter(name => name.startsWith('frame-')).sort()
+    const worker = await this.createOcrWorker()
+    const frames: KeyframeText[] = []
+
+    try {
+      // The fps filter emits the first frame at 0s and one per interval after it
+      for (const [index, name] of frameFiles.entries()) {
+        const { text, confidence } = await this.recognize(worker, await fs.readFile(path.join(directory, name)))
+        frames.push({ time: index * interval, text, confidence })
+      }
+    } finally {
+      await worker.terminate()
+    }
+
+    return frames
+  }
+
   private isImageFile(mimetype: string): boolean {
     return mimetype.startsWith('image/')
   }
@@ -91,71 +446,174 @@ export class DocumentProcessor {
       'image/webp': 'webp'
     }
     
-    return mimeTypeMap[mimetype] || mimetype
+    return mimeTypeMap[mimetype] || getSourceFormat(mimetype) || getMediaFormat(mimetype) || mimetype
   }
 
-  async uploadToSupabase(file: Express.Multer.File, userId: string): Promise<string> {
+  /**
+   * Store an uploaded file in the configured storage backend. The returned location is saved on
+   * the document; files are only handed out through signed URLs.
+   */
+  async storeFile(file: Express.Multer.File, userId: string): Promise<StoredObject> {
     try {
-      const fileName = `${userId}/${Date.now()}-${file.originalname}`
-      
-      const { data, error } = await supabase.storage
-        .from('documents')
-        .upload(fileName, file.buffer, {
-          contentType: file.mimetype,
-          cacheControl: '3600'
-        })
-
-      if (error) {
-        throw new Error(`Upload failed: ${error.message}`)
-      }
-
-      const { data: { publicUrl } } = supabase.storage
-        .from('documents')
-        .getPublicUrl(fileName)
+      return await storageService.putObject('documents', this.getStorageKey(file.originalname, userId), file.buffer, {
+        contentType: file.mimetype,
+        size: file.size
+      })
+    } catch (error) {
+      console.error('File upload error:', error)
+      throw new Error('Failed to upload file to storage')
+    }
+  }
 
-      return publicUrl
+  /**
+   * Stream a file to storage without holding it in memory, for assembled chunked uploads
+   */
+  async storeStream(stream: Readable, originalName: string, mimetype: string, size: number, userId: string): Promise<StoredObject> {
+    try {
+      return await storageService.putObject('documents', this.getStorageKey(originalName, userId), stream, {
+        contentType: mimetype,
+        size
+      })
     } catch (error) {
       console.error('File upload error:', error)
       throw new Error('Failed to upload file to storage')
     }
   }
 
-  async processDocument(file: Express.Multer.File, userId: string) {
+  /**
+   * Where a document's file is stored, or null for documents saved without one
+   */
+  getStoredFile(document: { storage_backend?: string | null; storage_path?: string | null }): StoredObject | null {
+    if (!document.storage_backend || !document.storage_path) return null
+
+    return {
+      backend: document.storage_backend as StorageBackendName,
+      bucket: 'documents',
+      key: document.storage_path
+    }
+  }
+
+  /**
+   * Fetch a document's uploaded file back from whichever backend stored it
+   */
+  async downloadFile(document: { storage_backend?: string | null; storage_path?: string | null }): Promise<Buffer> {
+    const storedFile = this.getStoredFile(document)
+    if (!storedFile) {
+      throw new Error('Download failed: document has no stored file')
+    }
+
+    return storageService.getObject(storedFile)
+  }
+
+  private async readUpload(file: Express.Multer.File): Promise<Buffer> {
+    return file.path ? fs.readFile(file.path) : file.buffer
+  }
+
+  private getStorageKey(originalName: string, userId: string): string {
+    return `${userId}/${Date.now()}-${originalName}`
+  }
+
+  /**
+   * Extract and store an uploaded file. Chunked uploads are already in storage and pass its location,
+   * and are read from the assembled file at `file.path` rather than from a buffer.
+   * A revision of an earlier document passes its place in that document's version chain.
+   */
+  async processDocument(file: Express.Multer.File, userId: string, storedFile?: StoredObject, version?: DocumentVersionColumns | null) {
     try {
-      // Upload file to Supabase Storage
-      const fileUrl = await this.uploadToSupabase(file, userId)
+      const { backend, key } = storedFile ?? await this.storeFile(file, userId)
       
       // Extract text based on file type
       let extractedText: string | null = null
       let ocrConfidence: number | null = null
+      let sourceSegments: SourceSegment[] | null = null
+      let pdfPages: PdfPageText[] | null = null
+      let ocrPages: OcrPageResult[] = []
+      let textLayerPages: TextLayerPage[] = []
+      let mediaMetadata: DocumentMediaMetadata | null = null
+      const sourceFormat = getSourceFormat(file.mimetype, file.originalname)
+      const mediaFormat = getMediaFormat(file.mimetype, file.originalname)
       
       if (file.mimetype === 'application/pdf') {
-        extractedText = await this.extractTextFromPDF(file.buffer)
+        const pdf = await this.extractPagesFromPDF(file.path || file.buffer)
+        const structured = joinPdfPages(pdf.pages)
+        pdfPages = pdf.pages
+        ocrPages = pdf.ocrPages
+        textLayerPages = pdf.textLayerPages
+        extractedText = structured.text
+        sourceSegments = structured.segments
       } else if (this.isImageFile(file.mimetype)) {
-        const ocrResult = await this.extractTextFromImage(file.buffer)
+        const ocrResult = await this.extractTextFromImage(await this.readUpload(file))
         extractedText = ocrResult.text
         ocrConfidence = ocrResult.confidence
-        
-        // Log OCR quality warning if confidence is low
-        if (ocrConfidence < 0.7) {
-          console.warn(`Low OCR confidence (${(ocrConfidence * 100).toFixed(1)}%) for file: ${file.originalname}`)
-        }
+        ocrPages = [ocrResult.ocrPage]
+      } else if (mediaFormat) {
+        const transcript = await this.extractTextFromMedia(file.path || file.buffer, mediaFormat, file.originalname)
+        extractedText = transcript.text
+        sourceSegments = transcript.segments
+        mediaMetadata = transcript.media
+      } else if (sourceFormat) {
+        const structured = this.extractTextFromStructuredDocument(await this.readUpload(file), sourceFormat)
+        extractedText = structured.text
+        sourceSegments = structured.segments
+      }
+
+      // Word offsets are shifted to where each OCR'd page starts in extracted_text
+      const ocrMetadata = ocrPages.length > 0
+        ? buildOcrMetadata(ocrPages, page =>
+          page === undefined ? 0 : sourceSegments?.find(segment => segment.page === page)?.startIndex
+        )
+        : null
+
+      // Text-layer items are positioned against the page text as it appears in extracted_text
+      const textLayer = textLayerPages.length > 0 && extractedText && sourceSegments
+        ? buildTextLayerMetadata(textLayerPages, extractedText, sourceSegments)
+        : null
+
+      // Document-level confidence of a scanned PDF is the mean of its OCR'd pages
+      if (ocrMetadata && ocrConfidence === null) {
+        ocrConfidence = ocrMetadata.confidence
       }
 
+      // Log OCR quality warning if confidence is low
+      if (ocrConfidence !== null && ocrConfidence < 0.7) {
+        console.warn(`Low OCR confidence (${(ocrConfidence * 100).toFixed(1)}%) for file: ${file.originalname}`)
+      }
+
+      // Record the document's languages so analysis applies the matching localized keywords
+      const detection = extractedText ? languageDetector.detect(extractedText) : null
+
       // Save document metadata to database
       const documentData = {
         name: file.originalname,
         original_name: file.originalname,
         type: this.getDocumentType(file.mimetype),
         size: file.size,
-        url: fileUrl,
+        storage_backend: backend,
+        storage_path: key,
         status: 'uploaded' as const,
         extracted_text: extractedText,
         user_id: userId,
-        // Store OCR confidence in metadata if applicable
-        ...(ocrConfidence !== null && {
-          // Note: We'd need to add a metadata column to store this properly
-          // For now, we'll include it in a future enhancement
+        ...version,
+        ...(detection && {
+          language: detection.primary,
+          detected_languages: detection.languages
+        }),
+        ...this.getFingerprintColumns(file.path
+          ? await fingerprintFile(file.path, extractedText)
+          : fingerprintContent(file.buffer, extractedText)),
+        // Page, paragraph, slide, heading and time offsets into extracted_text for locating violations
+        ...(sourceSegments && { source_segments: sourceSegments }),
+        // Per-page text, and whether it came from the text layer or OCR
+        ...(pdfPages && { pages: pdfPages }),
+        // OCR confidence and word boxes, used to flag findings in poorly recognized regions,
+        // and text-layer boxes; both are used to draw violations on the page images.
+        // Audio and video record how they were transcribed.
+        ...((ocrMetadata || textLayer || mediaMetadata) && {
+          metadata: {
+            ...(ocrMetadata && { ocr: ocrMetadata }),
+            ...(textLayer && { textLayer }),
+            ...(mediaMetadata && { media: mediaMetadata })
+          }
         })
       }
 
@@ -180,4 +638,75 @@ export class DocumentProcessor {
       throw error
     }
   }
-}
\ No newline at end of file
+  /**
+   * Store a scanned web page as a document: the full-page screenshot is uploaded as evidence
+   * and the rendered text is saved like an uploaded HTML file
+   */
+  async processWebCapture(capture: WebPageCapture, userId: string) {
+    try {
+      const { hostname } = new URL(capture.finalUrl)
+      const screenshot = await this.storeFile({
+        originalname: `${hostname}-screenshot.png`,
+        mimetype: 'image/png',
+        buffer: capture.screenshot,
+        size: capture.screenshot.length
+      } as Express.Multer.File, userId)
+
+      const detection = capture.text ? languageDetector.detect(capture.text) : null
+
+      const { data: document, error } = await supabase
+        .from('documents')
+        .insert({
+          name: capture.title || hostname,
+          original_name: capture.finalUrl,
+          type: 'html',
+          size: Buffer.byteLength(capture.text),
+          storage_backend: screenshot.backend,
+          storage_path: screenshot.key,
+          status: 'uploaded' as const,
+          extracted_text: capture.text,
+          user_id: userId,
+          ...(detection && {
+            language: detection.primary,
+            detected_languages: detection.languages
+          }),
+          // Screenshots differ between captures, so an unchanged page is recognized by its text
+          ...this.getFingerprintColumns(fingerprintContent(capture.text, capture.text)),
+          source_segments: capture.segments,
+          // Where and when the page was captured, for the evidence trail
+          metadata: {
+            web: {
+              url: capture.url,
+              finalUrl: capture.finalUrl,
+              title: capture.title,
+              httpStatus: capture.httpStatus,
+              capturedAt: capture.capturedAt,
+              finePrint: capture.finePrint
+            }
+          }
+        } as any)
+        .select()
+        .single()
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`)
+      }
+
+      return document
+    } catch (error) {
+      console.error('Web capture processing error:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Exact and near-duplicate fingerprints, used to link re-uploads of already-analyzed creatives
+   */
+  private getFingerprintColumns(fingerprint: ContentFingerprint) {
+    return {
+      content_hash: fingerprint.contentHash,
+      similarity_signature: fingerprint.signature,
+      similarity_bands: fingerprint.bands
+    }
+  }
+}
@@ -0,0 +1,178 @@
+import { supabase } from '../config/supabase'
+import { logger } from '../utils/logger'
+import { AnalysisResultRow, databaseService } from './database-service'
+import { diffText, diffViolations, TextChange, ViolationDiff } from './version-diff'
+
+/**
+ * Columns that place a new upload in an existing document's version chain
+ */
+export interface DocumentVersionColumns {
+  version_group_id: string
+  version_number: number
+  previous_version_id: string
+}
+
+export interface VersionedDocument {
+  id: string
+  name: string
+  created_at: string
+  status: string
+  extracted_text: string | null
+  version_group_id: string
+  version_number: number
+  previous_version_id: string | null
+}
+
+export interface DocumentVersionSummary {
+  documentId: string
+  name: string
+  versionNumber: number
+  uploadedAt: string
+  status: string
+  analysis: {
+    analysisId: string
+    complianceScore: number
+    overallStatus: string
+    analyzedAt: string
+  } | null
+}
+
+export interface DocumentComparison {
+  base: DocumentVersionSummary
+  revision: DocumentVersionSummary
+  scoreDelta: number | null // Revision's score minus the base's, when both have been analyzed
+  textChanges: TextChange[]
+  violations: ViolationDiff | null // Null unless both have been analyzed
+}
+
+const VERSION_COLUMNS = 'id, name, created_at, status, version_group_id, version_number, previous_version_id'
+
+const summarize = (document: VersionedDocument, analysis: AnalysisResultRow | null | undefined): DocumentVersionSummary => ({
+  documentId: document.id,
+  name: document.name,
+  versionNumber: document.version_number,
+  uploadedAt: document.created_at,
+  status: document.status,
+  analysis: analysis
+    ? {
+      analysisId: analysis.id,
+      complianceScore: analysis.compliance_score,
+      overallStatus: analysis.overall_status,
+      analyzedAt: analysis.created_at
+    }
+    : null
+})
+
+/**
+ * Chains uploads of the same creative into versions and compares them, so reviewers can focus on
+ * what changed since the last review
+ */
+export class DocumentVersionService {
+  async getDocument(id: string, userId: string): Promise<VersionedDocument | null> {
+    const { data, error } = await supabase
+      .from('documents')
+      .select(`${VERSION_COLUMNS}, extracted_text`)
+      .eq('id', id)
+      .eq('user_id', userId)
+      .maybeSingle()
+
+    if (error) {
+      throw new Error(`Failed to get document: ${error.message}`)
+    }
+
+    return data as VersionedDocument | null
+  }
+
+  /**
+   * Version columns for a new revision of a document. Revisions always extend the chain, so a
+   * revision of an older version follows the latest one. Null if the document does not exist.
+   */
+  async getNextVersion(previousVersionId: string, userId: string): Promise<DocumentVersionColumns | null> {
+    const previous = await this.getDocument(previousVersionId, userId)
+    if (!previous) return null
+
+    const { data: latest, error } = await supabase
+      .from('documents')
+      .select('id, version_number')
+      .eq('version_group_id', previous.version_group_id)
+      .eq('user_id', userId)
+      .order('version_number', { ascending: false })
+      .limit(1)
+      .single()
+
+    if (error) {
+      throw new Error(`Failed to get latest version: ${error.message}`)
+    }
+
+    return {
+      version_group_id: previous.version_group_id,
+      version_number: latest.version_number + 1,
+      previous_version_id: latest.id
+    }
+  }
+
+  /**
+   * Every version in the document's chain, oldest first, with its latest analysis
+   */
+  async listVersions(document: VersionedDocument, userId: string): Promise<DocumentVersionSummary[]> {
+    const { data, error } = await supabase
+      .from('documents')
+      .select(VERSION_COLUMNS)
+      .eq('version_group_id', document.version_group_id)
+      .eq('user_id', userId)
+      .order('version_number', { ascending: true })
+
+    if (error) {
+      throw new Error(`Failed to list document versions: ${error.message}`)
+    }
+
+    const versions = (data || []) as VersionedDocument[]
+    const analyses = await databaseService.getLatestAnalyses(versions.map(version => version.id), userId)
+
+    return versions.map(version => summarize(version, analyses.get(version.id)))
+  }
+
+  /**
+   * The version a revision is compared with by default: the latest earlier version that has been
+   * reviewed, or else the one it replaced
+   */
+  async getDefaultBaseId(document: VersionedDocument, userId: string): Promise<string | null> {
+    const earlier = (await this.listVersions(document, userId))
+      .filter(version => version.versionNumber < document.version_number)
+      .reverse()
+
+    return earlier.find(version => version.analysis)?.documentId ?? document.previous_version_id
+  }
+
+  async compareVersions(base: VersionedDocument, revision: VersionedDocument, userId: string): Promise<DocumentComparison> {
+    const [baseResults, revisionResults] = await Promise.all([
+      databaseService.getAnalysisResults(base.id, userId),
+      databaseService.getAnalysisResults(revision.id, userId)
+    ])
+
+    const comparison: DocumentComparison = {
+      base: summarize(base, baseResults?.analysis),
+      revision: summarize(revision, revisionResults?.analysis),
+      scoreDelta: baseResults && revisionResults
+        ? revisionResults.analysis.compliance_score - baseResults.analysis.compliance_score
+        : null,
+      textChanges: diffText(base.extracted_text || '', revision.extracted_text || ''),
+      violations: baseResults && revisionResults
+        ? diffViolations(baseResults.violations, revisionResults.violations)
+        : null
+    }
+
+    logger.info('Document versions compared', {
+      baseDocumentId: base.id,
+      revisionDocumentId: revision.id,
+      scoreDelta: comparison.scoreDelta,
+      fixed: comparison.violations?.fixed.length,
+      introduced: comparison.violations?.introduced.length
+    })
+
+    return comparison
+  }
+}
+
+// Export singleton instance
+export const documentVersionService = new DocumentVersionService()
@@ -0,0 +1,100 @@
+import { describe, test, expect, jest, beforeEach } from '@jest/globals'
+import { GuidelinePreviewService } from './guideline-preview-service'
+import { marketingLoader, MarketingGuidelines } from '../core-engine/marketing-rules/rbi-marketing-loader'
+
+// Mock dependencies
+jest.mock('../utils/logger')
+
+const cloneActiveGuidelines = (): MarketingGuidelines =>
+  JSON.parse(JSON.stringify(marketingLoader.getSnapshot().guidelines))
+
+const findRule = (guidelines: MarketingGuidelines, ruleId: string) =>
+  Object.values(guidelines.marketing_compliance_rules).flat().find(rule => rule.rule_id === ruleId)!
+
+describe('GuidelinePreviewService', () => {
+  let service: GuidelinePreviewService
+
+  beforeEach(() => {
+    service = new GuidelinePreviewService()
+    jest.spyOn(service as any, 'sampleAnalyzedDocuments').mockResolvedValue([
+      {
+        id: 'doc-1',
+        name: 'doc-1.pdf',
+        original_name: 'Festive Offer.pdf',
+        extracted_text: 'Guaranteed approval in 5 minutes with no documents required!'
+      }
+    ] as never)
+  })
+
+  test('should report no changes for an identical guidelines file', async () => {
+    const preview = await service.previewCandidate(cloneActiveGuidelines())
+
+    expect(preview.diff.added).toHaveLength(0)
+    expect(preview.diff.removed).toHaveLength(0)
+    expect(preview.diff.modified).toHaveLength(0)
+    expect(preview.impact.documents[0].scoreDelta).toBe(0)
+  })
+
+  test('should diff added, removed and modified rules', async () => {
+    const candidate = cloneActiveGuidelines()
+    candidate.metadata.version = '2.0.0'
+
+    const [category] = Object.keys(candidate.marketing_compliance_rules)
+    const rules = candidate.marketing_compliance_rules[category]
+    const removed = rules.pop()!
+    rules.push({ ...rules[0], rule_id: 'NEW_001', title: 'New rule' })
+
+    const modified = findRule(candidate, 'DLM_001')
+    modified.scoring_weight += 5
+    modified.violation_keywords = [...modified.violation_keywords.slice(1), 'sure-shot approval']
+
+    const preview = await service.previewCandidate(candidate)
+
+    expect(preview.candidate.version).toBe('2.0.0')
+    expect(preview.diff.added.map(rule => rule.rule_id)).toEqual(['NEW_001'])
+    expect(preview.diff.removed.map(rule => rule.rule_id)).toEqual([removed.rule_id])
+
+    const dlm001 = preview.diff.modified.find(rule => rule.rule_id === 'DLM_001')!
+    expect(dlm001.changedFields).toEqual(expect.arrayContaining(['scoring_weight', 'violation_keywords']))
+    expect(dlm001.scoring_weight_change!.to - dlm001.scoring_weight_change!.from).toBe(5)
+    expect(dlm001.violation_keywords!.added).toEqual(['sure-shot approval'])
+    expect(dlm001.violation_keywords!.removed).toHaveLength(1)
+  })
+
+  test('should re-score sampled documents under the candidate rules', async () => {
+    const candidate = cloneActiveGuidelines()
+    Object.keys(candidate.marketing_compliance_rules).forEach(category => {
+      candidate.marketing_compliance_rules[category] = candidate.marketing_compliance_rules[category]
+        .filter(rule => rule.rule_id !== 'DLM_001')
+    })
+
+    const preview = await service.previewCandidate(candidate)
+    const [document] = preview.impact.documents
+
+    expect(preview.impact.documentsSampled).toBe(1)
+    expect(document.documentName).toBe('Festive Offer.pdf')
+    expect(document.current.violatedRules).toContain('DLM_001')
+    expect(document.resolvedRules).toContain('DLM_001')
+    expect(document.scoreDelta).toBeGreaterThanOrEqual(0)
+  })
+
+  test('should match the sample with the candidate file\'s matching configuration', async () => {
+    jest.spyOn(service as any, 'sampleAnalyzedDocuments').mockResolvedValue([
+      {
+        id: 'doc-2',
+        name: 'doc-2.pdf',
+        original_name: 'Honest Offer.pdf',
+        extracted_text: 'We never promise guaranteed approval on any loan.'
+      }
+    ] as never)
+    const candidate = cloneActiveGuidelines()
+    candidate.matching_configuration = { ...candidate.matching_configuration, negation_window: 0 }
+
+    const [document] = (await service.previewCandidate(candidate)).impact.documents
+
+    // Negated under the active file, a violation once the candidate turns negation off
+    expect(document.current.violatedRules).not.toContain('DLM_001')
+    expect(document.newlyViolatedRules).toContain('DLM_001')
+    expect(marketingLoader.getPatternMatcher().getConfiguration().negation_window).toBe(3)
+  })
+})
@@ -0,0 +1,169 @@
+import { supabase, supabaseAdmin } from '../config/supabase'
+import { logger } from '../utils/logger'
+import {
+  RBIMarketingLoader,
+  MarketingGuidelines,
+  GuidelineVersion,
+  RuleSetDiff,
+  marketingLoader
+} from '../core-engine/marketing-rules/rbi-marketing-loader'
+import { ruleEngine, ComplianceAnalysis } from '../core-engine/marketing-rules/fintech-rule-engine'
+
+type ComplianceLevel = ComplianceAnalysis['complianceLevel']
+
+export interface ScoreSnapshot {
+  score: number
+  complianceLevel: ComplianceLevel
+  violatedRules: string[]
+}
+
+export interface DocumentImpact {
+  documentId: string
+  documentName: string
+  current: ScoreSnapshot
+  candidate: ScoreSnapshot
+  scoreDelta: number
+  newlyViolatedRules: string[]
+  resolvedRules: string[]
+}
+
+export interface GuidelineImpactPreview {
+  current: GuidelineVersion
+  candidate: GuidelineVersion
+  diff: RuleSetDiff
+  impact: {
+    documentsSampled: number
+    documentsFailed: number
+    averageScoreDelta: number
+    complianceLevelChanges: Array<{ from: ComplianceLevel; to: ComplianceLevel; count: number }>
+    documents: DocumentImpact[]
+  }
+}
+
+export const DEFAULT_PREVIEW_SAMPLE_SIZE = 25
+
+/**
+ * Dry-run a candidate guidelines file: diff it against the active rules and re-score
+ * a sample of previously analyzed documents under both, without activating anything
+ */
+export class GuidelinePreviewService {
+  async previewCandidate(
+    candidateGuidelines: MarketingGuidelines,
+    sampleSize: number = DEFAULT_PREVIEW_SAMPLE_SIZE
+  ): Promise<GuidelineImpactPreview> {
+    const candidate = new RBIMarketingLoader({
+      version: candidateGuidelines.metadata.version,
+      contentHash: RBIMarketingLoader.hashContent(JSON.stringify(candidateGuidelines)),
+      guidelines: candidateGuidelines
+    })
+
+    const diff = marketingLoader.diffAgainst(candidate)
+    const documents = await this.sampleAnalyzedDocuments(sampleSize)
+
+    const impacts: DocumentImpact[] = []
+    let documentsFailed = 0
+
+    // Rule engine only: AI findings do not depend on the guidelines file and would make the preview slow and non-deterministic
+    for (const document of documents) {
+      try {
+        const current = await this.score(document.extracted_text, marketingLoader)
+        const next = await this.score(document.extracted_text, candidate)
+
+        impacts.push({
+          documentId: document.id,
+          documentName: document.original_name || document.name,
+          current,
+          candidate: next,
+          scoreDelta: next.score - current.score,
+          newlyViolatedRules: next.violatedRules.filter(ruleId => !current.violatedRules.includes(ruleId)),
+          resolvedRules: current.violatedRules.filter(ruleId => !next.violatedRules.includes(ruleId))
+        })
+      } catch (error: any) {
+        documentsFailed++
+        logger.warn('Guideline preview failed to re-score document', {
+          documentId: document.id,
+          error: error.message
+        })
+      }
+    }
+
+    const levelChanges = new Map<string, { from: ComplianceLevel; to: ComplianceLevel; count: number }>()
+    impacts
+      .filter(impact => impact.current.complianceLevel !== impact.candidate.complianceLevel)
+      .forEach(impact => {
+        const key = `${impact.current.complianceLevel}->${impact.candidate.complianceLevel}`
+        const change = levelChanges.get(key) || {
+          from: impact.current.complianceLevel,
+          to: impact.candidate.complianceLevel,
+          count: 0
+        }
+        change.count++
+        levelChanges.set(key, change)
+      })
+
+    const preview: GuidelineImpactPreview = {
+      current: marketingLoader.getVersionInfo(),
+      candidate: candidate.getVersionInfo(),
+      diff,
+      impact: {
+        documentsSampled: impacts.length,
+        documentsFailed,
+        averageScoreDelta: impacts.length > 0
+          ? Math.round(impacts.reduce((sum, impact) => sum + impact.scoreDelta, 0) / impacts.length * 10) / 10
+          : 0,
+        complianceLevelChanges: Array.from(levelChanges.values()),
+        // Biggest movers first
+        documents: impacts.sort((a, b) => Math.abs(b.scoreDelta) - Math.abs(a.scoreDelta))
+      }
+    }
+
+    logger.info('Guideline impact preview generated', {
+      currentVersion: preview.current.version,
+      candidateVersion: preview.candidate.version,
+      added: diff.added.length,
+      removed: diff.removed.length,
+      modified: diff.modified.length,
+      documentsSampled: preview.impact.documentsSampled,
+      averageScoreDelta: preview.impact.averageScoreDelta
+    })
+
+    return preview
+  }
+
+  private async score(text: string, guidelines: RBIMarketingLoader): Promise<ScoreSnapshot> {
+    const analysis = await ruleEngine.analyzeMarketingCompliance(text, undefined, { guidelines })
+
+    return {
+      score: analysis.overallScore,
+      complianceLevel: analysis.complianceLevel,
+      violatedRules: [...new Set(analysis.violations.map(violation => violation.rule.rule_id))]
+    }
+  }
+
+  /**
+   * Most recently analyzed documents across all users (admin-only preview)
+   */
+  private async sampleAnalyzedDocuments(limit: number): Promise<Array<{
+    id: string
+    name: string
+    original_name: string
+    extracted_text: string
+  }>> {
+    const { data, error } = await (supabaseAdmin || supabase)
+      .from('documents')
+      .select('id, name, original_name, extracted_text')
+      .eq('status', 'analyzed')
+      .not('extracted_text', 'is', null)
+      .order('updated_at', { ascending: false })
+      .limit(limit)
+
+    if (error) {
+      throw new Error(`Failed to sample analyzed documents: ${error.message}`)
+    }
+
+    return data || []
+  }
+}
+
+// Export singleton instance
+export const guidelinePreviewService = new GuidelinePreviewService()
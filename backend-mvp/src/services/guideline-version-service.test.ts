@@ -0,0 +1,32 @@
+import { describe, test, expect, jest } from '@jest/globals'
+import { GuidelineVersionService } from './guideline-version-service'
+import { marketingLoader } from '../core-engine/marketing-rules/rbi-marketing-loader'
+
+// Mock dependencies
+jest.mock('../utils/logger')
+
+describe('GuidelineVersionService', () => {
+  const service = new GuidelineVersionService()
+
+  describe('getGuidelinesLoader', () => {
+    test('should resolve the active version without a database lookup', async () => {
+      const { version, contentHash } = marketingLoader.getVersionInfo()
+
+      await expect(service.getGuidelinesLoader(contentHash)).resolves.toBe(marketingLoader)
+      await expect(service.getGuidelinesLoader(version)).resolves.toBe(marketingLoader)
+    })
+
+    test('should reject references that are not version labels or hashes', async () => {
+      await expect(service.getGuidelinesLoader('1.0,content_hash.neq.x')).resolves.toBeNull()
+    })
+  })
+
+  describe('marketing loader versioning', () => {
+    test('should identify the loaded file by version and SHA-256 content hash', () => {
+      const { version, contentHash } = marketingLoader.getVersionInfo()
+
+      expect(version).toBe(marketingLoader.getMetadata()?.version)
+      expect(contentHash).toMatch(/^[a-f0-9]{64}$/)
+    })
+  })
+})
@@ -0,0 +1,145 @@
+import { supabaseServer } from '../config/supabase'
+import { logger } from '../utils/logger'
+import {
+  RBIMarketingLoader,
+  GuidelineVersion,
+  MarketingGuidelines,
+  marketingLoader
+} from '../core-engine/marketing-rules/rbi-marketing-loader'
+
+export interface GuidelineVersionSummary extends GuidelineVersion {
+  id: string
+  totalRules: number
+  firstLoadedAt: string
+  isActive: boolean
+}
+
+interface GuidelineVersionRow {
+  id: string
+  version: string
+  content_hash: string
+  guidelines?: MarketingGuidelines
+  total_rules: number
+  first_loaded_at: string
+}
+
+const VERSION_REFERENCE_PATTERN = /^[\w.-]+$/
+
+/**
+ * Persists every guideline version the loader has served and rebuilds loaders for historical versions
+ */
+export class GuidelineVersionService {
+  private recordedHashes = new Set<string>()
+  // Stored versions are immutable, so loaders are kept for the process lifetime
+  private snapshotLoaders = new Map<string, RBIMarketingLoader>()
+
+  /**
+   * Persist the active guidelines if this content hash has not been recorded yet.
+   * Never throws: analysis must not fail because the version log is unavailable.
+   */
+  async recordActiveVersion(): Promise<GuidelineVersion> {
+    const snapshot = marketingLoader.getSnapshot()
+    const versionInfo = { version: snapshot.version, contentHash: snapshot.contentHash }
+
+    if (this.recordedHashes.has(snapshot.contentHash)) {
+      return versionInfo
+    }
+
+    try {
+      const { error } = await supabaseServer
+        .from('guideline_versions')
+        .upsert({
+          version: snapshot.version,
+          content_hash: snapshot.contentHash,
+          guidelines: snapshot.guidelines,
+          total_rules: marketingLoader.getAllRules().length
+        }, { onConflict: 'content_hash', ignoreDuplicates: true })
+
+      if (error) {
+        throw new Error(error.message)
+      }
+
+      this.recordedHashes.add(snapshot.contentHash)
+      logger.info('Guideline version recorded', versionInfo)
+    } catch (error: any) {
+      logger.error('Failed to record guideline version', { ...versionInfo, error: error.message })
+    }
+
+    return versionInfo
+  }
+
+  /**
+   * List recorded guideline versions, newest first
+   */
+  async listVersions(): Promise<GuidelineVersionSummary[]> {
+    await this.recordActiveVersion()
+
+    const { data, error } = await supabaseServer
+      .from('guideline_versions')
+      .select('id, version, content_hash, total_rules, first_loaded_at')
+      .order('first_loaded_at', { ascending: false })
+
+    if (error) {
+      throw new Error(`Failed to list guideline versions: ${error.message}`)
+    }
+
+    const activeHash = marketingLoader.getVersionInfo().contentHash
+
+    return ((data || []) as GuidelineVersionRow[]).map(row => ({
+      id: row.id,
+      version: row.version,
+      contentHash: row.content_hash,
+      totalRules: row.total_rules,
+      firstLoadedAt: row.first_loaded_at,
+      isActive: row.content_hash === activeHash
+    }))
+  }
+
+  /**
+   * Get a loader for a historical version, referenced by content hash or by version label
+   * (a version label resolves to the most recently loaded content for that label)
+   */
+  async getGuidelinesLoader(reference: string): Promise<RBIMarketingLoader | null> {
+    const active = marketingLoader.getVersionInfo()
+    if (reference === active.contentHash || reference === active.version) {
+      return marketingLoader
+    }
+
+    // References are interpolated into a PostgREST filter
+    if (!VERSION_REFERENCE_PATTERN.test(reference)) {
+      return null
+    }
+
+    const cached = this.snapshotLoaders.get(reference)
+    if (cached) return cached
+
+    const { data, error } = await supabaseServer
+      .from('guideline_versions')
+      .select('*')
+      .or(`content_hash.eq.${reference},version.eq.${reference}`)
+      .order('first_loaded_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    if (error) {
+      throw new Error(`Failed to load guideline version: ${error.message}`)
+    }
+
+    if (!data) {
+      return null
+    }
+
+    const row = data as GuidelineVersionRow
+    const loader = new RBIMarketingLoader({
+      version: row.version,
+      contentHash: row.content_hash,
+      guidelines: row.guidelines!
+    })
+
+    this.snapshotLoaders.set(reference, loader)
+    return loader
+  }
+}
+
+// Export singleton instance
+export const guidelineVersionService = new GuidelineVersionService()
@@ -0,0 +1,67 @@
+import { describe, test, expect } from '@jest/globals'
+import { findSourceLocation } from './document-extractors'
+import { buildTimedTranscript, getMediaFormat, mergeKeyframeText, parseWhisperTranscript } from './media-transcript'
+
+const whisperOutput = {
+  transcription: [
+    { offsets: { from: 0, to: 2400 }, text: ' [Music]' },
+    { offsets: { from: 2400, to: 6400 }, text: ' Need cash this Diwali? Get guaranteed approval in minutes.' },
+    { offsets: { from: 6400, to: 9000 }, text: '  Download the QuickLoan app today. ' }
+  ]
+}
+
+describe('media transcripts', () => {
+  test('should read whisper segments in seconds and drop music markers', () => {
+    expect(parseWhisperTranscript(whisperOutput)).toEqual([
+      { startTime: 2.4, endTime: 6.4, text: 'Need cash this Diwali? Get guaranteed approval in minutes.', track: 'speech' },
+      { startTime: 6.4, endTime: 9, text: 'Download the QuickLoan app today.', track: 'speech' }
+    ])
+  })
+
+  test('should merge a caption held across keyframes despite OCR noise', () => {
+    const captions = mergeKeyframeText([
+      { time: 0, text: '', confidence: 0 },
+      { time: 2, text: 'Interest from 10.99% p.a. T&C apply', confidence: 0.71 },
+      { time: 4, text: 'Interest from 10.99% p.a. T&C apply.', confidence: 0.88 },
+      { time: 6, text: 'lnterest from 10.99% p.a. T&C apply', confidence: 0.64 },
+      { time: 8, text: '~', confidence: 0.2 },
+      { time: 10, text: 'Interest from 10.99% p.a. T&C apply', confidence: 0.8 }
+    ], 2)
+
+    expect(captions).toEqual([
+      { startTime: 2, endTime: 8, text: 'Interest from 10.99% p.a. T&C apply.', track: 'on_screen_text' },
+      { startTime: 10, endTime: 12, text: 'Interest from 10.99% p.a. T&C apply', track: 'on_screen_text' }
+    ])
+  })
+
+  test('should locate violations by time, narrowing spoken segments to the matched words', () => {
+    const { text, segments } = buildTimedTranscript([
+      ...parseWhisperTranscript(whisperOutput),
+      { startTime: 2, endTime: 8, text: 'Zero processing fees*', track: 'on_screen_text' }
+    ], 'video')
+
+    expect(text.startsWith('Zero processing fees*\n\nNeed cash this Diwali?')).toBe(true)
+
+    const spoken = text.indexOf('guaranteed approval')
+    expect(findSourceLocation(segments, spoken, spoken + 'guaranteed approval'.length)).toEqual({
+      format: 'video',
+      startTime: 4.3,
+      endTime: 5.6,
+      track: 'speech'
+    })
+
+    const onScreen = text.indexOf('processing fees')
+    expect(findSourceLocation(segments, onScreen, onScreen + 15)).toEqual({
+      format: 'video',
+      startTime: 2,
+      endTime: 8,
+      track: 'on_screen_text'
+    })
+  })
+
+  test('should resolve media formats by mimetype, then extension', () => {
+    expect(getMediaFormat('video/quicktime')).toBe('video')
+    expect(getMediaFormat('application/octet-stream', 'radio-jingle.MP3')).toBe('audio')
+    expect(getMediaFormat('application/octet-stream', 'brochure.pdf')).toBeNull()
+  })
+})
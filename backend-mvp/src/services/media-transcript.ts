@@ -0,0 +1,152 @@
+import { normalizeText } from '../core-engine/language/text-normalizer'
+import { SourceSegment, StructuredText } from './document-extractors'
+
+export type MediaFormat = 'audio' | 'video'
+
+export interface TranscriptSegment {
+  startTime: number // Seconds
+  endTime: number
+  text: string
+  track: 'speech' | 'on_screen_text'
+}
+
+export interface KeyframeText {
+  time: number // Seconds into the video the frame was sampled at
+  text: string
+  confidence: number // 0-1
+}
+
+/**
+ * Stored in documents.metadata.media for audio and video uploads
+ */
+export interface DocumentMediaMetadata {
+  format: MediaFormat
+  durationSeconds: number | null // End of the last transcribed or captioned segment
+  transcription: { engine: 'whisper.cpp', model: string, language: string } | null
+  keyframes: { intervalSeconds: number, sampled: number, withText: number } | null
+}
+
+export const MEDIA_MIMETYPES: Record<string, MediaFormat> = {
+  'audio/mpeg': 'audio',
+  'audio/wav': 'audio',
+  'audio/x-wav': 'audio',
+  'audio/mp4': 'audio',
+  'audio/aac': 'audio',
+  'audio/ogg': 'audio',
+  'video/mp4': 'video',
+  'video/quicktime': 'video',
+  'video/webm': 'video',
+  'video/x-matroska': 'video'
+}
+
+// Canonical mimetype by extension, for browsers that send application/octet-stream
+export const MEDIA_EXTENSION_MIMETYPES: Record<string, string> = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac',
+  ogg: 'audio/ogg',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  webm: 'video/webm',
+  mkv: 'video/x-matroska'
+}
+
+// Keyframes with fewer visible characters than this carry no supertext worth checking
+const MIN_SUPERTEXT_CHARACTERS = 4
+
+// Consecutive keyframes whose words overlap this much show the same caption (allowing for OCR noise)
+const SAME_CAPTION_SIMILARITY = 0.7
+
+const BLOCK_SEPARATOR = '\n\n'
+
+export const getMediaFormat = (mimetype: string, filename = ''): MediaFormat | null => {
+  if (MEDIA_MIMETYPES[mimetype]) return MEDIA_MIMETYPES[mimetype]
+
+  const extension = filename.split('.').pop()?.toLowerCase() || ''
+  const canonical = MEDIA_EXTENSION_MIMETYPES[extension]
+  return canonical ? MEDIA_MIMETYPES[canonical] : null
+}
+
+/**
+ * Speech segments from whisper.cpp's JSON output (-oj), whose offsets are in milliseconds
+ */
+export const parseWhisperTranscript = (json: any): TranscriptSegment[] => {
+  return (json?.transcription || [])
+    .map((entry: any) => ({
+      startTime: (entry.offsets?.from ?? 0) / 1000,
+      endTime: (entry.offsets?.to ?? 0) / 1000,
+      text: normalizeText(entry.text || '').replace(/\s+/g, ' ').trim(),
+      track: 'speech' as const
+    }))
+    // Whisper marks music and silence as [Music], (upbeat music) or [BLANK_AUDIO]
+    .filter((segment: TranscriptSegment) => segment.text && !/^[[(][^\])]*[\])]$/.test(segment.text))
+}
+
+/**
+ * On-screen text of sampled keyframes. A caption shown across several frames becomes one segment
+ * spanning them, keeping the most confidently recognized reading.
+ */
+export const mergeKeyframeText = (frames: KeyframeText[], intervalSeconds: number): TranscriptSegment[] => {
+  const segments: Array<TranscriptSegment & { confidence: number }> = []
+
+  for (const frame of [...frames].sort((a, b) => a.time - b.time)) {
+    const text = normalizeText(frame.text).replace(/\s+/g, ' ').trim()
+    if (text.replace(/\s/g, '').length < MIN_SUPERTEXT_CHARACTERS) continue
+
+    const last = segments[segments.length - 1]
+    const contiguous = last && frame.time - last.endTime < intervalSeconds / 2
+
+    if (contiguous && wordSimilarity(last.text, text) >= SAME_CAPTION_SIMILARITY) {
+      last.endTime = frame.time + intervalSeconds
+      if (frame.confidence > last.confidence) {
+        last.text = text
+        last.confidence = frame.confidence
+      }
+    } else {
+      segments.push({ startTime: frame.time, endTime: frame.time + intervalSeconds, text, track: 'on_screen_text', confidence: frame.confidence })
+    }
+  }
+
+  return segments.map(({ confidence, ...segment }) => segment)
+}
+
+/**
+ * Interleave speech and supertext by start time into one text for the rule engine, one block per
+ * segment, with each block's time range and track recorded as its source location
+ */
+export const buildTimedTranscript = (segments: TranscriptSegment[], format: MediaFormat): StructuredText => {
+  const ordered = [...segments].sort((a, b) =>
+    a.startTime - b.startTime || (a.track === b.track ? 0 : a.track === 'speech' ? -1 : 1)
+  )
+
+  let text = ''
+  const sourceSegments: SourceSegment[] = []
+
+  for (const segment of ordered) {
+    if (text) text += BLOCK_SEPARATOR
+    sourceSegments.push({
+      format,
+      startTime: round(segment.startTime),
+      endTime: round(segment.endTime),
+      track: segment.track,
+      startIndex: text.length,
+      endIndex: text.length + segment.text.length
+    })
+    text += segment.text
+  }
+
+  return { text, segments: sourceSegments }
+}
+
+const round = (seconds: number) => Math.round(seconds * 10) / 10
+
+const wordSimilarity = (a: string, b: string): number => {
+  const words = (value: string) => new Set(value.toLowerCase().split(/[^\p{L}\p{N}%₹]+/u).filter(Boolean))
+  const left = words(a)
+  const right = words(b)
+  const shared = [...left].filter(word => right.has(word)).length
+  const total = new Set([...left, ...right]).size
+
+  return total === 0 ? 0 : shared / total
+}
@@ -0,0 +1,114 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals'
+
+type QueryResult = { data: any; error: any }
+
+const inserts: any[] = []
+const upserts: any[] = []
+let preferencesRow: any
+
+// Answers inserts and upserts with the row written; preferences come from preferencesRow
+const query = (table: string) => {
+  let values: any = null
+  const result = (): QueryResult => {
+    if (table === 'notifications') {
+      return { data: { id: 'notification-1', read_at: null, created_at: '2026-10-19T09:00:00.000Z', ...values }, error: null }
+    }
+    return { data: values ?? preferencesRow, error: null }
+  }
+  const builder: any = {
+    insert: (next: any) => {
+      values = next
+      inserts.push(next)
+      return builder
+    },
+    upsert: (next: any) => {
+      values = next
+      upserts.push(next)
+      return builder
+    },
+    single: async () => result(),
+    maybeSingle: async () => result()
+  }
+  for (const method of ['select', 'eq', 'is', 'order', 'limit']) {
+    builder[method] = () => builder
+  }
+  return builder
+}
+
+jest.mock('../../config/supabase', () => ({
+  supabaseServer: { from: (table: string) => query(table) }
+}))
+
+import { NotificationService } from './notification-service'
+import { realtimeEvents } from '../realtime-events'
+
+describe('notification service', () => {
+  let sendEmail: jest.Mock<(message: any) => Promise<void>>
+  let service: NotificationService
+
+  beforeEach(() => {
+    inserts.length = 0
+    upserts.length = 0
+    preferencesRow = {
+      user_id: 'user-123',
+      email_enabled: true,
+      email_address: 'priya@example.com',
+      muted_types: []
+    }
+    sendEmail = jest.fn(async () => undefined)
+    service = new NotificationService({ isConfigured: () => true, send: sendEmail } as any)
+  })
+
+  test('should store the notification, publish it and email it', async () => {
+    const events: any[] = []
+    const unsubscribe = realtimeEvents.subscribe('user-123', event => events.push(event))
+
+    const notification = await service.notify('user-123', {
+      type: 'batch_completed',
+      severity: 'success',
+      title: 'Batch analysis finished',
+      message: '3 of 3 documents analyzed',
+      link: '/content-upload-scanning',
+      data: { jobId: 'batch_1' }
+    })
+    unsubscribe()
+
+    expect(notification).toMatchObject({ id: 'notification-1', type: 'batch_completed', readAt: null })
+    expect(inserts[0]).toMatchObject({ user_id: 'user-123', type: 'batch_completed', severity: 'success' })
+    const created = events.find(event => event.event === 'notification:created')
+    expect(created.data).toMatchObject({
+      notification: { id: 'notification-1' },
+      url: 'http://localhost:4028/content-upload-scanning'
+    })
+
+    expect(sendEmail).toHaveBeenCalledWith({
+      to: 'priya@example.com',
+      subject: 'Batch analysis finished',
+      text: '3 of 3 documents analyzed\n\nhttp://localhost:4028/content-upload-scanning'
+    })
+  })
+
+  test('should return the notification even when email fails', async () => {
+    sendEmail.mockRejectedValueOnce(new Error('SMTP RCPT failed: 550 No such user'))
+
+    const notification = await service.notify('user-123', { type: 'report_ready', title: 'Report ready', message: 'Q3 audit' })
+
+    expect(notification).toMatchObject({ id: 'notification-1', type: 'report_ready' })
+  })
+
+  test('should not email muted types', async () => {
+    preferencesRow.muted_types = ['critical_violation']
+
+    const notification = await service.notify('user-123', { type: 'critical_violation', title: 'Critical violation', message: 'Guaranteed approval' })
+
+    expect(notification).not.toBeNull()
+    expect(sendEmail).not.toHaveBeenCalled()
+  })
+
+  test('should keep settings that an update leaves out', async () => {
+    const updated = await service.updatePreferences('user-123', { mutedTypes: ['report_ready'] })
+
+    expect(upserts[0]).toMatchObject({ user_id: 'user-123', email_enabled: true, email_address: 'priya@example.com' })
+    expect(updated).toEqual({ emailEnabled: true, emailAddress: 'priya@example.com', mutedTypes: ['report_ready'] })
+  })
+})
@@ -0,0 +1,258 @@
+import { supabaseServer } from '../../config/supabase'
+import { notificationConfig } from '../../config/notifications'
+import { logger } from '../../utils/logger'
+import { realtimeEvents, RealtimeEventName } from '../realtime-events'
+import { SmtpClient } from './smtp-client'
+
+export const NOTIFICATION_TYPES = ['batch_completed', 'critical_violation', 'report_ready'] as const
+export type NotificationType = typeof NOTIFICATION_TYPES[number]
+
+export type NotificationSeverity = 'info' | 'success' | 'warning' | 'critical'
+
+export interface NotificationInput {
+  type: NotificationType
+  severity?: NotificationSeverity
+  title: string
+  message: string
+  link?: string // App path, e.g. /compliance-reports
+  data?: Record<string, any>
+}
+
+export interface Notification {
+  id: string
+  type: NotificationType
+  severity: NotificationSeverity
+  title: string
+  message: string
+  link: string | null
+  data: Record<string, any>
+  readAt: string | null
+  createdAt: string
+}
+
+export interface NotificationPreferences {
+  emailEnabled: boolean
+  emailAddress: string | null
+  mutedTypes: NotificationType[] // Not emailed
+}
+
+export type NotificationPreferencesUpdate = Partial<NotificationPreferences>
+
+interface NotificationRow {
+  id: string
+  user_id: string
+  type: NotificationType
+  severity: NotificationSeverity
+  title: string
+  message: string
+  link: string | null
+  data: Record<string, any> | null
+  read_at: string | null
+  created_at: string
+}
+
+interface NotificationPreferencesRow {
+  user_id: string
+  email_enabled: boolean
+  email_address: string | null
+  muted_types: NotificationType[] | null
+}
+
+const DEFAULT_PREFERENCES: NotificationPreferences = {
+  emailEnabled: false,
+  emailAddress: null,
+  mutedTypes: []
+}
+
+const toNotification = (row: NotificationRow): Notification => ({
+  id: row.id,
+  type: row.type,
+  severity: row.severity,
+  title: row.title,
+  message: row.message,
+  link: row.link,
+  data: row.data || {},
+  readAt: row.read_at,
+  createdAt: row.created_at
+})
+
+const toPreferences = (row: NotificationPreferencesRow): NotificationPreferences => ({
+  emailEnabled: row.email_enabled,
+  emailAddress: row.email_address,
+  mutedTypes: row.muted_types || []
+})
+
+/**
+ * Per-user notifications. Every notification is stored for the in-app list and published as a
+ * notification:created event, which reaches the user's event streams and webhook subscriptions;
+ * email follows the user's preferences. Email is best-effort: failures are logged and never fail
+ * the work that raised the notification.
+ */
+export class NotificationService {
+  constructor(private smtp: SmtpClient = new SmtpClient()) {}
+
+  async notify(userId: string, input: NotificationInput): Promise<Notification | null> {
+    try {
+      const { data, error } = await supabaseServer
+        .from('notifications')
+        .insert({
+          user_id: userId,
+          type: input.type,
+          severity: input.severity || 'info',
+          title: input.title,
+          message: input.message,
+          link: input.link || null,
+          data: input.data || {}
+        })
+        .select('*')
+        .single()
+
+      if (error) {
+        throw new Error(`Failed to save notification: ${error.message}`)
+      }
+
+      const notification = toNotification(data as NotificationRow)
+      const url = notification.link ? `${notificationConfig.appBaseUrl}${notification.link}` : null
+      realtimeEvents.publish(userId, RealtimeEventName.NOTIFICATION_CREATED, { notification, url })
+
+      await this.email(userId, notification, url)
+      return notification
+    } catch (error: any) {
+      logger.error('Notification failed', { userId, type: input.type, error: error.message })
+      return null
+    }
+  }
+
+  async listNotifications(
+    userId: string,
+    options: { limit?: number; unreadOnly?: boolean } = {}
+  ): Promise<{ notifications: Notification[]; unreadCount: number }> {
+    let query = supabaseServer
+      .from('notifications')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(options.limit || 50)
+
+    if (options.unreadOnly) {
+      query = query.is('read_at', null)
+    }
+
+    const [{ data, error }, { count, error: countError }] = await Promise.all([
+      query,
+      supabaseServer
+        .from('notifications')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .is('read_at', null)
+    ])
+
+    if (error || countError) {
+      throw new Error(`Failed to get notifications: ${(error || countError)!.message}`)
+    }
+
+    return {
+      notifications: ((data || []) as NotificationRow[]).map(toNotification),
+      unreadCount: count || 0
+    }
+  }
+
+  /**
+   * Returns false when the notification does not exist or belongs to another user
+   */
+  async markRead(userId: string, notificationId: string): Promise<boolean> {
+    const { data, error } = await supabaseServer
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('id', notificationId)
+      .eq('user_id', userId)
+      .is('read_at', null)
+      .select('id')
+
+    if (error) {
+      throw new Error(`Failed to mark notification read: ${error.message}`)
+    }
+    if (data?.length) return true
+
+    // Already read is not an error
+    const { data: existing } = await supabaseServer
+      .from('notifications')
+      .select('id')
+      .eq('id', notificationId)
+      .eq('user_id', userId)
+      .maybeSingle()
+
+    return Boolean(existing)
+  }
+
+  async markAllRead(userId: string): Promise<number> {
+    const { data, error } = await supabaseServer
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('read_at', null)
+      .select('id')
+
+    if (error) {
+      throw new Error(`Failed to mark notifications read: ${error.message}`)
+    }
+    return data?.length || 0
+  }
+
+  async getPreferences(userId: string): Promise<NotificationPreferences> {
+    const { data, error } = await supabaseServer
+      .from('notification_preferences')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle()
+
+    if (error) {
+      throw new Error(`Failed to get notification preferences: ${error.message}`)
+    }
+    return data ? toPreferences(data as NotificationPreferencesRow) : { ...DEFAULT_PREFERENCES }
+  }
+
+  async updatePreferences(userId: string, update: NotificationPreferencesUpdate): Promise<NotificationPreferences> {
+    const current = await this.getPreferences(userId)
+    const next: NotificationPreferences = {
+      emailEnabled: update.emailEnabled ?? current.emailEnabled,
+      emailAddress: update.emailAddress !== undefined ? update.emailAddress : current.emailAddress,
+      mutedTypes: update.mutedTypes ?? current.mutedTypes
+    }
+
+    const { data, error } = await supabaseServer
+      .from('notification_preferences')
+      .upsert({
+        user_id: userId,
+        email_enabled: next.emailEnabled,
+        email_address: next.emailAddress,
+        muted_types: next.mutedTypes
+      }, { onConflict: 'user_id' })
+      .select('*')
+      .single()
+
+    if (error) {
+      throw new Error(`Failed to save notification preferences: ${error.message}`)
+    }
+    return toPreferences(data as NotificationPreferencesRow)
+  }
+
+  private async email(userId: string, notification: Notification, url: string | null): Promise<void> {
+    const preferences = await this.getPreferences(userId)
+    if (!preferences.emailEnabled || !preferences.emailAddress || !this.smtp.isConfigured()) return
+    if (preferences.mutedTypes.includes(notification.type)) return
+
+    try {
+      await this.smtp.send({
+        to: preferences.emailAddress,
+        subject: notification.title,
+        text: url ? `${notification.message}\n\n${url}` : notification.message
+      })
+    } catch (error: any) {
+      logger.warn('Notification email failed', { userId, notificationId: notification.id, error: error.message })
+    }
+  }
+}
+
+// Export singleton instance
+export const notificationService = new NotificationService()
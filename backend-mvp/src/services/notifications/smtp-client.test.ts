@@ -0,0 +1,149 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals'
+import * as net from 'net'
+import { once } from 'events'
+import { SmtpClient } from './smtp-client'
+
+interface ReceivedMail {
+  auth?: string
+  from?: string
+  to?: string
+  data?: string
+}
+
+/**
+ * Minimal SMTP sink: accepts one message per session and records what it was sent
+ */
+const startSink = async (options: { rejectRecipient?: boolean } = {}) => {
+  const received: ReceivedMail[] = []
+  const commands: string[] = []
+
+  const server = net.createServer(socket => {
+    const mail: ReceivedMail = {}
+    let buffer = ''
+    let dataLines: string[] | null = null
+
+    socket.write('220 sink ESMTP ready\r\n')
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8')
+      let end: number
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end)
+        buffer = buffer.slice(end + 2)
+
+        if (dataLines) {
+          if (line === '.') {
+            mail.data = dataLines.join('\r\n')
+            received.push(mail)
+            dataLines = null
+            socket.write('250 Queued\r\n')
+          } else {
+            dataLines.push(line)
+          }
+          continue
+        }
+
+        const command = line.split(' ')[0].toUpperCase()
+        commands.push(command)
+        if (command === 'EHLO') {
+          socket.write('250-sink\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n')
+        } else if (command === 'AUTH') {
+          mail.auth = Buffer.from(line.split(' ')[2], 'base64').toString('utf8')
+          socket.write('235 Authenticated\r\n')
+        } else if (command === 'MAIL') {
+          mail.from = line.slice('MAIL FROM:'.length)
+          socket.write('250 OK\r\n')
+        } else if (command === 'RCPT') {
+          mail.to = line.slice('RCPT TO:'.length)
+          socket.write(options.rejectRecipient ? '550 No such user\r\n' : '250 OK\r\n')
+        } else if (command === 'DATA') {
+          dataLines = []
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n')
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n')
+        } else {
+          socket.write('502 Command not implemented\r\n')
+        }
+      }
+    })
+  })
+
+  server.listen(0, '127.0.0.1')
+  await once(server, 'listening')
+  return { server, received, commands, port: (server.address() as net.AddressInfo).port }
+}
+
+describe('SMTP client', () => {
+  let sink: Awaited<ReturnType<typeof startSink>>
+
+  const createClient = (overrides: Record<string, any> = {}) => new SmtpClient({
+    host: '127.0.0.1',
+    port: sink.port,
+    secure: false,
+    startTls: 'required',
+    user: 'mailer',
+    pass: 'secret',
+    from: 'Compliance Scanner <alerts@example.com>',
+    timeoutMs: 5000,
+    ...overrides
+  })
+
+  afterEach(async () => {
+    sink.server.close()
+    await once(sink.server, 'close')
+  })
+
+  describe('with a sink that accepts mail', () => {
+    beforeEach(async () => {
+      sink = await startSink()
+    })
+
+    test('should deliver the message to a server without TLS when STARTTLS is optional', async () => {
+      await createClient({ startTls: 'auto', user: '', pass: '' }).send({
+        to: 'priya@example.com',
+        subject: 'Batch analysis finished',
+        text: 'All documents were analyzed.\nOpen the results.'
+      })
+
+      expect(sink.received).toHaveLength(1)
+      const [mail] = sink.received
+      expect(mail.auth).toBeUndefined()
+      expect(mail.from).toMatch(/^<alerts@example\.com>/)
+      expect(mail.to).toBe('<priya@example.com>')
+
+      const [headers, body] = (mail.data as string).split('\r\n\r\n')
+      expect(headers).toContain('From: Compliance Scanner <alerts@example.com>')
+      expect(headers).toContain('To: priya@example.com')
+      expect(headers).toContain('Subject: Batch analysis finished')
+      expect(body).toContain('All documents were analyzed.')
+    })
+
+    test('should refuse to send without STARTTLS by default', async () => {
+      await expect(createClient({ user: '', pass: '' }).send({ to: 'priya@example.com', subject: 'Hi', text: 'Hi' }))
+        .rejects.toThrow('Error upgrading connection with STARTTLS')
+      expect(sink.commands).not.toContain('MAIL')
+      expect(sink.received).toHaveLength(0)
+    })
+
+    test('should not send credentials over a connection without TLS', async () => {
+      await expect(createClient({ startTls: 'auto' }).send({ to: 'priya@example.com', subject: 'Hi', text: 'Hi' }))
+        .rejects.toThrow('Error upgrading connection with STARTTLS')
+      expect(sink.commands).not.toContain('AUTH')
+      expect(sink.received).toHaveLength(0)
+    })
+
+    test('should reject recipients that could inject commands or add recipients', async () => {
+      for (const to of ['a@example.com>\r\nRCPT TO:<b@example.com', 'a@example.com, b@example.com']) {
+        await expect(createClient().send({ to, subject: 'Hi', text: 'Hi' })).rejects.toThrow('Invalid recipient address')
+      }
+      expect(sink.commands).toEqual([])
+    })
+  })
+
+  test('should report a refused recipient', async () => {
+    sink = await startSink({ rejectRecipient: true })
+
+    await expect(createClient({ startTls: 'auto', user: '', pass: '' }).send({ to: 'nobody@example.com', subject: 'Hi', text: 'Hi' }))
+      .rejects.toThrow('550 No such user')
+    expect(sink.received).toHaveLength(0)
+  })
+})
@@ -0,0 +1,61 @@
+import nodemailer, { Transporter } from 'nodemailer'
+import { notificationConfig } from '../../config/notifications'
+
+type SmtpConfig = typeof notificationConfig.smtp
+
+export interface EmailMessage {
+  to: string
+  subject: string
+  text: string
+}
+
+/**
+ * Sends plain-text email through the configured SMTP server with nodemailer. STARTTLS is required
+ * unless SMTP_STARTTLS says otherwise, and always when credentials are set, so they are never
+ * sent over a connection without TLS.
+ */
+export class SmtpClient {
+  private transporter: Transporter | null = null
+
+  constructor(private config: SmtpConfig = notificationConfig.smtp) {}
+
+  isConfigured(): boolean {
+    return Boolean(this.config.host)
+  }
+
+  async send(message: EmailMessage): Promise<void> {
+    if (!this.isConfigured()) {
+      throw new Error('SMTP is not configured')
+    }
+    if (/[\r\n<>,;]/.test(message.to)) {
+      throw new Error('Invalid recipient address')
+    }
+
+    await this.getTransporter().sendMail({
+      from: this.config.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text
+    })
+  }
+
+  private getTransporter(): Transporter {
+    if (!this.transporter) {
+      const { host, port, secure, startTls, user, pass, timeoutMs } = this.config
+      const requireTLS = !secure && (Boolean(user) || startTls === 'required')
+
+      this.transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        requireTLS,
+        ignoreTLS: !requireTLS && startTls === 'off',
+        auth: user ? { user, pass } : undefined,
+        connectionTimeout: timeoutMs,
+        greetingTimeout: timeoutMs,
+        socketTimeout: timeoutMs
+      })
+    }
+    return this.transporter
+  }
+}
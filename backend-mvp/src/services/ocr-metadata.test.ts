@@ -0,0 +1,64 @@
+import { describe, test, expect } from '@jest/globals'
+import { alignOcrWords, assessOcrRegion, buildOcrMetadata, OcrPageResult } from './ocr-metadata'
+import { joinPdfPages } from './document-extractors'
+
+const box = (x0: number) => ({ x0, y0: 10, x1: x0 + 40.4, y1: 30.6 })
+
+const page = (pageNumber: number, text: string, confidences: number[]): OcrPageResult & { text: string } => {
+  const words = text.split(' ').map((word, index) => ({ text: word, confidence: confidences[index], bbox: box(index * 50) }))
+  return { page: pageNumber, text, confidence: 0.7, width: 1414, height: 2000, words: alignOcrWords(text, words, pageNumber) }
+}
+
+describe('OCR metadata', () => {
+  test('should align words to the page text and scale confidence to 0-1', () => {
+    const words = alignOcrWords('Zero fees, zero fees!', [
+      { text: 'Zero', confidence: 91, bbox: box(0) },
+      { text: 'fees,', confidence: 88, bbox: box(50) },
+      { text: 'zero', confidence: 42.5, bbox: box(100) },
+      { text: '~~', confidence: 12, bbox: box(150) },
+      { text: 'fees!', confidence: 40, bbox: box(200) }
+    ])
+
+    expect(words.map(word => [word.startIndex, word.endIndex])).toEqual([[0, 4], [5, 10], [11, 15], [undefined, undefined], [16, 21]])
+    expect(words[2]).toMatchObject({ confidence: 0.43, bbox: { x0: 100, y0: 10, x1: 140, y1: 31 } })
+  })
+
+  test('should shift word offsets to where each PDF page starts in the document text', () => {
+    const pages = [page(2, 'Instant loans', [95, 96]), page(4, 'Guaranteed approval', [35, 41])]
+    const { text, segments } = joinPdfPages([
+      { page: 1, text: 'Digital lending made simple', extraction: 'text_layer', ocrConfidence: null },
+      ...pages.map(ocrPage => ({ page: ocrPage.page!, text: ocrPage.text, extraction: 'ocr' as const, ocrConfidence: 0.7 }))
+    ])
+
+    const ocr = buildOcrMetadata(
+      pages.map(({ text: pageText, ...ocrPage }) => ocrPage),
+      pageNumber => segments.find(segment => segment.page === pageNumber)?.startIndex
+    )
+
+    const approval = ocr.words.find(word => word.text === 'approval')!
+    expect(text.slice(approval.startIndex, approval.endIndex)).toBe('approval')
+    expect(approval.page).toBe(4)
+    expect(ocr.pages).toEqual([
+      { page: 2, confidence: 0.7, width: 1414, height: 2000 },
+      { page: 4, confidence: 0.7, width: 1414, height: 2000 }
+    ])
+  })
+
+  test('should flag spans recognized below the verification threshold', () => {
+    const scanned = page(1, 'Instant loans with guaranteed approval', [96, 94, 90, 38, 42])
+    const ocr = buildOcrMetadata([scanned], () => 0)
+
+    const clean = assessOcrRegion(ocr, 0, 'Instant loans'.length)
+    const blurry = assessOcrRegion(ocr, scanned.text.indexOf('guaranteed'), scanned.text.length)
+
+    expect(clean).toEqual({ ocrConfidence: 0.95, needsHumanVerification: false })
+    expect(blurry).toEqual({ ocrConfidence: 0.4, needsHumanVerification: true })
+  })
+
+  test('should not assess text that was not OCR\'d', () => {
+    const ocr = buildOcrMetadata([page(2, 'Scanned page', [80, 80])], () => 100)
+
+    expect(assessOcrRegion(ocr, 0, 20)).toBeUndefined()
+    expect(assessOcrRegion(null, 0, 20)).toBeUndefined()
+  })
+})
@@ -0,0 +1,131 @@
+import { ocrConfig } from '../config/ocr'
+import { normalizeText } from '../core-engine/language/text-normalizer'
+
+export interface OcrBoundingBox {
+  x0: number
+  y0: number
+  x1: number
+  y1: number
+}
+
+export interface OcrWord {
+  text: string
+  confidence: number // 0-1
+  bbox: OcrBoundingBox // Pixels in the OCR'd (preprocessed) page image
+  page?: number // PDF page; absent for single images
+  startIndex?: number // Offsets into the text; absent when the word could not be aligned
+  endIndex?: number
+}
+
+export interface OcrPageResult {
+  page?: number
+  confidence: number // 0-1
+  width: number // Size of the OCR'd image the word boxes refer to
+  height: number
+  words: OcrWord[] // Offsets relative to the page text
+}
+
+/**
+ * Stored in documents.metadata.ocr for images and scanned PDFs
+ */
+export interface DocumentOcrMetadata {
+  engine: 'tesseract'
+  confidence: number // Document-level mean of the OCR'd pages, 0-1
+  pages: Array<Omit<OcrPageResult, 'words'>>
+  words: OcrWord[] // Offsets into extracted_text
+}
+
+export interface OcrRegionAssessment {
+  ocrConfidence: number // Mean confidence of the OCR'd words the span covers
+  needsHumanVerification: boolean
+}
+
+const round = (value: number, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits
+
+/**
+ * Position Tesseract's words in the cleaned-up page text. Words are searched in reading order
+ * from the end of the previous match; words that cannot be found keep their box but no offsets.
+ */
+export const alignOcrWords = (
+  text: string,
+  words: Array<{ text: string, confidence: number, bbox: OcrBoundingBox }>,
+  page?: number
+): OcrWord[] => {
+  let cursor = 0
+
+  return words
+    .map(word => ({ ...word, text: normalizeText(word.text).trim() }))
+    .filter(word => word.text)
+    .map(word => {
+      const ocrWord: OcrWord = {
+        text: word.text,
+        confidence: round(word.confidence / 100), // Tesseract reports 0-100
+        bbox: {
+          x0: Math.round(word.bbox.x0),
+          y0: Math.round(word.bbox.y0),
+          x1: Math.round(word.bbox.x1),
+          y1: Math.round(word.bbox.y1)
+        },
+        ...(page !== undefined && { page })
+      }
+
+      const index = text.indexOf(word.text, cursor)
+      if (index !== -1) {
+        ocrWord.startIndex = index
+        ocrWord.endIndex = index + word.text.length
+        cursor = ocrWord.endIndex
+      }
+
+      return ocrWord
+    })
+}
+
+/**
+ * Combine OCR'd pages into the document record, shifting word offsets by where each
+ * page's text starts in extracted_text
+ */
+export const buildOcrMetadata = (
+  pages: OcrPageResult[],
+  pageOffset: (page?: number) => number | undefined
+): DocumentOcrMetadata => {
+  const words = pages.flatMap(page => {
+    const offset = pageOffset(page.page)
+
+    return page.words.map(word => {
+      if (offset === undefined || word.startIndex === undefined) {
+        const { startIndex, endIndex, ...unaligned } = word
+        return unaligned
+      }
+      return { ...word, startIndex: word.startIndex + offset, endIndex: word.endIndex! + offset }
+    })
+  })
+
+  return {
+    engine: 'tesseract',
+    confidence: round(pages.reduce((sum, page) => sum + page.confidence, 0) / Math.max(1, pages.length)),
+    pages: pages.map(({ words, ...page }) => ({ ...page, confidence: round(page.confidence) })),
+    words
+  }
+}
+
+/**
+ * How reliable the OCR was for a span of extracted_text. Spans below OCR_VERIFICATION_THRESHOLD
+ * need a person to check the original before the finding is acted on.
+ */
+export const assessOcrRegion = (
+  ocr: DocumentOcrMetadata | null | undefined,
+  startIndex: number,
+  endIndex: number
+): OcrRegionAssessment | undefined => {
+  const covered = (ocr?.words || []).filter(word =>
+    word.startIndex !== undefined && word.startIndex < endIndex && word.endIndex! > startIndex
+  )
+  if (covered.length === 0) return undefined
+
+  const ocrConfidence = round(covered.reduce((sum, word) => sum + word.confidence, 0) / covered.length)
+
+  return {
+    ocrConfidence,
+    needsHumanVerification: ocrConfidence < ocrConfig.verificationThreshold
+  }
+}
@@ -0,0 +1,94 @@
+import { supabaseServer } from '../config/supabase'
+import { logger } from '../utils/logger'
+import { guidelinesCache } from '../utils/cache'
+import { LLMProviderName } from '../core-engine/ai/llm-provider'
+import { ScoringProfileName } from '../core-engine/scoring/scoring-profiles'
+
+export interface OrganizationSettings {
+  organization_id: string
+  llm_provider: LLMProviderName | null
+  llm_model: string | null
+  scoring_profile: ScoringProfileName | null
+  updated_by?: string | null
+  updated_at?: string
+}
+
+export type OrganizationSettingsInput = Partial<Pick<OrganizationSettings, 'llm_provider' | 'llm_model' | 'scoring_profile'>>
+
+const SETTINGS_CACHE_TTL = 300 // 5 minutes
+
+/**
+ * Per-organization analysis settings: the language model used for AI insights and the default scoring profile
+ */
+export class OrganizationSettingsService {
+  /**
+   * Get an organization's settings; organizations without a row get server defaults
+   */
+  async getSettings(organizationId: string): Promise<OrganizationSettings> {
+    const cacheKey = `organization_settings:${organizationId}`
+    const cached = guidelinesCache.get(cacheKey) as OrganizationSettings | undefined
+    if (cached) return cached
+
+    const { data, error } = await supabaseServer
+      .from('organization_settings')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .maybeSingle()
+
+    if (error) {
+      throw new Error(`Failed to get organization settings: ${error.message}`)
+    }
+
+    const settings = (data as OrganizationSettings | null) || this.defaults(organizationId)
+    guidelinesCache.set(cacheKey, settings, SETTINGS_CACHE_TTL)
+    return settings
+  }
+
+  /**
+   * Like getSettings, but analysis keeps running on server defaults if settings are unavailable
+   */
+  async getSettingsOrDefaults(organizationId: string): Promise<OrganizationSettings> {
+    try {
+      return await this.getSettings(organizationId)
+    } catch (error: any) {
+      logger.error('Failed to load organization settings, using defaults', {
+        organizationId,
+        error: error.message
+      })
+      return this.defaults(organizationId)
+    }
+  }
+
+  async updateSettings(
+    organizationId: string,
+    userId: string,
+    updates: OrganizationSettingsInput
+  ): Promise<OrganizationSettings> {
+    const { data, error } = await supabaseServer
+      .from('organization_settings')
+      .upsert({
+        organization_id: organizationId,
+        ...updates,
+        updated_by: userId,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'organization_id' })
+      .select()
+      .single()
+
+    if (error) {
+      throw new Error(`Failed to update organization settings: ${error.message}`)
+    }
+
+    guidelinesCache.del(`organization_settings:${organizationId}`)
+    logger.info('Organization settings updated', { organizationId, updatedBy: userId, ...updates })
+
+    return data as OrganizationSettings
+  }
+
+  private defaults(organizationId: string): OrganizationSettings {
+    return { organization_id: organizationId, llm_provider: null, llm_model: null, scoring_profile: null }
+  }
+}
+
+// Export singleton instance
+export const organizationSettingsService = new OrganizationSettingsService()
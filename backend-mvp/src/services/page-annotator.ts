@@ -0,0 +1,87 @@
+import sharp from 'sharp'
+import { DocumentProcessor } from './document-processor'
+import { databaseService, ViolationRow } from './database-service'
+import {
+  AnnotationSeverity,
+  AnnotationSpan,
+  layoutAnnotations,
+  PageAnnotations,
+  renderAnnotationOverlay
+} from './page-layout'
+
+const SEVERITIES: AnnotationSeverity[] = ['critical', 'high', 'medium', 'low']
+
+/**
+ * Spans of the latest analysis: rule violations with stored offsets and grounded AI findings
+ */
+export const collectAnnotationSpans = (violations: ViolationRow[], analysisMetadata: any): AnnotationSpan[] => {
+  const ruleSpans = violations.flatMap(violation => {
+    const location = violation.violation_metadata?.location
+    if (!location || !(location.end > location.start)) return []
+
+    return [{
+      label: violation.title,
+      severity: toSeverity(violation.severity),
+      startIndex: location.start,
+      endIndex: location.end,
+      source: 'rule' as const
+    }]
+  })
+
+  const aiSpans = (analysisMetadata?.aiFindings || [])
+    .filter((finding: any) => finding.endIndex > finding.startIndex)
+    .map((finding: any) => ({
+      label: `AI finding: ${finding.explanation || finding.ruleCategory}`,
+      severity: toSeverity(finding.severity),
+      startIndex: finding.startIndex,
+      endIndex: finding.endIndex,
+      source: 'ai' as const
+    }))
+
+  return [...ruleSpans, ...aiSpans]
+}
+
+const toSeverity = (severity: string): AnnotationSeverity =>
+  SEVERITIES.includes(severity as AnnotationSeverity) ? severity as AnnotationSeverity : 'medium'
+
+/**
+ * Draws the violations of a document's latest analysis on its page images: the uploaded image
+ * itself, or PDF pages rendered with the configured rasterizer
+ */
+export class PageAnnotator {
+  private documentProcessor = new DocumentProcessor()
+
+  /**
+   * Violation regions per page (page 1 for single images), in each page's coordinate space
+   */
+  async getPageAnnotations(document: any, userId: string): Promise<Array<PageAnnotations & { page: number }>> {
+    const layout = document.metadata || {}
+    if (!layout.ocr && !layout.textLayer) return []
+
+    const results = await databaseService.getAnalysisResults(document.id, userId)
+    const spans = results ? collectAnnotationSpans(results.violations, results.analysis.analysis_metadata) : []
+
+    return layoutAnnotations(layout, spans).map(page => ({ ...page, page: page.page ?? 1 }))
+  }
+
+  /**
+   * PNG of the page with its violation regions outlined in severity colours
+   */
+  async renderPage(document: any, annotations: PageAnnotations & { page: number }): Promise<Buffer> {
+    const file = await this.documentProcessor.downloadFile(document)
+    const base = document.type === 'pdf'
+      ? await this.documentProcessor.renderPdfPage(file, annotations.page)
+      : await sharp(file).png().toBuffer()
+
+    const { width = 0, height = 0 } = await sharp(base).metadata()
+    const overlay = renderAnnotationOverlay(annotations, width, height)
+
+    return sharp(base)
+      .composite([{ input: Buffer.from(overlay), top: 0, left: 0 }])
+      .png()
+      .toBuffer()
+  }
+}
+
+// Export singleton instance
+export const pageAnnotator = new PageAnnotator()
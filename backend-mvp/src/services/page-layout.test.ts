@@ -0,0 +1,72 @@
+import { describe, test, expect } from '@jest/globals'
+import { joinPdfPages } from './document-extractors'
+import { alignOcrWords, buildOcrMetadata } from './ocr-metadata'
+import { buildTextLayerMetadata, layoutAnnotations, renderAnnotationOverlay, textItemBox } from './page-layout'
+
+const A4 = [0, 0, 595.32, 841.92]
+
+const item = (text: string, x: number, y: number, width: number) => ({
+  text,
+  bbox: textItemBox({ transform: [12, 0, 0, 12, x, y], width, height: 12 }, A4)
+})
+
+const scannedBanner = () => {
+  const text = 'Zero fees guaranteed approval'
+  const words = text.split(' ').map((word, index) => ({
+    text: word,
+    confidence: 90,
+    bbox: { x0: index * 100, y0: 50, x1: index * 100 + 90, y1: 80 }
+  }))
+  return buildOcrMetadata([{ confidence: 0.9, width: 1000, height: 500, words: alignOcrWords(text, words) }], () => 0)
+}
+
+describe('page layout', () => {
+  test('should flip pdf.js text boxes to a top-left origin', () => {
+    expect(item('Instant loans', 72, 741.92, 70).bbox).toEqual({ x0: 72, y0: 88, x1: 142, y1: 102.4 })
+  })
+
+  test('should position text-layer items in extracted_text page by page', () => {
+    const { text, segments } = joinPdfPages([
+      { page: 1, text: 'Cover', extraction: 'text_layer', ocrConfidence: null },
+      { page: 2, text: ' Instant loans\nZero fees', extraction: 'text_layer', ocrConfidence: null }
+    ])
+
+    const textLayer = buildTextLayerMetadata([{
+      page: 2,
+      width: 595.32,
+      height: 841.92,
+      items: [item(' Instant loans', 72, 700, 84), item(' ', 160, 700, 3), item('Zero fees', 72, 680, 54)]
+    }], text, segments)
+
+    expect(textLayer.words.map(word => text.slice(word.startIndex, word.endIndex))).toEqual(['Instant loans', 'Zero fees'])
+    expect(textLayer.words[0].bbox.x0).toBe(78) // Leading space trimmed off the box
+    expect(textLayer.pages).toEqual([{ page: 2, width: 595.32, height: 841.92 }])
+  })
+
+  test('should box violations on the words they cover, merging words on a line', () => {
+    const ocr = scannedBanner()
+    const [page] = layoutAnnotations({ ocr }, [
+      { label: 'Guaranteed approval', severity: 'critical', startIndex: 10, endIndex: 29, source: 'rule' },
+      { label: 'Zero fees', severity: 'medium', startIndex: 0, endIndex: 2, source: 'ai' }
+    ])
+
+    expect(page).toMatchObject({ width: 1000, height: 500 })
+    expect(page.regions).toEqual([
+      { label: 'Guaranteed approval', severity: 'critical', source: 'rule', bbox: { x0: 200, y0: 50, x1: 390, y1: 80 } },
+      { label: 'Zero fees', severity: 'medium', source: 'ai', bbox: { x0: 0, y0: 50, x1: 45, y1: 80 } }
+    ])
+  })
+
+  test('should scale regions to the rendered image and colour them by severity', () => {
+    const [page] = layoutAnnotations({ ocr: scannedBanner() }, [
+      { label: 'Guaranteed <approval>', severity: 'critical', startIndex: 10, endIndex: 29, source: 'rule' }
+    ])
+
+    const svg = renderAnnotationOverlay(page, 2000, 1000)
+
+    expect(svg).toContain('width="2000" height="1000"')
+    expect(svg).toContain('<rect x="397" y="97" width="386" height="66"')
+    expect(svg).toContain('stroke="#dc2626"')
+    expect(svg).toContain('<title>Guaranteed &lt;approval&gt;</title>')
+  })
+})
@@ -0,0 +1,240 @@
+import { normalizeText } from '../core-engine/language/text-normalizer'
+import { SourceSegment } from './document-extractors'
+import { DocumentOcrMetadata, OcrBoundingBox } from './ocr-metadata'
+
+export type AnnotationSeverity = 'critical' | 'high' | 'medium' | 'low'
+
+/**
+ * A run of text positioned on a page: an OCR word or a PDF text-layer item
+ */
+export interface LayoutWord {
+  text: string
+  bbox: OcrBoundingBox // Top-left origin, in the page's coordinate space
+  page?: number // PDF page; absent for single images
+  startIndex?: number // Offsets into extracted_text
+  endIndex?: number
+}
+
+export interface LayoutPage {
+  page?: number
+  width: number // Size of the coordinate space the page's boxes refer to
+  height: number
+}
+
+/**
+ * Text items of a PDF page as pdf.js positions them, in points
+ */
+export interface TextLayerPage extends LayoutPage {
+  page: number
+  items: Array<{ text: string, bbox: OcrBoundingBox }>
+}
+
+/**
+ * Stored in documents.metadata.textLayer for PDF pages whose text came from the text layer
+ */
+export interface DocumentTextLayer {
+  pages: LayoutPage[]
+  words: LayoutWord[] // Offsets into extracted_text
+}
+
+/**
+ * A violation span in extracted_text to be drawn on the page images
+ */
+export interface AnnotationSpan {
+  label: string
+  severity: AnnotationSeverity
+  startIndex: number
+  endIndex: number
+  source: 'rule' | 'ai'
+}
+
+export interface AnnotationRegion {
+  label: string
+  severity: AnnotationSeverity
+  source: 'rule' | 'ai'
+  bbox: OcrBoundingBox
+}
+
+export interface PageAnnotations extends LayoutPage {
+  regions: AnnotationRegion[]
+}
+
+export const SEVERITY_COLORS: Record<AnnotationSeverity, string> = {
+  critical: '#dc2626',
+  high: '#ea580c',
+  medium: '#ca8a04',
+  low: '#2563eb'
+}
+
+// pdf.js positions text on its baseline; descenders reach roughly a fifth of the font size below it
+const DESCENT_RATIO = 0.2
+
+const SEVERITY_ORDER: AnnotationSeverity[] = ['low', 'medium', 'high', 'critical']
+
+/**
+ * Box of a pdf.js text item, flipped from PDF user space (bottom-left origin) to top-left.
+ * Rotated text is boxed along its unrotated extent.
+ */
+export const textItemBox = (
+  item: { transform: number[], width: number, height: number },
+  view: number[]
+): OcrBoundingBox => {
+  const [, , c, d, x, y] = item.transform
+  const fontSize = item.height || Math.hypot(c, d)
+  const baseline = view[3] - y
+
+  return {
+    x0: round(x - view[0]),
+    y0: round(baseline - fontSize),
+    x1: round(x - view[0] + item.width),
+    y1: round(baseline + fontSize * DESCENT_RATIO)
+  }
+}
+
+/**
+ * Position text-layer items in extracted_text. Each page's items are searched in reading order
+ * within that page's segment; items that cannot be found (whitespace, dropped glyphs) are left out.
+ */
+export const buildTextLayerMetadata = (
+  pages: TextLayerPage[],
+  text: string,
+  segments: SourceSegment[]
+): DocumentTextLayer => {
+  const words = pages.flatMap(page => {
+    const segment = segments.find(candidate => candidate.page === page.page)
+    if (!segment) return []
+
+    const pageText = text.slice(segment.startIndex, segment.endIndex)
+    let cursor = 0
+
+    return page.items.flatMap(item => {
+      const itemText = normalizeText(item.text).trim()
+      const index = itemText ? pageText.indexOf(itemText, cursor) : -1
+      if (index === -1) return []
+
+      // Leading whitespace in the item shifts where the visible text starts
+      const leading = item.text.length - item.text.trimStart().length
+      const charWidth = (item.bbox.x1 - item.bbox.x0) / Math.max(1, item.text.length)
+      cursor = index + itemText.length
+
+      return [{
+        text: itemText,
+        bbox: { ...item.bbox, x0: round(item.bbox.x0 + leading * charWidth), x1: round(item.bbox.x0 + (leading + itemText.length) * charWidth) },
+        page: page.page,
+        startIndex: segment.startIndex + index,
+        endIndex: segment.startIndex + cursor
+      }]
+    })
+  })
+
+  return {
+    pages: pages.map(({ page, width, height }) => ({ page, width, height })),
+    words
+  }
+}
+
+/**
+ * Boxes for each violation span on every page that has positioned text. Words only partly
+ * covered by a span are clipped by character; boxes on the same line are merged.
+ */
+export const layoutAnnotations = (
+  layout: { ocr?: DocumentOcrMetadata | null, textLayer?: DocumentTextLayer | null },
+  spans: AnnotationSpan[]
+): PageAnnotations[] => {
+  const pages = [
+    ...(layout.ocr?.pages || []).map(({ page, width, height }) => ({ page, width, height })),
+    ...(layout.textLayer?.pages || [])
+  ].sort((a, b) => (a.page ?? 0) - (b.page ?? 0))
+
+  const words = [...(layout.ocr?.words || []), ...(layout.textLayer?.words || [])]
+    .filter(word => word.startIndex !== undefined)
+
+  return pages.map(page => {
+    const pageWords = words
+      .filter(word => word.page === page.page)
+      .sort((a, b) => a.startIndex! - b.startIndex!)
+
+    const regions = spans.flatMap(span => {
+      const boxes = pageWords
+        .filter(word => word.startIndex! < span.endIndex && word.endIndex! > span.startIndex)
+        .map(word => clipWordBox(word, span.startIndex, span.endIndex))
+
+      return mergeLineBoxes(boxes).map(bbox => ({
+        label: span.label,
+        severity: span.severity,
+        source: span.source,
+        bbox
+      }))
+    })
+
+    return { ...page, regions }
+  })
+}
+
+/**
+ * SVG the size of the rendered page image with one rectangle per region, scaled from
+ * the page's coordinate space. More severe regions are drawn on top.
+ */
+export const renderAnnotationOverlay = (page: PageAnnotations, imageWidth: number, imageHeight: number): string => {
+  const scaleX = imageWidth / Math.max(1, page.width)
+  const scaleY = imageHeight / Math.max(1, page.height)
+  const strokeWidth = Math.max(2, Math.round(Math.min(imageWidth, imageHeight) / 400))
+  const padding = strokeWidth
+
+  const rects = [...page.regions]
+    .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity))
+    .map(region => {
+      const color = SEVERITY_COLORS[region.severity]
+      const x = Math.max(0, Math.round(region.bbox.x0 * scaleX) - padding)
+      const y = Math.max(0, Math.round(region.bbox.y0 * scaleY) - padding)
+      const width = Math.round((region.bbox.x1 - region.bbox.x0) * scaleX) + padding * 2
+      const height = Math.round((region.bbox.y1 - region.bbox.y0) * scaleY) + padding * 2
+      // AI findings get a dashed outline, as in the text view
+      const dash = region.source === 'ai' ? ` stroke-dasharray="${strokeWidth * 3} ${strokeWidth * 2}"` : ''
+
+      return `<rect x="${x}" y="${y}" width="${width}" height="${height}" rx="${strokeWidth}" fill="${color}" fill-opacity="0.18" stroke="${color}" stroke-width="${strokeWidth}"${dash}><title>${escapeXml(region.label)}</title></rect>`
+    })
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${imageWidth}" height="${imageHeight}">${rects.join('')}</svg>`
+}
+
+const round = (value: number) => Math.round(value * 100) / 100
+
+const escapeXml = (value: string) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// Boxes are proportional to the characters covered, which is close enough for proportional fonts
+const clipWordBox = (word: LayoutWord, startIndex: number, endIndex: number): OcrBoundingBox => {
+  const length = word.endIndex! - word.startIndex!
+  const charWidth = (word.bbox.x1 - word.bbox.x0) / Math.max(1, length)
+  const from = Math.max(0, startIndex - word.startIndex!)
+  const to = Math.min(length, endIndex - word.startIndex!)
+
+  return {
+    ...word.bbox,
+    x0: round(word.bbox.x0 + from * charWidth),
+    x1: round(word.bbox.x0 + to * charWidth)
+  }
+}
+
+// Consecutive boxes that overlap vertically by at least half the shorter one are on the same line
+const mergeLineBoxes = (boxes: OcrBoundingBox[]): OcrBoundingBox[] => boxes.reduce((merged: OcrBoundingBox[], box) => {
+  const last = merged[merged.length - 1]
+  const overlap = last ? Math.min(last.y1, box.y1) - Math.max(last.y0, box.y0) : 0
+  const shorter = last ? Math.min(last.y1 - last.y0, box.y1 - box.y0) : 0
+
+  if (last && overlap >= shorter / 2 && box.x0 >= last.x0) {
+    merged[merged.length - 1] = {
+      x0: last.x0,
+      y0: Math.min(last.y0, box.y0),
+      x1: Math.max(last.x1, box.x1),
+      y1: Math.max(last.y1, box.y1)
+    }
+  } else {
+    merged.push(box)
+  }
+  return merged
+}, [])
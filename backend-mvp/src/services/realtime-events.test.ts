@@ -0,0 +1,73 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals'
+import { RealtimeEventService, RealtimeEvent, RealtimeEventName } from './realtime-events'
+
+describe('RealtimeEventService', () => {
+  let now: number
+  let service: RealtimeEventService
+
+  beforeEach(() => {
+    now = Date.parse('2026-10-19T10:00:00Z')
+    service = new RealtimeEventService(() => now)
+  })
+
+  test('should deliver events only to the user they belong to', () => {
+    const received: RealtimeEvent[] = []
+    const other = jest.fn()
+    service.subscribe('user-1', event => received.push(event))
+    service.subscribe('user-2', other)
+
+    service.publish('user-1', RealtimeEventName.ANALYSIS_PROGRESS, { documentId: 'doc-1', stage: 'rules' })
+
+    expect(received).toHaveLength(1)
+    expect(received[0]).toEqual(expect.objectContaining({
+      event: 'analysis:progress',
+      data: { documentId: 'doc-1', stage: 'rules' },
+      userId: 'user-1',
+      timestamp: '2026-10-19T10:00:00.000Z'
+    }))
+    expect(other).not.toHaveBeenCalled()
+  })
+
+  test('should replay recent events published after the given id, and none older than the window', () => {
+    service.publish('user-1', RealtimeEventName.ANALYSIS_STARTED, { documentId: 'stale' })
+    now += 6 * 60 * 1000
+    const started = service.publish('user-1', RealtimeEventName.ANALYSIS_STARTED, { documentId: 'doc-1' })
+    service.publish('user-1', RealtimeEventName.ANALYSIS_PROGRESS, { documentId: 'doc-1', stage: 'rules' })
+
+    const all: RealtimeEvent[] = []
+    service.subscribe('user-1', event => all.push(event), 0)
+    const missed: RealtimeEvent[] = []
+    service.subscribe('user-1', event => missed.push(event), started.id)
+
+    expect(all.map(event => event.data.documentId)).toEqual(['doc-1', 'doc-1'])
+    expect(missed.map(event => event.event)).toEqual(['analysis:progress'])
+  })
+
+  test('should stop delivering after unsubscribing and survive a failing listener', () => {
+    const listener = jest.fn()
+    const unsubscribe = service.subscribe('user-1', () => { throw new Error('Stream closed') })
+    service.subscribe('user-1', listener)
+
+    service.publish('user-1', RealtimeEventName.BATCH_PROGRESS, { jobId: 'batch_1' })
+    unsubscribe()
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(service.getListenerCount('user-1')).toBe(1)
+  })
+
+  test('should deliver every user\'s new events to all-users listeners', () => {
+    service.publish('user-1', RealtimeEventName.ANALYSIS_STARTED, { documentId: 'before' })
+    const received: RealtimeEvent[] = []
+    const unsubscribe = service.subscribeAll(event => received.push(event))
+
+    service.publish('user-1', RealtimeEventName.ANALYSIS_COMPLETED, { documentId: 'doc-1' })
+    service.publish('user-2', RealtimeEventName.BATCH_PROGRESS, { jobId: 'batch_1' })
+    unsubscribe()
+    service.publish('user-1', RealtimeEventName.ANALYSIS_FAILED, { documentId: 'doc-2' })
+
+    expect(received.map(event => [event.userId, event.event])).toEqual([
+      ['user-1', 'analysis:completed'],
+      ['user-2', 'batch:progress']
+    ])
+  })
+})
@@ -0,0 +1,128 @@
+import { logger } from '../utils/logger'
+
+// Names match SocketEvent in shared/src/types.ts
+export const RealtimeEventName = {
+  ANALYSIS_STARTED: 'analysis:started',
+  ANALYSIS_PROGRESS: 'analysis:progress',
+  ANALYSIS_COMPLETED: 'analysis:completed',
+  ANALYSIS_FAILED: 'analysis:failed',
+  VIOLATION_DETECTED: 'violation:detected',
+  BATCH_PROGRESS: 'batch:progress',
+  NOTIFICATION_CREATED: 'notification:created'
+} as const
+
+export type RealtimeEventName = typeof RealtimeEventName[keyof typeof RealtimeEventName]
+
+// Pipeline stages reported with analysis:progress, in order
+export type AnalysisStage = 'rules' | 'ai' | 'scoring' | 'recommendations' | 'saving'
+
+export interface RealtimeEvent {
+  id: number // Increases with every event the process publishes; clients resume after it
+  event: RealtimeEventName
+  data: Record<string, any>
+  userId: string
+  timestamp: string
+}
+
+export type RealtimeEventListener = (event: RealtimeEvent) => void
+
+// Events kept per user for clients that connect or reconnect after they were published
+const REPLAY_LIMIT = 200
+const REPLAY_WINDOW_MS = 5 * 60 * 1000
+
+/**
+ * Delivers analysis and batch progress to the user's open event streams (GET /api/events).
+ * Events only reach streams connected to the process that did the work; recent events are
+ * kept briefly so a stream opened just after an upload still sees the analysis from its start.
+ */
+export class RealtimeEventService {
+  private listeners = new Map<string, Set<RealtimeEventListener>>()
+  private allUsersListeners = new Set<RealtimeEventListener>()
+  private recent = new Map<string, RealtimeEvent[]>()
+  private nextId = 1
+
+  constructor(private now: () => number = () => Date.now()) {}
+
+  publish(userId: string, event: RealtimeEventName, data: Record<string, any>): RealtimeEvent {
+    const published: RealtimeEvent = {
+      id: this.nextId++,
+      event,
+      data,
+      userId,
+      timestamp: new Date(this.now()).toISOString()
+    }
+
+    const recent = this.pruned(userId)
+    recent.push(published)
+    if (recent.length > REPLAY_LIMIT) recent.shift()
+    this.recent.set(userId, recent)
+
+    // Now and then, drop what users who stopped receiving events left behind
+    if (published.id % REPLAY_LIMIT === 0) {
+      for (const otherUserId of [...this.recent.keys()]) this.pruned(otherUserId)
+    }
+
+    for (const listener of [...(this.listeners.get(userId) || []), ...this.allUsersListeners]) {
+      try {
+        listener(published)
+      } catch (error: any) {
+        // One broken stream must not stop delivery to the others or fail the analysis
+        logger.warn('Realtime event listener failed', { event, userId, error: error.message })
+      }
+    }
+
+    return published
+  }
+
+  /**
+   * Listen for the user's events. With afterId, recent events published after it are delivered
+   * first; with afterId 0, all recent events are. Returns a function that stops listening.
+   */
+  subscribe(userId: string, listener: RealtimeEventListener, afterId?: number): () => void {
+    if (afterId !== undefined) {
+      for (const event of this.pruned(userId)) {
+        if (event.id > afterId) listener(event)
+      }
+    }
+
+    const listeners = this.listeners.get(userId) || new Set<RealtimeEventListener>()
+    listeners.add(listener)
+    this.listeners.set(userId, listeners)
+
+    return () => {
+      listeners.delete(listener)
+      if (listeners.size === 0 && this.listeners.get(userId) === listeners) {
+        this.listeners.delete(userId)
+      }
+    }
+  }
+
+  /**
+   * Listen for every user's events as they are published, without replay (webhook delivery)
+   */
+  subscribeAll(listener: RealtimeEventListener): () => void {
+    this.allUsersListeners.add(listener)
+    return () => {
+      this.allUsersListeners.delete(listener)
+    }
+  }
+
+  getListenerCount(userId: string): number {
+    return this.listeners.get(userId)?.size || 0
+  }
+
+  private pruned(userId: string): RealtimeEvent[] {
+    const cutoff = this.now() - REPLAY_WINDOW_MS
+    const recent = (this.recent.get(userId) || []).filter(event => Date.parse(event.timestamp) >= cutoff)
+
+    if (recent.length === 0) {
+      this.recent.delete(userId)
+    } else if (this.recent.has(userId)) {
+      this.recent.set(userId, recent)
+    }
+    return recent
+  }
+}
+
+// Export singleton instance
+export const realtimeEvents = new RealtimeEventService()
@@ -4,6 +4,8 @@ import { supabase } from '../config/supabase';
 import { promises as fs } from 'fs';
 import { join } from 'path';
 import { v4 as uuidv4 } from 'uuid';
+import { SignedUrl, StorageBackendName, StoredObject } from './storage/storage-adapter';
+import { storageService } from './storage/storage-service';
 
 export interface ReportConfig {
   title: string;
@@ -29,6 +31,11 @@ export interface ExportSettings {
   watermark: boolean;
 }
 
+export interface GeneratedReportFile {
+  fileName: string;
+  storageBackend: StorageBackendName; // Recorded on generated_reports to sign download links later
+}
+
 export class ReportGenerationService {
   private chartJS: ChartJSNodeCanvas;
 
@@ -44,7 +51,7 @@ export class ReportGenerationService {
     userId: string,
     config: ReportConfig,
     exportSettings: ExportSettings
-  ): Promise<string> {
+  ): Promise<GeneratedReportFile> {
     try {
       // Get real data from database
       const reportData = await this.aggregateReportData(userId, config);
@@ -61,9 +68,7 @@ export class ReportGenerationService {
       const pdfBuffer = await this.generatePDF(htmlContent, exportSettings);
 
       // Save to storage
-      const fileName = await this.saveReportFile(pdfBuffer, config, exportSettings);
-
-      return fileName;
+      return await this.saveReportFile(pdfBuffer, config, exportSettings);
     } catch (error) {
       console.error('Report generation error:', error);
       throw new Error(`Failed to generate report: ${error instanceof Error ? error.message : 'Unknown error'}`);
@@ -371,23 +376,30 @@ export class ReportGenerationService {
     pdfBuffer: Buffer,
     config: ReportConfig,
     exportSettings: ExportSettings
-  ): Promise<string> {
+  ): Promise<GeneratedReportFile> {
     const fileName = `${config.template}_${Date.now()}_${uuidv4().substring(0, 8)}.pdf`;
-    const filePath = `reports/${fileName}`;
 
-    // Upload to Supabase storage
-    const { data, error } = await supabase.storage
-      .from('reports')
-      .upload(filePath, pdfBuffer, {
+    try {
+      const stored = await storageService.putObject('reports', `reports/${fileName}`, pdfBuffer, {
         contentType: 'application/pdf',
-        upsert: false
+        size: pdfBuffer.length
       });
 
-    if (error) {
-      throw new Error(`Storage upload error: ${error.message}`);
+      return { fileName, storageBackend: stored.backend };
+    } catch (error) {
+      throw new Error(`Storage upload error: ${error instanceof Error ? error.message : 'Unknown error'}`);
     }
+  }
+
+  getReportFile(fileName: string, storageBackend: StorageBackendName): StoredObject {
+    return { backend: storageBackend, bucket: 'reports', key: `reports/${fileName}` };
+  }
 
-    return fileName;
+  /**
+   * Time-limited download link for a generated report
+   */
+  async createDownloadUrl(fileName: string, storageBackend: StorageBackendName): Promise<SignedUrl> {
+    return storageService.createSignedUrl(this.getReportFile(fileName, storageBackend));
   }
 
   // Helper methods
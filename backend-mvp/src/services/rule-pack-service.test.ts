@@ -0,0 +1,102 @@
+import { describe, test, expect, jest } from '@jest/globals'
+import { RulePackService, RulePack } from './rule-pack-service'
+import { MarketingRule } from '../core-engine/marketing-rules/rbi-marketing-loader'
+
+// Mock dependencies
+jest.mock('../config/supabase')
+jest.mock('../utils/logger')
+
+const createRule = (ruleId: string, overrides: Partial<MarketingRule> = {}): MarketingRule => ({
+  rule_id: ruleId,
+  category: 'Digital Lending',
+  title: `Rule ${ruleId}`,
+  description: '',
+  marketing_context: '',
+  content: '',
+  violation_keywords: ['guaranteed'],
+  required_marketing_elements: [],
+  prohibited_marketing_claims: [],
+  severity: 'high',
+  scoring_weight: 20,
+  citation: { document: 'RBI', title: 'Guidelines', date: '2022-09-02', section: '1' },
+  ...overrides
+})
+
+const createPack = (id: string, overrides: Partial<RulePack> = {}): RulePack => ({
+  id,
+  organization_id: 'org-123',
+  name: `Pack ${id}`,
+  entity_type: null,
+  priority: 0,
+  is_active: true,
+  rules: [],
+  overrides: {},
+  created_by: 'user-123',
+  created_at: '2024-01-01T00:00:00Z',
+  updated_at: '2024-01-01T00:00:00Z',
+  ...overrides
+})
+
+describe('RulePackService.mergeRules', () => {
+  const service = new RulePackService()
+  const baseline = [createRule('DLM_001'), createRule('DLM_002', { severity: 'medium' })]
+
+  test('should return the baseline when no packs apply', () => {
+    expect(service.mergeRules(baseline, [])).toEqual(baseline)
+  })
+
+  test('should add house rules tagged with their pack', () => {
+    const pack = createPack('pack-1', { rules: [createRule('HOUSE_001', { severity: 'low' })] })
+
+    const rules = service.mergeRules(baseline, [pack])
+
+    expect(rules).toHaveLength(3)
+    expect(rules.find(rule => rule.rule_id === 'HOUSE_001')?.rule_pack_id).toBe('pack-1')
+  })
+
+  test('should disable and re-weight baseline rules without mutating them', () => {
+    const pack = createPack('pack-1', {
+      overrides: {
+        DLM_001: { disabled: true },
+        DLM_002: { severity: 'critical', scoring_weight: 30, impact_multiplier: 1.5 }
+      }
+    })
+
+    const rules = service.mergeRules(baseline, [pack])
+
+    expect(rules.map(rule => rule.rule_id)).toEqual(['DLM_002'])
+    expect(rules[0]).toMatchObject({
+      severity: 'critical',
+      scoring_weight: 30,
+      impact_multiplier: 1.5,
+      rule_pack_id: 'pack-1'
+    })
+    expect(baseline[1].severity).toBe('medium')
+  })
+
+  test('should only apply packs for the matching entity type', () => {
+    const nbfcPack = createPack('nbfc', { entity_type: 'nbfc', overrides: { DLM_001: { disabled: true } } })
+
+    expect(service.mergeRules(baseline, [nbfcPack], 'bank')).toHaveLength(2)
+    expect(service.mergeRules(baseline, [nbfcPack], 'nbfc')).toHaveLength(1)
+    expect(service.mergeRules(baseline, [nbfcPack])).toHaveLength(2)
+  })
+
+  test('should skip inactive packs', () => {
+    const pack = createPack('inactive', { is_active: false, overrides: { DLM_001: { disabled: true } } })
+
+    expect(service.mergeRules(baseline, [pack])).toHaveLength(2)
+  })
+
+  test('should apply higher priority packs last', () => {
+    const high = createPack('high', { priority: 10, overrides: { DLM_001: { severity: 'low' } } })
+    const low = createPack('low', { priority: 1, overrides: { DLM_001: { severity: 'critical' } } })
+
+    const rules = service.mergeRules(baseline, [high, low])
+
+    expect(rules.find(rule => rule.rule_id === 'DLM_001')).toMatchObject({
+      severity: 'low',
+      rule_pack_id: 'high'
+    })
+  })
+})
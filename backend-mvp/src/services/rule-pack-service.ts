@@ -0,0 +1,229 @@
+import { supabaseServer } from '../config/supabase'
+import { logger } from '../utils/logger'
+import { guidelinesCache } from '../utils/cache'
+import { MarketingRule, marketingLoader } from '../core-engine/marketing-rules/rbi-marketing-loader'
+
+export interface RuleOverride {
+  disabled?: boolean
+  severity?: MarketingRule['severity']
+  scoring_weight?: number
+  impact_multiplier?: number
+}
+
+export interface RulePack {
+  id: string
+  organization_id: string
+  name: string
+  description?: string | null
+  entity_type?: string | null
+  priority: number
+  is_active: boolean
+  rules: MarketingRule[]
+  overrides: Record<string, RuleOverride>
+  created_by: string
+  created_at: string
+  updated_at: string
+}
+
+export type RulePackInput = Pick<RulePack, 'name' | 'rules' | 'overrides'> &
+  Partial<Pick<RulePack, 'description' | 'entity_type' | 'priority' | 'is_active'>>
+
+const PACK_CACHE_TTL = 300 // 5 minutes
+
+/**
+ * Custom rule packs authored per organization and merged over the RBI baseline at analysis time
+ */
+export class RulePackService {
+  /**
+   * List all rule packs of an organization
+   */
+  async listRulePacks(organizationId: string): Promise<RulePack[]> {
+    const { data, error } = await supabaseServer
+      .from('rule_packs')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .order('priority', { ascending: true })
+
+    if (error) {
+      throw new Error(`Failed to list rule packs: ${error.message}`)
+    }
+
+    return (data || []) as RulePack[]
+  }
+
+  /**
+   * Get a single rule pack scoped to an organization
+   */
+  async getRulePack(id: string, organizationId: string): Promise<RulePack | null> {
+    const { data, error } = await supabaseServer
+      .from('rule_packs')
+      .select('*')
+      .eq('id', id)
+      .eq('organization_id', organizationId)
+      .maybeSingle()
+
+    if (error) {
+      throw new Error(`Failed to get rule pack: ${error.message}`)
+    }
+
+    return data as RulePack | null
+  }
+
+  async createRulePack(organizationId: string, userId: string, input: RulePackInput): Promise<RulePack> {
+    await this.assertNoBaselineClashes(input.rules)
+
+    const { data, error } = await supabaseServer
+      .from('rule_packs')
+      .insert({
+        organization_id: organizationId,
+        created_by: userId,
+        name: input.name,
+        description: input.description ?? null,
+        entity_type: input.entity_type ?? null,
+        priority: input.priority ?? 0,
+        is_active: input.is_active ?? true,
+        rules: input.rules,
+        overrides: input.overrides
+      })
+      .select()
+      .single()
+
+    if (error) {
+      throw new Error(`Failed to create rule pack: ${error.message}`)
+    }
+
+    this.invalidate(organizationId)
+    logger.info('Rule pack created', { organizationId, rulePackId: data.id, rules: input.rules.length })
+
+    return data as RulePack
+  }
+
+  async updateRulePack(
+    id: string,
+    organizationId: string,
+    updates: Partial<RulePackInput>
+  ): Promise<RulePack | null> {
+    if (updates.rules) {
+      await this.assertNoBaselineClashes(updates.rules)
+    }
+
+    const { data, error } = await supabaseServer
+      .from('rule_packs')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('organization_id', organizationId)
+      .select()
+      .maybeSingle()
+
+    if (error) {
+      throw new Error(`Failed to update rule pack: ${error.message}`)
+    }
+
+    this.invalidate(organizationId)
+    return data as RulePack | null
+  }
+
+  async deleteRulePack(id: string, organizationId: string): Promise<void> {
+    const { error } = await supabaseServer
+      .from('rule_packs')
+      .delete()
+      .eq('id', id)
+      .eq('organization_id', organizationId)
+
+    if (error) {
+      throw new Error(`Failed to delete rule pack: ${error.message}`)
+    }
+
+    this.invalidate(organizationId)
+  }
+
+  /**
+   * Resolve the effective rule set for an organization: RBI baseline, then every active
+   * pack for the entity type in ascending priority (house rules added, overrides applied).
+   * Pass `baseline` to layer the packs over a historical guideline snapshot.
+   */
+  async getEffectiveRules(
+    organizationId: string,
+    entityType?: string,
+    baseline?: MarketingRule[]
+  ): Promise<MarketingRule[]> {
+    baseline = baseline || await marketingLoader.getCachedRules()
+    const packs = await this.getActivePacks(organizationId)
+
+    return this.mergeRules(baseline, packs, entityType)
+  }
+
+  /**
+   * Merge packs over a baseline rule set (pure - exposed for previews and tests)
+   */
+  mergeRules(baseline: MarketingRule[], packs: RulePack[], entityType?: string): MarketingRule[] {
+    const effective = new Map<string, MarketingRule>(baseline.map(rule => [rule.rule_id, rule]))
+
+    const applicablePacks = packs
+      .filter(pack => pack.is_active && (!pack.entity_type || pack.entity_type === entityType))
+      .sort((a, b) => a.priority - b.priority)
+
+    for (const pack of applicablePacks) {
+      for (const rule of pack.rules || []) {
+        effective.set(rule.rule_id, { ...rule, rule_pack_id: pack.id })
+      }
+
+      for (const [ruleId, override] of Object.entries(pack.overrides || {})) {
+        const rule = effective.get(ruleId)
+        if (!rule) continue
+
+        if (override.disabled) {
+          effective.delete(ruleId)
+          continue
+        }
+
+        // Copy rather than mutate: baseline rules are shared across organizations
+        effective.set(ruleId, {
+          ...rule,
+          ...(override.severity && { severity: override.severity }),
+          ...(override.scoring_weight !== undefined && { scoring_weight: override.scoring_weight }),
+          ...(override.impact_multiplier !== undefined && { impact_multiplier: override.impact_multiplier }),
+          rule_pack_id: pack.id
+        })
+      }
+    }
+
+    return Array.from(effective.values())
+  }
+
+  private async getActivePacks(organizationId: string): Promise<RulePack[]> {
+    const cacheKey = `rule_packs:${organizationId}`
+    const cached = guidelinesCache.get(cacheKey) as RulePack[] | undefined
+    if (cached) return cached
+
+    try {
+      const packs = (await this.listRulePacks(organizationId)).filter(pack => pack.is_active)
+      guidelinesCache.set(cacheKey, packs, PACK_CACHE_TTL)
+      return packs
+    } catch (error: any) {
+      // Analysis must still run against the RBI baseline if rule packs are unavailable
+      logger.error('Failed to load rule packs, using RBI baseline only', {
+        organizationId,
+        error: error.message
+      })
+      return []
+    }
+  }
+
+  private async assertNoBaselineClashes(rules: MarketingRule[]): Promise<void> {
+    const baselineIds = new Set((await marketingLoader.getCachedRules()).map(rule => rule.rule_id))
+    const clashes = rules.filter(rule => baselineIds.has(rule.rule_id))
+    if (clashes.length > 0) {
+      throw new Error(
+        `House rules cannot reuse RBI rule IDs (${clashes.map(r => r.rule_id).join(', ')}) - use overrides instead`
+      )
+    }
+  }
+
+  private invalidate(organizationId: string): void {
+    guidelinesCache.del(`rule_packs:${organizationId}`)
+  }
+}
+
+// Export singleton instance
+export const rulePackService = new RulePackService()
@@ -0,0 +1,59 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals'
+import { promises as fs } from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { Readable } from 'stream'
+import { LocalStorageAdapter } from './local-storage-adapter'
+
+describe('local storage adapter', () => {
+  let root: string
+  let now: number
+  let adapter: LocalStorageAdapter
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'local-storage-test-'))
+    now = Date.parse('2026-01-15T10:00:00Z')
+    adapter = new LocalStorageAdapter({
+      root,
+      publicBaseUrl: 'http://localhost:3001/api/storage',
+      signingSecret: 'test-secret'
+    }, () => now)
+  })
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true })
+  })
+
+  test('should store buffers and streams and read them back', async () => {
+    await adapter.putObject('documents', 'user-1/ad.txt', Buffer.from('Zero processing fees'), { contentType: 'text/plain' })
+    await adapter.putObject('documents', 'user-1/streamed.txt', Readable.from([Buffer.from('Apply '), Buffer.from('now')]), {
+      contentType: 'text/plain'
+    })
+
+    expect((await adapter.getObject('documents', 'user-1/ad.txt')).toString()).toBe('Zero processing fees')
+    expect((await adapter.getObject('documents', 'user-1/streamed.txt')).toString()).toBe('Apply now')
+
+    await adapter.deleteObject('documents', 'user-1/ad.txt')
+    await expect(adapter.getObject('documents', 'user-1/ad.txt')).rejects.toThrow('Download failed')
+  })
+
+  test('should sign links that expire and cannot be reused for other files', async () => {
+    const url = new URL(await adapter.createSignedUrl('documents', 'user-1/offer letter.pdf', 900))
+    const expires = Number(url.searchParams.get('expires'))
+    const signature = url.searchParams.get('signature') as string
+
+    expect(url.pathname).toBe('/api/storage/documents/user-1/offer%20letter.pdf')
+    expect(adapter.verifySignature('documents', 'user-1/offer letter.pdf', expires, signature)).toBe(true)
+    expect(adapter.verifySignature('documents', 'user-2/offer letter.pdf', expires, signature)).toBe(false)
+    expect(adapter.verifySignature('documents', 'user-1/offer letter.pdf', expires + 60, signature)).toBe(false)
+
+    now += 901 * 1000
+    expect(adapter.verifySignature('documents', 'user-1/offer letter.pdf', expires, signature)).toBe(false)
+  })
+
+  test('should reject keys outside the bucket', () => {
+    expect(() => adapter.getFilePath('documents', '../reports/report.pdf')).toThrow('Invalid storage path')
+    expect(() => adapter.getFilePath('..', 'etc/passwd')).toThrow('Invalid storage path')
+    expect(adapter.getFilePath('documents', 'user-1/ad.pdf')).toBe(path.join(root, 'documents', 'user-1', 'ad.pdf'))
+  })
+})
@@ -0,0 +1,96 @@
+import * as crypto from 'crypto'
+import * as fs from 'fs'
+import * as path from 'path'
+import { Readable } from 'stream'
+import { pipeline } from 'stream/promises'
+import { storageConfig } from '../../config/storage'
+import { PutObjectOptions, StorageAdapter } from './storage-adapter'
+
+type LocalConfig = typeof storageConfig.local
+
+/**
+ * Files on the API server's own disk, for development and single-server deployments. Signed URLs
+ * point at /api/storage, which checks an HMAC of the path and expiry before serving the file.
+ */
+export class LocalStorageAdapter implements StorageAdapter {
+  readonly name = 'local' as const
+
+  constructor(private config: LocalConfig = storageConfig.local, private now: () => number = () => Date.now()) {}
+
+  isConfigured(): boolean {
+    return Boolean(this.config.signingSecret)
+  }
+
+  async putObject(bucket: string, key: string, body: Buffer | Readable, _options: PutObjectOptions): Promise<void> {
+    const filePath = this.getFilePath(bucket, key)
+    const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`
+
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(tempPath, body)
+      } else {
+        await pipeline(body, fs.createWriteStream(tempPath))
+      }
+      // Readers never see a partly written file
+      await fs.promises.rename(tempPath, filePath)
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true })
+      throw new Error(`Upload failed: ${error instanceof Error ? error.message : 'Unknown error'}`)
+    }
+  }
+
+  async getObject(bucket: string, key: string): Promise<Buffer> {
+    try {
+      return await fs.promises.readFile(this.getFilePath(bucket, key))
+    } catch (error) {
+      throw new Error(`Download failed: ${error instanceof Error ? error.message : 'Unknown error'}`)
+    }
+  }
+
+  async deleteObject(bucket: string, key: string): Promise<void> {
+    await fs.promises.rm(this.getFilePath(bucket, key), { force: true })
+  }
+
+  async createSignedUrl(bucket: string, key: string, expiresInSeconds: number): Promise<string> {
+    this.getFilePath(bucket, key) // Rejects keys outside the bucket
+    const expires = Math.floor(this.now() / 1000) + Math.floor(expiresInSeconds)
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/')
+
+    return `${this.config.publicBaseUrl}/${encodeURIComponent(bucket)}/${encodedKey}` +
+      `?expires=${expires}&signature=${this.signature(bucket, key, expires)}`
+  }
+
+  /**
+   * Whether a signed URL's signature matches its bucket, key and expiry, and has not expired
+   */
+  verifySignature(bucket: string, key: string, expires: number, signature: string): boolean {
+    if (!this.isConfigured() || !Number.isFinite(expires) || expires < this.now() / 1000) {
+      return false
+    }
+
+    const expected = Buffer.from(this.signature(bucket, key, expires), 'hex')
+    const given = Buffer.from(signature, 'hex')
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  }
+
+  /**
+   * Absolute path of a stored file. Keys cannot climb out of their bucket's directory.
+   */
+  getFilePath(bucket: string, key: string): string {
+    const bucketRoot = path.resolve(this.config.root, bucket)
+    const filePath = path.resolve(bucketRoot, key)
+
+    if (path.dirname(bucketRoot) !== path.resolve(this.config.root) || !filePath.startsWith(bucketRoot + path.sep)) {
+      throw new Error(`Invalid storage path: ${bucket}/${key}`)
+    }
+
+    return filePath
+  }
+
+  private signature(bucket: string, key: string, expires: number): string {
+    return crypto.createHmac('sha256', this.config.signingSecret)
+      .update(`${bucket}/${key}:${expires}`)
+      .digest('hex')
+  }
+}
@@ -0,0 +1,177 @@
+import * as crypto from 'crypto'
+import { Readable } from 'stream'
+import { storageConfig } from '../../config/storage'
+import { PutObjectOptions, StorageAdapter } from './storage-adapter'
+
+type S3Config = typeof storageConfig.s3
+
+const ALGORITHM = 'AWS4-HMAC-SHA256'
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD'
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60
+
+const sha256Hex = (data: string | Buffer): string => crypto.createHash('sha256').update(data).digest('hex')
+
+const hmac = (key: string | Buffer, data: string): Buffer => crypto.createHmac('sha256', key).update(data).digest()
+
+// encodeURIComponent leaves !'()* alone, which SigV4 requires to be escaped
+const encodeRfc3986 = (value: string): string =>
+  encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+
+const encodeKey = (key: string): string => key.split('/').map(encodeRfc3986).join('/')
+
+// 20130524T000000Z
+const amzDate = (date: Date): string => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO), signed with AWS Signature Version 4 over plain
+ * HTTP requests so no SDK is needed
+ */
+export class S3StorageAdapter implements StorageAdapter {
+  readonly name = 's3' as const
+
+  constructor(private config: S3Config = storageConfig.s3, private now: () => Date = () => new Date()) {}
+
+  isConfigured(): boolean {
+    return Boolean(this.config.endpoint && this.config.accessKeyId && this.config.secretAccessKey)
+  }
+
+  async putObject(bucket: string, key: string, body: Buffer | Readable, options: PutObjectOptions): Promise<void> {
+    const isBuffer = Buffer.isBuffer(body)
+    const size = isBuffer ? body.length : options.size
+    if (size === undefined) {
+      throw new Error('Upload failed: size is required to stream a file to S3')
+    }
+
+    // Streamed bodies cannot be hashed before they are sent
+    const response = await this.send('PUT', bucket, key, isBuffer ? sha256Hex(body) : UNSIGNED_PAYLOAD, {
+      headers: {
+        'content-type': options.contentType,
+        'content-length': String(size)
+      },
+      body
+    })
+
+    await this.ensureOk(response, 'Upload failed')
+  }
+
+  async getObject(bucket: string, key: string): Promise<Buffer> {
+    const response = await this.send('GET', bucket, key, sha256Hex(''))
+    await this.ensureOk(response, 'Download failed')
+
+    return Buffer.from(await response.arrayBuffer())
+  }
+
+  async deleteObject(bucket: string, key: string): Promise<void> {
+    const response = await this.send('DELETE', bucket, key, sha256Hex(''))
+    await this.ensureOk(response, 'Delete failed')
+  }
+
+  /**
+   * Presigned GET URL, valid for at most the seven days S3 allows
+   */
+  async createSignedUrl(bucket: string, key: string, expiresInSeconds: number): Promise<string> {
+    const url = this.locate(bucket, key)
+    const date = amzDate(this.now())
+    const scope = this.credentialScope(date)
+
+    const query: Record<string, string> = {
+      'X-Amz-Algorithm': ALGORITHM,
+      'X-Amz-Credential': `${this.config.accessKeyId}/${scope}`,
+      'X-Amz-Date': date,
+      'X-Amz-Expires': String(Math.min(Math.max(Math.floor(expiresInSeconds), 1), MAX_PRESIGN_SECONDS)),
+      'X-Amz-SignedHeaders': 'host'
+    }
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&')
+
+    const canonicalRequest = [
+      'GET',
+      url.pathname,
+      canonicalQuery,
+      `host:${url.host}\n`,
+      'host',
+      UNSIGNED_PAYLOAD
+    ].join('\n')
+
+    return `${url.origin}${url.pathname}?${canonicalQuery}&X-Amz-Signature=${this.sign(date, canonicalRequest)}`
+  }
+
+  private async send(
+    method: string,
+    bucket: string,
+    key: string,
+    payloadHash: string,
+    init: { headers?: Record<string, string>; body?: Buffer | Readable } = {}
+  ): Promise<Response> {
+    const url = this.locate(bucket, key)
+    const date = amzDate(this.now())
+
+    const signed: Record<string, string> = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': date
+    }
+    const signedHeaders = Object.keys(signed).sort()
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      signedHeaders.map(name => `${name}:${signed[name]}\n`).join(''),
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n')
+
+    const authorization = `${ALGORITHM} Credential=${this.config.accessKeyId}/${this.credentialScope(date)}, ` +
+      `SignedHeaders=${signedHeaders.join(';')}, Signature=${this.sign(date, canonicalRequest)}`
+
+    return fetch(url, {
+      method,
+      headers: {
+        ...init.headers,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': date,
+        authorization
+      },
+      body: init.body as any,
+      // Required by Node's fetch for streamed request bodies
+      duplex: 'half'
+    } as RequestInit)
+  }
+
+  private locate(bucket: string, key: string): URL {
+    const endpoint = new URL(this.config.endpoint)
+    const basePath = endpoint.pathname.replace(/\/$/, '')
+
+    if (this.config.forcePathStyle) {
+      return new URL(`${endpoint.protocol}//${endpoint.host}${basePath}/${encodeRfc3986(bucket)}/${encodeKey(key)}`)
+    }
+    return new URL(`${endpoint.protocol}//${bucket}.${endpoint.host}${basePath}/${encodeKey(key)}`)
+  }
+
+  private credentialScope(date: string): string {
+    return `${date.slice(0, 8)}/${this.config.region}/s3/aws4_request`
+  }
+
+  private sign(date: string, canonicalRequest: string): string {
+    const scope = this.credentialScope(date)
+    const stringToSign = [ALGORITHM, date, scope, sha256Hex(canonicalRequest)].join('\n')
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.config.secretAccessKey}`, date.slice(0, 8)), this.config.region)
+    )
+
+    return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+  }
+
+  private async ensureOk(response: Response, action: string): Promise<void> {
+    if (response.ok) return
+
+    // S3 errors are XML: <Error><Code>NoSuchKey</Code><Message>...</Message></Error>
+    const body = await response.text().catch(() => '')
+    const message = body.match(/<Message>([^<]*)<\/Message>/)?.[1]
+    throw new Error(`${action}: ${message || `${response.status} ${response.statusText}`}`)
+  }
+}
@@ -0,0 +1,41 @@
+import { Readable } from 'stream'
+
+export type StorageBackendName = 'supabase' | 's3' | 'local'
+
+export const STORAGE_BACKEND_NAMES: StorageBackendName[] = ['supabase', 's3', 'local']
+
+// Logical buckets; each backend maps them to its configured bucket names
+export type StorageBucket = 'documents' | 'reports'
+
+export interface PutObjectOptions {
+  contentType: string
+  size?: number // Byte length, needed to stream a body to S3
+}
+
+/**
+ * Where a stored file lives. Kept with the record that owns the file, so files stay readable
+ * after STORAGE_BACKEND is switched.
+ */
+export interface StoredObject {
+  backend: StorageBackendName
+  bucket: StorageBucket
+  key: string
+}
+
+export interface SignedUrl {
+  url: string
+  expiresAt: string
+}
+
+/**
+ * A place to keep uploaded creatives and generated reports. Buckets are private: files are read
+ * back by the server or through time-limited signed URLs, never public ones.
+ */
+export interface StorageAdapter {
+  readonly name: StorageBackendName
+  isConfigured(): boolean
+  putObject(bucket: string, key: string, body: Buffer | Readable, options: PutObjectOptions): Promise<void>
+  getObject(bucket: string, key: string): Promise<Buffer>
+  deleteObject(bucket: string, key: string): Promise<void>
+  createSignedUrl(bucket: string, key: string, expiresInSeconds: number): Promise<string>
+}
@@ -0,0 +1,87 @@
+import { Readable } from 'stream'
+import { storageConfig } from '../../config/storage'
+import { logger } from '../../utils/logger'
+import { LocalStorageAdapter } from './local-storage-adapter'
+import { S3StorageAdapter } from './s3-storage-adapter'
+import {
+  PutObjectOptions,
+  SignedUrl,
+  StorageAdapter,
+  StorageBackendName,
+  StorageBucket,
+  StoredObject,
+  STORAGE_BACKEND_NAMES
+} from './storage-adapter'
+import { SupabaseStorageAdapter } from './supabase-storage-adapter'
+
+/**
+ * Stores files in the configured backend and reads them back from whichever backend holds them
+ */
+export class StorageService {
+  private adapters: Record<StorageBackendName, StorageAdapter> = {
+    supabase: new SupabaseStorageAdapter(),
+    s3: new S3StorageAdapter(),
+    local: new LocalStorageAdapter()
+  }
+
+  /**
+   * STORAGE_BACKEND, which defaults to Supabase
+   */
+  getDefaultBackendName(): StorageBackendName {
+    const configured = storageConfig.backend as StorageBackendName
+    if (!STORAGE_BACKEND_NAMES.includes(configured)) {
+      throw new Error(`Unknown storage backend: ${storageConfig.backend}`)
+    }
+    return configured
+  }
+
+  /**
+   * Unlike language models there is no offline fallback: a file written to the wrong place is lost
+   */
+  getAdapter(name: StorageBackendName = this.getDefaultBackendName()): StorageAdapter {
+    const adapter = this.adapters[name]
+    if (!adapter) {
+      throw new Error(`Unknown storage backend: ${name}`)
+    }
+    if (!adapter.isConfigured()) {
+      throw new Error(`Storage backend not configured: ${name}`)
+    }
+    return adapter
+  }
+
+  async putObject(bucket: StorageBucket, key: string, body: Buffer | Readable, options: PutObjectOptions): Promise<StoredObject> {
+    const adapter = this.getAdapter()
+    await adapter.putObject(storageConfig.buckets[bucket], key, body, options)
+
+    logger.info('File stored', { backend: adapter.name, bucket, key, size: options.size })
+    return { backend: adapter.name, bucket, key }
+  }
+
+  async getObject(object: StoredObject): Promise<Buffer> {
+    return this.getAdapter(object.backend).getObject(storageConfig.buckets[object.bucket], object.key)
+  }
+
+  async deleteObject(object: StoredObject): Promise<void> {
+    await this.getAdapter(object.backend).deleteObject(storageConfig.buckets[object.bucket], object.key)
+  }
+
+  /**
+   * Time-limited link to a stored file; callers must have checked the user may read it
+   */
+  async createSignedUrl(object: StoredObject, expiresInSeconds: number = storageConfig.signedUrlTtlSeconds): Promise<SignedUrl> {
+    const url = await this.getAdapter(object.backend)
+      .createSignedUrl(storageConfig.buckets[object.bucket], object.key, expiresInSeconds)
+
+    return {
+      url,
+      expiresAt: new Date(Date.now() + expiresInSeconds * 1000).toISOString()
+    }
+  }
+
+  getLocalAdapter(): LocalStorageAdapter {
+    return this.adapters.local as LocalStorageAdapter
+  }
+}
+
+// Export singleton instance
+export const storageService = new StorageService()
@@ -0,0 +1,64 @@
+import { Readable } from 'stream'
+import { supabase, supabaseAdmin } from '../../config/supabase'
+import { PutObjectOptions, StorageAdapter } from './storage-adapter'
+
+/**
+ * Supabase Storage. The service role key is used when available, so the buckets can deny all
+ * access to clients; ownership is checked by the API before any file is read or signed.
+ */
+export class SupabaseStorageAdapter implements StorageAdapter {
+  readonly name = 'supabase' as const
+
+  constructor(private client = supabaseAdmin || supabase) {}
+
+  isConfigured(): boolean {
+    return true
+  }
+
+  async putObject(bucket: string, key: string, body: Buffer | Readable, options: PutObjectOptions): Promise<void> {
+    const { error } = await this.client.storage
+      .from(bucket)
+      .upload(key, body, {
+        contentType: options.contentType,
+        cacheControl: '3600'
+      })
+
+    if (error) {
+      throw new Error(`Upload failed: ${error.message}`)
+    }
+  }
+
+  async getObject(bucket: string, key: string): Promise<Buffer> {
+    const { data, error } = await this.client.storage
+      .from(bucket)
+      .download(key)
+
+    if (error || !data) {
+      throw new Error(`Download failed: ${error?.message || 'file not found'}`)
+    }
+
+    return Buffer.from(await data.arrayBuffer())
+  }
+
+  async deleteObject(bucket: string, key: string): Promise<void> {
+    const { error } = await this.client.storage
+      .from(bucket)
+      .remove([key])
+
+    if (error) {
+      throw new Error(`Delete failed: ${error.message}`)
+    }
+  }
+
+  async createSignedUrl(bucket: string, key: string, expiresInSeconds: number): Promise<string> {
+    const { data, error } = await this.client.storage
+      .from(bucket)
+      .createSignedUrl(key, expiresInSeconds)
+
+    if (error || !data) {
+      throw new Error(`Failed to sign URL: ${error?.message || 'file not found'}`)
+    }
+
+    return data.signedUrl
+  }
+}
@@ -0,0 +1,42 @@
+import * as crypto from 'crypto'
+import { eventStreamConfig } from '../config/events'
+
+type StreamTokenConfig = Pick<typeof eventStreamConfig, 'tokenSecret' | 'tokenTtlSeconds'>
+
+const sign = (secret: string, payload: string): string =>
+  crypto.createHmac('sha256', secret).update(payload).digest('hex')
+
+/**
+ * A token that opens the user's event stream until it expires: `<user id, base64url>.<expires>.<hmac>`
+ */
+export const createStreamToken = (
+  userId: string,
+  nowMs: number = Date.now(),
+  config: StreamTokenConfig = eventStreamConfig
+): { token: string; expiresAt: string } => {
+  const expires = Math.floor(nowMs / 1000) + config.tokenTtlSeconds
+  const payload = `${Buffer.from(userId).toString('base64url')}.${expires}`
+  return {
+    token: `${payload}.${sign(config.tokenSecret, payload)}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  }
+}
+
+/**
+ * The user a stream token was issued to, or null when it is malformed, forged or expired
+ */
+export const verifyStreamToken = (
+  token: string,
+  nowMs: number = Date.now(),
+  config: StreamTokenConfig = eventStreamConfig
+): string | null => {
+  const [encodedUserId, expiresText, signature] = token.split('.')
+  const expires = Number(expiresText)
+  if (!encodedUserId || !Number.isInteger(expires) || !/^[0-9a-f]{64}$/.test(signature || '')) return null
+
+  const expected = Buffer.from(sign(config.tokenSecret, `${encodedUserId}.${expiresText}`), 'hex')
+  if (!crypto.timingSafeEqual(Buffer.from(signature, 'hex'), expected)) return null
+  if (expires * 1000 <= nowMs) return null
+
+  return Buffer.from(encodedUserId, 'base64url').toString('utf8')
+}
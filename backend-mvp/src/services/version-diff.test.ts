@@ -0,0 +1,66 @@
+import { describe, test, expect } from '@jest/globals'
+import { diffText, diffViolations } from './version-diff'
+import { ViolationRow } from './database-service'
+
+const violation = (id: string, ruleId: string, matchedText: string, severity: ViolationRow['severity'] = 'high'): ViolationRow => ({
+  id,
+  analysis_result_id: 'analysis',
+  category: 'misleading_claims',
+  title: `Rule ${ruleId}`,
+  description: '',
+  severity,
+  confidence: 0.9,
+  created_at: new Date().toISOString(),
+  rule_id: ruleId,
+  matched_text: matchedText
+})
+
+describe('version diff', () => {
+  test('should diff revised copy word by word', () => {
+    const before = 'Diwali offer!\nGuaranteed approval on personal loans up to ₹5 lakhs.\nApply now.'
+    const after = 'Diwali offer!\nQuick approval, subject to eligibility, on personal loans up to ₹5 lakhs.\nApply now.'
+
+    const changes = diffText(before, after)
+
+    expect(changes).toEqual([
+      { type: 'equal', text: 'Diwali offer!\n' },
+      { type: 'removed', text: 'Guaranteed' },
+      { type: 'added', text: 'Quick' },
+      { type: 'equal', text: ' ' },
+      { type: 'removed', text: 'approval' },
+      { type: 'added', text: 'approval, subject to eligibility,' },
+      { type: 'equal', text: ' on personal loans up to ₹5 lakhs.\nApply now.' }
+    ])
+    expect(changes.filter(change => change.type !== 'removed').map(change => change.text).join('')).toBe(after)
+    expect(changes.filter(change => change.type !== 'added').map(change => change.text).join('')).toBe(before)
+  })
+
+  test('should not report reflowed whitespace as a change', () => {
+    expect(diffText('Zero processing  fees', 'Zero processing fees')).toEqual([
+      { type: 'equal', text: 'Zero processing fees' }
+    ])
+  })
+
+  test('should classify findings as fixed, introduced or unchanged by rule and matched text', () => {
+    const before = [
+      violation('b1', 'MC_001', 'Guaranteed approval'),
+      violation('b2', 'DS_004', 'lowest interest rates'),
+      violation('b3', 'MC_002', '100% safe')
+    ]
+    const after = [
+      violation('a1', 'DS_004', 'Lowest  interest rates'),
+      violation('a2', 'MC_002', 'completely safe'),
+      violation('a3', 'FP_010', 'no hidden charges', 'medium')
+    ]
+
+    const diff = diffViolations(before, after)
+
+    expect(diff.fixed.map(finding => finding.id)).toEqual(['b1'])
+    expect(diff.introduced.map(finding => finding.id)).toEqual(['a3'])
+    expect(diff.unchanged).toEqual([
+      expect.objectContaining({ id: 'a1', previousId: 'b2', previousMatchedText: 'lowest interest rates' }),
+      // Reworded, but the same rule still flags it
+      expect.objectContaining({ id: 'a2', previousId: 'b3', matchedText: 'completely safe', previousMatchedText: '100% safe' })
+    ])
+  })
+})
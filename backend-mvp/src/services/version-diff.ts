@@ -0,0 +1,169 @@
+import { ViolationRow } from './database-service'
+
+export interface TextChange {
+  type: 'equal' | 'added' | 'removed'
+  text: string
+}
+
+export interface ComparedViolation {
+  id: string
+  ruleId: string | null
+  category: string
+  title: string
+  severity: ViolationRow['severity']
+  matchedText: string | null
+}
+
+export interface ViolationDiff {
+  fixed: ComparedViolation[] // In the earlier version only
+  introduced: ComparedViolation[] // In the later version only
+  // Reported against both; the earlier version's wording of the finding when it moved or changed
+  unchanged: Array<ComparedViolation & { previousId: string; previousMatchedText: string | null }>
+}
+
+// Word-level diffs of longer texts fall back to lines, then to a single replacement
+const MAX_DIFF_CELLS = 4_000_000
+
+const tokenizeWords = (text: string): string[] => text.match(/\s+|\S+/g) || []
+
+const tokenizeLines = (text: string): string[] => text.match(/[^\n]*\n|[^\n]+/g) || []
+
+// Reflowed whitespace is not a change, but a new line or paragraph is
+const tokenKey = (token: string): string => {
+  if (token.trim()) return token
+  return token.includes('\n') ? '\n' : ' '
+}
+
+const appendChange = (changes: TextChange[], type: TextChange['type'], text: string) => {
+  const last = changes[changes.length - 1]
+  if (last && last.type === type) {
+    last.text += text
+  } else if (text) {
+    changes.push({ type, text })
+  }
+}
+
+const diffTokens = (before: string[], after: string[], changes: TextChange[]) => {
+  const n = before.length
+  const m = after.length
+  const width = m + 1
+
+  // lcs[i * width + j] is the longest common subsequence of before[i..] and after[j..]
+  const lcs = new Uint32Array((n + 1) * width)
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = tokenKey(before[i]) === tokenKey(after[j])
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1])
+    }
+  }
+
+  let i = 0
+  let j = 0
+  while (i < n && j < m) {
+    if (tokenKey(before[i]) === tokenKey(after[j])) {
+      appendChange(changes, 'equal', after[j])
+      i++
+      j++
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      appendChange(changes, 'removed', before[i++])
+    } else {
+      appendChange(changes, 'added', after[j++])
+    }
+  }
+  while (i < n) appendChange(changes, 'removed', before[i++])
+  while (j < m) appendChange(changes, 'added', after[j++])
+}
+
+/**
+ * Word-level diff of two versions' extracted text, as runs of equal, removed and added text
+ */
+export const diffText = (before: string, after: string): TextChange[] => {
+  const changes: TextChange[] = []
+  const beforeWords = tokenizeWords(before)
+  const afterWords = tokenizeWords(after)
+
+  // Revisions usually change a few phrases, so the common start and end are not diffed
+  let start = 0
+  while (start < beforeWords.length && start < afterWords.length &&
+    tokenKey(beforeWords[start]) === tokenKey(afterWords[start])) start++
+
+  let end = 0
+  while (end < beforeWords.length - start && end < afterWords.length - start &&
+    tokenKey(beforeWords[beforeWords.length - 1 - end]) === tokenKey(afterWords[afterWords.length - 1 - end])) end++
+
+  appendChange(changes, 'equal', afterWords.slice(0, start).join(''))
+
+  const removed = beforeWords.slice(start, beforeWords.length - end)
+  const added = afterWords.slice(start, afterWords.length - end)
+  const removedLines = tokenizeLines(removed.join(''))
+  const addedLines = tokenizeLines(added.join(''))
+
+  if ((removed.length + 1) * (added.length + 1) <= MAX_DIFF_CELLS) {
+    diffTokens(removed, added, changes)
+  } else if ((removedLines.length + 1) * (addedLines.length + 1) <= MAX_DIFF_CELLS) {
+    diffTokens(removedLines, addedLines, changes)
+  } else {
+    appendChange(changes, 'removed', removed.join(''))
+    appendChange(changes, 'added', added.join(''))
+  }
+
+  appendChange(changes, 'equal', afterWords.slice(afterWords.length - end).join(''))
+  return changes
+}
+
+const toComparedViolation = (violation: ViolationRow): ComparedViolation => ({
+  id: violation.id,
+  ruleId: violation.rule_id || null,
+  category: violation.category,
+  title: violation.title,
+  severity: violation.severity,
+  matchedText: violation.matched_text || null
+})
+
+// The rule a finding was raised under; older results did not record rule ids
+const ruleKey = (violation: ViolationRow): string => violation.rule_id || `${violation.category}:${violation.title}`
+
+const textKey = (violation: ViolationRow): string => (violation.matched_text || '').toLowerCase().replace(/\s+/g, ' ').trim()
+
+/**
+ * Classify the later version's findings against the earlier one's. A finding is unchanged if the
+ * same rule flags the same text; remaining findings of a rule are paired in order, since reworded
+ * copy that still breaks the rule has not been fixed.
+ */
+export const diffViolations = (before: ViolationRow[], after: ViolationRow[]): ViolationDiff => {
+  const unmatched = [...before]
+  const pairs: Array<[ViolationRow, ViolationRow]> = []
+  const remaining: ViolationRow[] = []
+
+  for (const violation of after) {
+    const index = unmatched.findIndex(prior => ruleKey(prior) === ruleKey(violation) && textKey(prior) === textKey(violation))
+    if (index === -1) {
+      remaining.push(violation)
+    } else {
+      pairs.push([unmatched[index], violation])
+      unmatched.splice(index, 1)
+    }
+  }
+
+  const introduced: ViolationRow[] = []
+  for (const violation of remaining) {
+    const index = unmatched.findIndex(prior => ruleKey(prior) === ruleKey(violation))
+    if (index === -1) {
+      introduced.push(violation)
+    } else {
+      pairs.push([unmatched[index], violation])
+      unmatched.splice(index, 1)
+    }
+  }
+
+  return {
+    fixed: unmatched.map(toComparedViolation),
+    introduced: introduced.map(toComparedViolation),
+    unchanged: pairs.map(([prior, violation]) => ({
+      ...toComparedViolation(violation),
+      previousId: prior.id,
+      previousMatchedText: prior.matched_text || null
+    }))
+  }
+}
@@ -0,0 +1,162 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals'
+import { createServer, request, Server } from 'http'
+import { once } from 'events'
+import { AddressInfo, connect } from 'net'
+import { existsSync, promises as fs } from 'fs'
+import * as path from 'path'
+import puppeteer from 'puppeteer'
+import { webScanConfig } from '../config/web-scan'
+import {
+  assertScannableUrl,
+  isPrivateAddress,
+  lookupPublicAddress,
+  startPublicOnlyProxy,
+  WebPageScanner
+} from './web-page-scanner'
+
+// Run only where Puppeteer's Chrome is installed; SKIP_BROWSER_TESTS=true skips them where it cannot be launched
+const hasBrowser = (): boolean => {
+  try {
+    return existsSync(puppeteer.executablePath())
+  } catch {
+    return false
+  }
+}
+const describeWithBrowser = process.env.SKIP_BROWSER_TESTS !== 'true' && hasBrowser() ? describe : describe.skip
+
+describe('web page scanner', () => {
+  test('should recognise private, loopback and link-local addresses', () => {
+    expect(['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.10', '169.254.169.254', '100.64.0.1', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']
+      .filter(address => !isPrivateAddress(address))).toEqual([])
+    expect(['8.8.8.8', '172.32.0.1', '2606:4700::1111'].filter(isPrivateAddress)).toEqual([])
+  })
+
+  test('should recognise private IPv4 addresses embedded in IPv6 and the reserved ranges', () => {
+    expect([
+      '::ffff:7f00:1', // ::ffff:127.0.0.1 as URL parsing writes it
+      '::ffff:a9fe:a9fe',
+      '::7f00:1',
+      '::127.0.0.1',
+      '::',
+      '64:ff9b::a9fe:a9fe',
+      '2002:7f00:1::1',
+      '2002:a00:1::',
+      '198.18.0.1',
+      '198.19.255.255',
+      '192.0.0.8',
+      'fe80::1%eth0',
+      'localhost'
+    ].filter(address => !isPrivateAddress(address))).toEqual([])
+    expect(['::ffff:808:808', '64:ff9b::808:808', '2002:808:808::1', '198.20.0.1', '192.0.2.1'].filter(isPrivateAddress))
+      .toEqual([])
+  })
+
+  test('should refuse non-http URLs and private hosts', async () => {
+    await expect(assertScannableUrl('file:///etc/passwd', false)).rejects.toThrow('Only http and https URLs can be scanned')
+    await expect(assertScannableUrl('http://169.254.169.254/latest/meta-data', false)).rejects.toThrow('private or loopback')
+    await expect(assertScannableUrl('http://[::1]:3000/', false)).rejects.toThrow('private or loopback')
+    await expect(assertScannableUrl('http://127.0.0.1:3000/', true)).resolves.toBeInstanceOf(URL)
+  })
+
+  test('should refuse private hosts written as IPv6', async () => {
+    for (const url of ['http://[::ffff:127.0.0.1]/', 'http://[::ffff:169.254.169.254]/latest/meta-data', 'http://[::127.0.0.1]/']) {
+      await expect(assertScannableUrl(url, false)).rejects.toThrow('private or loopback')
+    }
+  })
+
+  test('should fail the lookup of a host that resolves to a private address', async () => {
+    const result = new Promise((resolve, reject) => {
+      lookupPublicAddress('localhost', {}, (error, address) => (error ? reject(error) : resolve(address)))
+    })
+
+    await expect(result).rejects.toThrow('localhost resolves to a private or loopback address')
+  })
+})
+
+describe('public-only proxy', () => {
+  let target: Server
+  let targetPort: number
+  let proxy: Awaited<ReturnType<typeof startPublicOnlyProxy>>
+
+  beforeAll(async () => {
+    target = createServer((req, res) => res.end('internal'))
+    target.listen(0, '127.0.0.1')
+    await once(target, 'listening')
+    targetPort = (target.address() as AddressInfo).port
+    proxy = await startPublicOnlyProxy()
+  })
+
+  afterAll(async () => {
+    proxy.close()
+    target.close()
+    await once(target, 'close')
+  })
+
+  test('should not forward plain http requests to private addresses', async () => {
+    const req = request({ host: '127.0.0.1', port: proxy.port, path: `http://localhost:${targetPort}/` })
+    req.end()
+    const [response] = await once(req, 'response')
+
+    expect(response.statusCode).toBe(403)
+    response.resume()
+  })
+
+  test('should not open tunnels to private addresses', async () => {
+    const socket = connect(proxy.port, '127.0.0.1')
+    socket.write(`CONNECT [::ffff:127.0.0.1]:${targetPort} HTTP/1.1\r\nHost: [::ffff:127.0.0.1]:${targetPort}\r\n\r\n`)
+    const [reply] = await once(socket, 'data')
+
+    expect(reply.toString()).toMatch(/^HTTP\/1\.1 403/)
+    socket.destroy()
+  })
+})
+
+describeWithBrowser('web page scanner against a local fixture', () => {
+  let server: Server
+  let baseUrl: string
+
+  beforeAll(async () => {
+    const html = await fs.readFile(path.join(__dirname, '../test/fixtures/landing-page.html'))
+    server = createServer((req, res) => {
+      if (req.url === '/') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+        res.end(html)
+      } else {
+        res.writeHead(404)
+        res.end()
+      }
+    })
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve))
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`
+  })
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  test('should capture visible text, collapsed FAQ answers, fine print and a screenshot', async () => {
+    const scanner = new WebPageScanner({ ...webScanConfig, allowPrivateHosts: true })
+
+    const capture = await scanner.scan(`${baseUrl}/`)
+
+    expect(capture.httpStatus).toBe(200)
+    expect(capture.title).toBe('QuickLoan – Festive Personal Loans')
+    expect(capture.text).toContain('100% guaranteed approval')
+    expect(capture.text).toContain('within 2 hours of approval')
+    expect(capture.text).toContain('No processing fees during the festive offer period.')
+    expect(capture.text).toContain('subject to credit assessment')
+    expect(capture.text).not.toContain('high-intent visitors')
+    expect(capture.text).not.toContain('analytics')
+    expect(capture.finePrint).toEqual([
+      'Interest rates from 10.99% p.a. Loans are subject to credit assessment by our lending partner.'
+    ])
+    expect(capture.segments.find(segment => segment.heading === 'Frequently asked questions')).toBeDefined()
+    expect(capture.screenshot.subarray(1, 4).toString()).toBe('PNG')
+  }, 60000)
+
+  test('should fail on error responses', async () => {
+    const scanner = new WebPageScanner({ ...webScanConfig, allowPrivateHosts: true })
+
+    await expect(scanner.scan(`${baseUrl}/missing`)).rejects.toThrow('Page returned HTTP 404')
+  }, 60000)
+})
@@ -0,0 +1,386 @@
+import puppeteer, { Browser, Page } from 'puppeteer'
+import { lookup } from 'dns/promises'
+import { lookup as dnsLookup } from 'dns'
+import { once } from 'events'
+import { createServer, IncomingMessage, request as httpRequest } from 'http'
+import { AddressInfo, connect, isIP, LookupFunction, Socket } from 'net'
+import { webScanConfig } from '../config/web-scan'
+import { extractHtmlText, SourceSegment } from './document-extractors'
+
+export interface WebPageCapture {
+  url: string // As requested
+  finalUrl: string // After redirects
+  title: string
+  httpStatus: number | null
+  text: string
+  segments: SourceSegment[] // Paragraph and heading offsets, as for uploaded HTML
+  finePrint: string[] // Text set below FINE_PRINT_FONT_SIZE_PX (disclaimers, footnotes)
+  screenshot: Buffer // Full-page PNG after collapsed sections were expanded
+  capturedAt: string
+}
+
+const FINE_PRINT_FONT_SIZE_PX = 12
+
+// Pause after expanding sections so CSS transitions finish before the screenshot
+const REVEAL_SETTLE_MS = 300
+
+/**
+ * Runs in the page: opens <details>, ARIA accordions and common collapse/FAQ markup so their
+ * answers are rendered, captured in the screenshot and kept as visible text
+ */
+const REVEAL_COLLAPSED_CONTENT = `(() => {
+  let revealed = 0
+  const show = element => {
+    if (!element) return
+    const style = getComputedStyle(element)
+    element.removeAttribute('hidden')
+    if (style.display === 'none') element.style.setProperty('display', 'block', 'important')
+    if (style.visibility === 'hidden') element.style.setProperty('visibility', 'visible', 'important')
+    if (style.maxHeight === '0px') element.style.setProperty('max-height', 'none', 'important')
+    if (parseFloat(style.height) === 0) element.style.setProperty('height', 'auto', 'important')
+    if (style.opacity === '0') element.style.setProperty('opacity', '1', 'important')
+    revealed++
+  }
+
+  document.querySelectorAll('details:not([open])').forEach(details => {
+    details.open = true
+    revealed++
+  })
+  document.querySelectorAll('[aria-expanded="false"][aria-controls]').forEach(toggle => {
+    toggle.getAttribute('aria-controls').split(/\\s+/).forEach(id => show(document.getElementById(id)))
+    toggle.setAttribute('aria-expanded', 'true')
+  })
+  document.querySelectorAll('.collapse:not(.show), .accordion-collapse, .accordion-content, .faq-answer, [class*="faq"] [hidden]')
+    .forEach(show)
+
+  return revealed
+})()`
+
+/**
+ * Runs in the page: drops elements that are not rendered, collects text set in a small font,
+ * and returns the remaining markup for the HTML extractor
+ */
+const COLLECT_VISIBLE_CONTENT = `(() => {
+  const finePrint = []
+  const hidden = []
+
+  document.body.querySelectorAll('*').forEach(element => {
+    const style = getComputedStyle(element)
+    if (style.display === 'none' || style.visibility === 'hidden') {
+      hidden.push(element)
+      return
+    }
+
+    const fontSize = parseFloat(style.fontSize)
+    const parentFontSize = element.parentElement ? parseFloat(getComputedStyle(element.parentElement).fontSize) : fontSize
+    // Elements without boxes sit inside a hidden ancestor
+    const small = fontSize < ${FINE_PRINT_FONT_SIZE_PX} && !(parentFontSize < ${FINE_PRINT_FONT_SIZE_PX})
+    if (small && element.getClientRects().length > 0) {
+      const text = (element.innerText || '').replace(/\\s+/g, ' ').trim()
+      if (text && !finePrint.includes(text)) finePrint.push(text)
+    }
+  })
+
+  hidden.forEach(element => element.remove())
+
+  return { html: document.documentElement.outerHTML, finePrint, title: document.title || '' }
+})()`
+
+const isPrivateIPv4 = ([a, b, c]: number[]): boolean =>
+  a === 0 || a === 10 || a === 127 || a >= 224
+  || (a === 100 && b >= 64 && b <= 127)
+  || (a === 169 && b === 254)
+  || (a === 172 && b >= 16 && b <= 31)
+  || (a === 192 && b === 168)
+  || (a === 192 && b === 0 && c === 0) // IETF protocol assignments 192.0.0.0/24
+  || (a === 198 && (b === 18 || b === 19)) // Benchmarking 198.18.0.0/15
+
+/**
+ * The 16 bytes of an IPv6 address, including one written with a dotted IPv4 tail
+ */
+const parseIPv6 = (address: string): number[] | null => {
+  let text = address.toLowerCase().replace(/%.*$/, '')
+  if (isIP(text) !== 6) return null
+
+  let ipv4Tail: number[] = []
+  const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/)
+  if (dotted) {
+    ipv4Tail = dotted[2].split('.').map(Number)
+    text = `${dotted[1]}0:0`
+  }
+
+  const [head, tail] = text.split('::')
+  const headGroups = head ? head.split(':') : []
+  const tailGroups = tail ? tail.split(':') : []
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+
+  const bytes = groups.flatMap(group => {
+    const value = parseInt(group, 16)
+    return [value >> 8, value & 0xff]
+  })
+  if (ipv4Tail.length) bytes.splice(12, 4, ...ipv4Tail)
+  return bytes
+}
+
+/**
+ * IPv4 address carried in an IPv6 one, which reaches the same host: IPv4-mapped ::ffff:0:0/96,
+ * IPv4-compatible ::/96 (including :: and ::1), NAT64 64:ff9b::/96 and 6to4 2002::/16
+ */
+const embeddedIPv4 = (bytes: number[]): number[] | null => {
+  const zeros = (from: number, to: number) => bytes.slice(from, to).every(byte => byte === 0)
+
+  if (zeros(0, 10) && bytes[10] === bytes[11] && (bytes[10] === 0 || bytes[10] === 0xff)) return bytes.slice(12)
+  if (bytes[0] === 0 && bytes[1] === 0x64 && bytes[2] === 0xff && bytes[3] === 0x9b && zeros(4, 12)) return bytes.slice(12)
+  if (bytes[0] === 0x20 && bytes[1] === 0x02) return bytes.slice(2, 6)
+  return null
+}
+
+/**
+ * Loopback, private, carrier-grade NAT, link-local, multicast and reserved addresses, including
+ * IPv4 ones embedded in IPv6, which a scan must not reach on behalf of a user. Anything that is
+ * not an IP address counts as private.
+ */
+export const isPrivateAddress = (address: string): boolean => {
+  if (isIP(address) === 4) return isPrivateIPv4(address.split('.').map(Number))
+
+  const bytes = parseIPv6(address)
+  if (!bytes) return true
+
+  const ipv4 = embeddedIPv4(bytes)
+  if (ipv4) return isPrivateIPv4(ipv4)
+
+  return (bytes[0] & 0xfe) === 0xfc // Unique local fc00::/7
+    || (bytes[0] === 0xfe && (bytes[1] & 0xc0) === 0x80) // Link-local fe80::/10
+    || bytes[0] === 0xff // Multicast
+}
+
+const privateAddressError = (hostname: string): Error =>
+  new Error(`${hostname} resolves to a private or loopback address`)
+
+/**
+ * dns.lookup for outgoing connections that fails when the host resolves to a private address.
+ * The connection goes to the address checked here, so the host cannot be re-resolved (DNS
+ * rebinding) to a private one after a URL check has passed.
+ */
+export const lookupPublicAddress: LookupFunction = (hostname, options, callback) => {
+  dnsLookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error, '')
+    if (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(privateAddressError(hostname), '')
+    }
+    if (options.all) return callback(null, addresses)
+    callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+/**
+ * TCP connection to a host that must not be private; IP literals, which skip the lookup, are
+ * checked directly
+ */
+const connectToPublicHost = (host: string, port: number): Socket => {
+  if (isIP(host) && isPrivateAddress(host)) {
+    const socket = new Socket()
+    process.nextTick(() => socket.destroy(privateAddressError(host)))
+    return socket
+  }
+  return connect({ host, port, lookup: lookupPublicAddress })
+}
+
+/**
+ * Forward proxy the browser is pointed at, so every connection a page makes (the page itself,
+ * redirects, subresources, frames and websockets) goes to an address checked when it is opened
+ */
+export const startPublicOnlyProxy = async (): Promise<{ port: number, close: () => void }> => {
+  const sockets = new Set<Socket>()
+
+  // Plain http requests arrive with absolute URLs
+  const proxy = createServer((req, res) => {
+    let target: URL
+    try {
+      target = new URL(req.url || '')
+    } catch {
+      res.writeHead(400).end()
+      return
+    }
+    if (target.protocol !== 'http:') {
+      res.writeHead(400).end()
+      return
+    }
+    const host = target.hostname.replace(/^\[|\]$/g, '')
+    const port = Number(target.port) || 80
+    const { 'proxy-connection': _proxyConnection, ...headers } = req.headers
+
+    const upstream = httpRequest({
+      host,
+      port,
+      method: req.method,
+      path: `${target.pathname}${target.search}`,
+      headers,
+      createConnection: () => connectToPublicHost(host, port)
+    }, response => {
+      res.writeHead(response.statusCode || 502, response.headers)
+      response.pipe(res)
+    })
+    upstream.on('error', error => {
+      if (!res.headersSent) res.writeHead(403, { 'Content-Type': 'text/plain' })
+      res.end(error.message)
+    })
+    req.pipe(upstream)
+  })
+
+  // https and websocket traffic is tunnelled with CONNECT host:port
+  proxy.on('connect', (req: IncomingMessage, client: Socket, head: Buffer) => {
+    sockets.add(client)
+    client.on('close', () => sockets.delete(client))
+
+    const { hostname, port } = new URL(`http://${req.url}`)
+    const upstream = connectToPublicHost(hostname.replace(/^\[|\]$/g, ''), Number(port) || 443)
+    sockets.add(upstream)
+    upstream.on('close', () => sockets.delete(upstream))
+
+    let established = false
+    upstream.once('connect', () => {
+      established = true
+      client.write('HTTP/1.1 200 Connection Established\r\n\r\n')
+      upstream.write(head)
+      upstream.pipe(client)
+      client.pipe(upstream)
+    })
+    upstream.on('error', () => {
+      if (established) client.destroy()
+      else client.end('HTTP/1.1 403 Forbidden\r\n\r\n')
+    })
+    client.on('error', () => upstream.destroy())
+  })
+
+  proxy.listen(0, '127.0.0.1')
+  await once(proxy, 'listening')
+
+  return {
+    port: (proxy.address() as AddressInfo).port,
+    close: () => {
+      proxy.closeAllConnections()
+      sockets.forEach(socket => socket.destroy())
+      proxy.close()
+    }
+  }
+}
+
+/**
+ * Reject URLs that are not http(s) or whose host resolves to a private address
+ */
+export const assertScannableUrl = async (
+  url: string,
+  allowPrivateHosts = webScanConfig.allowPrivateHosts
+): Promise<URL> => {
+  let parsed: URL
+  try {
+    parsed = new URL(url)
+  } catch {
+    throw new Error('Invalid URL')
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error('Only http and https URLs can be scanned')
+  }
+
+  if (!allowPrivateHosts) {
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '')
+    const addresses = isIP(hostname)
+      ? [hostname]
+      : (await lookup(hostname, { all: true })).map(entry => entry.address)
+
+    if (addresses.some(isPrivateAddress)) {
+      throw new Error(`${parsed.hostname} resolves to a private or loopback address`)
+    }
+  }
+
+  return parsed
+}
+
+/**
+ * Renders landing pages in headless Chrome and captures their visible text and a screenshot
+ */
+export class WebPageScanner {
+  constructor(private config: typeof webScanConfig = webScanConfig) {}
+
+  async scan(url: string): Promise<WebPageCapture> {
+    await assertScannableUrl(url, this.config.allowPrivateHosts)
+
+    // The check above refuses private URLs up front; the proxy checks every connection the page then opens
+    const proxy = this.config.allowPrivateHosts ? null : await startPublicOnlyProxy()
+    const proxyArgs = proxy
+      // Chrome sends loopback requests around a proxy unless told otherwise
+      ? [`--proxy-server=http://127.0.0.1:${proxy.port}`, '--proxy-bypass-list=<-loopback>']
+      : []
+
+    let browser: Browser
+    try {
+      browser = await puppeteer.launch({
+        headless: 'new' as any,
+        args: ['--no-sandbox', '--disable-setuid-sandbox', ...proxyArgs]
+      })
+    } catch (error) {
+      proxy?.close()
+      throw error
+    }
+
+    try {
+      const page = await browser.newPage()
+      await page.setViewport({ width: this.config.viewportWidth, height: 900 })
+
+      const response = await page.goto(url, {
+        waitUntil: 'networkidle2',
+        timeout: this.config.navigationTimeoutMs
+      })
+
+      const httpStatus = response ? response.status() : null
+      if (httpStatus !== null && httpStatus >= 400) {
+        throw new Error(`Page returned HTTP ${httpStatus}`)
+      }
+
+      const revealed = await page.evaluate(REVEAL_COLLAPSED_CONTENT) as number
+      if (revealed > 0) {
+        await new Promise(resolve => setTimeout(resolve, REVEAL_SETTLE_MS))
+      }
+
+      const screenshot = await this.captureScreenshot(page)
+      const visible = await page.evaluate(COLLECT_VISIBLE_CONTENT) as { html: string, finePrint: string[], title: string }
+      const { text, segments } = extractHtmlText(visible.html)
+
+      return {
+        url,
+        finalUrl: page.url(),
+        title: visible.title.trim(),
+        httpStatus,
+        text,
+        segments,
+        finePrint: visible.finePrint,
+        screenshot,
+        capturedAt: new Date().toISOString()
+      }
+    } finally {
+      await browser.close()
+      proxy?.close()
+    }
+  }
+
+  private async captureScreenshot(page: Page): Promise<Buffer> {
+    const height = await page.evaluate('document.documentElement.scrollHeight') as number
+
+    const image = height > this.config.maxScreenshotHeight
+      ? await page.screenshot({
+        type: 'png',
+        clip: { x: 0, y: 0, width: this.config.viewportWidth, height: this.config.maxScreenshotHeight },
+        captureBeyondViewport: true
+      })
+      : await page.screenshot({ type: 'png', fullPage: true })
+
+    return Buffer.from(image)
+  }
+}
+
+// Export singleton instance
+export const webPageScanner = new WebPageScanner()
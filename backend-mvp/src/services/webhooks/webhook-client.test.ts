@@ -0,0 +1,115 @@
+import { describe, test, expect, afterEach, jest } from '@jest/globals'
+import * as http from 'http'
+import { once } from 'events'
+import {
+  WebhookClient,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  WEBHOOK_SIGNATURE_HEADER
+} from './webhook-client'
+
+describe('webhook signatures', () => {
+  const body = JSON.stringify({ id: 'evt_1', event: 'notification:created', data: {} })
+
+  test('should verify signatures over the exact body and reject stale ones', () => {
+    const header = signWebhookPayload('whsec_test', body, 1_760_000_000)
+
+    expect(header).toMatch(/^t=1760000000,v1=[0-9a-f]{64}$/)
+    expect(verifyWebhookSignature('whsec_test', body, header, 1_760_000_100)).toBe(true)
+    expect(verifyWebhookSignature('whsec_other', body, header, 1_760_000_100)).toBe(false)
+    expect(verifyWebhookSignature('whsec_test', body.replace('evt_1', 'evt_2'), header, 1_760_000_100)).toBe(false)
+    expect(verifyWebhookSignature('whsec_test', body, header, 1_760_000_301)).toBe(false)
+    expect(verifyWebhookSignature('whsec_test', body, 'v1=abc', 1_760_000_100)).toBe(false)
+  })
+})
+
+describe('webhook client', () => {
+  let server: http.Server | null = null
+
+  afterEach(async () => {
+    if (server) {
+      server.close()
+      await once(server, 'close')
+      server = null
+    }
+  })
+
+  const listen = async (handler: http.RequestListener): Promise<string> => {
+    server = http.createServer(handler)
+    server.listen(0, '127.0.0.1')
+    await once(server, 'listening')
+    return `http://127.0.0.1:${(server.address() as any).port}/hook`
+  }
+
+  test('should post a signed payload', async () => {
+    const received: Array<{ headers: http.IncomingHttpHeaders; body: string }> = []
+    const url = await listen((req, res) => {
+      let body = ''
+      req.on('data', chunk => { body += chunk })
+      req.on('end', () => {
+        received.push({ headers: req.headers, body })
+        res.writeHead(200, { 'Content-Type': 'text/plain' }).end('received')
+      })
+    })
+
+    const client = new WebhookClient({ timeoutMs: 5000, allowPrivateHosts: true }, () => 1_760_000_000_000)
+    const response = await client.post(url, 'whsec_test', {
+      id: 'evt_1',
+      event: 'notification:created',
+      createdAt: '2025-10-09T08:53:20.000Z',
+      data: { notification: { title: 'Report ready' } }
+    }, 'delivery-1')
+
+    expect(response).toMatchObject({ status: 200, body: 'received' })
+    const [{ headers, body }] = received
+    expect(headers['x-webhook-event']).toBe('notification:created')
+    expect(headers['x-webhook-id']).toBe('evt_1')
+    expect(headers['x-webhook-delivery']).toBe('delivery-1')
+    expect(verifyWebhookSignature('whsec_test', body, headers[WEBHOOK_SIGNATURE_HEADER.toLowerCase()] as string, 1_760_000_000)).toBe(true)
+  })
+
+  test('should report redirects and error responses without following them', async () => {
+    const url = await listen((req, res) => {
+      if (req.url === '/hook') {
+        res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data' }).end()
+      } else {
+        res.writeHead(500).end()
+      }
+    })
+    const client = new WebhookClient({ timeoutMs: 5000, allowPrivateHosts: true })
+    const payload = { id: 'evt_1', event: 'notification:created', createdAt: new Date().toISOString(), data: {} }
+
+    expect((await client.post(url, 'whsec_test', payload)).status).toBe(302)
+    expect((await client.post(url.replace('/hook', '/broken'), 'whsec_test', payload)).status).toBe(500)
+  })
+
+  test('should refuse private addresses unless allowed', async () => {
+    const client = new WebhookClient({ timeoutMs: 5000, allowPrivateHosts: false })
+
+    await expect(client.assertDeliverableUrl('http://127.0.0.1:9/hook')).rejects.toThrow('private or loopback')
+  })
+
+  test('should refuse metadata addresses written as IPv6', async () => {
+    const client = new WebhookClient({ timeoutMs: 5000, allowPrivateHosts: false })
+    const payload = { id: 'evt_1', event: 'notification:created', createdAt: new Date().toISOString(), data: {} }
+
+    await expect(client.post('http://[::ffff:169.254.169.254]/latest/meta-data', 'whsec_test', payload))
+      .rejects.toThrow('private or loopback')
+  })
+
+  test('should connect only to the address checked when the connection is opened', async () => {
+    const received: string[] = []
+    const url = await listen((req, res) => {
+      received.push(req.url || '')
+      res.writeHead(200).end()
+    })
+    const client = new WebhookClient({ timeoutMs: 5000, allowPrivateHosts: false })
+    // The URL check passes (as it would before a DNS rebinding); the connection's own lookup still refuses
+    jest.spyOn(client, 'assertDeliverableUrl').mockResolvedValue()
+    const payload = { id: 'evt_1', event: 'notification:created', createdAt: new Date().toISOString(), data: {} }
+
+    await expect(client.post(url.replace('127.0.0.1', 'localhost'), 'whsec_test', payload))
+      .rejects.toThrow('localhost resolves to a private or loopback address')
+    expect(received).toEqual([])
+  })
+})
@@ -0,0 +1,123 @@
+import * as crypto from 'crypto'
+import * as http from 'http'
+import * as https from 'https'
+import { webhookConfig } from '../../config/webhooks'
+import { assertScannableUrl, lookupPublicAddress } from '../web-page-scanner'
+
+type WebhookClientConfig = Pick<typeof webhookConfig, 'timeoutMs' | 'allowPrivateHosts'>
+
+export const WEBHOOK_SIGNATURE_HEADER = 'X-Webhook-Signature'
+export const WEBHOOK_EVENT_HEADER = 'X-Webhook-Event'
+export const WEBHOOK_ID_HEADER = 'X-Webhook-Id'
+export const WEBHOOK_DELIVERY_HEADER = 'X-Webhook-Delivery'
+
+// Response bodies are kept in the delivery log up to this length
+const RESPONSE_BODY_LIMIT = 2048
+
+// Receivers should reject signatures older than this, so captured requests cannot be replayed later
+export const WEBHOOK_SIGNATURE_TOLERANCE_SECONDS = 300
+
+export interface WebhookPayload {
+  id: string // Unique per event, and the same on retries and replays; receivers can use it to drop duplicates
+  event: string
+  createdAt: string
+  data: Record<string, any>
+}
+
+export interface WebhookResponse {
+  status: number
+  body: string
+  durationMs: number
+}
+
+export const generateWebhookSecret = (): string => `whsec_${crypto.randomBytes(24).toString('hex')}`
+
+const hmac = (secret: string, timestamp: number, body: string): string =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+
+/**
+ * "t=<unix seconds>,v1=<hex HMAC-SHA256 of '<t>.<body>'>"
+ */
+export const signWebhookPayload = (secret: string, body: string, timestamp: number): string =>
+  `t=${timestamp},v1=${hmac(secret, timestamp, body)}`
+
+/**
+ * What a receiver does with the signature header: recompute the HMAC over the raw body and check
+ * the timestamp is recent
+ */
+export const verifyWebhookSignature = (
+  secret: string,
+  body: string,
+  header: string,
+  nowSeconds: number = Math.floor(Date.now() / 1000),
+  toleranceSeconds: number = WEBHOOK_SIGNATURE_TOLERANCE_SECONDS
+): boolean => {
+  const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=', 2)))
+  const timestamp = Number(parts.t)
+  if (!Number.isInteger(timestamp) || !/^[0-9a-f]{64}$/.test(parts.v1 || '')) return false
+  if (Math.abs(nowSeconds - timestamp) > toleranceSeconds) return false
+
+  return crypto.timingSafeEqual(Buffer.from(parts.v1, 'hex'), Buffer.from(hmac(secret, timestamp, body), 'hex'))
+}
+
+/**
+ * Posts signed JSON payloads to user-supplied URLs, which may not point into the server's network,
+ * whether written as an address or resolving to one
+ */
+export class WebhookClient {
+  constructor(private config: WebhookClientConfig = webhookConfig, private now: () => number = () => Date.now()) {}
+
+  async assertDeliverableUrl(url: string): Promise<void> {
+    await assertScannableUrl(url, this.config.allowPrivateHosts)
+  }
+
+  /**
+   * Resolves with any response, successful or not; rejects on refused URLs, network errors and timeouts.
+   * Redirects are not followed, as one could lead to an address the URL check would have refused.
+   */
+  async post(url: string, secret: string, payload: WebhookPayload, deliveryId?: string): Promise<WebhookResponse> {
+    await this.assertDeliverableUrl(url)
+
+    const target = new URL(url)
+    const body = JSON.stringify(payload)
+    const startedAt = this.now()
+    const send = target.protocol === 'https:' ? https.request : http.request
+
+    return new Promise((resolve, reject) => {
+      const request = send(target, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'Compliance-Scanner-Webhooks/1.0',
+          [WEBHOOK_EVENT_HEADER]: payload.event,
+          [WEBHOOK_ID_HEADER]: payload.id,
+          ...(deliveryId ? { [WEBHOOK_DELIVERY_HEADER]: deliveryId } : {}),
+          [WEBHOOK_SIGNATURE_HEADER]: signWebhookPayload(secret, body, Math.floor(startedAt / 1000))
+        },
+        // The connection goes to the address checked when it is opened, so the host cannot be
+        // re-resolved to a private one after the URL check
+        lookup: this.config.allowPrivateHosts ? undefined : lookupPublicAddress,
+        signal: AbortSignal.timeout(this.config.timeoutMs)
+      }, response => {
+        let responseBody = ''
+        const finish = () => resolve({
+          status: response.statusCode || 0,
+          body: responseBody.slice(0, RESPONSE_BODY_LIMIT),
+          durationMs: this.now() - startedAt
+        })
+
+        response.setEncoding('utf8')
+        response.on('data', (chunk: string) => {
+          if (responseBody.length < RESPONSE_BODY_LIMIT) responseBody += chunk
+        })
+        response.on('end', finish)
+        // A body cut off by the timeout still leaves the status
+        response.on('error', finish)
+      })
+
+      request.on('error', reject)
+      request.end(body)
+    })
+  }
+}
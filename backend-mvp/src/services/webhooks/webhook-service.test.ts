@@ -0,0 +1,166 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals'
+
+type Row = Record<string, any>
+
+const tables: Record<string, Row[]> = { webhook_subscriptions: [], webhook_deliveries: [] }
+
+// In-memory tables behind a Supabase-like builder; filters apply to selects, updates and deletes
+const query = (table: string) => {
+  const filters: Array<(row: Row) => boolean> = []
+  let action: 'select' | 'insert' | 'update' | 'delete' = 'select'
+  let values: any = null
+  let limit = Infinity
+
+  const run = () => {
+    const rows = tables[table]
+    if (action === 'insert') {
+      const inserted = [].concat(values).map((row: Row) => ({
+        id: `${table}-${rows.length + 1}`,
+        status: 'pending',
+        attempts: 0,
+        attempt_log: [],
+        last_status_code: null,
+        last_error: null,
+        last_response_body: null,
+        replay_of: null,
+        created_at: '2026-10-19T10:00:00.000Z',
+        delivered_at: null,
+        ...row
+      }))
+      rows.push(...inserted)
+      return inserted
+    }
+    const matched = rows.filter(row => filters.every(filter => filter(row))).slice(0, limit)
+    if (action === 'update') matched.forEach(row => Object.assign(row, values))
+    if (action === 'delete') tables[table] = rows.filter(row => !matched.includes(row))
+    return matched.map(row => ({ ...row }))
+  }
+
+  const builder: any = {
+    insert: (next: any) => { action = 'insert'; values = next; return builder },
+    update: (next: any) => { action = 'update'; values = next; return builder },
+    delete: () => { action = 'delete'; return builder },
+    select: () => builder,
+    eq: (column: string, value: any) => { filters.push(row => row[column] === value); return builder },
+    neq: (column: string, value: any) => { filters.push(row => row[column] !== value); return builder },
+    lte: (column: string, value: any) => { filters.push(row => row[column] <= value); return builder },
+    lt: (column: string, value: any) => { filters.push(row => row[column] < value); return builder },
+    order: () => builder,
+    limit: (count: number) => { limit = count; return builder },
+    then: (resolve: any, reject: any) => Promise.resolve({ data: run(), error: null }).then(resolve, reject),
+    single: async () => ({ data: run()[0], error: null }),
+    maybeSingle: async () => ({ data: run()[0] ?? null, error: null })
+  }
+  return builder
+}
+
+jest.mock('../../config/supabase', () => ({
+  supabaseServer: { from: (table: string) => query(table) }
+}))
+
+import { WebhookService, webhookRetryDelayMs } from './webhook-service'
+import { RealtimeEventName } from '../realtime-events'
+
+const event = (name: RealtimeEventName, data: any = {}) => ({
+  id: 1,
+  event: name,
+  data,
+  userId: 'user-123',
+  timestamp: '2026-10-19T10:00:00.000Z'
+})
+
+describe('webhook service', () => {
+  let now: number
+  let post: jest.Mock<(url: string, secret: string, payload: any, deliveryId?: string) => Promise<any>>
+  let service: WebhookService
+
+  beforeEach(async () => {
+    tables.webhook_subscriptions = []
+    tables.webhook_deliveries = []
+    now = Date.parse('2026-10-19T10:00:00Z')
+    post = jest.fn(async () => ({ status: 200, body: 'ok', durationMs: 12 }))
+    service = new WebhookService(
+      { post, assertDeliverableUrl: async () => undefined } as any,
+      () => now,
+      () => 0
+    )
+
+    await service.createSubscription('user-123', {
+      url: 'https://hooks.example.com/batches',
+      eventTypes: [RealtimeEventName.BATCH_PROGRESS]
+    })
+    await service.createSubscription('user-123', {
+      url: 'https://hooks.example.com/notifications',
+      eventTypes: [RealtimeEventName.NOTIFICATION_CREATED],
+      secret: 'whsec_custom_secret'
+    })
+  })
+
+  test('should queue events for active subscriptions to their type and send them signed', async () => {
+    const queued = await service.enqueue(event(RealtimeEventName.BATCH_PROGRESS, { jobId: 'batch_1' }))
+    await service.enqueue(event(RealtimeEventName.ANALYSIS_PROGRESS, { documentId: 'doc-1' }))
+    await service.sendDue()
+
+    expect(queued).toBe(1)
+    expect(post).toHaveBeenCalledTimes(1)
+    const [url, secret, payload, deliveryId] = post.mock.calls[0]
+    expect(url).toBe('https://hooks.example.com/batches')
+    expect(secret).toMatch(/^whsec_[0-9a-f]{48}$/)
+    expect(payload).toMatchObject({ event: 'batch:progress', createdAt: '2026-10-19T10:00:00.000Z', data: { jobId: 'batch_1' } })
+
+    const delivery = await service.getDelivery('user-123', deliveryId as string)
+    expect(delivery).toMatchObject({ status: 'succeeded', attempts: 1, lastStatusCode: 200, nextAttemptAt: null })
+    expect(delivery?.attemptLog).toEqual([{ at: '2026-10-19T10:00:00.000Z', statusCode: 200, error: null, durationMs: 0 }])
+  })
+
+  test('should retry failed attempts with backoff until attempts run out', async () => {
+    post.mockResolvedValue({ status: 503, body: 'unavailable', durationMs: 5 })
+    post.mockRejectedValueOnce(new Error('connect ECONNREFUSED'))
+    await service.enqueue(event(RealtimeEventName.NOTIFICATION_CREATED, { notification: { id: 'n-1' } }))
+
+    await service.sendDue()
+    const [row] = tables.webhook_deliveries
+    expect(row).toMatchObject({ status: 'pending', attempts: 1, last_error: 'connect ECONNREFUSED' })
+    expect(Date.parse(row.next_attempt_at) - now).toBe(webhookRetryDelayMs(1, () => 0))
+
+    // Not due yet
+    await service.sendDue()
+    expect(post).toHaveBeenCalledTimes(1)
+
+    for (let attempt = 2; attempt <= row.max_attempts; attempt++) {
+      now = Date.parse(tables.webhook_deliveries[0].next_attempt_at)
+      await service.sendDue()
+    }
+
+    expect(post).toHaveBeenCalledTimes(row.max_attempts)
+    expect(tables.webhook_deliveries[0]).toMatchObject({
+      status: 'failed',
+      last_status_code: 503,
+      last_error: 'Responded with 503',
+      last_response_body: 'unavailable'
+    })
+    expect(tables.webhook_deliveries[0].attempt_log).toHaveLength(row.max_attempts)
+  })
+
+  test('should replay a delivery with the same payload as a new delivery', async () => {
+    post.mockResolvedValueOnce({ status: 410, body: 'gone', durationMs: 5 })
+    await service.enqueue(event(RealtimeEventName.NOTIFICATION_CREATED, { notification: { id: 'n-1' } }))
+    await service.sendDue()
+    const original = tables.webhook_deliveries[0]
+
+    const replay = await service.replayDelivery('user-123', original.id)
+    await service.sendDue()
+
+    expect(replay).toMatchObject({ replayOf: original.id, status: 'pending', eventId: original.payload.id })
+    expect(post.mock.calls[1][2]).toEqual(original.payload)
+    expect(await service.getDelivery('user-123', replay!.id)).toMatchObject({ status: 'succeeded' })
+    expect(await service.replayDelivery('user-456', original.id)).toBeNull()
+  })
+
+  test('should double the retry delay per attempt up to the cap', () => {
+    expect(webhookRetryDelayMs(1, () => 0)).toBe(30000)
+    expect(webhookRetryDelayMs(3, () => 0)).toBe(120000)
+    expect(webhookRetryDelayMs(3, () => 1)).toBe(144000)
+    expect(webhookRetryDelayMs(20, () => 0)).toBe(3600000)
+  })
+})
@@ -0,0 +1,602 @@
+import { randomUUID } from 'crypto'
+import { supabaseServer } from '../../config/supabase'
+import { webhookConfig } from '../../config/webhooks'
+import { logger } from '../../utils/logger'
+import { realtimeEvents, RealtimeEvent, RealtimeEventName } from '../realtime-events'
+import { generateWebhookSecret, WebhookClient, WebhookPayload } from './webhook-client'
+
+// Subscriptions choose from the events sent on GET /api/events, so both push channels share names
+export const WEBHOOK_EVENT_TYPES = Object.values(RealtimeEventName) as [RealtimeEventName, ...RealtimeEventName[]]
+
+export type WebhookDeliveryStatus = 'pending' | 'succeeded' | 'failed'
+
+export interface WebhookSubscription {
+  id: string
+  url: string
+  description: string | null
+  eventTypes: RealtimeEventName[]
+  secret?: string // Only returned when created, fetched on its own or rotated
+  active: boolean
+  createdAt: string
+  updatedAt: string
+}
+
+export interface WebhookSubscriptionInput {
+  url: string
+  eventTypes: RealtimeEventName[]
+  description?: string | null
+  secret?: string // Generated when not given
+  active?: boolean
+}
+
+export type WebhookSubscriptionUpdate = Partial<Omit<WebhookSubscriptionInput, 'secret'>> & {
+  rotateSecret?: boolean
+}
+
+export interface WebhookAttempt {
+  at: string
+  statusCode: number | null
+  error: string | null
+  durationMs: number
+}
+
+export interface WebhookDelivery {
+  id: string
+  subscriptionId: string
+  eventType: string
+  eventId: string
+  status: WebhookDeliveryStatus
+  attempts: number
+  maxAttempts: number
+  nextAttemptAt: string | null // Pending deliveries only
+  lastStatusCode: number | null
+  lastError: string | null
+  replayOf: string | null
+  createdAt: string
+  deliveredAt: string | null
+  // Only returned for a single delivery
+  payload?: WebhookPayload
+  attemptLog?: WebhookAttempt[]
+  lastResponseBody?: string | null
+}
+
+interface WebhookSubscriptionRow {
+  id: string
+  user_id: string
+  url: string
+  description: string | null
+  event_types: RealtimeEventName[]
+  secret: string
+  active: boolean
+  created_at: string
+  updated_at: string
+}
+
+interface WebhookDeliveryRow {
+  id: string
+  subscription_id: string
+  user_id: string
+  event_type: string
+  payload: WebhookPayload
+  status: WebhookDeliveryStatus
+  attempts: number
+  max_attempts: number
+  next_attempt_at: string
+  attempt_log: WebhookAttempt[] | null
+  last_status_code: number | null
+  last_error: string | null
+  last_response_body: string | null
+  replay_of: string | null
+  created_at: string
+  delivered_at: string | null
+}
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+// Due deliveries one process sends per poll
+const DUE_BATCH_SIZE = 20
+
+/**
+ * Wait before attempt `attempt + 1`: the base delay doubled per attempt, capped, with up to 20%
+ * jitter so deliveries that failed together are not retried together
+ */
+export const webhookRetryDelayMs = (attempt: number, random: () => number = Math.random): number => {
+  const delay = Math.min(webhookConfig.retryMaxDelayMs, webhookConfig.retryBaseDelayMs * Math.pow(2, Math.max(0, attempt - 1)))
+  return Math.round(delay * (1 + random() * 0.2))
+}
+
+const toSubscription = (row: WebhookSubscriptionRow, includeSecret = false): WebhookSubscription => ({
+  id: row.id,
+  url: row.url,
+  description: row.description,
+  eventTypes: row.event_types,
+  ...(includeSecret ? { secret: row.secret } : {}),
+  active: row.active,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+})
+
+const toDelivery = (row: WebhookDeliveryRow, includeDetails = false): WebhookDelivery => ({
+  id: row.id,
+  subscriptionId: row.subscription_id,
+  eventType: row.event_type,
+  eventId: row.payload.id,
+  status: row.status,
+  attempts: row.attempts,
+  maxAttempts: row.max_attempts,
+  nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+  lastStatusCode: row.last_status_code,
+  lastError: row.last_error,
+  replayOf: row.replay_of,
+  createdAt: row.created_at,
+  deliveredAt: row.delivered_at,
+  ...(includeDetails ? {
+    payload: row.payload,
+    attemptLog: row.attempt_log || [],
+    lastResponseBody: row.last_response_body
+  } : {})
+})
+
+/**
+ * Outbound webhooks. Events published for a user are queued as deliveries to each of their active
+ * subscriptions for that event type; every process sends the deliveries it finds due and retries
+ * failures with backoff. Deliveries stay in the log, from where they can be replayed.
+ */
+export class WebhookService {
+  private pollTimer: NodeJS.Timeout | null = null
+  private cleanupTimer: NodeJS.Timeout | null = null
+  private polling = false
+  private pollAgain = false
+  private stopListening: (() => void) | null = null
+  private sending = new Set<Promise<void>>()
+  private subscriptionCache = new Map<string, { subscriptions: WebhookSubscriptionRow[]; expiresAt: number }>()
+
+  constructor(
+    private client: WebhookClient = new WebhookClient(),
+    private now: () => number = () => Date.now(),
+    private random: () => number = Math.random
+  ) {}
+
+  /**
+   * Queue this process's events for delivery and send due deliveries
+   */
+  start(): void {
+    if (this.pollTimer) return
+
+    this.stopListening = realtimeEvents.subscribeAll(event => {
+      this.enqueue(event).catch(error => logger.error('Failed to queue webhook deliveries', {
+        userId: event.userId,
+        event: event.event,
+        error: error.message
+      }))
+    })
+    this.pollTimer = setInterval(() => this.poll(), webhookConfig.pollIntervalMs)
+    this.cleanupTimer = setInterval(() => {
+      this.cleanupOldDeliveries().catch(error => logger.error('Webhook delivery cleanup failed', { error: error.message }))
+    }, HOUR_MS)
+
+    logger.info('Webhook dispatcher started')
+    this.poll()
+  }
+
+  /**
+   * Stop queueing and sending; deliveries being sent finish, the rest wait for another process
+   */
+  async stop(): Promise<void> {
+    if (!this.pollTimer) return
+
+    this.stopListening?.()
+    clearInterval(this.pollTimer)
+    if (this.cleanupTimer) clearInterval(this.cleanupTimer)
+    this.stopListening = null
+    this.pollTimer = null
+    this.cleanupTimer = null
+
+    await Promise.allSettled([...this.sending])
+    logger.info('Webhook dispatcher stopped')
+  }
+
+  /**
+   * One delivery per matching subscription, all with the same payload id
+   */
+  async enqueue(event: RealtimeEvent): Promise<number> {
+    const subscriptions = (await this.getActiveSubscriptions(event.userId))
+      .filter(subscription => subscription.event_types.includes(event.event))
+    if (subscriptions.length === 0) return 0
+
+    const payload: WebhookPayload = {
+      id: randomUUID(),
+      event: event.event,
+      createdAt: event.timestamp,
+      data: event.data
+    }
+
+    const { error } = await supabaseServer
+      .from('webhook_deliveries')
+      .insert(subscriptions.map(subscription => ({
+        subscription_id: subscription.id,
+        user_id: event.userId,
+        event_type: event.event,
+        payload,
+        max_attempts: webhookConfig.maxAttempts,
+        next_attempt_at: new Date(this.now()).toISOString()
+      })))
+
+    if (error) {
+      throw new Error(`Failed to queue webhook deliveries: ${error.message}`)
+    }
+
+    this.poll()
+    return subscriptions.length
+  }
+
+  // Subscriptions
+
+  async listSubscriptions(userId: string): Promise<WebhookSubscription[]> {
+    const { data, error } = await supabaseServer
+      .from('webhook_subscriptions')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      throw new Error(`Failed to get webhook subscriptions: ${error.message}`)
+    }
+    return ((data || []) as WebhookSubscriptionRow[]).map(row => toSubscription(row))
+  }
+
+  async getSubscription(userId: string, subscriptionId: string): Promise<WebhookSubscription | null> {
+    const row = await this.getSubscriptionRow(subscriptionId, userId)
+    return row ? toSubscription(row, true) : null
+  }
+
+  /**
+   * Rejects URLs that are not http(s) or that point into the server's network
+   */
+  async assertWebhookUrl(url: string): Promise<void> {
+    await this.client.assertDeliverableUrl(url)
+  }
+
+  /**
+   * Callers check the URL first
+   */
+  async createSubscription(userId: string, input: WebhookSubscriptionInput): Promise<WebhookSubscription> {
+    const { data, error } = await supabaseServer
+      .from('webhook_subscriptions')
+      .insert({
+        user_id: userId,
+        url: input.url,
+        description: input.description ?? null,
+        event_types: [...new Set(input.eventTypes)],
+        secret: input.secret || generateWebhookSecret(),
+        active: input.active ?? true
+      })
+      .select('*')
+      .single()
+
+    if (error) {
+      throw new Error(`Failed to create webhook subscription: ${error.message}`)
+    }
+
+    this.subscriptionCache.delete(userId)
+    return toSubscription(data as WebhookSubscriptionRow, true)
+  }
+
+  /**
+   * Returns null when the subscription does not exist or belongs to another user. The secret is
+   * returned when it was rotated.
+   */
+  async updateSubscription(
+    userId: string,
+    subscriptionId: string,
+    update: WebhookSubscriptionUpdate
+  ): Promise<WebhookSubscription | null> {
+    const changes = {
+      ...(update.url !== undefined ? { url: update.url } : {}),
+      ...(update.description !== undefined ? { description: update.description } : {}),
+      ...(update.eventTypes !== undefined ? { event_types: [...new Set(update.eventTypes)] } : {}),
+      ...(update.active !== undefined ? { active: update.active } : {}),
+      ...(update.rotateSecret ? { secret: generateWebhookSecret() } : {})
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return this.getSubscription(userId, subscriptionId)
+    }
+
+    const { data, error } = await supabaseServer
+      .from('webhook_subscriptions')
+      .update(changes)
+      .eq('id', subscriptionId)
+      .eq('user_id', userId)
+      .select('*')
+
+    if (error) {
+      throw new Error(`Failed to update webhook subscription: ${error.message}`)
+    }
+
+    this.subscriptionCache.delete(userId)
+    const row = (data as WebhookSubscriptionRow[] | null)?.[0]
+    return row ? toSubscription(row, Boolean(update.rotateSecret)) : null
+  }
+
+  /**
+   * Deletes the subscription and its delivery log
+   */
+  async deleteSubscription(userId: string, subscriptionId: string): Promise<boolean> {
+    const { data, error } = await supabaseServer
+      .from('webhook_subscriptions')
+      .delete()
+      .eq('id', subscriptionId)
+      .eq('user_id', userId)
+      .select('id')
+
+    if (error) {
+      throw new Error(`Failed to delete webhook subscription: ${error.message}`)
+    }
+
+    this.subscriptionCache.delete(userId)
+    return Boolean(data?.length)
+  }
+
+  // Delivery log
+
+  /**
+   * Newest first; null when the subscription does not exist or belongs to another user
+   */
+  async listDeliveries(
+    userId: string,
+    subscriptionId: string,
+    options: { status?: WebhookDeliveryStatus; limit?: number } = {}
+  ): Promise<WebhookDelivery[] | null> {
+    if (!await this.getSubscriptionRow(subscriptionId, userId)) return null
+
+    let query = supabaseServer
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('subscription_id', subscriptionId)
+      .order('created_at', { ascending: false })
+      .limit(options.limit || 50)
+
+    if (options.status) {
+      query = query.eq('status', options.status)
+    }
+
+    const { data, error } = await query
+    if (error) {
+      throw new Error(`Failed to get webhook deliveries: ${error.message}`)
+    }
+    return ((data || []) as WebhookDeliveryRow[]).map(row => toDelivery(row))
+  }
+
+  async getDelivery(userId: string, deliveryId: string): Promise<WebhookDelivery | null> {
+    const row = await this.getDeliveryRow(deliveryId, userId)
+    return row ? toDelivery(row, true) : null
+  }
+
+  /**
+   * Send a delivery's payload again as a new delivery, whatever became of the original. The
+   * payload id is unchanged, so receivers that drop duplicates must be told to expect it.
+   */
+  async replayDelivery(userId: string, deliveryId: string): Promise<WebhookDelivery | null> {
+    const original = await this.getDeliveryRow(deliveryId, userId)
+    if (!original) return null
+
+    const { data, error } = await supabaseServer
+      .from('webhook_deliveries')
+      .insert({
+        subscription_id: original.subscription_id,
+        user_id: userId,
+        event_type: original.event_type,
+        payload: original.payload,
+        max_attempts: webhookConfig.maxAttempts,
+        next_attempt_at: new Date(this.now()).toISOString(),
+        replay_of: original.id
+      })
+      .select('*')
+      .single()
+
+    if (error) {
+      throw new Error(`Failed to replay webhook delivery: ${error.message}`)
+    }
+
+    this.poll()
+    return toDelivery(data as WebhookDeliveryRow)
+  }
+
+  // Sending
+
+  private poll(): void {
+    if (!this.pollTimer) return
+    if (this.polling) {
+      this.pollAgain = true
+      return
+    }
+    this.polling = true
+
+    this.sendDue()
+      .catch(error => logger.error('Webhook delivery poll failed', { error: error.message }))
+      .finally(() => {
+        this.polling = false
+        if (this.pollAgain) {
+          this.pollAgain = false
+          this.poll()
+        }
+      })
+  }
+
+  /**
+   * Send up to a batch of due deliveries; the dispatcher calls this on every poll
+   */
+  async sendDue(): Promise<void> {
+    const { data, error } = await supabaseServer
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', new Date(this.now()).toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(DUE_BATCH_SIZE)
+
+    if (error) {
+      throw new Error(`Failed to get due webhook deliveries: ${error.message}`)
+    }
+
+    await Promise.all(((data || []) as WebhookDeliveryRow[]).map(row => {
+      const sending: Promise<void> = this.attempt(row)
+        .catch(error => {
+          logger.error('Webhook delivery failed unexpectedly', { deliveryId: row.id, error: error.message })
+        })
+        .finally(() => this.sending.delete(sending))
+      this.sending.add(sending)
+      return sending
+    }))
+  }
+
+  /**
+   * Claim the delivery by moving next_attempt_at on from the value read, so only one process
+   * sends it, then send it and record the outcome
+   */
+  private async attempt(row: WebhookDeliveryRow): Promise<void> {
+    const attempts = row.attempts + 1
+    const { data: claimed, error: claimError } = await supabaseServer
+      .from('webhook_deliveries')
+      .update({
+        attempts,
+        next_attempt_at: new Date(this.now() + webhookConfig.timeoutMs * 2).toISOString()
+      })
+      .eq('id', row.id)
+      .eq('status', 'pending')
+      .eq('next_attempt_at', row.next_attempt_at)
+      .select('id')
+
+    if (claimError) {
+      throw new Error(`Failed to claim webhook delivery: ${claimError.message}`)
+    }
+    if (!claimed?.length) return
+
+    const subscription = await this.getSubscriptionRow(row.subscription_id)
+    const startedAt = this.now()
+    let statusCode: number | null = null
+    let responseBody: string | null = null
+    let failure: string | null = null
+
+    if (!subscription?.active) {
+      failure = 'Subscription is inactive'
+    } else {
+      try {
+        const response = await this.client.post(subscription.url, subscription.secret, row.payload, row.id)
+        statusCode = response.status
+        responseBody = response.body
+        if (response.status < 200 || response.status >= 300) {
+          failure = `Responded with ${response.status}`
+        }
+      } catch (error: any) {
+        failure = error.name === 'TimeoutError' ? `Timed out after ${webhookConfig.timeoutMs}ms` : error.message
+      }
+    }
+
+    // An inactive subscription will not take the delivery later either; it can be replayed
+    const finished = failure === null || attempts >= row.max_attempts || !subscription?.active
+    const status: WebhookDeliveryStatus = failure === null ? 'succeeded' : finished ? 'failed' : 'pending'
+    const attempt: WebhookAttempt = {
+      at: new Date(startedAt).toISOString(),
+      statusCode,
+      error: failure,
+      durationMs: this.now() - startedAt
+    }
+
+    const { error } = await supabaseServer
+      .from('webhook_deliveries')
+      .update({
+        status,
+        ...(finished ? {} : { next_attempt_at: new Date(this.now() + webhookRetryDelayMs(attempts, this.random)).toISOString() }),
+        attempt_log: [...(row.attempt_log || []), attempt],
+        last_status_code: statusCode,
+        last_error: failure,
+        last_response_body: responseBody,
+        ...(status === 'succeeded' ? { delivered_at: new Date(this.now()).toISOString() } : {})
+      })
+      .eq('id', row.id)
+
+    if (error) {
+      throw new Error(`Failed to record webhook delivery: ${error.message}`)
+    }
+
+    if (failure) {
+      logger.warn('Webhook delivery attempt failed', {
+        deliveryId: row.id,
+        subscriptionId: row.subscription_id,
+        event: row.event_type,
+        attempts,
+        willRetry: !finished,
+        error: failure
+      })
+    }
+  }
+
+  private async getActiveSubscriptions(userId: string): Promise<WebhookSubscriptionRow[]> {
+    const cached = this.subscriptionCache.get(userId)
+    if (cached && cached.expiresAt > this.now()) return cached.subscriptions
+
+    const { data, error } = await supabaseServer
+      .from('webhook_subscriptions')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('active', true)
+
+    if (error) {
+      throw new Error(`Failed to get webhook subscriptions: ${error.message}`)
+    }
+
+    const subscriptions = (data || []) as WebhookSubscriptionRow[]
+    this.subscriptionCache.set(userId, { subscriptions, expiresAt: this.now() + webhookConfig.subscriptionCacheMs })
+    return subscriptions
+  }
+
+  private async getSubscriptionRow(subscriptionId: string, userId?: string): Promise<WebhookSubscriptionRow | null> {
+    let query = supabaseServer
+      .from('webhook_subscriptions')
+      .select('*')
+      .eq('id', subscriptionId)
+
+    if (userId) {
+      query = query.eq('user_id', userId)
+    }
+
+    const { data, error } = await query.maybeSingle()
+    if (error) {
+      throw new Error(`Failed to get webhook subscription: ${error.message}`)
+    }
+    return data as WebhookSubscriptionRow | null
+  }
+
+  private async getDeliveryRow(deliveryId: string, userId: string): Promise<WebhookDeliveryRow | null> {
+    const { data, error } = await supabaseServer
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('id', deliveryId)
+      .eq('user_id', userId)
+      .maybeSingle()
+
+    if (error) {
+      throw new Error(`Failed to get webhook delivery: ${error.message}`)
+    }
+    return data as WebhookDeliveryRow | null
+  }
+
+  private async cleanupOldDeliveries(): Promise<void> {
+    const cutoff = new Date(this.now() - webhookConfig.deliveryRetentionDays * DAY_MS).toISOString()
+    const { error } = await supabaseServer
+      .from('webhook_deliveries')
+      .delete()
+      .neq('status', 'pending')
+      .lt('created_at', cutoff)
+
+    if (error) {
+      throw new Error(`Failed to clean up webhook deliveries: ${error.message}`)
+    }
+  }
+}
+
+// Export singleton instance
+export const webhookService = new WebhookService()
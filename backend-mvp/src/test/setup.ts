@@ -35,8 +35,8 @@ jest.mock('@supabase/supabase-js', () => {
     upload: jest.fn(),
     download: jest.fn(),
     remove: jest.fn(),
-    getPublicUrl: jest.fn((path?: string) => ({
-      data: { publicUrl: `https://storage.test/${path || 'file.pdf'}` },
+    createSignedUrl: jest.fn((path?: string) => ({
+      data: { signedUrl: `https://storage.test/${path || 'file.pdf'}?token=signed` },
       error: null,
     })),
   }
@@ -64,6 +64,7 @@ export type Database = {
           processing_completed_at?: string | null
           error_message?: string | null
         }
+        Relationships: []
       }
       analysis_results: {
         Row: {
@@ -117,6 +118,7 @@ export type Database = {
           analysis_metadata?: Json
           ai_raw_response?: Json | null
         }
+        Relationships: []
       }
       violations: {
         Row: {
@@ -176,6 +178,427 @@ export type Database = {
           violation_metadata?: Json
           remediation_options?: Json
         }
+        Relationships: []
+      }
+      rule_packs: {
+        Row: {
+          id: string
+          organization_id: string
+          name: string
+          description: string | null
+          entity_type: string | null
+          priority: number
+          is_active: boolean
+          rules: Json
+          overrides: Json
+          created_by: string
+          created_at: string
+          updated_at: string
+        }
+        Insert: {
+          id?: string
+          organization_id: string
+          name: string
+          description?: string | null
+          entity_type?: string | null
+          priority?: number
+          is_active?: boolean
+          rules?: Json
+          overrides?: Json
+          created_by: string
+          created_at?: string
+          updated_at?: string
+        }
+        Update: {
+          id?: string
+          organization_id?: string
+          name?: string
+          description?: string | null
+          entity_type?: string | null
+          priority?: number
+          is_active?: boolean
+          rules?: Json
+          overrides?: Json
+          created_by?: string
+          created_at?: string
+          updated_at?: string
+        }
+        Relationships: []
+      }
+      guideline_versions: {
+        Row: {
+          id: string
+          version: string
+          content_hash: string
+          guidelines: Json
+          total_rules: number
+          first_loaded_at: string
+        }
+        Insert: {
+          id?: string
+          version: string
+          content_hash: string
+          guidelines: Json
+          total_rules?: number
+          first_loaded_at?: string
+        }
+        Update: {
+          id?: string
+          version?: string
+          content_hash?: string
+          guidelines?: Json
+          total_rules?: number
+          first_loaded_at?: string
+        }
+        Relationships: []
+      }
+      organization_settings: {
+        Row: {
+          organization_id: string
+          llm_provider: string | null
+          llm_model: string | null
+          scoring_profile: string | null
+          updated_by: string | null
+          created_at: string
+          updated_at: string
+        }
+        Insert: {
+          organization_id: string
+          llm_provider?: string | null
+          llm_model?: string | null
+          scoring_profile?: string | null
+          updated_by?: string | null
+          created_at?: string
+          updated_at?: string
+        }
+        Update: {
+          organization_id?: string
+          llm_provider?: string | null
+          llm_model?: string | null
+          scoring_profile?: string | null
+          updated_by?: string | null
+          created_at?: string
+          updated_at?: string
+        }
+        Relationships: []
+      }
+      upload_sessions: {
+        Row: {
+          id: string
+          user_id: string
+          file_name: string
+          mimetype: string
+          size: number
+          chunk_size: number
+          total_chunks: number
+          status: string
+          scan_config: Json
+          previous_version_id: string | null
+          document_id: string | null
+          error: string | null
+          expires_at: string
+          created_at: string
+          updated_at: string
+        }
+        Insert: {
+          id?: string
+          user_id: string
+          file_name: string
+          mimetype: string
+          size: number
+          chunk_size: number
+          total_chunks: number
+          status?: string
+          scan_config?: Json
+          previous_version_id?: string | null
+          document_id?: string | null
+          error?: string | null
+          expires_at: string
+          created_at?: string
+          updated_at?: string
+        }
+        Update: {
+          id?: string
+          user_id?: string
+          file_name?: string
+          mimetype?: string
+          size?: number
+          chunk_size?: number
+          total_chunks?: number
+          status?: string
+          scan_config?: Json
+          previous_version_id?: string | null
+          document_id?: string | null
+          error?: string | null
+          expires_at?: string
+          created_at?: string
+          updated_at?: string
+        }
+        Relationships: []
+      }
+      batch_jobs: {
+        Row: {
+          id: string
+          user_id: string
+          status: string
+          options: Json
+          total_count: number
+          completed_count: number
+          failed_count: number
+          error: string | null
+          parent_job_id: string | null
+          created_at: string
+          started_at: string | null
+          paused_at: string | null
+          completed_at: string | null
+          notified_at: string | null
+        }
+        Insert: {
+          id: string
+          user_id: string
+          status?: string
+          options?: Json
+          total_count: number
+          completed_count?: number
+          failed_count?: number
+          error?: string | null
+          parent_job_id?: string | null
+          created_at?: string
+          started_at?: string | null
+          paused_at?: string | null
+          completed_at?: string | null
+          notified_at?: string | null
+        }
+        Update: {
+          id?: string
+          user_id?: string
+          status?: string
+          options?: Json
+          total_count?: number
+          completed_count?: number
+          failed_count?: number
+          error?: string | null
+          parent_job_id?: string | null
+          created_at?: string
+          started_at?: string | null
+          paused_at?: string | null
+          completed_at?: string | null
+          notified_at?: string | null
+        }
+        Relationships: []
+      }
+      batch_tasks: {
+        Row: {
+          id: string
+          job_id: string
+          document_id: string
+          user_id: string
+          status: string
+          attempts: number
+          max_attempts: number
+          available_at: string
+          lease_owner: string | null
+          lease_expires_at: string | null
+          error: string | null
+          failure_kind: string | null
+          duration_ms: number | null
+          created_at: string
+          started_at: string | null
+          completed_at: string | null
+        }
+        Insert: {
+          id?: string
+          job_id: string
+          document_id: string
+          user_id: string
+          status?: string
+          attempts?: number
+          max_attempts: number
+          available_at?: string
+          lease_owner?: string | null
+          lease_expires_at?: string | null
+          error?: string | null
+          failure_kind?: string | null
+          duration_ms?: number | null
+          created_at?: string
+          started_at?: string | null
+          completed_at?: string | null
+        }
+        Update: {
+          id?: string
+          job_id?: string
+          document_id?: string
+          user_id?: string
+          status?: string
+          attempts?: number
+          max_attempts?: number
+          available_at?: string
+          lease_owner?: string | null
+          lease_expires_at?: string | null
+          error?: string | null
+          failure_kind?: string | null
+          duration_ms?: number | null
+          created_at?: string
+          started_at?: string | null
+          completed_at?: string | null
+        }
+        Relationships: []
+      }
+      notifications: {
+        Row: {
+          id: string
+          user_id: string
+          type: string
+          severity: string
+          title: string
+          message: string
+          link: string | null
+          data: Json
+          read_at: string | null
+          created_at: string
+        }
+        Insert: {
+          id?: string
+          user_id: string
+          type: string
+          severity?: string
+          title: string
+          message: string
+          link?: string | null
+          data?: Json
+          read_at?: string | null
+          created_at?: string
+        }
+        Update: {
+          id?: string
+          user_id?: string
+          type?: string
+          severity?: string
+          title?: string
+          message?: string
+          link?: string | null
+          data?: Json
+          read_at?: string | null
+          created_at?: string
+        }
+        Relationships: []
+      }
+      notification_preferences: {
+        Row: {
+          user_id: string
+          email_enabled: boolean
+          email_address: string | null
+          muted_types: string[]
+          updated_at: string
+        }
+        Insert: {
+          user_id: string
+          email_enabled?: boolean
+          email_address?: string | null
+          muted_types?: string[]
+          updated_at?: string
+        }
+        Update: {
+          user_id?: string
+          email_enabled?: boolean
+          email_address?: string | null
+          muted_types?: string[]
+          updated_at?: string
+        }
+        Relationships: []
+      }
+      webhook_subscriptions: {
+        Row: {
+          id: string
+          user_id: string
+          url: string
+          description: string | null
+          event_types: string[]
+          secret: string
+          active: boolean
+          created_at: string
+          updated_at: string
+        }
+        Insert: {
+          id?: string
+          user_id: string
+          url: string
+          description?: string | null
+          event_types: string[]
+          secret: string
+          active?: boolean
+          created_at?: string
+          updated_at?: string
+        }
+        Update: {
+          id?: string
+          user_id?: string
+          url?: string
+          description?: string | null
+          event_types?: string[]
+          secret?: string
+          active?: boolean
+          created_at?: string
+          updated_at?: string
+        }
+        Relationships: []
+      }
+      webhook_deliveries: {
+        Row: {
+          id: string
+          subscription_id: string
+          user_id: string
+          event_type: string
+          payload: Json
+          status: string
+          attempts: number
+          max_attempts: number
+          next_attempt_at: string
+          attempt_log: Json
+          last_status_code: number | null
+          last_error: string | null
+          last_response_body: string | null
+          replay_of: string | null
+          created_at: string
+          delivered_at: string | null
+        }
+        Insert: {
+          id?: string
+          subscription_id: string
+          user_id: string
+          event_type: string
+          payload: Json
+          status?: string
+          attempts?: number
+          max_attempts: number
+          next_attempt_at?: string
+          attempt_log?: Json
+          last_status_code?: number | null
+          last_error?: string | null
+          last_response_body?: string | null
+          replay_of?: string | null
+          created_at?: string
+          delivered_at?: string | null
+        }
+        Update: {
+          id?: string
+          subscription_id?: string
+          user_id?: string
+          event_type?: string
+          payload?: Json
+          status?: string
+          attempts?: number
+          max_attempts?: number
+          next_attempt_at?: string
+          attempt_log?: Json
+          last_status_code?: number | null
+          last_error?: string | null
+          last_response_body?: string | null
+          replay_of?: string | null
+          created_at?: string
+          delivered_at?: string | null
+        }
+        Relationships: []
       }
     }
     Views: {
@@ -197,6 +620,7 @@ export type Database = {
           violation_count: number
           violations: Json
         }
+        Relationships: []
       }
     }
     Functions: {
@@ -210,6 +634,19 @@ export type Database = {
         Args: Record<PropertyKey, never>
         Returns: unknown
       }
+      claim_batch_task: {
+        Args: {
+          p_worker_id: string
+          p_lease_seconds: number
+        }
+        Returns: Database['public']['Tables']['batch_tasks']['Row'][]
+      }
+      refresh_batch_job: {
+        Args: {
+          p_job_id: string
+        }
+        Returns: Database['public']['Tables']['batch_jobs']['Row'][]
+      }
     }
     Enums: {
       document_status: "uploaded" | "processing" | "analyzed" | "error"
@@ -217,6 +654,7 @@ export type Database = {
       violation_severity: "low" | "medium" | "high" | "critical"
       document_type: "pdf" | "docx" | "txt" | "html" | "markdown"
     }
+    CompositeTypes: {}
   }
 }
 
@@ -45,11 +45,12 @@ export const hashText = (text: string): string => {
 }
 
 export const createCacheKey = {
-  analysis: (textOrId: string, options: { marketing?: boolean; context?: string } = {}): string => {
+  analysis: (textOrId: string, options: { marketing?: boolean; context?: string; scope?: string } = {}): string => {
     const hash = hashText(textOrId)
     const suffix = options.marketing ? ':marketing' : ''
     const contextSuffix = options.context ? `:${hashText(options.context)}` : ''
-    return `analysis:${hash}${suffix}${contextSuffix}`
+    const scopeSuffix = options.scope ? `:${hashText(options.scope)}` : ''
+    return `analysis:${hash}${suffix}${contextSuffix}${scopeSuffix}`
   },
   simple: (text: string, type: string = 'analysis'): string => {
     const hash = hashText(text)
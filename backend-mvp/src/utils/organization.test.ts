@@ -0,0 +1,18 @@
+import { describe, test, expect } from '@jest/globals'
+import { resolveOrganizationId, resolveEntityType } from './organization'
+
+describe('organization scoping', () => {
+  test('should take the organization and entity type from app metadata', () => {
+    const user = { id: 'user-1', appMetadata: { organization_id: 'org-1', entity_type: 'nbfc' } }
+
+    expect(resolveOrganizationId(user)).toBe('org-1')
+    expect(resolveEntityType(user)).toBe('nbfc')
+  })
+
+  test('should ignore user-editable metadata', () => {
+    const user = { id: 'user-1', metadata: { organization_id: 'other-tenant', entity_type: 'bank' }, appMetadata: {} }
+
+    expect(resolveOrganizationId(user)).toBe('user-1')
+    expect(resolveEntityType(user)).toBeUndefined()
+  })
+})
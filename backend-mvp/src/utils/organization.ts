@@ -0,0 +1,23 @@
+interface OrganizationScopedUser {
+  id: string
+  appMetadata?: Record<string, any>
+}
+
+/**
+ * Resolve the organization a user acts for.
+ * Only Supabase app_metadata is trusted: it is set server-side, while users can edit their own
+ * user_metadata and would otherwise pick another tenant's organization. Users without an
+ * organization are treated as a single-member organization keyed by their own user ID, so
+ * per-organization settings still apply.
+ */
+export const resolveOrganizationId = (user: OrganizationScopedUser): string => {
+  return user.appMetadata?.organization_id || user.id
+}
+
+/**
+ * Resolve the regulated entity type (bank, nbfc, payment_aggregator, ...) of a user's organization,
+ * from app_metadata for the same reason
+ */
+export const resolveEntityType = (user: OrganizationScopedUser): string | undefined => {
+  return user.appMetadata?.entity_type || undefined
+}
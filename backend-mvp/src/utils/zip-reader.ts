@@ -0,0 +1,78 @@
+import { inflateRawSync } from 'zlib'
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50
+const LOCAL_FILE_HEADER = 0x04034b50
+const MAX_EOCD_SEARCH = 22 + 0xffff // Fixed record plus the longest archive comment
+
+// Office documents are a few MB of XML at most; anything larger is treated as a zip bomb
+const MAX_ENTRY_SIZE = 50 * 1024 * 1024
+
+/**
+ * Read entries from a ZIP archive (DOCX and PPTX are ZIP containers of XML parts).
+ * Only stored and deflated entries are supported, which covers Office Open XML files.
+ * Pass a filter to skip inflating parts that are not needed (media, thumbnails).
+ */
+export const readZipEntries = (
+  buffer: Buffer,
+  filter: (name: string) => boolean = () => true
+): Map<string, Buffer> => {
+  const eocdOffset = findEndOfCentralDirectory(buffer)
+  const entryCount = buffer.readUInt16LE(eocdOffset + 10)
+  let offset = buffer.readUInt32LE(eocdOffset + 16)
+
+  if (offset === 0xffffffff || entryCount === 0xffff) {
+    throw new Error('ZIP64 archives are not supported')
+  }
+
+  const entries = new Map<string, Buffer>()
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt ZIP central directory')
+    }
+
+    const method = buffer.readUInt16LE(offset + 10)
+    const compressedSize = buffer.readUInt32LE(offset + 20)
+    const nameLength = buffer.readUInt16LE(offset + 28)
+    const extraLength = buffer.readUInt16LE(offset + 30)
+    const commentLength = buffer.readUInt16LE(offset + 32)
+    const localHeaderOffset = buffer.readUInt32LE(offset + 42)
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength)
+
+    offset += 46 + nameLength + extraLength + commentLength
+
+    if (name.endsWith('/') || !filter(name)) continue
+
+    if (buffer.readUInt32LE(localHeaderOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt ZIP entry: ${name}`)
+    }
+
+    const dataStart = localHeaderOffset + 30
+      + buffer.readUInt16LE(localHeaderOffset + 26)
+      + buffer.readUInt16LE(localHeaderOffset + 28)
+    const data = buffer.subarray(dataStart, dataStart + compressedSize)
+
+    if (method === 0) {
+      entries.set(name, data)
+    } else if (method === 8) {
+      entries.set(name, inflateRawSync(data, { maxOutputLength: MAX_ENTRY_SIZE }))
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`)
+    }
+  }
+
+  return entries
+}
+
+const findEndOfCentralDirectory = (buffer: Buffer): number => {
+  const lowest = Math.max(0, buffer.length - MAX_EOCD_SEARCH)
+
+  for (let offset = buffer.length - 22; offset >= lowest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset
+    }
+  }
+
+  throw new Error('Not a ZIP archive')
+}
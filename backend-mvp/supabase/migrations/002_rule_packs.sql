@@ -0,0 +1,26 @@
+-- Per-organization custom rule packs layered over the RBI marketing baseline
+CREATE TABLE IF NOT EXISTS rule_packs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  entity_type TEXT, -- NULL applies to every entity type
+  priority INTEGER NOT NULL DEFAULT 0, -- Higher priority packs are applied last
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  rules JSONB NOT NULL DEFAULT '[]'::jsonb, -- House rules in MarketingRule format
+  overrides JSONB NOT NULL DEFAULT '{}'::jsonb, -- rule_id -> { disabled, severity, scoring_weight, impact_multiplier }
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rule_packs_organization ON rule_packs (organization_id, is_active);
+
+CREATE TRIGGER update_rule_packs_updated_at
+  BEFORE UPDATE ON rule_packs
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- No policies on purpose: the backend reaches this table only with the service role (supabaseServer)
+-- and scopes rule packs to the caller's organization, so the public anon key gets no rows at all.
+-- Later migrations follow the same model for the tables they add.
+ALTER TABLE rule_packs ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,14 @@
+-- Every RBI marketing guidelines file the backend has loaded, so past analyses stay explainable
+CREATE TABLE IF NOT EXISTS guideline_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  version TEXT NOT NULL, -- metadata.version from the guidelines file
+  content_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the file content
+  guidelines JSONB NOT NULL, -- Full guidelines document as loaded
+  total_rules INTEGER NOT NULL DEFAULT 0,
+  first_loaded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_guideline_versions_version ON guideline_versions (version, first_loaded_at DESC);
+
+-- No policies: only the service role (supabaseServer) records guideline snapshots
+ALTER TABLE guideline_versions ENABLE ROW LEVEL SECURITY;
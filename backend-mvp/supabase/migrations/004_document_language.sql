@@ -0,0 +1,5 @@
+-- Languages detected in each document's extracted text (primary first)
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS language TEXT;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS detected_languages TEXT[];
+
+CREATE INDEX IF NOT EXISTS idx_documents_language ON documents (language);
@@ -0,0 +1,17 @@
+-- Per-organization analysis settings
+CREATE TABLE IF NOT EXISTS organization_settings (
+  organization_id TEXT PRIMARY KEY,
+  llm_provider TEXT CHECK (llm_provider IN ('gemini', 'openai_compatible', 'stub')), -- NULL uses the server default
+  llm_model TEXT, -- NULL uses the provider's configured model
+  updated_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TRIGGER update_organization_settings_updated_at
+  BEFORE UPDATE ON organization_settings
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- No policies: settings are read and written only through the service role (supabaseServer),
+-- scoped to the caller's organization by the backend
+ALTER TABLE organization_settings ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,4 @@
+-- Default scoring profile per organization; scans may still choose their own strictness level
+ALTER TABLE organization_settings
+  ADD COLUMN IF NOT EXISTS scoring_profile TEXT
+    CHECK (scoring_profile IN ('lenient', 'standard', 'strict')); -- NULL uses the server default
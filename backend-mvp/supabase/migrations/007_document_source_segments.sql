@@ -0,0 +1,3 @@
+-- Paragraph, slide and heading boundaries of DOCX, PPTX, HTML and TXT uploads, as character
+-- offsets into extracted_text, so violations can report where they appear in the original file
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS source_segments JSONB;
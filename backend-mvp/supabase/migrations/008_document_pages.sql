@@ -0,0 +1,3 @@
+-- Per-page text of PDF uploads: [{ page, text, extraction: 'text_layer' | 'ocr', ocrConfidence }]
+-- Scanned pages without a text layer are OCR'd; source_segments maps their offsets to page numbers
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS pages JSONB;
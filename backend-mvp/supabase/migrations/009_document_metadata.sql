@@ -0,0 +1,3 @@
+-- Extraction metadata per document. metadata.ocr holds the OCR engine, document and page
+-- confidence (0-1) and word-level boxes with their offsets into extracted_text.
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}'::jsonb;
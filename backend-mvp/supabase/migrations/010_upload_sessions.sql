@@ -0,0 +1,29 @@
+-- Resumable chunked uploads for creatives too large for a single request (print-ready PDFs, video).
+-- Chunks are streamed to the server's upload directory; this row tracks the session so an
+-- interrupted upload can be resumed and a repeated complete request returns the same document
+CREATE TABLE IF NOT EXISTS upload_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  file_name TEXT NOT NULL,
+  mimetype TEXT NOT NULL,
+  size BIGINT NOT NULL CHECK (size > 0),
+  chunk_size INTEGER NOT NULL CHECK (chunk_size > 0),
+  total_chunks INTEGER NOT NULL CHECK (total_chunks > 0),
+  status TEXT NOT NULL DEFAULT 'uploading' CHECK (status IN ('uploading', 'processing', 'completed', 'failed')),
+  scan_config JSONB NOT NULL DEFAULT '{}'::jsonb, -- Analysis options applied once the file is processed
+  document_id UUID REFERENCES documents(id) ON DELETE SET NULL,
+  error TEXT,
+  expires_at TIMESTAMPTZ NOT NULL, -- Unfinished sessions and their chunks are removed after this
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_user ON upload_sessions (user_id, status);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires ON upload_sessions (expires_at) WHERE status <> 'completed';
+
+CREATE TRIGGER update_upload_sessions_updated_at
+  BEFORE UPDATE ON upload_sessions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- No policies: only the service role (supabaseServer) manages upload sessions, per user
+ALTER TABLE upload_sessions ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,8 @@
+-- Fingerprints for linking re-uploads and minor variants of already-analyzed creatives:
+-- the file's SHA-256, a 128-value MinHash signature of its text, and the signature's LSH band keys
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS content_hash TEXT;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS similarity_signature JSONB;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS similarity_bands TEXT[];
+
+CREATE INDEX IF NOT EXISTS idx_documents_content_hash ON documents (user_id, content_hash);
+CREATE INDEX IF NOT EXISTS idx_documents_similarity_bands ON documents USING GIN (similarity_bands);
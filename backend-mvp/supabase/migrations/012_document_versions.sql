@@ -0,0 +1,29 @@
+-- Revisions of the same creative form a version chain. Every document belongs to a group named
+-- after its first version; a revision records the version it replaces and its number in the chain.
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS version_group_id UUID;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS version_number INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS previous_version_id UUID REFERENCES documents(id) ON DELETE SET NULL;
+
+UPDATE documents SET version_group_id = id WHERE version_group_id IS NULL;
+
+-- A first version starts its own group; the id default is already applied when this runs
+CREATE OR REPLACE FUNCTION set_document_version_group()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.version_group_id := COALESCE(NEW.version_group_id, NEW.id);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_documents_version_group ON documents;
+CREATE TRIGGER set_documents_version_group
+  BEFORE INSERT ON documents
+  FOR EACH ROW EXECUTE FUNCTION set_document_version_group();
+
+ALTER TABLE documents ALTER COLUMN version_group_id SET NOT NULL;
+
+-- Two revisions uploaded at once cannot take the same number
+CREATE UNIQUE INDEX IF NOT EXISTS idx_documents_version_chain ON documents (version_group_id, version_number);
+
+-- Revision named when a chunked upload was started; numbered when the upload is processed
+ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS previous_version_id UUID REFERENCES documents(id) ON DELETE SET NULL;
@@ -0,0 +1,31 @@
+-- Uploaded creatives and generated reports move to private storage behind signed URLs. A file's
+-- backend (supabase, s3 or local) and object key are recorded with it instead of a public URL, so
+-- files stay readable after STORAGE_BACKEND is switched.
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS storage_backend TEXT;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS storage_path TEXT;
+ALTER TABLE documents ALTER COLUMN url DROP NOT NULL;
+
+-- Public URLs percent-encode the object key
+CREATE OR REPLACE FUNCTION pg_temp.url_decode(encoded TEXT)
+RETURNS TEXT AS $$
+  SELECT convert_from(string_agg(
+    CASE WHEN length(part[1]) = 3 AND left(part[1], 1) = '%'
+      THEN decode(substring(part[1] FROM 2), 'hex')
+      ELSE convert_to(part[1], 'UTF8')
+    END, ''::bytea ORDER BY position), 'UTF8')
+  FROM regexp_matches(encoded, '%[0-9a-fA-F]{2}|[^%]+|%', 'g') WITH ORDINALITY AS parts(part, position)
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Existing uploads are in the Supabase documents bucket under their public URLs
+UPDATE documents
+SET storage_backend = 'supabase',
+    storage_path = pg_temp.url_decode(split_part(substring(url FROM '/storage/v1/object/public/documents/(.*)$'), '?', 1))
+WHERE storage_path IS NULL
+  AND url LIKE '%/storage/v1/object/public/documents/%';
+
+UPDATE documents SET url = NULL WHERE storage_path IS NOT NULL;
+
+ALTER TABLE generated_reports ADD COLUMN IF NOT EXISTS storage_backend TEXT NOT NULL DEFAULT 'supabase';
+
+-- Public URLs handed out before this migration stop working
+UPDATE storage.buckets SET public = false WHERE id IN ('documents', 'reports');
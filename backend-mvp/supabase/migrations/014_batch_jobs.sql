@@ -0,0 +1,111 @@
+-- Durable batch analysis queue. A job holds one task per document; workers in any API or worker
+-- process claim tasks under a lease and renew it while they run, so a task whose worker died is
+-- claimed again once its lease expires and jobs survive restarts.
+CREATE TABLE IF NOT EXISTS batch_jobs (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'partial')),
+  options JSONB NOT NULL DEFAULT '{}'::jsonb, -- Concurrency, retries, timeout and analysis settings
+  total_count INTEGER NOT NULL CHECK (total_count > 0),
+  completed_count INTEGER NOT NULL DEFAULT 0,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  notified_at TIMESTAMPTZ -- Set by the one worker that sends the completion notification
+);
+
+CREATE INDEX IF NOT EXISTS idx_batch_jobs_user ON batch_jobs (user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS batch_tasks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id TEXT NOT NULL REFERENCES batch_jobs(id) ON DELETE CASCADE,
+  document_id UUID NOT NULL,
+  user_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'succeeded', 'failed', 'cancelled')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL CHECK (max_attempts > 0),
+  available_at TIMESTAMPTZ NOT NULL DEFAULT now(), -- Retries wait here until their backoff has passed
+  lease_owner TEXT,
+  lease_expires_at TIMESTAMPTZ,
+  error TEXT,
+  duration_ms INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  UNIQUE (job_id, document_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_batch_tasks_claimable ON batch_tasks (status, available_at);
+CREATE INDEX IF NOT EXISTS idx_batch_tasks_job ON batch_tasks (job_id, status);
+
+-- Lease the next runnable task: a pending task whose backoff has passed, or a task whose worker's
+-- lease expired. A job's concurrency option caps how many of its tasks are leased at once.
+-- SKIP LOCKED lets any number of workers claim at the same time without taking the same task.
+CREATE OR REPLACE FUNCTION claim_batch_task(p_worker_id TEXT, p_lease_seconds INTEGER)
+RETURNS SETOF batch_tasks AS $$
+  UPDATE batch_tasks t
+  SET status = 'processing',
+      lease_owner = p_worker_id,
+      lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+      attempts = t.attempts + 1,
+      started_at = COALESCE(t.started_at, now())
+  WHERE t.id = (
+    SELECT c.id
+    FROM batch_tasks c
+    JOIN batch_jobs j ON j.id = c.job_id
+    WHERE j.status IN ('pending', 'processing')
+      AND (
+        (c.status = 'pending' AND c.available_at <= now())
+        OR (c.status = 'processing' AND c.lease_expires_at < now())
+      )
+      AND (
+        SELECT count(*)
+        FROM batch_tasks r
+        WHERE r.job_id = c.job_id AND r.status = 'processing' AND r.lease_expires_at >= now()
+      ) < COALESCE((j.options->>'concurrency')::INTEGER, 3)
+    ORDER BY c.available_at, c.created_at
+    LIMIT 1
+    FOR UPDATE OF c SKIP LOCKED
+  )
+  RETURNING t.*;
+$$ LANGUAGE sql;
+
+-- Recount a job's tasks. Once none are left to run, the job gets its final status; a job that
+-- already ended (a cancelled one) keeps its status but still counts tasks that finish after.
+CREATE OR REPLACE FUNCTION refresh_batch_job(p_job_id TEXT)
+RETURNS SETOF batch_jobs AS $$
+  WITH counts AS (
+    SELECT
+      count(*) FILTER (WHERE status = 'succeeded') AS completed,
+      count(*) FILTER (WHERE status = 'failed') AS failed,
+      count(*) FILTER (WHERE status IN ('pending', 'processing')) AS open
+    FROM batch_tasks
+    WHERE job_id = p_job_id
+  )
+  UPDATE batch_jobs j
+  SET completed_count = counts.completed,
+      failed_count = counts.failed,
+      status = CASE
+        WHEN j.status NOT IN ('pending', 'processing') OR counts.open > 0 THEN j.status
+        WHEN counts.failed = 0 THEN 'completed'
+        WHEN counts.completed = 0 THEN 'failed'
+        ELSE 'partial'
+      END,
+      completed_at = CASE
+        WHEN j.completed_at IS NULL AND counts.open = 0 THEN now()
+        ELSE j.completed_at
+      END
+  FROM counts
+  WHERE j.id = p_job_id
+  RETURNING j.*;
+$$ LANGUAGE sql;
+
+-- No policies: only the service role (supabaseServer) reads and changes the queue, so the public
+-- anon key can neither see nor alter anyone's jobs, and only the service role may claim tasks
+ALTER TABLE batch_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE batch_tasks ENABLE ROW LEVEL SECURITY;
+
+REVOKE EXECUTE ON FUNCTION claim_batch_task(TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION refresh_batch_job(TEXT) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,44 @@
+-- Pause/resume, retries of a finished job's failures as a child job, and failure kinds. A paused
+-- job's tasks are not claimed; the ones already running finish. Transient failures (rate limits,
+-- timeouts) are retried with backoff, permanent ones (no extracted text) fail at once.
+ALTER TABLE batch_jobs DROP CONSTRAINT IF EXISTS batch_jobs_status_check;
+ALTER TABLE batch_jobs ADD CONSTRAINT batch_jobs_status_check
+  CHECK (status IN ('pending', 'processing', 'paused', 'completed', 'failed', 'partial'));
+
+ALTER TABLE batch_jobs
+  ADD COLUMN IF NOT EXISTS parent_job_id TEXT REFERENCES batch_jobs(id) ON DELETE SET NULL, -- Job whose failures this one retries
+  ADD COLUMN IF NOT EXISTS paused_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_batch_jobs_parent ON batch_jobs (parent_job_id);
+
+ALTER TABLE batch_tasks
+  ADD COLUMN IF NOT EXISTS failure_kind TEXT CHECK (failure_kind IN ('transient', 'permanent'));
+
+-- As in 014, but a paused job whose last running task finishes gets its final status too
+CREATE OR REPLACE FUNCTION refresh_batch_job(p_job_id TEXT)
+RETURNS SETOF batch_jobs AS $$
+  WITH counts AS (
+    SELECT
+      count(*) FILTER (WHERE status = 'succeeded') AS completed,
+      count(*) FILTER (WHERE status = 'failed') AS failed,
+      count(*) FILTER (WHERE status IN ('pending', 'processing')) AS open
+    FROM batch_tasks
+    WHERE job_id = p_job_id
+  )
+  UPDATE batch_jobs j
+  SET completed_count = counts.completed,
+      failed_count = counts.failed,
+      status = CASE
+        WHEN j.status NOT IN ('pending', 'processing', 'paused') OR counts.open > 0 THEN j.status
+        WHEN counts.failed = 0 THEN 'completed'
+        WHEN counts.completed = 0 THEN 'failed'
+        ELSE 'partial'
+      END,
+      completed_at = CASE
+        WHEN j.completed_at IS NULL AND counts.open = 0 THEN now()
+        ELSE j.completed_at
+      END
+  FROM counts
+  WHERE j.id = p_job_id
+  RETURNING j.*;
+$$ LANGUAGE sql;
@@ -0,0 +1,37 @@
+-- Per-user notifications for finished batch jobs, critical violations and generated reports. Every
+-- notification is kept for the in-app list; email and webhook delivery are opt-in per user.
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('batch_completed', 'critical_violation', 'report_ready')),
+  severity TEXT NOT NULL DEFAULT 'info' CHECK (severity IN ('info', 'success', 'warning', 'critical')),
+  title TEXT NOT NULL,
+  message TEXT NOT NULL,
+  link TEXT, -- App path the notification opens, e.g. /compliance-results-violations?documentId=...
+  data JSONB NOT NULL DEFAULT '{}',
+  read_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications (user_id) WHERE read_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id TEXT PRIMARY KEY,
+  email_enabled BOOLEAN NOT NULL DEFAULT false,
+  email_address TEXT,
+  webhook_enabled BOOLEAN NOT NULL DEFAULT false,
+  webhook_url TEXT,
+  webhook_secret TEXT, -- Signs webhook payloads (HMAC-SHA256); generated by the server
+  muted_types TEXT[] NOT NULL DEFAULT '{}', -- Types kept in the in-app list only, never emailed or posted
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TRIGGER update_notification_preferences_updated_at
+  BEFORE UPDATE ON notification_preferences
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- No policies: only the service role (supabaseServer) reads and writes notifications and preferences,
+-- always for the requesting user
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notification_preferences ENABLE ROW LEVEL SECURITY;
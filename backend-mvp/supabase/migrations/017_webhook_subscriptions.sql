@@ -0,0 +1,62 @@
+-- Outbound webhooks. A subscription receives the user's events of the types it lists (SocketEvent
+-- names, as sent on GET /api/events), each as a signed POST. Every event sent to a subscription is a
+-- delivery, retried with backoff until it succeeds or runs out of attempts, and kept as a log.
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  url TEXT NOT NULL,
+  description TEXT,
+  event_types TEXT[] NOT NULL CHECK (cardinality(event_types) > 0),
+  secret TEXT NOT NULL, -- Signs payloads (HMAC-SHA256)
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_user ON webhook_subscriptions (user_id);
+
+CREATE TRIGGER update_webhook_subscriptions_updated_at
+  BEFORE UPDATE ON webhook_subscriptions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  payload JSONB NOT NULL, -- Body sent on every attempt: { id, event, createdAt, data }
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL,
+  -- When a pending delivery is next sent. A process sending it moves this past its timeout, so
+  -- another process only sends it again if that one died.
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  attempt_log JSONB NOT NULL DEFAULT '[]', -- [{ at, statusCode, error, durationMs }]
+  last_status_code INTEGER,
+  last_error TEXT,
+  last_response_body TEXT,
+  replay_of UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  delivered_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries (subscription_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created ON webhook_deliveries (created_at);
+
+-- Notification webhooks (016) become subscriptions to notification:created
+INSERT INTO webhook_subscriptions (user_id, url, description, event_types, secret, active)
+SELECT user_id, webhook_url, 'Notifications', ARRAY['notification:created'], webhook_secret, webhook_enabled
+FROM notification_preferences
+WHERE webhook_url IS NOT NULL AND webhook_secret IS NOT NULL;
+
+ALTER TABLE notification_preferences
+  DROP COLUMN IF EXISTS webhook_enabled,
+  DROP COLUMN IF EXISTS webhook_url,
+  DROP COLUMN IF EXISTS webhook_secret;
+
+COMMENT ON COLUMN notification_preferences.muted_types IS 'Notification types kept in the in-app list only, never emailed';
+
+-- No policies: secrets and delivery logs are reached only through the service role (supabaseServer)
+ALTER TABLE webhook_subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
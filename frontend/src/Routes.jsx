@@ -12,6 +12,7 @@ import RegulatoryGuidelinesDatabase from './pages/regulatory-guidelines-database
 import RegulatoryUpdatesNotifications from './pages/regulatory-updates-notifications';
 import Dashboard from './pages/dashboard';
 import ContentUploadScanning from './pages/content-upload-scanning';
+import GuidelineImpactPreview from './pages/guideline-impact-preview';
 
 const Routes = () => {
   return (
@@ -80,6 +81,15 @@ const Routes = () => {
           } 
         />
         
+        <Route 
+          path="/guideline-impact-preview" 
+          element={
+            <ProtectedRoute>
+              <GuidelineImpactPreview />
+            </ProtectedRoute>
+          } 
+        />
+        
         {/* Catch all route */}
         <Route path="*" element={<NotFound />} />
       </RouterRoutes>
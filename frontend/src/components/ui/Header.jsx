@@ -37,7 +37,8 @@ const Header = () => {
       tooltip: 'Access regulatory guidelines and updates',
       subItems: [
         { label: 'Guidelines Database', path: '/regulatory-guidelines-database' },
-        { label: 'Regulatory Updates', path: '/regulatory-updates-notifications' }
+        { label: 'Regulatory Updates', path: '/regulatory-updates-notifications' },
+        { label: 'Guideline Change Preview', path: '/guideline-impact-preview' }
       ]
     },
     {
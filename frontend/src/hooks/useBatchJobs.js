@@ -0,0 +1,98 @@
+import { useState, useEffect, useCallback } from 'react'
+import apiService from '../services/apiService'
+
+// Server-side batch analysis jobs, kept current by the event stream's batch:progress events
+// Progress from standalone batch workers is not streamed, so unfinished jobs are also polled
+const POLL_INTERVAL_MS = 15000
+const isRunning = (job) => job.status === 'pending' || job.status === 'processing'
+
+export const useBatchJobs = () => {
+  const [jobs, setJobs] = useState([])
+  const [error, setError] = useState(null)
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const response = await apiService.getBatchJobs()
+      setJobs(response.data.jobs || [])
+    } catch (err) {
+      console.error('Failed to fetch batch jobs:', err)
+      setError(err.message || 'Failed to fetch batch jobs')
+    }
+  }, [])
+
+  // Progress events carry counts only; per-document results come with the job
+  const refreshJob = useCallback(async (jobId) => {
+    try {
+      const { job } = (await apiService.getBatchJob(jobId)).data
+      setJobs(prev => prev.some(existing => existing.id === jobId)
+        ? prev.map(existing => existing.id === jobId ? job : existing)
+        : [job, ...prev])
+    } catch (err) {
+      console.warn('Failed to refresh batch job:', err)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchJobs()
+
+    return apiService.subscribeToEvents(({ event, data }) => {
+      if (event === 'batch:progress') refreshJob(data.jobId)
+    })
+  }, [fetchJobs, refreshJob])
+
+  const hasRunningJobs = jobs.some(isRunning)
+  useEffect(() => {
+    if (!hasRunningJobs) return undefined
+
+    const interval = setInterval(fetchJobs, POLL_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [hasRunningJobs, fetchJobs])
+
+  // Run a job action, then show its outcome; the API explains why an action was refused
+  const runAction = useCallback(async (jobId, request) => {
+    setError(null)
+    try {
+      const response = await request()
+      await refreshJob(jobId)
+      return response.data
+    } catch (err) {
+      setError(err.message || 'Batch job action failed')
+      throw err
+    }
+  }, [refreshJob])
+
+  const createBatch = useCallback(async (documentIds, options = {}) => {
+    setError(null)
+    try {
+      const { jobId } = (await apiService.batchAnalyzeDocuments(documentIds, options)).data
+      await refreshJob(jobId)
+      return jobId
+    } catch (err) {
+      setError(err.message || 'Failed to start batch analysis')
+      throw err
+    }
+  }, [refreshJob])
+
+  const retryFailed = useCallback(async (jobId) => {
+    const { jobId: retryJobId } = await runAction(jobId, () => apiService.retryFailedBatchDocuments(jobId))
+    await refreshJob(retryJobId)
+    return retryJobId
+  }, [runAction, refreshJob])
+
+  return {
+    jobs,
+    error,
+
+    // Actions
+    fetchJobs,
+    createBatch,
+    pauseJob: (jobId) => runAction(jobId, () => apiService.pauseBatchJob(jobId)),
+    resumeJob: (jobId) => runAction(jobId, () => apiService.resumeBatchJob(jobId)),
+    cancelJob: (jobId) => runAction(jobId, () => apiService.cancelBatchJob(jobId)),
+    retryFailed,
+    requeueDocument: (jobId, documentId) => runAction(jobId, () => apiService.requeueBatchDocument(jobId, documentId)),
+    clearError: () => setError(null)
+  }
+}
+
+export default useBatchJobs
@@ -1,19 +1,52 @@
 import { useState, useCallback, useRef } from 'react'
 import apiService from '../services/apiService'
 
+// Files above this size are sent in resumable chunks instead of a single request
+const CHUNKED_UPLOAD_THRESHOLD = 8 * 1024 * 1024
+
+// Consecutive failed attempts at one request before a chunked upload gives up
+const MAX_NETWORK_RETRIES = 8
+
+// While analysis events stream in, status is only checked this often; without them it is polled
+const STATUS_CHECK_INTERVAL_MS = 30000
+
+// How long to wait for an analysis to finish
+const ANALYSIS_TIMEOUT_MS = 5 * 60 * 1000
+
+// Where an unfinished chunked upload's id is kept, so re-adding the same file after a reload resumes it
+const resumeKeyFor = (file) => `chunkedUpload:${file.name}:${file.size}:${file.lastModified}`
+
+const sha256 = async (data) => new Uint8Array(await crypto.subtle.digest('SHA-256', data))
+
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+
+// Dropped connections (status 0), timeouts, rate limiting and server errors are worth retrying
+const isRetryable = (error) => error?.status === 0 || [408, 429].includes(error?.status) || error?.status >= 500
+
+// Back off exponentially, or wait for the browser to come back online
+const waitForRetry = (attempt) => new Promise(resolve => {
+  if (navigator.onLine === false) {
+    window.addEventListener('online', () => resolve(), { once: true })
+  } else {
+    setTimeout(resolve, Math.min(1000 * Math.pow(2, attempt), 30000))
+  }
+})
+
 export const useFileUploadProgress = () => {
   const [uploads, setUploads] = useState(new Map()) // Map of fileId -> upload state
   const [globalProgress, setGlobalProgress] = useState({ current: 0, total: 0 })
   const cancelTokensRef = useRef(new Map())
+  const cancelledRef = useRef(new Set()) // fileIds cancelled by the user
+  const chunkedUploadsRef = useRef(new Map()) // fileId -> { uploadId, resumeKey } of chunked uploads
 
-  // Add file to upload queue
-  const addUpload = useCallback((file) => {
+  // Add file to upload queue, optionally as a new revision of an uploaded document
+  const addUpload = useCallback((file, { previousVersionId = null } = {}) => {
     const fileId = `${file.name}-${Date.now()}-${Math.random()}`
     
     const uploadState = {
       fileId,
       file,
-      status: 'queued', // queued, uploading, processing, analyzing, completed, failed, cancelled
+      status: 'queued', // queued, uploading, processing, duplicate, analyzing, completed, failed, cancelled
       progress: 0,
       uploadProgress: 0,
       processingProgress: 0,
@@ -22,6 +55,9 @@ export const useFileUploadProgress = () => {
       currentStage: 'queued',
       error: null,
       result: null,
+      similarDocuments: [], // Earlier identical or near-duplicate documents, when checkSimilarity is on
+      liveViolations: [], // Violations streamed while the analysis runs, before the full result
+      previousVersionId,
       startTime: null,
       endTime: null
     }
@@ -41,47 +77,209 @@ export const useFileUploadProgress = () => {
     })
   }, [])
 
+  // Retry a request through network drops; the chunk endpoints are safe to repeat
+  const withNetworkRetry = useCallback(async (fileId, request) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await request()
+        if (attempt > 0) updateUpload(fileId, { currentStage: 'uploading' })
+        return response
+      } catch (error) {
+        if (cancelledRef.current.has(fileId) || !isRetryable(error) || attempt >= MAX_NETWORK_RETRIES) {
+          throw error
+        }
+        updateUpload(fileId, { currentStage: 'reconnecting' })
+        await waitForRetry(attempt)
+      }
+    }
+  }, [updateUpload])
+
+  // Send a large file in SHA-256 verified chunks, skipping chunks the server already has, and
+  // wait for the server to process it. Resolves to the new document's id.
+  const uploadInChunks = useCallback(async (fileId, file, scanConfig, previousVersionId) => {
+    const resumeKey = resumeKeyFor(file)
+    let session = null
+
+    const savedUploadId = localStorage.getItem(resumeKey)
+    if (savedUploadId) {
+      try {
+        session = (await apiService.getChunkedUpload(savedUploadId)).data.upload
+      } catch (error) {
+        session = null // Expired or removed; start over
+      }
+      if (session?.status === 'failed') session = null
+    }
+
+    if (!session) {
+      session = (await withNetworkRetry(fileId, () => apiService.initChunkedUpload({
+        fileName: file.name,
+        mimetype: file.type || 'application/octet-stream',
+        size: file.size,
+        scanConfig,
+        ...(previousVersionId && { previousVersionId })
+      }))).data.upload
+      localStorage.setItem(resumeKey, session.uploadId)
+    }
+
+    chunkedUploadsRef.current.set(fileId, { uploadId: session.uploadId, resumeKey })
+    updateUpload(fileId, { uploadId: session.uploadId })
+
+    const { uploadId, chunkSize, totalChunks } = session
+    const received = new Set(session.receivedChunks)
+    const chunkDigests = []
+    let sentBytes = 0
+
+    // Time remaining is estimated from what this attempt has sent, not chunks sent before it resumed
+    const startTime = Date.now()
+    const resumedBytes = session.receivedChunks.reduce((sum, index) =>
+      sum + Math.min(chunkSize, file.size - index * chunkSize), 0)
+
+    const reportProgress = (loaded) => {
+      const uploadProgress = Math.round((loaded * 100) / file.size)
+      updateUpload(fileId, {
+        uploadProgress,
+        progress: Math.round(uploadProgress * 0.3), // Upload is 30% of total
+        estimatedTimeRemaining: calculateEstimatedTime(
+          { loaded: Math.max(0, loaded - resumedBytes), total: file.size - resumedBytes },
+          startTime
+        )
+      })
+    }
+
+    if (session.status === 'uploading') {
+      for (let index = 0; index < totalChunks; index++) {
+        if (cancelledRef.current.has(fileId)) throw new Error('Upload cancelled')
+
+        const chunk = file.slice(index * chunkSize, Math.min((index + 1) * chunkSize, file.size))
+        // Every chunk is hashed, including ones sent before the interruption, for the file checksum
+        const digest = await sha256(await chunk.arrayBuffer())
+        chunkDigests[index] = digest
+
+        if (!received.has(index)) {
+          await withNetworkRetry(fileId, () => apiService.uploadChunk(uploadId, index, chunk, toHex(digest), {
+            requestKey: fileId,
+            onProgress: (progressEvent) => reportProgress(sentBytes + progressEvent.loaded)
+          }))
+        }
+
+        sentBytes += chunk.size
+        reportProgress(sentBytes)
+      }
+
+      // The file checksum is the SHA-256 of the chunk digests in order
+      const digests = new Uint8Array(chunkDigests.length * 32)
+      chunkDigests.forEach((digest, index) => digests.set(digest, index * 32))
+      const checksum = toHex(await sha256(digests))
+
+      try {
+        await withNetworkRetry(fileId, () => apiService.completeChunkedUpload(uploadId, checksum))
+      } catch (error) {
+        // A checksum mismatch or failed session cannot be resumed
+        if (error.status === 422) localStorage.removeItem(resumeKey)
+        throw error
+      }
+    }
+
+    updateUpload(fileId, {
+      status: 'processing',
+      currentStage: 'processing',
+      uploadProgress: 100,
+      progress: 30
+    })
+
+    // Large files are processed in the background; poll until the document exists
+    const maxAttempts = 360 // About 30 minutes, for long videos
+    for (let attempts = 0; attempts < maxAttempts; attempts++) {
+      if (cancelledRef.current.has(fileId)) throw new Error('Upload cancelled')
+
+      const current = (await withNetworkRetry(fileId, () => apiService.getChunkedUpload(uploadId))).data.upload
+
+      if (current.status === 'completed') {
+        localStorage.removeItem(resumeKey)
+        return current.documentId
+      }
+
+      if (current.status === 'failed') {
+        localStorage.removeItem(resumeKey)
+        throw new Error(current.error || 'Processing failed')
+      }
+
+      await new Promise(resolve => setTimeout(resolve, Math.min(1000 * Math.pow(1.2, attempts), 5000)))
+    }
+
+    throw new Error('Processing timeout - please try again')
+  }, [updateUpload, withNetworkRetry])
+
   // Start file upload with real-time progress
-  const startUpload = useCallback(async (fileId, options = {}) => {
+  const startUpload = useCallback(async (fileId, scanConfig = {}) => {
     const upload = uploads.get(fileId)
     if (!upload) throw new Error('Upload not found')
 
     updateUpload(fileId, {
       status: 'uploading',
       startTime: new Date().toISOString(),
-      currentStage: 'uploading'
+      currentStage: 'uploading',
+      scanConfig
     })
 
     try {
-      // Upload file with progress tracking
-      const response = await apiService.uploadDocument(upload.file, {
-        requestKey: fileId,
-        onProgress: (progressEvent) => {
-          const uploadProgress = Math.round((progressEvent.loaded * 100) / progressEvent.total)
-          const overallProgress = Math.round(uploadProgress * 0.3) // Upload is 30% of total
-          
-          updateUpload(fileId, {
-            uploadProgress,
-            progress: overallProgress,
-            estimatedTimeRemaining: calculateEstimatedTime(progressEvent, upload.startTime)
-          })
-        },
-        ...options
-      })
+      let documentId
+      let similarity
+
+      if (upload.file.size > CHUNKED_UPLOAD_THRESHOLD) {
+        // Print-ready PDFs and videos: chunked, and resumed after network drops
+        documentId = await uploadInChunks(fileId, upload.file, scanConfig, upload.previousVersionId)
+
+        // Processed in the background, which records any similar documents on the document
+        const documentResponse = await apiService.getDocument(documentId)
+        similarity = documentResponse.data.document?.metadata?.similarity
+      } else {
+        // Upload file with progress tracking
+        const response = await apiService.uploadDocument(upload.file, {
+          requestKey: fileId,
+          onProgress: (progressEvent) => {
+            const uploadProgress = Math.round((progressEvent.loaded * 100) / progressEvent.total)
+            const overallProgress = Math.round(uploadProgress * 0.3) // Upload is 30% of total
+            
+            updateUpload(fileId, {
+              uploadProgress,
+              progress: overallProgress,
+              estimatedTimeRemaining: calculateEstimatedTime(progressEvent, upload.startTime)
+            })
+          },
+          // Analysis options (strictness level picks the backend scoring profile)
+          metadata: {
+            scanConfig: JSON.stringify(scanConfig),
+            ...(upload.previousVersionId && { previousVersionId: upload.previousVersionId })
+          }
+        })
 
-      const documentId = response.data.documentId
+        const { document } = response.data
+        documentId = document?.id
+        similarity = { matches: document?.similarDocuments || [], analysisDeferred: document?.analysisDeferred }
+      }
 
       updateUpload(fileId, {
         status: 'processing',
         currentStage: 'processing',
         progress: 30,
-        documentId
+        documentId,
+        similarDocuments: similarity?.matches || []
       })
 
+      // A re-upload or variant of an analyzed creative waits for the user to reuse that analysis
+      if (similarity?.analysisDeferred) {
+        updateUpload(fileId, { status: 'duplicate', currentStage: 'duplicate' })
+        return
+      }
+
       // Start analysis
       await startAnalysis(fileId, documentId)
 
     } catch (error) {
+      // Cancelled uploads keep their cancelled status
+      if (cancelledRef.current.has(fileId)) return
+
       updateUpload(fileId, {
         status: 'failed',
         error: error.message || 'Upload failed',
@@ -89,99 +287,129 @@ export const useFileUploadProgress = () => {
       })
       throw error
     }
-  }, [uploads, updateUpload])
+  }, [uploads, updateUpload, uploadInChunks])
+
+  // Fetch a finished analysis and show it as the upload's result
+  const showResults = useCallback(async (fileId, documentId) => {
+    const resultsResponse = await apiService.getAnalysisResults(documentId)
+    const results = resultsResponse.data.analysisResults[0]
+
+    // Transform backend results to frontend format
+    const transformedResult = {
+      complianceScore: results.compliance_score,
+      overallStatus: results.overall_status,
+      aiDegraded: !!results.analysis_metadata?.aiDegraded,
+      humanVerificationRequired: !!results.analysis_metadata?.humanVerification?.required,
+      violationsFound: results.violations?.length || 0,
+      warningsFound: 0, // Calculate based on severity
+      suggestionsFound: results.violations?.length || 0,
+      violations: results.violations?.map(v => ({
+        type: v.title,
+        severity: v.severity,
+        description: v.description,
+        guideline: v.category,
+        suggestion: v.suggestion,
+        needsHumanVerification: !!v.violation_metadata?.needsHumanVerification
+      })) || []
+    }
+
+    updateUpload(fileId, {
+      status: 'completed',
+      progress: 100,
+      currentStage: 'completed',
+      result: transformedResult,
+      endTime: new Date().toISOString()
+    })
+  }, [updateUpload])
 
-  // Monitor analysis progress using real-time status polling
+  // Follow the analysis over the server's event stream: each pipeline stage, and violations as
+  // they are found. Status is still checked now and then, and polled if the stream is unavailable.
   const startAnalysis = useCallback(async (fileId, documentId) => {
     updateUpload(fileId, {
       status: 'analyzing',
       currentStage: 'analyzing',
-      progress: 30
+      progress: 30,
+      liveViolations: []
     })
 
-    try {
-      // Poll for analysis status with exponential backoff
-      const pollAnalysisStatus = async () => {
-        let attempts = 0
-        const maxAttempts = 60 // 5 minutes max wait time
-        
-        while (attempts < maxAttempts) {
-          try {
-            const statusResponse = await apiService.getAnalysisStatus(documentId)
-            const status = statusResponse.data
-            
-            // Update progress based on real backend status
-            updateUpload(fileId, {
-              progress: status.progress,
-              currentStage: status.status,
-              processingProgress: Math.max(0, (status.progress - 30) * (100/70))
-            })
+    let settle
+    const outcome = new Promise(resolve => { settle = resolve })
+    let streaming = true
 
-            // Check if completed
-            if (status.status === 'completed') {
-              // Get final results
-              const resultsResponse = await apiService.getAnalysisResults(documentId)
-              const results = resultsResponse.data.analysisResults[0]
-
-              // Transform backend results to frontend format
-              const transformedResult = {
-                complianceScore: results.compliance_score,
-                overallStatus: results.overall_status,
-                violationsFound: results.violations?.length || 0,
-                warningsFound: 0, // Calculate based on severity
-                suggestionsFound: results.violations?.length || 0,
-                violations: results.violations?.map(v => ({
-                  type: v.title,
-                  severity: v.severity,
-                  description: v.description,
-                  guideline: v.category,
-                  suggestion: v.suggestion
-                })) || []
-              }
-
-              updateUpload(fileId, {
-                status: 'completed',
-                progress: 100,
-                currentStage: 'completed',
-                result: transformedResult,
-                endTime: new Date().toISOString()
-              })
-              return
-            }
-
-            // Check if failed
-            if (status.status === 'failed') {
-              updateUpload(fileId, {
-                status: 'failed',
-                error: status.message || 'Analysis failed',
-                endTime: new Date().toISOString()
-              })
-              return
-            }
-
-            // Wait before next poll (exponential backoff)
-            const delay = Math.min(1000 * Math.pow(1.2, attempts), 5000) // Max 5 second delay
-            await new Promise(resolve => setTimeout(resolve, delay))
-            attempts++
-
-          } catch (statusError) {
-            console.warn('Status polling error:', statusError)
-            attempts++
-            await new Promise(resolve => setTimeout(resolve, 2000))
-          }
-        }
+    const unsubscribe = apiService.subscribeToEvents(({ event, data }) => {
+      if (data?.documentId !== documentId) return
 
-        // Timeout - mark as failed
+      if (event === 'analysis:progress') {
         updateUpload(fileId, {
-          status: 'failed',
-          error: 'Analysis timeout - please try again',
-          endTime: new Date().toISOString()
+          currentStage: data.stage,
+          processingProgress: data.progress,
+          progress: 30 + Math.round(data.progress * 0.7) // Analysis is the last 70% of total
         })
+      } else if (event === 'violation:detected') {
+        setUploads(prev => {
+          const current = prev.get(fileId)
+          if (!current) return prev
+          return new Map(prev.set(fileId, {
+            ...current,
+            liveViolations: [...(current.liveViolations || []), data.violation]
+          }))
+        })
+      } else if (event === 'analysis:completed') {
+        settle({ status: 'completed' })
+      } else if (event === 'analysis:failed') {
+        settle({ status: 'failed', message: data.error })
+      }
+    }, () => { streaming = false })
+
+    // Catches analyses that finished before the stream opened, or ran where it cannot see them
+    const checkStatus = async () => {
+      try {
+        const status = (await apiService.getAnalysisStatus(documentId)).data
+        if (['completed', 'failed'].includes(status.status)) return status
+
+        if (!streaming) {
+          updateUpload(fileId, {
+            progress: status.progress,
+            currentStage: status.status,
+            processingProgress: Math.max(0, (status.progress - 30) * (100/70))
+          })
+        }
+      } catch (statusError) {
+        console.warn('Status check error:', statusError)
       }
+      return null
+    }
+
+    try {
+      const deadline = Date.now() + ANALYSIS_TIMEOUT_MS
+      let finished = null
 
-      // Start polling
-      await pollAnalysisStatus()
+      for (let attempts = 0; !finished && Date.now() < deadline; attempts++) {
+        if (cancelledRef.current.has(fileId)) return
 
+        finished = await checkStatus()
+        if (finished) break
+
+        // Poll with exponential backoff only while the stream is down
+        const delay = streaming ? STATUS_CHECK_INTERVAL_MS : Math.min(1000 * Math.pow(1.2, attempts), 5000)
+        finished = await Promise.race([
+          outcome,
+          new Promise(resolve => setTimeout(() => resolve(null), delay))
+        ])
+      }
+
+      if (cancelledRef.current.has(fileId)) return
+
+      if (finished?.status === 'completed') {
+        await showResults(fileId, documentId)
+        return
+      }
+
+      updateUpload(fileId, {
+        status: 'failed',
+        error: finished ? (finished.message || 'Analysis failed') : 'Analysis timeout - please try again',
+        endTime: new Date().toISOString()
+      })
     } catch (error) {
       updateUpload(fileId, {
         status: 'failed',
@@ -189,14 +417,52 @@ export const useFileUploadProgress = () => {
         endTime: new Date().toISOString()
       })
       throw error
+    } finally {
+      unsubscribe()
     }
-  }, [updateUpload])
+  }, [updateUpload, showResults])
+
+  // Copy the analysis of a matching earlier document instead of analyzing again
+  const reusePriorAnalysis = useCallback(async (fileId, sourceDocumentId) => {
+    const upload = uploads.get(fileId)
+    if (!upload?.documentId) throw new Error('Upload not found')
+
+    try {
+      await apiService.reuseAnalysis(upload.documentId, sourceDocumentId)
+      await startAnalysis(fileId, upload.documentId)
+    } catch (error) {
+      updateUpload(fileId, { error: error.message || 'Could not reuse the prior analysis' })
+      throw error
+    }
+  }, [uploads, updateUpload, startAnalysis])
+
+  // Analyze a duplicate anyway, e.g. when a variant's differences matter
+  const analyzeAnyway = useCallback(async (fileId) => {
+    const upload = uploads.get(fileId)
+    if (!upload?.documentId) throw new Error('Upload not found')
+
+    // The request returns once analysis finishes; progress comes from the event stream meanwhile
+    apiService.analyzeDocument(upload.documentId, upload.scanConfig || {}).catch(error => {
+      console.warn('Analysis request failed:', error)
+    })
+    await startAnalysis(fileId, upload.documentId)
+  }, [uploads, startAnalysis])
 
   // Cancel upload
   const cancelUpload = useCallback((fileId) => {
+    cancelledRef.current.add(fileId)
+
     // Cancel API request if in progress
     apiService.cancelRequest(fileId)
 
+    // Discard a partial chunked upload rather than leaving it on the server until it expires
+    const chunked = chunkedUploadsRef.current.get(fileId)
+    if (chunked) {
+      apiService.abortChunkedUpload(chunked.uploadId).catch(() => {})
+      localStorage.removeItem(chunked.resumeKey)
+      chunkedUploadsRef.current.delete(fileId)
+    }
+
     updateUpload(fileId, {
       status: 'cancelled',
       endTime: new Date().toISOString()
@@ -219,9 +485,9 @@ export const useFileUploadProgress = () => {
 
   // Batch upload multiple files
   const batchUpload = useCallback(async (files, options = {}) => {
-    const fileIds = files.map(file => addUpload(file))
-    
-    const { maxConcurrent = 3 } = options
+    const { maxConcurrent = 3, previousVersionId, ...scanConfig } = options
+    const fileIds = files.map(file => addUpload(file, { previousVersionId }))
+
     
     // Process uploads in batches to avoid overwhelming the server
     const results = []
@@ -231,7 +497,7 @@ export const useFileUploadProgress = () => {
       
       const batchPromises = batch.map(async (fileId) => {
         try {
-          await startUpload(fileId)
+          await startUpload(fileId, scanConfig)
           return { fileId, success: true }
         } catch (error) {
           return { fileId, success: false, error }
@@ -309,6 +575,8 @@ export const useFileUploadProgress = () => {
     removeUpload,
     batchUpload,
     clearCompleted,
+    reusePriorAnalysis,
+    analyzeAnyway,
 
     // Utilities
     getUpload: (fileId) => uploads.get(fileId),
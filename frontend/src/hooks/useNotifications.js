@@ -0,0 +1,99 @@
+import { useState, useEffect, useCallback } from 'react'
+import apiService from '../services/apiService'
+
+// The user's notifications, with new ones added as notification:created events arrive
+export const useNotifications = () => {
+  const [notifications, setNotifications] = useState([])
+  const [preferences, setPreferences] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const response = await apiService.getNotifications()
+      setNotifications(response.data.notifications || [])
+    } catch (err) {
+      console.error('Failed to fetch notifications:', err)
+      setError(err.message || 'Failed to fetch notifications')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const fetchPreferences = useCallback(async () => {
+    try {
+      const response = await apiService.getNotificationPreferences()
+      setPreferences(response.data.preferences)
+    } catch (err) {
+      console.warn('Failed to fetch notification preferences:', err)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchNotifications()
+    fetchPreferences()
+
+    // The stream replays recent events, so a notification may arrive after the list included it
+    return apiService.subscribeToEvents(({ event, data }) => {
+      if (event !== 'notification:created') return
+      setNotifications(prev => prev.some(existing => existing.id === data.notification.id)
+        ? prev
+        : [data.notification, ...prev])
+    })
+  }, [fetchNotifications, fetchPreferences])
+
+  const markRead = useCallback(async (notificationId) => {
+    setNotifications(prev => prev.map(notification => notification.id === notificationId && !notification.readAt
+      ? { ...notification, readAt: new Date().toISOString() }
+      : notification))
+    try {
+      await apiService.markNotificationRead(notificationId)
+    } catch (err) {
+      setError(err.message || 'Failed to mark notification as read')
+      fetchNotifications()
+    }
+  }, [fetchNotifications])
+
+  const markAllRead = useCallback(async () => {
+    const readAt = new Date().toISOString()
+    setNotifications(prev => prev.map(notification => notification.readAt ? notification : { ...notification, readAt }))
+    try {
+      await apiService.markAllNotificationsRead()
+    } catch (err) {
+      setError(err.message || 'Failed to mark notifications as read')
+      fetchNotifications()
+    }
+  }, [fetchNotifications])
+
+  // The API explains rejected settings (e.g. email switched on without an address)
+  const updatePreferences = useCallback(async (update) => {
+    setError(null)
+    try {
+      const response = await apiService.updateNotificationPreferences(update)
+      setPreferences(response.data.preferences)
+      return response.data.preferences
+    } catch (err) {
+      const details = err.response?.data?.details
+      setError(Array.isArray(details) && details.length
+        ? details.map(detail => detail.message).join('; ')
+        : err.message || 'Failed to update notification settings')
+      throw err
+    }
+  }, [])
+
+  return {
+    notifications,
+    preferences,
+    loading,
+    error,
+
+    // Actions
+    fetchNotifications,
+    markRead,
+    markAllRead,
+    updatePreferences,
+    clearError: () => setError(null)
+  }
+}
+
+export default useNotifications
@@ -0,0 +1,121 @@
+import { useState, useEffect, useCallback } from 'react'
+import apiService from '../services/apiService'
+
+const errorMessage = (err, fallback) => {
+  const details = err.response?.data?.details
+  return Array.isArray(details) && details.length
+    ? details.map(detail => detail.message).join('; ')
+    : err.message || fallback
+}
+
+// The user's webhook subscriptions and, per subscription, its recent deliveries
+export const useWebhooks = () => {
+  const [subscriptions, setSubscriptions] = useState([])
+  const [eventTypes, setEventTypes] = useState([])
+  const [deliveries, setDeliveries] = useState({})
+  // Secrets are only returned when created or rotated, so the latest one is kept to show once
+  const [revealedSecret, setRevealedSecret] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchSubscriptions = useCallback(async () => {
+    try {
+      const [subscriptionsResponse, eventTypesResponse] = await Promise.all([
+        apiService.getWebhookSubscriptions(),
+        apiService.getWebhookEventTypes()
+      ])
+      setSubscriptions(subscriptionsResponse.data.subscriptions || [])
+      setEventTypes(eventTypesResponse.data.eventTypes || [])
+    } catch (err) {
+      console.error('Failed to fetch webhook subscriptions:', err)
+      setError(err.message || 'Failed to fetch webhook subscriptions')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchSubscriptions()
+  }, [fetchSubscriptions])
+
+  const createSubscription = useCallback(async (subscription) => {
+    setError(null)
+    try {
+      const response = await apiService.createWebhookSubscription(subscription)
+      const { secret, ...created } = response.data.subscription
+      setSubscriptions(prev => [created, ...prev])
+      setRevealedSecret({ subscriptionId: created.id, secret })
+      return created
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to create webhook subscription'))
+      throw err
+    }
+  }, [])
+
+  const updateSubscription = useCallback(async (subscriptionId, update) => {
+    setError(null)
+    try {
+      const response = await apiService.updateWebhookSubscription(subscriptionId, update)
+      const { secret, ...updated } = response.data.subscription
+      setSubscriptions(prev => prev.map(subscription => subscription.id === subscriptionId ? updated : subscription))
+      if (secret) setRevealedSecret({ subscriptionId, secret })
+      return updated
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to update webhook subscription'))
+      throw err
+    }
+  }, [])
+
+  const deleteSubscription = useCallback(async (subscriptionId) => {
+    setError(null)
+    try {
+      await apiService.deleteWebhookSubscription(subscriptionId)
+      setSubscriptions(prev => prev.filter(subscription => subscription.id !== subscriptionId))
+      setRevealedSecret(prev => prev?.subscriptionId === subscriptionId ? null : prev)
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to delete webhook subscription'))
+    }
+  }, [])
+
+  const fetchDeliveries = useCallback(async (subscriptionId) => {
+    try {
+      const response = await apiService.getWebhookDeliveries(subscriptionId, { limit: 20 })
+      setDeliveries(prev => ({ ...prev, [subscriptionId]: response.data.deliveries || [] }))
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to fetch webhook deliveries'))
+    }
+  }, [])
+
+  // The replay is queued; the log is fetched again to list it
+  const replayDelivery = useCallback(async (subscriptionId, deliveryId) => {
+    setError(null)
+    try {
+      await apiService.replayWebhookDelivery(deliveryId)
+      await fetchDeliveries(subscriptionId)
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to replay webhook delivery'))
+    }
+  }, [fetchDeliveries])
+
+  return {
+    subscriptions,
+    eventTypes,
+    deliveries,
+    revealedSecret,
+    loading,
+    error,
+
+    // Actions
+    fetchSubscriptions,
+    createSubscription,
+    updateSubscription,
+    rotateSecret: (subscriptionId) => updateSubscription(subscriptionId, { rotateSecret: true }),
+    deleteSubscription,
+    fetchDeliveries,
+    replayDelivery,
+    dismissSecret: () => setRevealedSecret(null),
+    clearError: () => setError(null)
+  }
+}
+
+export default useWebhooks
@@ -1,9 +1,68 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import Icon from '../../../components/AppIcon';
 import Image from '../../../components/AppImage';
+import apiService from '../../../services/apiService';
 
-const ContentViewer = ({ content, violations, onViolationSelect, selectedViolation }) => {
-  const [viewMode, setViewMode] = useState('original'); // original, highlighted, split
+// Outline colours the backend draws on annotated pages
+const SEVERITY_SWATCHES = [
+  { severity: 'critical', label: 'Critical', color: '#dc2626' },
+  { severity: 'high', label: 'High', color: '#ea580c' },
+  { severity: 'medium', label: 'Medium', color: '#ca8a04' },
+  { severity: 'low', label: 'Low', color: '#2563eb' }
+];
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const ContentViewer = ({ content, documentId, violations, onViolationSelect, selectedViolation }) => {
+  const [viewMode, setViewMode] = useState('original'); // original, highlighted, annotated
+  const [annotatedPages, setAnnotatedPages] = useState(null);
+  const [annotatedStatus, setAnnotatedStatus] = useState('idle'); // idle, loading, ready, error
+  const objectUrlsRef = useRef([]);
+
+  useEffect(() => () => objectUrlsRef?.current?.forEach(url => URL.revokeObjectURL(url)), []);
+
+  // Page images are rendered on demand, the first time the annotated view is opened
+  useEffect(() => {
+    if (viewMode !== 'annotated' || !documentId || annotatedStatus !== 'idle') return;
+
+    let cancelled = false;
+
+    const loadAnnotatedPages = async () => {
+      setAnnotatedStatus('loading');
+      try {
+        const response = await apiService.getAnnotatedPages(documentId);
+        const pages = response?.data?.pages || [];
+
+        const withImages = [];
+        for (const page of pages) {
+          const image = await apiService.getAnnotatedPageImage(documentId, page?.page);
+          const imageUrl = URL.createObjectURL(image?.data);
+          objectUrlsRef?.current?.push(imageUrl);
+          withImages.push({ ...page, imageUrl });
+        }
+
+        if (!cancelled) {
+          setAnnotatedPages(withImages);
+          setAnnotatedStatus('ready');
+        }
+      } catch (error) {
+        console.error('Failed to load annotated pages:', error);
+        if (!cancelled) setAnnotatedStatus('error');
+      }
+    };
+
+    loadAnnotatedPages();
+
+    // Leaving the view mid-load discards the result; it is fetched again next time
+    return () => {
+      cancelled = true;
+      setAnnotatedStatus(status => (status === 'loading' ? 'idle' : status));
+    };
+  }, [viewMode, documentId]);
 
   const getViolationHighlight = (violationId) => {
     const colors = {
@@ -15,21 +74,101 @@ const ContentViewer = ({ content, violations, onViolationSelect, selectedViolati
     return colors?.[violation?.severity] || 'bg-muted border-border';
   };
 
-  const renderHighlightedContent = () => {
-    let highlightedText = content?.text;
-    violations?.forEach(violation => {
-      if (violation?.location) {
-        const { start, end } = violation?.location;
-        const beforeText = highlightedText?.substring(0, start);
-        const violationText = highlightedText?.substring(start, end);
-        const afterText = highlightedText?.substring(end);
-        
-        highlightedText = `${beforeText}<span class="violation-highlight ${getViolationHighlight(violation?.id)} px-1 rounded cursor-pointer" data-violation="${violation?.id}">${violationText}</span>${afterText}`;
-      }
+  // Rule hits and grounded AI findings share offsets into the source text; AI findings get a dashed outline
+  const renderHighlightedContent = (sourceText) => {
+    if (!sourceText) return '';
+
+    const located = (violations || [])
+      .filter(violation => violation?.location && violation.location.end > violation.location.start)
+      .sort((a, b) => a.location.start - b.location.start);
+
+    let html = '';
+    let cursor = 0;
+    located.forEach(violation => {
+      const { start, end } = violation.location;
+      if (start < cursor) return; // Overlapping spans are not nested
+
+      const isAI = violation?.source === 'ai';
+      const classes = [
+        'violation-highlight',
+        getViolationHighlight(violation?.id),
+        isAI ? 'border border-dashed' : '',
+        selectedViolation === violation?.id ? 'ring-2 ring-primary' : '',
+        'px-1 rounded cursor-pointer'
+      ].filter(Boolean).join(' ');
+      const label = `${isAI ? 'AI finding' : 'Rule match'}: ${violation?.title || ''}`;
+
+      html += escapeHtml(sourceText.substring(cursor, start));
+      html += `<span class="${classes}" data-violation="${escapeHtml(violation?.id)}" title="${escapeHtml(label)}">${escapeHtml(sourceText.substring(start, end))}</span>`;
+      cursor = end;
     });
-    return highlightedText;
+
+    return html + escapeHtml(sourceText.substring(cursor));
+  };
+
+  const handleHighlightClick = (e) => {
+    if (e?.target?.dataset?.violation) {
+      onViolationSelect(e?.target?.dataset?.violation);
+    }
   };
 
+  const renderAnnotatedPages = () => {
+    if (annotatedStatus === 'loading' || annotatedStatus === 'idle') {
+      return (
+        <div className="flex items-center justify-center space-x-2 py-12 text-sm text-muted-foreground">
+          <Icon name="Loader2" size={16} className="animate-spin" />
+          <span>Rendering annotated pages...</span>
+        </div>
+      );
+    }
+
+    if (annotatedStatus === 'error') {
+      return (
+        <div className="bg-error/10 border border-error/20 p-4 rounded-xl text-sm text-error">
+          Annotated pages could not be rendered. Try again later.
+        </div>
+      );
+    }
+
+    if (!annotatedPages?.length) {
+      return (
+        <div className="bg-muted/30 border border-primary/20 p-6 rounded-xl text-sm text-muted-foreground">
+          Annotations are available for uploaded images and PDFs once they have been analyzed.
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-6">
+        <div className="flex flex-wrap items-center gap-4 text-xs">
+          {SEVERITY_SWATCHES?.map(swatch => (
+            <div key={swatch?.severity} className="flex items-center space-x-2">
+              <span className="w-3 h-3 rounded-sm border-2" style={{ borderColor: swatch?.color, backgroundColor: `${swatch?.color}2e` }}></span>
+              <span className="text-muted-foreground">{swatch?.label}</span>
+            </div>
+          ))}
+          <div className="flex items-center space-x-2">
+            <span className="w-3 h-3 rounded-sm border-2 border-dashed border-muted-foreground"></span>
+            <span className="text-muted-foreground">AI finding</span>
+          </div>
+        </div>
+        {annotatedPages?.map(page => (
+          <div key={page?.page} className="border border-primary/20 rounded-xl overflow-hidden shadow-premium">
+            <div className="flex items-center justify-between px-4 py-2 bg-muted/50 border-b border-primary/10 text-sm">
+              <span className="font-medium text-foreground">Page {page?.page}</span>
+              <span className="text-muted-foreground">
+                {page?.regions?.length || 0} {page?.regions?.length === 1 ? 'region' : 'regions'} flagged
+              </span>
+            </div>
+            <img src={page?.imageUrl} alt={`Page ${page?.page} with violations highlighted`} className="w-full h-auto" />
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const aiFindingsCount = violations?.filter(v => v?.source === 'ai')?.length || 0;
+
   return (
     <div className="h-full flex flex-col">
       {/* Header - Premium Financial Style */}
@@ -53,6 +192,16 @@ const ContentViewer = ({ content, violations, onViolationSelect, selectedViolati
             >
               Highlighted
             </button>
+            {documentId && (
+              <button
+                onClick={() => setViewMode('annotated')}
+                className={`px-4 py-2 text-sm font-medium rounded-lg transition-all duration-200 ${
+                  viewMode === 'annotated' ?'bg-primary text-primary-foreground shadow-premium' :'text-muted-foreground hover:text-primary hover:bg-primary/10 border border-primary/20'
+                }`}
+              >
+                Annotated
+              </button>
+            )}
           </div>
         </div>
         
@@ -75,7 +224,9 @@ const ContentViewer = ({ content, violations, onViolationSelect, selectedViolati
 
       {/* Content Display - Premium Styling */}
       <div className="flex-1 p-6 overflow-auto">
-        {content?.type === 'image' ? (
+        {viewMode === 'annotated' ? (
+          renderAnnotatedPages()
+        ) : content?.type === 'image' ? (
           <div className="space-y-6">
             <div className="border border-primary/20 rounded-xl overflow-hidden shadow-premium">
               <Image 
@@ -90,8 +241,9 @@ const ContentViewer = ({ content, violations, onViolationSelect, selectedViolati
                 <div 
                   className="text-sm text-muted-foreground leading-relaxed font-body"
                   dangerouslySetInnerHTML={{ 
-                    __html: viewMode === 'highlighted' ? renderHighlightedContent() : content?.extractedText 
+                    __html: viewMode === 'highlighted' ? renderHighlightedContent(content?.extractedText) : escapeHtml(content?.extractedText)
                   }}
+                  onClick={handleHighlightClick}
                 />
               </div>
             )}
@@ -101,13 +253,9 @@ const ContentViewer = ({ content, violations, onViolationSelect, selectedViolati
             <div 
               className="text-sm text-foreground leading-relaxed whitespace-pre-wrap font-body"
               dangerouslySetInnerHTML={{ 
-                __html: viewMode === 'highlighted' ? renderHighlightedContent() : content?.text 
-              }}
-              onClick={(e) => {
-                if (e?.target?.dataset?.violation) {
-                  onViolationSelect(e?.target?.dataset?.violation);
-                }
+                __html: viewMode === 'highlighted' ? renderHighlightedContent(content?.text) : escapeHtml(content?.text)
               }}
+              onClick={handleHighlightClick}
             />
           </div>
         )}
@@ -135,6 +283,14 @@ const ContentViewer = ({ content, violations, onViolationSelect, selectedViolati
                 {violations?.filter(v => v?.severity === 'minor')?.length} Minor
               </span>
             </div>
+            {aiFindingsCount > 0 && (
+              <div className="flex items-center space-x-2 px-3 py-2 bg-primary/10 rounded-lg border border-dashed border-primary/40">
+                <Icon name="Sparkles" size={12} className="text-primary" />
+                <span className="text-sm font-semibold text-primary">
+                  {aiFindingsCount} AI {aiFindingsCount === 1 ? 'Finding' : 'Findings'}
+                </span>
+              </div>
+            )}
           </div>
           <button className="text-sm text-primary hover:text-primary/80 font-semibold transition-colors duration-200 flex items-center space-x-2">
             <Icon name="Download" size={14} />
@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import apiService from '../../../services/apiService';
+
+const VIOLATION_GROUPS = [
+  { key: 'introduced', label: 'Introduced', icon: 'AlertTriangle', className: 'text-error', background: 'bg-error/5 border-error/20' },
+  { key: 'fixed', label: 'Fixed', icon: 'CheckCircle', className: 'text-success', background: 'bg-success/5 border-success/20' },
+  { key: 'unchanged', label: 'Unchanged', icon: 'MinusCircle', className: 'text-muted-foreground', background: 'bg-muted/30 border-border' }
+];
+
+const formatDate = (value) => new Date(value)?.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+
+/**
+ * What changed between this document and an earlier version of it: the text diff, which violations
+ * were fixed, introduced or are unchanged, and the score delta. Hidden for documents without versions.
+ */
+const VersionComparison = ({ documentId, className = '' }) => {
+  const [versions, setVersions] = useState([]);
+  const [currentVersion, setCurrentVersion] = useState(null);
+  const [baseDocumentId, setBaseDocumentId] = useState(null); // null compares with the last reviewed version
+  const [comparison, setComparison] = useState(null);
+  const [status, setStatus] = useState('idle'); // idle, loading, ready, error
+
+  useEffect(() => {
+    if (!documentId) return;
+
+    apiService.getDocumentVersions(documentId)
+      .then(response => {
+        setVersions(response?.data?.versions || []);
+        setCurrentVersion(response?.data?.versionNumber);
+      })
+      .catch(error => console.error('Failed to load document versions:', error));
+  }, [documentId]);
+
+  const earlierVersions = versions?.filter(version => version?.versionNumber < currentVersion);
+
+  useEffect(() => {
+    if (!earlierVersions?.length) return;
+
+    let cancelled = false;
+    setStatus('loading');
+
+    apiService.compareDocumentVersions(documentId, baseDocumentId)
+      .then(response => {
+        if (cancelled) return;
+        setComparison(response?.data?.comparison);
+        setStatus('ready');
+      })
+      .catch(error => {
+        console.error('Failed to compare document versions:', error);
+        if (!cancelled) setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [documentId, baseDocumentId, earlierVersions?.length]);
+
+  if (!earlierVersions?.length) return null;
+
+  const scoreDelta = comparison?.scoreDelta;
+
+  return (
+    <div className={`bg-card border border-primary/20 rounded-xl shadow-premium p-6 ${className}`}>
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div className="flex items-center space-x-3">
+          <Icon name="GitCompare" size={20} className="text-primary" />
+          <div>
+            <h2 className="font-heading font-semibold text-lg text-foreground">
+              Changes in Version {currentVersion}
+            </h2>
+            <p className="text-sm font-body text-muted-foreground">
+              Compared with version {comparison?.base?.versionNumber ?? '…'}
+              {comparison?.base?.analysis ? `, reviewed ${formatDate(comparison?.base?.analysis?.analyzedAt)}` : ''}
+            </p>
+          </div>
+        </div>
+
+        <div className="flex items-center space-x-4">
+          {scoreDelta !== null && scoreDelta !== undefined && (
+            <div className={`px-3 py-1 rounded-full text-sm font-semibold ${
+              scoreDelta > 0 ? 'bg-success/10 text-success' : scoreDelta < 0 ? 'bg-error/10 text-error' : 'bg-muted text-muted-foreground'
+            }`}>
+              Score {comparison?.base?.analysis?.complianceScore}% → {comparison?.revision?.analysis?.complianceScore}%
+              {' '}({scoreDelta > 0 ? '+' : ''}{scoreDelta})
+            </div>
+          )}
+          <select
+            value={baseDocumentId || ''}
+            onChange={(e) => setBaseDocumentId(e?.target?.value || null)}
+            className="text-sm font-body bg-background border border-border rounded-lg px-3 py-1.5 focus:ring-2 focus:ring-primary"
+          >
+            <option value="">Last reviewed version</option>
+            {earlierVersions?.map(version => (
+              <option key={version?.documentId} value={version?.documentId}>
+                Version {version?.versionNumber} ({formatDate(version?.uploadedAt)}{version?.analysis ? `, ${version?.analysis?.complianceScore}%` : ', not analyzed'})
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {status === 'loading' && (
+        <div className="flex items-center space-x-2 text-sm text-muted-foreground">
+          <div className="animate-spin w-4 h-4 border-2 border-primary border-t-transparent rounded-full"></div>
+          <span>Comparing versions...</span>
+        </div>
+      )}
+
+      {status === 'error' && (
+        <p className="text-sm text-error font-body">The versions could not be compared.</p>
+      )}
+
+      {status === 'ready' && comparison && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Violations */}
+          <div className="space-y-4">
+            {comparison?.violations ? VIOLATION_GROUPS?.map(group => (
+              <div key={group?.key} className={`border rounded-lg p-4 ${group?.background}`}>
+                <div className="flex items-center space-x-2 mb-2">
+                  <Icon name={group?.icon} size={16} className={group?.className} />
+                  <span className={`text-sm font-semibold ${group?.className}`}>
+                    {group?.label} ({comparison?.violations?.[group?.key]?.length})
+                  </span>
+                </div>
+                <ul className="space-y-1">
+                  {comparison?.violations?.[group?.key]?.map(violation => (
+                    <li key={violation?.id} className="text-sm font-body text-foreground">
+                      <span className="font-medium">{violation?.title}</span>
+                      {violation?.matchedText && (
+                        <span className="text-muted-foreground"> — “{violation?.matchedText}”</span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )) : (
+              <div className="border border-border rounded-lg p-4 text-sm text-muted-foreground font-body">
+                Violations are compared once both versions have been analyzed.
+              </div>
+            )}
+          </div>
+
+          {/* Text diff */}
+          <div className="border border-border rounded-lg p-4 max-h-96 overflow-y-auto">
+            <p className="text-sm font-body leading-relaxed whitespace-pre-wrap text-muted-foreground">
+              {comparison?.textChanges?.map((change, index) => {
+                if (change?.type === 'added') {
+                  return <ins key={index} className="bg-success/15 text-foreground no-underline rounded-sm">{change?.text}</ins>;
+                }
+                if (change?.type === 'removed') {
+                  return <del key={index} className="bg-error/15 text-error rounded-sm">{change?.text}</del>;
+                }
+                return <span key={index}>{change?.text}</span>;
+              })}
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VersionComparison;
@@ -34,6 +34,28 @@ const ViolationAnalysis = ({ violations, selectedViolation, onViolationSelect, o
     }
   };
 
+  // Where the finding appears in the uploaded PDF, Word, PowerPoint, HTML or text file
+  const formatTimestamp = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.floor(seconds % 60))?.padStart(2, '0')}`;
+  };
+
+  const formatSourceLocation = (location) => {
+    if (!location) return null;
+    // Audio and video findings are located by time in the spot
+    if (location?.startTime !== undefined && location?.startTime !== null) {
+      const range = `${formatTimestamp(location?.startTime)}–${formatTimestamp(location?.endTime ?? location?.startTime)}`;
+      return location?.track === 'on_screen_text' ? `${range} · On-screen text` : `${range} · Voice-over`;
+    }
+    const place = [
+      location?.page && `Page ${location?.page}`,
+      location?.slide && `Slide ${location?.slide}`,
+      location?.paragraph && `paragraph ${location?.paragraph}`
+    ]?.filter(Boolean)?.join(', ');
+    const label = place?.charAt(0)?.toUpperCase() + place?.slice(1);
+    return location?.heading ? `${label} · ${location?.heading}` : label;
+  };
+
   const getSeverityBg = (severity) => {
     switch (severity) {
       case 'critical': return 'bg-red-50 border-red-200';
@@ -147,6 +169,18 @@ const ViolationAnalysis = ({ violations, selectedViolation, onViolationSelect, o
                         <div className="flex items-center space-x-4 text-xs text-muted-foreground">
                           <span>RBI Guideline: {violation?.guidelineRef}</span>
                           <span>Section: {violation?.section}</span>
+                          {violation?.needsHumanVerification && (
+                            <span className="flex items-center space-x-1 text-warning">
+                              <Icon name="ScanEye" size={12} />
+                              <span>Needs human verification (OCR {Math.round(violation?.ocrConfidence * 100)}%)</span>
+                            </span>
+                          )}
+                          {violation?.sourceLocation && (
+                            <span className="flex items-center space-x-1">
+                              <Icon name="MapPin" size={12} />
+                              <span>{formatSourceLocation(violation?.sourceLocation)}</span>
+                            </span>
+                          )}
                           <div className="flex items-center space-x-1">
                             <Icon name={getStatusIcon(violation?.status)} size={12} />
                             <span className={getStatusColor(violation?.status)}>
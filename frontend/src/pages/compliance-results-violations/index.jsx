@@ -7,12 +7,15 @@ import ContentViewer from './components/ContentViewer';
 import ViolationAnalysis from './components/ViolationAnalysis';
 import RemediationPanel from './components/RemediationPanel';
 import ActionToolbar from './components/ActionToolbar';
+import VersionComparison from './components/VersionComparison';
 
 const ComplianceResultsViolations = () => {
   const location = useLocation();
   const navigate = useNavigate();
   const [selectedViolation, setSelectedViolation] = useState(null);
   const [loading, setLoading] = useState(true);
+  // Uploaded document the results belong to; enables the annotated page view
+  const documentId = new URLSearchParams(location?.search)?.get('documentId');
 
   // Mock data for compliance results
   const mockContent = {
@@ -250,8 +253,10 @@ const ComplianceResultsViolations = () => {
 
   const handleResubmitContent = (contentId) => {
     console.log(`Resubmitting content ${contentId}`);
-    // In a real app, this would trigger resubmission workflow
-    navigate('/content-upload-scanning');
+    // The fixed creative is uploaded as a new version of this document
+    navigate(documentId
+      ? `/content-upload-scanning?revisionOf=${encodeURIComponent(documentId)}`
+      : '/content-upload-scanning');
   };
 
   const handleBulkAction = (action, violations) => {
@@ -352,6 +357,9 @@ const ComplianceResultsViolations = () => {
             />
           </div>
 
+          {/* Changes since the last reviewed version, for revisions of a document */}
+          {documentId && <VersionComparison documentId={documentId} className="mb-6" />}
+
           {/* Main Content Grid - Premium Layout */}
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 h-[calc(100vh-350px)]">
             {/* Left Panel - Content Viewer */}
@@ -359,6 +367,7 @@ const ComplianceResultsViolations = () => {
               <div className="bg-card border border-primary/20 rounded-xl shadow-premium h-full">
                 <ContentViewer
                   content={mockContent}
+                  documentId={documentId}
                   violations={mockViolations}
                   onViolationSelect={handleViolationSelect}
                   selectedViolation={selectedViolation}
@@ -396,6 +405,7 @@ const ComplianceResultsViolations = () => {
             <div className="bg-card border border-primary/20 rounded-xl shadow-premium">
               <ContentViewer
                 content={mockContent}
+                documentId={documentId}
                 violations={mockViolations}
                 onViolationSelect={handleViolationSelect}
                 selectedViolation={selectedViolation}
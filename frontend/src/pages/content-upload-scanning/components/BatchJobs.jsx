@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+
+// Most recent jobs shown; older ones stay available from the API
+const VISIBLE_JOBS = 5;
+
+const STATUS_STYLES = {
+  pending: { label: 'Queued', className: 'bg-muted text-muted-foreground' },
+  processing: { label: 'Running', className: 'bg-primary/10 text-primary' },
+  paused: { label: 'Paused', className: 'bg-warning/10 text-warning' },
+  completed: { label: 'Completed', className: 'bg-success/10 text-success' },
+  partial: { label: 'Partly failed', className: 'bg-warning/10 text-warning' },
+  failed: { label: 'Failed', className: 'bg-error/10 text-error' }
+};
+
+const BatchJobs = ({ jobs, documentNames = {}, error, onPause, onResume, onCancel, onRetryFailed, onRequeueDocument }) => {
+  const [expandedJobId, setExpandedJobId] = useState(null);
+  const [busyAction, setBusyAction] = useState(null);
+
+  if (!jobs?.length) return null;
+
+  // Errors are shown by the hook's error state
+  const run = (key, action) => async () => {
+    setBusyAction(key);
+    try {
+      await action();
+    } catch (err) {
+      console.warn('Batch action failed:', err);
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  return (
+    <div className="border-t border-border p-6">
+      <h3 className="font-heading font-semibold text-lg text-foreground mb-1">
+        Batch Analyses
+      </h3>
+      <p className="text-muted-foreground font-body text-sm mb-4">
+        Pausing lets documents already being analyzed finish
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-error/5 border border-error/20 rounded-lg text-sm text-error font-body">
+          {error}
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {jobs.slice(0, VISIBLE_JOBS).map(job => {
+          const { total = 0, completed = 0, failed = 0 } = job.progress || {};
+          const done = completed + failed;
+          const status = STATUS_STYLES[job.status] || STATUS_STYLES.pending;
+          const failedResults = job.results?.filter(result => result.status === 'failed') || [];
+          const isRunning = ['pending', 'processing'].includes(job.status);
+          const isOpen = isRunning || job.status === 'paused';
+          const isExpanded = expandedJobId === job.id;
+
+          return (
+            <div key={job.id} className="p-4 bg-muted/30 rounded-lg">
+              <div className="flex items-center justify-between">
+                <div className="min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <span className="font-body font-medium text-foreground text-sm">
+                      {total} document{total !== 1 ? 's' : ''}
+                    </span>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-body ${status.className}`}>
+                      {status.label}
+                    </span>
+                    {job.parentJobId && (
+                      <span className="text-xs text-muted-foreground font-body">Retry</span>
+                    )}
+                  </div>
+                  <p className="text-xs text-muted-foreground font-body mt-1">
+                    {completed} analyzed · {failed} failed · started {new Date(job.createdAt).toLocaleString()}
+                  </p>
+                </div>
+
+                <div className="flex items-center space-x-2">
+                  {isRunning && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={run(`pause:${job.id}`, () => onPause(job.id))}
+                      disabled={busyAction === `pause:${job.id}`}
+                      iconName="Pause"
+                      iconPosition="left"
+                    >
+                      Pause
+                    </Button>
+                  )}
+                  {job.status === 'paused' && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={run(`resume:${job.id}`, () => onResume(job.id))}
+                      disabled={busyAction === `resume:${job.id}`}
+                      iconName="Play"
+                      iconPosition="left"
+                    >
+                      Resume
+                    </Button>
+                  )}
+                  {isOpen && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={run(`cancel:${job.id}`, () => onCancel(job.id))}
+                      disabled={busyAction === `cancel:${job.id}`}
+                      iconName="Square"
+                      className="text-muted-foreground hover:text-error"
+                    />
+                  )}
+                  {!isOpen && failedResults.length > 0 && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={run(`retry:${job.id}`, () => onRetryFailed(job.id))}
+                      disabled={busyAction === `retry:${job.id}`}
+                      iconName="RotateCcw"
+                      iconPosition="left"
+                    >
+                      Retry failed
+                    </Button>
+                  )}
+                  {failedResults.length > 0 && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => setExpandedJobId(isExpanded ? null : job.id)}
+                      iconName={isExpanded ? 'ChevronUp' : 'ChevronDown'}
+                    />
+                  )}
+                </div>
+              </div>
+
+              <div className="w-full bg-muted rounded-full h-2 mt-3">
+                <div
+                  className={`h-2 rounded-full transition-all duration-300 ${failed > 0 ? 'bg-warning' : 'bg-primary'}`}
+                  style={{ width: `${total ? Math.round((done / total) * 100) : 0}%` }}
+                />
+              </div>
+
+              {/* Failed documents, each of which can be queued again */}
+              {isExpanded && (
+                <ul className="mt-3 space-y-2">
+                  {failedResults.map(result => (
+                    <li key={result.documentId} className="flex items-center justify-between text-sm">
+                      <div className="min-w-0">
+                        <p className="font-body text-foreground truncate">
+                          {documentNames[result.documentId] || result.documentId}
+                        </p>
+                        <p className="text-xs text-muted-foreground font-body truncate">
+                          {result.error}
+                          {result.failureKind === 'permanent' && ' · Retrying will not help until the document is fixed'}
+                        </p>
+                      </div>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={run(`requeue:${result.documentId}`, () => onRequeueDocument(job.id, result.documentId))}
+                        disabled={busyAction === `requeue:${result.documentId}`}
+                        iconName="RefreshCw"
+                        iconPosition="left"
+                      >
+                        Re-queue
+                      </Button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default BatchJobs;
@@ -2,10 +2,29 @@ import React, { useState } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 import Image from '../../../components/AppImage';
+import BatchJobs from './BatchJobs';
 
-const FileQueue = ({ files, onRemoveFile, onStartScan, scanResults, isScanning }) => {
+const FileQueue = ({ files, onRemoveFile, onStartScan, onReuseAnalysis, onAnalyzeAnyway, onBatchAnalyze, batchJobs, scanResults, isScanning }) => {
   const [selectedFiles, setSelectedFiles] = useState(new Set());
 
+  // Batch job results list documents by id; show the names of the ones uploaded here
+  const documentNames = Object.fromEntries(
+    (files || []).filter(upload => upload.documentId).map(upload => [upload.documentId, upload.file?.name])
+  );
+
+  const batchJobList = batchJobs && (
+    <BatchJobs
+      jobs={batchJobs.jobs}
+      documentNames={documentNames}
+      error={batchJobs.error}
+      onPause={batchJobs.pauseJob}
+      onResume={batchJobs.resumeJob}
+      onCancel={batchJobs.cancelJob}
+      onRetryFailed={batchJobs.retryFailed}
+      onRequeueDocument={batchJobs.requeueDocument}
+    />
+  );
+
   const getFileIcon = (fileName) => {
     const extension = fileName?.split('.')?.pop()?.toLowerCase();
     switch (extension) {
@@ -19,6 +38,10 @@ const FileQueue = ({ files, onRemoveFile, onStartScan, scanResults, isScanning }
         return 'FileText';
       case 'ppt': case'pptx':
         return 'Presentation';
+      case 'mp3': case'wav': case'm4a': case'aac': case'ogg':
+        return 'Music';
+      case 'mp4': case'mov': case'webm': case'mkv':
+        return 'Video';
       default:
         return 'File';
     }
@@ -86,6 +109,10 @@ const FileQueue = ({ files, onRemoveFile, onStartScan, scanResults, isScanning }
     const selectedFilesList = files?.filter(upload => selectedFiles?.has(upload.file?.name || upload.fileId));
     if (action === 'scan') {
       onStartScan(selectedFilesList.map(upload => upload.fileId));
+    } else if (action === 'batch') {
+      // Uploaded documents are analyzed again on the server's queue
+      onBatchAnalyze?.(selectedFilesList.filter(upload => upload.documentId).map(upload => upload.documentId));
+      setSelectedFiles(new Set());
     } else if (action === 'remove') {
       selectedFilesList?.forEach(upload => onRemoveFile(upload.fileId));
       setSelectedFiles(new Set());
@@ -94,20 +121,27 @@ const FileQueue = ({ files, onRemoveFile, onStartScan, scanResults, isScanning }
 
   if (files?.length === 0) {
     return (
-      <div className="bg-card border border-border rounded-lg p-8 text-center">
-        <div className="w-16 h-16 bg-muted rounded-full flex items-center justify-center mx-auto mb-4">
-          <Icon name="FileX" size={32} className="text-muted-foreground" />
+      <div className="bg-card border border-border rounded-lg">
+        <div className="p-8 text-center">
+          <div className="w-16 h-16 bg-muted rounded-full flex items-center justify-center mx-auto mb-4">
+            <Icon name="FileX" size={32} className="text-muted-foreground" />
+          </div>
+          <h3 className="font-heading font-medium text-lg text-foreground mb-2">
+            No files uploaded
+          </h3>
+          <p className="text-muted-foreground font-body">
+            Upload marketing content to begin compliance scanning
+          </p>
         </div>
-        <h3 className="font-heading font-medium text-lg text-foreground mb-2">
-          No files uploaded
-        </h3>
-        <p className="text-muted-foreground font-body">
-          Upload marketing content to begin compliance scanning
-        </p>
+        {batchJobList}
       </div>
     );
   }
 
+  const selectedDocumentCount = files?.filter(upload =>
+    selectedFiles?.has(upload.file?.name || upload.fileId) && upload.documentId
+  ).length;
+
   return (
     <div className="bg-card border border-border rounded-lg">
       {/* Header */}
@@ -152,6 +186,17 @@ const FileQueue = ({ files, onRemoveFile, onStartScan, scanResults, isScanning }
               >
                 Scan Selected
               </Button>
+              {onBatchAnalyze && selectedDocumentCount > 0 && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleBulkAction('batch')}
+                  iconName="Layers"
+                  iconPosition="left"
+                >
+                  Batch Re-analyze
+                </Button>
+              )}
               <Button
                 variant="destructive"
                 size="sm"
@@ -276,6 +321,55 @@ const FileQueue = ({ files, onRemoveFile, onStartScan, scanResults, isScanning }
                   </p>
                 </div>
               )}
+              {/* Earlier identical or near-duplicate documents with an analysis to reuse */}
+              {upload.status === 'duplicate' && (
+                <div className="mt-3 ml-16 p-3 bg-warning/5 border border-warning/20 rounded-lg">
+                  <div className="flex items-center space-x-2 mb-2">
+                    <Icon name="Copy" size={16} className="text-warning" />
+                    <span className="text-sm font-body font-medium text-foreground">
+                      Matches content you have already analyzed
+                    </span>
+                  </div>
+                  <div className="space-y-2">
+                    {upload.similarDocuments?.map(match => (
+                      <div key={match.documentId} className="flex items-center justify-between text-sm">
+                        <div className="min-w-0">
+                          <span className="font-body text-foreground truncate">{match.name}</span>
+                          <span className="text-muted-foreground font-body ml-2">
+                            {match.match === 'exact' ? 'Identical file' : `${Math.round(match.similarity * 100)}% similar`}
+                            {match.analysis && ` · Score: ${match.analysis.complianceScore}%`}
+                          </span>
+                        </div>
+                        {match.analysis && (
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => onReuseAnalysis?.(upload.fileId, match.documentId)}
+                            iconName="RefreshCw"
+                            iconPosition="left"
+                          >
+                            Reuse analysis
+                          </Button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  <div className="flex items-center justify-between mt-2">
+                    {upload.error ? (
+                      <span className="text-xs text-error font-body">{upload.error}</span>
+                    ) : <span />}
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => onAnalyzeAnyway?.(upload.fileId)}
+                      iconName="Play"
+                      iconPosition="left"
+                    >
+                      Analyze anyway
+                    </Button>
+                  </div>
+                </div>
+              )}
               {/* Quick Results Preview */}
               {scanStatus === 'completed' && scanResults?.[fileName] && (
                 <div className="mt-3 ml-16">
@@ -299,6 +393,7 @@ const FileQueue = ({ files, onRemoveFile, onStartScan, scanResults, isScanning }
           );
         })}
       </div>
+      {batchJobList}
     </div>
   );
 };
@@ -12,7 +12,7 @@ const ScanConfiguration = ({ onConfigChange, isScanning }) => {
     strictnessLevel: 'standard',
     focusAreas: ['misleading-claims', 'interest-rates', 'terms-conditions'],
     enableOCR: true,
-    checkSimilarity: false,
+    checkSimilarity: true,
     generateReport: true
   });
 
@@ -79,7 +79,7 @@ const ScanConfiguration = ({ onConfigChange, isScanning }) => {
       strictnessLevel: 'standard',
       focusAreas: ['misleading-claims', 'interest-rates', 'terms-conditions'],
       enableOCR: true,
-      checkSimilarity: false,
+      checkSimilarity: true,
       generateReport: true
     };
     setConfig(defaultConfig);
@@ -193,7 +193,7 @@ const ScanConfiguration = ({ onConfigChange, isScanning }) => {
             />
             <Checkbox
               label="Check Content Similarity"
-              description="Compare against previously scanned content for duplicates"
+              description="Link re-uploads and variants of analyzed content and offer to reuse their analysis"
               checked={config?.checkSimilarity}
               onChange={(e) => handleConfigUpdate('checkSimilarity', e?.target?.checked)}
               disabled={isScanning}
@@ -2,7 +2,28 @@ import React from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 
-const ScanProgress = ({ isScanning, currentFile, progress, onCancel, estimatedTime }) => {
+// Upload steps, then the analysis pipeline stages the server streams while it works
+const SCAN_STAGES = [
+  { id: 'uploading', label: 'File Upload' },
+  { id: 'processing', label: 'Text Extraction' },
+  { id: 'rules', label: 'Guideline Rule Checks' },
+  { id: 'ai', label: 'AI Compliance Review' },
+  { id: 'scoring', label: 'Compliance Scoring' },
+  { id: 'recommendations', label: 'Fix Recommendations' },
+  { id: 'saving', label: 'Report Generation' }
+];
+
+// Statuses that are not a stage of their own
+const STAGE_ALIASES = { queued: 'uploading', reconnecting: 'uploading', pending: 'rules', analyzing: 'rules' };
+
+const SEVERITY_STYLES = {
+  critical: 'text-error',
+  high: 'text-error',
+  medium: 'text-warning',
+  low: 'text-muted-foreground'
+};
+
+const ScanProgress = ({ isScanning, currentFile, progress, onCancel, estimatedTime, currentStage, violations = [] }) => {
   if (!isScanning) return null;
 
   const formatTime = (seconds) => {
@@ -12,13 +33,15 @@ const ScanProgress = ({ isScanning, currentFile, progress, onCancel, estimatedTi
     return `${minutes}m ${remainingSeconds}s`;
   };
 
-  const scanStages = [
-    { id: 'upload', label: 'File Processing', completed: progress >= 20 },
-    { id: 'ocr', label: 'Text Extraction', completed: progress >= 40 },
-    { id: 'analysis', label: 'Compliance Analysis', completed: progress >= 70 },
-    { id: 'validation', label: 'Guideline Validation', completed: progress >= 90 },
-    { id: 'report', label: 'Report Generation', completed: progress >= 100 }
-  ];
+  const stageIndex = currentStage === 'completed'
+    ? SCAN_STAGES.length
+    : SCAN_STAGES.findIndex(stage => stage.id === (STAGE_ALIASES[currentStage] || currentStage));
+
+  const scanStages = SCAN_STAGES.map((stage, index) => ({
+    ...stage,
+    completed: index < stageIndex,
+    active: index === stageIndex
+  }));
 
   return (
     <div className="fixed inset-0 bg-background/80 backdrop-blur-sm z-50 flex items-center justify-center p-4">
@@ -98,12 +121,12 @@ const ScanProgress = ({ isScanning, currentFile, progress, onCancel, estimatedTi
                 <div className={`w-6 h-6 rounded-full flex items-center justify-center ${
                   stage?.completed
                     ? 'bg-success text-white'
-                    : progress >= (index + 1) * 20 - 10
+                    : stage?.active
                     ? 'bg-primary text-white' :'bg-muted text-muted-foreground'
                 }`}>
                   {stage?.completed ? (
                     <Icon name="Check" size={12} />
-                  ) : progress >= (index + 1) * 20 - 10 ? (
+                  ) : stage?.active ? (
                     <Icon name="Loader" size={12} className="animate-spin" />
                   ) : (
                     <span className="text-xs font-body font-medium">{index + 1}</span>
@@ -112,7 +135,7 @@ const ScanProgress = ({ isScanning, currentFile, progress, onCancel, estimatedTi
                 <span className={`text-sm font-body ${
                   stage?.completed
                     ? 'text-success'
-                    : progress >= (index + 1) * 20 - 10
+                    : stage?.active
                     ? 'text-primary' :'text-muted-foreground'
                 }`}>
                   {stage?.label}
@@ -121,6 +144,28 @@ const ScanProgress = ({ isScanning, currentFile, progress, onCancel, estimatedTi
             ))}
           </div>
 
+          {/* Violations found so far */}
+          {violations?.length > 0 && (
+            <div className="mt-6">
+              <h4 className="font-body font-medium text-foreground text-sm mb-2">
+                Violations Found ({violations.length})
+              </h4>
+              <ul className="max-h-32 overflow-y-auto space-y-1">
+                {violations.map((violation, index) => (
+                  <li key={index} className="flex items-start space-x-2 text-xs font-body">
+                    <Icon name="AlertTriangle" size={12} className={`mt-0.5 ${SEVERITY_STYLES[violation?.severity] || 'text-muted-foreground'}`} />
+                    <span className="text-foreground truncate">
+                      {violation?.title}
+                      {violation?.matchedText && (
+                        <span className="text-muted-foreground"> — "{violation.matchedText}"</span>
+                      )}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {/* Processing Info */}
           <div className="mt-6 p-4 bg-primary/5 border border-primary/20 rounded-lg">
             <div className="flex items-start space-x-3">
@@ -154,6 +154,22 @@ const ScanResults = ({ uploads = [], onViewDetails, onDownloadReport, onClearCom
                   />
                 </div>
               </div>
+              {result?.aiDegraded && (
+                <div className="flex items-start space-x-2 mb-4 p-3 bg-warning/10 border border-warning/20 rounded-lg">
+                  <Icon name="AlertCircle" size={16} className="text-warning mt-0.5" />
+                  <p className="text-xs text-foreground font-body">
+                    AI analysis was unavailable for this document. The score reflects rule-based checks only; review the content manually before approval.
+                  </p>
+                </div>
+              )}
+              {result?.humanVerificationRequired && (
+                <div className="flex items-start space-x-2 mb-4 p-3 bg-warning/10 border border-warning/20 rounded-lg">
+                  <Icon name="ScanEye" size={16} className="text-warning mt-0.5" />
+                  <p className="text-xs text-foreground font-body">
+                    Some findings come from poorly scanned text and need human verification against the original before they are acted on.
+                  </p>
+                </div>
+              )}
               {/* Quick Stats */}
               <div className="grid grid-cols-3 gap-4 mb-4">
                 <div className="text-center p-3 bg-muted/50 rounded-lg">
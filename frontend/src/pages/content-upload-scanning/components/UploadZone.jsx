@@ -8,10 +8,13 @@ const UploadZone = ({ onFilesUpload, isScanning }) => {
 
   const acceptedFormats = [
     { type: 'Images', formats: 'JPG, PNG, GIF, WebP', maxSize: '10MB' },
-    { type: 'Documents', formats: 'PDF, DOC, DOCX, TXT', maxSize: '25MB' },
-    { type: 'Presentations', formats: 'PPT, PPTX', maxSize: '50MB' }
+    { type: 'Documents', formats: 'PDF, DOCX, TXT, HTML', maxSize: '100MB' },
+    { type: 'Presentations', formats: 'PPTX', maxSize: '100MB' },
+    { type: 'Audio & Video', formats: 'MP3, WAV, M4A, MP4, MOV, WebM', maxSize: '200MB' }
   ];
 
+  const MEDIA_EXTENSIONS = /\.(mp3|wav|m4a|aac|ogg|mp4|mov|webm|mkv)$/i;
+
   const handleDragOver = useCallback((e) => {
     e?.preventDefault();
     setIsDragOver(true);
@@ -36,8 +39,9 @@ const UploadZone = ({ onFilesUpload, isScanning }) => {
 
   const handleFileUpload = (files) => {
     const validFiles = files?.filter(file => {
-      const isValidType = /\.(jpg|jpeg|png|gif|webp|pdf|doc|docx|txt|ppt|pptx)$/i?.test(file?.name);
-      const isValidSize = file?.size <= 50 * 1024 * 1024; // 50MB max
+      const isMedia = MEDIA_EXTENSIONS?.test(file?.name);
+      const isValidType = isMedia || /\.(jpg|jpeg|png|gif|webp|pdf|docx|txt|html|htm|pptx)$/i?.test(file?.name);
+      const isValidSize = file?.size <= (isMedia ? 200 : 100) * 1024 * 1024; // 200MB for audio/video, 100MB otherwise (large files upload in resumable chunks)
       return isValidType && isValidSize;
     });
 
@@ -69,7 +73,7 @@ const UploadZone = ({ onFilesUpload, isScanning }) => {
         <input
           type="file"
           multiple
-          accept=".jpg,.jpeg,.png,.gif,.webp,.pdf,.doc,.docx,.txt,.ppt,.pptx"
+          accept=".jpg,.jpeg,.png,.gif,.webp,.pdf,.docx,.txt,.html,.htm,.pptx,.mp3,.wav,.m4a,.aac,.ogg,.mp4,.mov,.webm,.mkv"
           onChange={handleFileSelect}
           className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
           disabled={isScanning}
@@ -129,6 +133,7 @@ const UploadZone = ({ onFilesUpload, isScanning }) => {
               <li>• Ensure content is in final or near-final form for accurate scanning</li>
               <li>• Remove any confidential information before uploading</li>
               <li>• Maximum 50 files per batch upload session</li>
+              <li>• Large files upload in chunks and resume automatically if your connection drops</li>
               <li>• Processing time varies based on content complexity</li>
             </ul>
           </div>
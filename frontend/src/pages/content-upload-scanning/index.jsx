@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useMemo } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import apiService from '../../services/apiService';
 import Header from '../../components/ui/Header';
 import UploadZone from './components/UploadZone';
@@ -9,12 +10,19 @@ import ScanProgress from './components/ScanProgress';
 import Icon from '../../components/AppIcon';
 import Button from '../../components/ui/Button';
 import useFileUploadProgress from '../../hooks/useFileUploadProgress';
+import useBatchJobs from '../../hooks/useBatchJobs';
 
 const ContentUploadScanning = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  // Document being revised, when arriving from "Resubmit After Fixes" on the results page
+  const revisionOf = new URLSearchParams(location?.search)?.get('revisionOf');
+  const [revisedDocument, setRevisedDocument] = useState(null);
   const [scanConfig, setScanConfig] = useState({
     guidelines: ['RBI_LENDING', 'RBI_DIGITAL', 'FAIR_PRACTICES'],
     sensitivity: 'high',
-    includeWarnings: true
+    includeWarnings: true,
+    checkSimilarity: true
   });
 
   const {
@@ -26,9 +34,24 @@ const ContentUploadScanning = () => {
     batchUpload,
     cancelUpload,
     removeUpload,
-    clearCompleted
+    clearCompleted,
+    reusePriorAnalysis,
+    analyzeAnyway
   } = useFileUploadProgress();
 
+  const batchJobs = useBatchJobs();
+
+  useEffect(() => {
+    if (!revisionOf) {
+      setRevisedDocument(null);
+      return;
+    }
+
+    apiService.getDocument(revisionOf)
+      .then(response => setRevisedDocument(response?.data?.document))
+      .catch(error => console.error('Failed to load document being revised:', error));
+  }, [revisionOf]);
+
   // Mock scan results data
   const mockScanResults = {
     'marketing-banner.jpg': {
@@ -85,7 +108,9 @@ const ContentUploadScanning = () => {
     // Use batchUpload which handles adding files to queue internally
     try {
       await batchUpload(files, { 
-        maxConcurrent: 2,
+        // Revisions are numbered in upload order
+        maxConcurrent: revisionOf ? 1 : 2,
+        ...(revisionOf && { previousVersionId: revisionOf }),
         ...scanConfig 
       })
     } catch (error) {
@@ -125,6 +150,35 @@ const ContentUploadScanning = () => {
     }
   };
 
+  const handleReuseAnalysis = async (fileId, sourceDocumentId) => {
+    try {
+      await reusePriorAnalysis(fileId, sourceDocumentId)
+    } catch (error) {
+      console.error('Failed to reuse prior analysis:', error)
+    }
+  };
+
+  const handleAnalyzeAnyway = async (fileId) => {
+    try {
+      await analyzeAnyway(fileId)
+    } catch (error) {
+      console.error('Failed to start analysis:', error)
+    }
+  };
+
+  // Uploaded documents are analyzed again on the server's batch queue, which can be paused and
+  // retried from the queue's batch list
+  const handleBatchAnalyze = async (documentIds) => {
+    try {
+      await batchJobs.createBatch(documentIds, {
+        skipDuplicates: false,
+        ...(scanConfig.strictnessLevel && { strictnessLevel: scanConfig.strictnessLevel })
+      })
+    } catch (error) {
+      console.error('Failed to start batch analysis:', error)
+    }
+  };
+
   const handleConfigChange = (config) => {
     setScanConfig(config);
   };
@@ -323,6 +377,8 @@ const ContentUploadScanning = () => {
       currentFile: currentUpload.file.name,
       progress: globalProgress.current,
       estimatedTime: currentUpload.estimatedTimeRemaining,
+      currentStage: currentUpload.currentStage,
+      violations: currentUpload.liveViolations,
       activeCount: activeUploads.length
     }
   }, [uploads, globalProgress]);
@@ -395,6 +451,30 @@ const ContentUploadScanning = () => {
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
             {/* Left Column - Upload and Queue */}
             <div className="lg:col-span-2 space-y-8">
+              {revisionOf && (
+                <div className="flex items-center justify-between p-4 bg-primary/5 border border-primary/20 rounded-lg">
+                  <div className="flex items-center space-x-3">
+                    <Icon name="GitBranch" size={18} className="text-primary" />
+                    <div>
+                      <p className="text-sm font-body font-medium text-foreground">
+                        Uploading a new revision{revisedDocument ? ` of ${revisedDocument?.name}` : ''}
+                      </p>
+                      <p className="text-xs font-body text-muted-foreground">
+                        Results will show what changed since the last reviewed version
+                      </p>
+                    </div>
+                  </div>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => navigate('/content-upload-scanning')}
+                    iconName="X"
+                  >
+                    Upload as new document
+                  </Button>
+                </div>
+              )}
+
               <UploadZone 
                 onFilesUpload={handleFilesUpload}
                 isScanning={scanningState?.isScanning || false}
@@ -405,6 +485,10 @@ const ContentUploadScanning = () => {
                 onRemoveFile={handleRemoveFile}
                 onStartScan={handleStartScan}
                 onCancelScan={handleCancelScan}
+                onReuseAnalysis={handleReuseAnalysis}
+                onAnalyzeAnyway={handleAnalyzeAnyway}
+                onBatchAnalyze={handleBatchAnalyze}
+                batchJobs={batchJobs}
                 stats={stats}
               />
             </div>
@@ -482,6 +566,8 @@ const ContentUploadScanning = () => {
           progress={scanningState.progress}
           onCancel={() => handleCancelScan()}
           estimatedTime={scanningState.estimatedTime}
+          currentStage={scanningState.currentStage}
+          violations={scanningState.violations}
           activeCount={scanningState.activeCount}
         />
       )}
@@ -0,0 +1,98 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+
+const levelLabels = {
+  compliant: 'Compliant',
+  needs_review: 'Needs Review',
+  non_compliant: 'Non-Compliant'
+};
+
+const ImpactSummary = ({ impact }) => {
+  const getDeltaColor = (delta) => {
+    if (delta > 0) return 'text-success';
+    if (delta < 0) return 'text-error';
+    return 'text-muted-foreground';
+  };
+
+  const formatDelta = (delta) => (delta > 0 ? `+${delta}` : `${delta}`);
+
+  return (
+    <div className="bg-card border border-border rounded-lg">
+      <div className="p-4 border-b border-border">
+        <h2 className="text-lg font-heading font-semibold text-foreground">Impact on Analyzed Documents</h2>
+        <p className="text-sm text-muted-foreground">
+          {impact?.documentsSampled} documents re-scored with the rule engine
+          {impact?.documentsFailed > 0 && ` (${impact.documentsFailed} could not be re-scored)`}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-4 border-b border-border">
+        <div>
+          <p className="text-sm text-muted-foreground mb-1">Average score change</p>
+          <p className={`text-2xl font-heading font-bold ${getDeltaColor(impact?.averageScoreDelta)}`}>
+            {formatDelta(impact?.averageScoreDelta || 0)}
+          </p>
+        </div>
+        <div>
+          <p className="text-sm text-muted-foreground mb-1">Compliance level changes</p>
+          {impact?.complianceLevelChanges?.length === 0 ? (
+            <p className="text-sm text-foreground">No document changes compliance level</p>
+          ) : (
+            <ul className="space-y-1">
+              {impact?.complianceLevelChanges?.map((change) => (
+                <li key={`${change?.from}-${change?.to}`} className="flex items-center text-sm text-foreground">
+                  {levelLabels[change?.from]}
+                  <Icon name="ArrowRight" size={14} className="mx-2 text-muted-foreground" />
+                  {levelLabels[change?.to]}
+                  <span className="ml-2 font-medium">× {change?.count}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-muted/50">
+            <tr className="text-left text-muted-foreground">
+              <th className="px-4 py-2 font-medium">Document</th>
+              <th className="px-4 py-2 font-medium">Current</th>
+              <th className="px-4 py-2 font-medium">Candidate</th>
+              <th className="px-4 py-2 font-medium">Change</th>
+              <th className="px-4 py-2 font-medium">Rules</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-border">
+            {impact?.documents?.map((document) => (
+              <tr key={document?.documentId}>
+                <td className="px-4 py-2 text-foreground">{document?.documentName}</td>
+                <td className="px-4 py-2">
+                  {document?.current?.score}
+                  <span className="text-xs text-muted-foreground ml-1">({levelLabels[document?.current?.complianceLevel]})</span>
+                </td>
+                <td className="px-4 py-2">
+                  {document?.candidate?.score}
+                  <span className="text-xs text-muted-foreground ml-1">({levelLabels[document?.candidate?.complianceLevel]})</span>
+                </td>
+                <td className={`px-4 py-2 font-medium ${getDeltaColor(document?.scoreDelta)}`}>
+                  {formatDelta(document?.scoreDelta)}
+                </td>
+                <td className="px-4 py-2 text-xs">
+                  {document?.newlyViolatedRules?.map((ruleId) => (
+                    <span key={`new-${ruleId}`} className="inline-block mr-1 mb-1 px-2 py-0.5 rounded bg-error/10 text-error">+ {ruleId}</span>
+                  ))}
+                  {document?.resolvedRules?.map((ruleId) => (
+                    <span key={`resolved-${ruleId}`} className="inline-block mr-1 mb-1 px-2 py-0.5 rounded bg-success/10 text-success">− {ruleId}</span>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ImpactSummary;
@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+
+const RuleDiffPanel = ({ diff }) => {
+  const [activeSection, setActiveSection] = useState('modified');
+
+  const sections = [
+    { id: 'modified', label: 'Modified', icon: 'PenLine', items: diff?.modified || [] },
+    { id: 'added', label: 'Added', icon: 'Plus', items: diff?.added || [] },
+    { id: 'removed', label: 'Removed', icon: 'Minus', items: diff?.removed || [] }
+  ];
+
+  const getSeverityColor = (severity) => {
+    switch (severity) {
+      case 'critical': return 'text-error bg-error/10';
+      case 'high': return 'text-warning bg-warning/10';
+      case 'medium': return 'text-accent bg-accent/10';
+      default: return 'text-muted-foreground bg-muted';
+    }
+  };
+
+  const renderListChange = (label, change) => {
+    if (!change) return null;
+    return (
+      <div className="text-xs space-y-1">
+        <span className="font-medium text-foreground">{label}</span>
+        <div className="flex flex-wrap gap-1">
+          {change?.added?.map((item) => (
+            <span key={`+${item}`} className="px-2 py-0.5 rounded bg-success/10 text-success">+ {item}</span>
+          ))}
+          {change?.removed?.map((item) => (
+            <span key={`-${item}`} className="px-2 py-0.5 rounded bg-error/10 text-error line-through">{item}</span>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  const currentSection = sections.find(section => section.id === activeSection);
+
+  return (
+    <div className="bg-card border border-border rounded-lg">
+      <div className="flex items-center justify-between p-4 border-b border-border">
+        <h2 className="text-lg font-heading font-semibold text-foreground">Rule Changes</h2>
+        <span className="text-sm text-muted-foreground">{diff?.unchangedCount} unchanged</span>
+      </div>
+
+      <div className="flex border-b border-border">
+        {sections.map((section) => (
+          <button
+            key={section.id}
+            onClick={() => setActiveSection(section.id)}
+            className={`flex items-center px-4 py-3 text-sm font-medium border-b-2 transition-colors ${
+              activeSection === section.id
+                ? 'border-primary text-primary' :'border-transparent text-muted-foreground hover:text-foreground'
+            }`}
+          >
+            <Icon name={section.icon} size={14} className="mr-2" />
+            {section.label} ({section.items.length})
+          </button>
+        ))}
+      </div>
+
+      <div className="divide-y divide-border max-h-[480px] overflow-y-auto">
+        {currentSection?.items?.length === 0 && (
+          <p className="p-4 text-sm text-muted-foreground">No {currentSection?.label?.toLowerCase()} rules</p>
+        )}
+        {currentSection?.items?.map((rule) => (
+          <div key={rule?.rule_id} className="p-4 space-y-2">
+            <div className="flex items-center justify-between">
+              <div>
+                <span className="font-mono text-xs text-muted-foreground mr-2">{rule?.rule_id}</span>
+                <span className="text-sm font-medium text-foreground">{rule?.title}</span>
+              </div>
+              <span className={`px-2 py-0.5 rounded text-xs font-medium ${getSeverityColor(rule?.severity)}`}>
+                {rule?.severity}
+              </span>
+            </div>
+
+            {activeSection === 'modified' && (
+              <div className="space-y-2">
+                <p className="text-xs text-muted-foreground">Changed: {rule?.changedFields?.join(', ')}</p>
+                {rule?.severity_change && (
+                  <p className="text-xs text-foreground">
+                    Severity: {rule.severity_change.from} → {rule.severity_change.to}
+                  </p>
+                )}
+                {rule?.scoring_weight_change && (
+                  <p className="text-xs text-foreground">
+                    Scoring weight: {rule.scoring_weight_change.from} → {rule.scoring_weight_change.to}
+                  </p>
+                )}
+                {renderListChange('Violation keywords', rule?.violation_keywords)}
+                {renderListChange('Prohibited claims', rule?.prohibited_marketing_claims)}
+                {renderListChange('Required elements', rule?.required_marketing_elements)}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {diff?.scoringMethodologyChanges?.length > 0 && (
+        <div className="p-4 border-t border-border">
+          <h3 className="text-sm font-medium text-foreground mb-2">Scoring Methodology</h3>
+          <ul className="space-y-1">
+            {diff.scoringMethodologyChanges.map((change) => (
+              <li key={change?.field} className="text-xs text-muted-foreground">
+                <span className="font-mono">{change?.field}</span>: {JSON.stringify(change?.from)} → {JSON.stringify(change?.to)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RuleDiffPanel;
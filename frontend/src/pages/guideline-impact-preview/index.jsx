@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import Header from '../../components/ui/Header';
+import Icon from '../../components/AppIcon';
+import Button from '../../components/ui/Button';
+import Input from '../../components/ui/Input';
+import RuleDiffPanel from './components/RuleDiffPanel';
+import ImpactSummary from './components/ImpactSummary';
+import guidelinesService from '../../services/guidelinesService';
+
+const GuidelineImpactPreview = () => {
+  const [candidate, setCandidate] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [sampleSize, setSampleSize] = useState(25);
+  const [preview, setPreview] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFileChange = (event) => {
+    const file = event?.target?.files?.[0];
+    setPreview(null);
+    setError(null);
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setCandidate(JSON.parse(reader.result));
+        setFileName(file.name);
+      } catch {
+        setCandidate(null);
+        setError('The selected file is not valid JSON');
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleRunPreview = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const result = await guidelinesService.previewMarketingGuidelines(candidate, Number(sampleSize));
+      setPreview(result?.preview);
+    } catch (err) {
+      const details = err?.data?.details;
+      setError(Array.isArray(details)
+        ? details.map(detail => `${detail?.field}: ${detail?.message}`).join('; ')
+        : err?.data?.error || err?.message || 'Preview failed');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-background">
+      <Header />
+      <main className="pt-16">
+        <div className="max-w-7xl mx-auto px-6 py-8">
+          {/* Page Header */}
+          <div className="mb-8">
+            <h1 className="text-3xl font-heading font-bold text-foreground mb-2">
+              Guideline Change Preview
+            </h1>
+            <p className="text-muted-foreground">
+              Review rule changes and their effect on past analyses before a new marketing guidelines file goes live
+            </p>
+          </div>
+
+          {/* Candidate Upload */}
+          <div className="bg-card border border-border rounded-lg p-6 mb-8">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 items-end">
+              <Input
+                type="file"
+                accept="application/json,.json"
+                label="Candidate guidelines file"
+                description={fileName || 'rbi_marketing_guidelines.json'}
+                onChange={handleFileChange}
+              />
+              <Input
+                type="number"
+                min={0}
+                max={100}
+                label="Documents to re-score"
+                value={sampleSize}
+                onChange={(event) => setSampleSize(event?.target?.value)}
+              />
+              <Button
+                variant="default"
+                iconName="Play"
+                loading={isLoading}
+                disabled={!candidate}
+                onClick={handleRunPreview}
+              >
+                Run Preview
+              </Button>
+            </div>
+
+            {error && (
+              <div className="flex items-center mt-4 p-3 rounded-md bg-error/10 text-error text-sm">
+                <Icon name="AlertCircle" size={16} className="mr-2" />
+                {error}
+              </div>
+            )}
+          </div>
+
+          {preview && (
+            <div className="space-y-8">
+              <div className="flex items-center space-x-3 text-sm text-muted-foreground">
+                <span className="font-mono">{preview?.current?.version}</span>
+                <Icon name="ArrowRight" size={14} />
+                <span className="font-mono text-foreground">{preview?.candidate?.version}</span>
+                <span className="font-mono text-xs">({preview?.candidate?.contentHash?.slice(0, 12)})</span>
+              </div>
+              <RuleDiffPanel diff={preview?.diff} />
+              <ImpactSummary impact={preview?.impact} />
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default GuidelineImpactPreview;
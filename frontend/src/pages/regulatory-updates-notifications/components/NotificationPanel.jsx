@@ -1,10 +1,58 @@
 import React, { useState } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
+import WebhookSettings from './WebhookSettings';
 
-const NotificationPanel = ({ notifications, userProfile, onNotificationAction, onUpdateSettings }) => {
+// Recent notifications listed until "View All" is clicked
+const RECENT_LIMIT = 5;
+
+// Notification types that can be kept out of email
+const DELIVERED_TYPES = [
+  { type: 'batch_completed', label: 'Batch completions' },
+  { type: 'critical_violation', label: 'Critical violations' },
+  { type: 'report_ready', label: 'Reports ready' }
+];
+
+const Toggle = ({ label, enabled, disabled, onChange }) => (
+  <div className="flex items-center justify-between">
+    <span className="text-sm text-foreground">{label}</span>
+    <button
+      type="button"
+      role="switch"
+      aria-checked={enabled}
+      aria-label={label}
+      disabled={disabled}
+      onClick={() => onChange(!enabled)}
+      className={`w-10 h-6 rounded-full relative transition-colors disabled:opacity-50 ${enabled ? 'bg-primary' : 'bg-muted'}`}
+    >
+      <div className={`w-4 h-4 bg-white rounded-full absolute top-1 ${enabled ? 'right-1' : 'left-1'}`}></div>
+    </button>
+  </div>
+);
+
+const NotificationPanel = ({ notifications, preferences, settingsError, userProfile, onNotificationAction, onUpdateSettings }) => {
   const [isCollapsed, setIsCollapsed] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
+  const [showAll, setShowAll] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  // Rejected settings are reported through settingsError
+  const saveSettings = async (update) => {
+    setSaving(true);
+    try {
+      await onUpdateSettings(update);
+      return true;
+    } catch (err) {
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTypeToggle = (type, delivered) => {
+    const muted = preferences?.mutedTypes || [];
+    saveSettings({ mutedTypes: delivered ? muted.filter(entry => entry !== type) : [...muted, type] });
+  };
 
   const getNotificationIcon = (type) => {
     switch (type) {
@@ -18,6 +66,12 @@ const NotificationPanel = ({ notifications, userProfile, onNotificationAction, o
         return { icon: 'AlertTriangle', color: 'text-error' };
       case 'team':
         return { icon: 'Users', color: 'text-success' };
+      case 'batch_completed':
+        return { icon: 'Layers', color: 'text-success' };
+      case 'critical_violation':
+        return { icon: 'ShieldAlert', color: 'text-error' };
+      case 'report_ready':
+        return { icon: 'FileCheck', color: 'text-primary' };
       default:
         return { icon: 'Bell', color: 'text-muted-foreground' };
     }
@@ -35,7 +89,8 @@ const NotificationPanel = ({ notifications, userProfile, onNotificationAction, o
   };
 
   const upcomingDeadlines = notifications?.filter(n => n?.type === 'deadline')?.slice(0, 3);
-  const recentNotifications = notifications?.filter(n => n?.type !== 'deadline')?.slice(0, 5);
+  const otherNotifications = notifications?.filter(n => n?.type !== 'deadline') || [];
+  const recentNotifications = showAll ? otherNotifications : otherNotifications.slice(0, RECENT_LIMIT);
 
   if (isCollapsed) {
     return (
@@ -87,27 +142,50 @@ const NotificationPanel = ({ notifications, userProfile, onNotificationAction, o
       {/* Settings Panel */}
       {showSettings && (
         <div className="mb-6 p-4 bg-muted/50 rounded-lg border border-border">
-          <h3 className="font-heading font-medium text-foreground mb-3">Notification Settings</h3>
-          <div className="space-y-3">
-            <div className="flex items-center justify-between">
-              <span className="text-sm text-foreground">Critical Updates</span>
-              <button className="w-10 h-6 bg-primary rounded-full relative">
-                <div className="w-4 h-4 bg-white rounded-full absolute right-1 top-1"></div>
-              </button>
-            </div>
-            <div className="flex items-center justify-between">
-              <span className="text-sm text-foreground">Email Notifications</span>
-              <button className="w-10 h-6 bg-primary rounded-full relative">
-                <div className="w-4 h-4 bg-white rounded-full absolute right-1 top-1"></div>
-              </button>
+          <h3 className="font-heading font-medium text-foreground mb-1">Notification Settings</h3>
+          <p className="text-xs text-muted-foreground mb-3">
+            Notifications always appear here; they can also be emailed
+          </p>
+
+          {settingsError && (
+            <div className="mb-3 p-2 bg-error/5 border border-error/20 rounded text-xs text-error">
+              {settingsError}
             </div>
-            <div className="flex items-center justify-between">
-              <span className="text-sm text-foreground">Team Updates</span>
-              <button className="w-10 h-6 bg-muted rounded-full relative">
-                <div className="w-4 h-4 bg-white rounded-full absolute left-1 top-1"></div>
-              </button>
+          )}
+
+          {!preferences ? (
+            <p className="text-xs text-muted-foreground">Settings are unavailable right now</p>
+          ) : (
+            <div className="space-y-3">
+              <Toggle
+                label="Email Notifications"
+                enabled={preferences.emailEnabled}
+                disabled={saving}
+                onChange={(enabled) => saveSettings({ emailEnabled: enabled })}
+              />
+              {preferences.emailEnabled && preferences.emailAddress && (
+                <p className="text-xs text-muted-foreground">
+                  Sent to your account address, {preferences.emailAddress}
+                </p>
+              )}
+
+              {preferences.emailEnabled && (
+                <div className="pt-3 border-t border-border space-y-3">
+                  {DELIVERED_TYPES.map(({ type, label }) => (
+                    <Toggle
+                      key={type}
+                      label={label}
+                      enabled={!preferences.mutedTypes?.includes(type)}
+                      disabled={saving}
+                      onChange={(delivered) => handleTypeToggle(type, delivered)}
+                    />
+                  ))}
+                </div>
+              )}
             </div>
-          </div>
+          )}
+
+          <WebhookSettings />
         </div>
       )}
       {/* User Profile Summary */}
@@ -185,7 +263,12 @@ const NotificationPanel = ({ notifications, userProfile, onNotificationAction, o
         </div>
         
         <div className="space-y-3">
-          {recentNotifications?.map((notification) => {
+          {recentNotifications.length === 0 && (
+            <p className="text-xs text-muted-foreground">
+              Finished batch analyses, critical violations and generated reports will appear here
+            </p>
+          )}
+          {recentNotifications.map((notification) => {
             const iconConfig = getNotificationIcon(notification?.type);
             
             return (
@@ -243,18 +326,20 @@ const NotificationPanel = ({ notifications, userProfile, onNotificationAction, o
         </div>
       </div>
       {/* View All Button */}
-      <div className="mt-6 pt-4 border-t border-border">
-        <Button
-          variant="ghost"
-          size="sm"
-          iconName="ArrowRight"
-          iconPosition="right"
-          onClick={() => onNotificationAction(null, 'viewAll')}
-          className="w-full"
-        >
-          View All Notifications
-        </Button>
-      </div>
+      {otherNotifications.length > RECENT_LIMIT && (
+        <div className="mt-6 pt-4 border-t border-border">
+          <Button
+            variant="ghost"
+            size="sm"
+            iconName="ArrowRight"
+            iconPosition="right"
+            onClick={() => setShowAll(!showAll)}
+            className="w-full"
+          >
+            {showAll ? 'Show Recent Only' : 'View All Notifications'}
+          </Button>
+        </div>
+      )}
     </div>
   );
 };
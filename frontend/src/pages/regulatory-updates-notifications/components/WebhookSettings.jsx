@@ -0,0 +1,255 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { useWebhooks } from '../../../hooks/useWebhooks';
+
+const DELIVERY_STATUS_STYLES = {
+  succeeded: 'text-success',
+  pending: 'text-warning',
+  failed: 'text-error'
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const EventTypePicker = ({ eventTypes, selected, onChange }) => (
+  <div className="flex flex-wrap gap-1">
+    {eventTypes.map(eventType => {
+      const checked = selected.includes(eventType);
+      return (
+        <button
+          key={eventType}
+          type="button"
+          aria-pressed={checked}
+          onClick={() => onChange(checked ? selected.filter(entry => entry !== eventType) : [...selected, eventType])}
+          className={`px-2 py-0.5 rounded-full border text-[11px] font-mono ${
+            checked ? 'bg-primary text-primary-foreground border-primary' : 'bg-background text-muted-foreground border-border'
+          }`}
+        >
+          {eventType}
+        </button>
+      );
+    })}
+  </div>
+);
+
+const DeliveryLog = ({ deliveries, onReplay }) => {
+  if (!deliveries) {
+    return <p className="text-xs text-muted-foreground">Loading deliveries...</p>;
+  }
+  if (deliveries.length === 0) {
+    return <p className="text-xs text-muted-foreground">Nothing has been sent yet</p>;
+  }
+
+  return (
+    <ul className="space-y-1">
+      {deliveries.map(delivery => (
+        <li key={delivery.id} className="flex items-center justify-between text-[11px]">
+          <div className="min-w-0">
+            <span className="font-mono text-foreground">{delivery.eventType}</span>
+            <span className={`ml-2 ${DELIVERY_STATUS_STYLES[delivery.status]}`}>
+              {delivery.status}{delivery.lastStatusCode ? ` (${delivery.lastStatusCode})` : ''}
+            </span>
+            <div className="text-muted-foreground truncate" title={delivery.lastError || undefined}>
+              {formatTime(delivery.createdAt)} · {delivery.attempts}/{delivery.maxAttempts} attempts
+              {delivery.replayOf ? ' · replay' : ''}
+            </div>
+          </div>
+          <Button
+            variant="ghost"
+            size="xs"
+            iconName="RotateCcw"
+            iconSize={12}
+            onClick={() => onReplay(delivery.id)}
+            aria-label="Replay delivery"
+          />
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Webhook subscriptions to the app's event stream, each with its own signing secret and delivery log
+const WebhookSettings = () => {
+  const {
+    subscriptions,
+    eventTypes,
+    deliveries,
+    revealedSecret,
+    loading,
+    error,
+    createSubscription,
+    updateSubscription,
+    rotateSecret,
+    deleteSubscription,
+    fetchDeliveries,
+    replayDelivery,
+    dismissSecret
+  } = useWebhooks();
+  const [adding, setAdding] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [urlDraft, setUrlDraft] = useState('');
+  const [eventsDraft, setEventsDraft] = useState(['notification:created']);
+  const [openLog, setOpenLog] = useState(null);
+
+  const handleCreate = async () => {
+    setSaving(true);
+    try {
+      await createSubscription({ url: urlDraft.trim(), eventTypes: eventsDraft });
+      setAdding(false);
+      setUrlDraft('');
+      setEventsDraft(['notification:created']);
+    } catch (err) {
+      // Reported through error
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleLog = (subscriptionId) => {
+    if (openLog === subscriptionId) {
+      setOpenLog(null);
+      return;
+    }
+    setOpenLog(subscriptionId);
+    fetchDeliveries(subscriptionId);
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-border">
+      <div className="flex items-center justify-between mb-1">
+        <h4 className="font-heading font-medium text-sm text-foreground flex items-center space-x-2">
+          <Icon name="Webhook" size={14} />
+          <span>Webhooks</span>
+        </h4>
+        <Button
+          variant="ghost"
+          size="xs"
+          iconName={adding ? 'X' : 'Plus'}
+          iconSize={12}
+          onClick={() => setAdding(!adding)}
+          aria-label={adding ? 'Cancel new webhook' : 'Add webhook'}
+        />
+      </div>
+      <p className="text-xs text-muted-foreground mb-3">
+        Signed POSTs for the events you choose, retried until they are accepted
+      </p>
+
+      {error && (
+        <div className="mb-3 p-2 bg-error/5 border border-error/20 rounded text-xs text-error">
+          {error}
+        </div>
+      )}
+
+      {revealedSecret && (
+        <div className="mb-3 p-2 bg-warning/5 border border-warning/20 rounded text-xs">
+          <div className="flex items-center justify-between text-foreground">
+            <span>Signing secret (shown once)</span>
+            <Button variant="ghost" size="xs" iconName="X" iconSize={12} onClick={dismissSecret} aria-label="Hide secret" />
+          </div>
+          <code className="block mt-1 p-2 bg-background rounded border border-border break-all select-all">
+            {revealedSecret.secret}
+          </code>
+        </div>
+      )}
+
+      {adding && (
+        <div className="mb-3 space-y-2">
+          <input
+            type="url"
+            value={urlDraft}
+            onChange={(e) => setUrlDraft(e?.target?.value)}
+            placeholder="https://example.com/webhooks/compliance"
+            aria-label="Webhook URL"
+            className="w-full h-8 px-2 text-xs rounded border border-input bg-background"
+          />
+          <EventTypePicker eventTypes={eventTypes} selected={eventsDraft} onChange={setEventsDraft} />
+          <Button
+            variant="outline"
+            size="xs"
+            disabled={saving || !urlDraft.trim() || eventsDraft.length === 0}
+            onClick={handleCreate}
+          >
+            Add Webhook
+          </Button>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-xs text-muted-foreground">Loading webhooks...</p>
+      ) : subscriptions.length === 0 && !adding ? (
+        <p className="text-xs text-muted-foreground">No webhooks yet</p>
+      ) : (
+        <div className="space-y-2">
+          {subscriptions.map(subscription => (
+            <div key={subscription.id} className="p-2 bg-background rounded border border-border">
+              <div className="flex items-center justify-between">
+                <span
+                  className={`text-xs truncate ${subscription.active ? 'text-foreground' : 'text-muted-foreground line-through'}`}
+                  title={subscription.url}
+                >
+                  {subscription.url}
+                </span>
+                <div className="flex items-center flex-shrink-0">
+                  <Button
+                    variant="ghost"
+                    size="xs"
+                    iconName={subscription.active ? 'Pause' : 'Play'}
+                    iconSize={12}
+                    onClick={() => updateSubscription(subscription.id, { active: !subscription.active }).catch(() => {})}
+                    aria-label={subscription.active ? 'Pause webhook' : 'Resume webhook'}
+                  />
+                  <Button
+                    variant="ghost"
+                    size="xs"
+                    iconName="RefreshCw"
+                    iconSize={12}
+                    onClick={() => rotateSecret(subscription.id).catch(() => {})}
+                    aria-label="Rotate signing secret"
+                  />
+                  <Button
+                    variant="ghost"
+                    size="xs"
+                    iconName="Trash2"
+                    iconSize={12}
+                    onClick={() => deleteSubscription(subscription.id)}
+                    aria-label="Delete webhook"
+                  />
+                </div>
+              </div>
+              <div className="flex flex-wrap gap-1 mt-1">
+                {subscription.eventTypes.map(eventType => (
+                  <span key={eventType} className="px-1.5 py-0.5 rounded bg-muted text-[11px] font-mono text-muted-foreground">
+                    {eventType}
+                  </span>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={() => toggleLog(subscription.id)}
+                className="mt-2 flex items-center space-x-1 text-[11px] text-primary"
+              >
+                <Icon name={openLog === subscription.id ? 'ChevronUp' : 'ChevronDown'} size={12} />
+                <span>Deliveries</span>
+              </button>
+              {openLog === subscription.id && (
+                <div className="mt-2">
+                  <DeliveryLog
+                    deliveries={deliveries[subscription.id]}
+                    onReplay={(deliveryId) => replayDelivery(subscription.id, deliveryId)}
+                  />
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WebhookSettings;
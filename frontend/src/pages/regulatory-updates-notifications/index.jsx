@@ -1,12 +1,41 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import Header from '../../components/ui/Header';
+import { useNotifications } from '../../hooks/useNotifications';
 import FilterSidebar from './components/FilterSidebar';
 import UpdatesFeed from './components/UpdatesFeed';
 import NotificationPanel from './components/NotificationPanel';
 
+// Stored notifications in the shape the panel lists
+const ACTION_TEXT = {
+  batch_completed: 'View Batch',
+  critical_violation: 'Review Violations',
+  report_ready: 'Open Reports'
+};
+
+const toPanelNotification = (notification) => ({
+  id: notification.id,
+  type: notification.type,
+  title: notification.title,
+  description: notification.message,
+  timestamp: notification.createdAt,
+  isRead: Boolean(notification.readAt),
+  actionRequired: Boolean(notification.link),
+  actionText: ACTION_TEXT[notification.type],
+  link: notification.link
+});
+
 const RegulatoryUpdatesNotifications = () => {
+  const navigate = useNavigate();
+  const {
+    notifications,
+    preferences,
+    error: notificationError,
+    markRead,
+    markAllRead,
+    updatePreferences
+  } = useNotifications();
   const [updates, setUpdates] = useState([]);
-  const [notifications, setNotifications] = useState([]);
   const [filters, setFilters] = useState({
     regulatoryBodies: [],
     priorities: [],
@@ -234,59 +263,6 @@ const RegulatoryUpdatesNotifications = () => {
     }
   ];
 
-  // Mock notifications data
-  const mockNotifications = [
-    {
-      id: 1,
-      type: 'deadline',
-      title: 'Digital Lending Compliance Deadline',
-      description: 'RBI digital lending guidelines compliance deadline approaching',
-      deadline: '2025-04-20T23:59:59Z',
-      daysLeft: 87,
-      timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000),
-      isRead: false,
-      actionRequired: true,
-      actionText: 'Review Requirements'
-    },
-    {
-      id: 2,
-      type: 'new_regulation',
-      title: 'New SEBI Investment Platform Guidelines',
-      description: 'Updated disclosure requirements for investment platforms published',
-      timestamp: new Date(Date.now() - 4 * 60 * 60 * 1000),
-      isRead: false,
-      actionRequired: false
-    },
-    {
-      id: 3,
-      type: 'critical',
-      title: 'Critical Security Framework Update',
-      description: 'Mandatory cybersecurity framework for digital banking services',
-      timestamp: new Date(Date.now() - 6 * 60 * 60 * 1000),
-      isRead: true,
-      actionRequired: true,
-      actionText: 'Assess Impact'
-    },
-    {
-      id: 4,
-      type: 'amendment',
-      title: 'AML Guidelines Amendment',
-      description: 'Enhanced transaction monitoring requirements for PSPs',
-      timestamp: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000),
-      isRead: false,
-      actionRequired: false
-    },
-    {
-      id: 5,
-      type: 'team',
-      title: 'Compliance Team Update',
-      description: 'Monthly compliance review meeting scheduled for next week',
-      timestamp: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
-      isRead: true,
-      actionRequired: false
-    }
-  ];
-
   // Mock saved presets
   const mockPresets = [
     {
@@ -316,7 +292,6 @@ const RegulatoryUpdatesNotifications = () => {
     setLoading(true);
     setTimeout(() => {
       setUpdates(mockUpdates);
-      setNotifications(mockNotifications);
       setSavedPresets(mockPresets);
       setLoading(false);
     }, 1000);
@@ -369,28 +344,21 @@ const RegulatoryUpdatesNotifications = () => {
   const handleNotificationAction = (notification, action) => {
     switch (action) {
       case 'read':
-        setNotifications(prev => prev?.map(n => 
-          n?.id === notification?.id ? { ...n, isRead: true } : n
-        ));
+        if (!notification?.isRead) markRead(notification?.id);
         break;
       case 'markAllRead':
-        setNotifications(prev => prev?.map(n => ({ ...n, isRead: true })));
-        break;
-      case 'action': console.log('Taking action for notification:', notification);
+        markAllRead();
         break;
-      case 'view': console.log('Viewing notification details:', notification);
-        break;
-      case 'viewAll': console.log('Viewing all notifications');
+      case 'action':
+      case 'view':
+        if (!notification?.isRead) markRead(notification?.id);
+        if (notification?.link) navigate(notification.link);
         break;
       default:
         break;
     }
   };
 
-  const handleUpdateSettings = (settings) => {
-    console.log('Updating notification settings:', settings);
-  };
-
   return (
     <div className="min-h-screen bg-background">
       <Header />
@@ -417,10 +385,12 @@ const RegulatoryUpdatesNotifications = () => {
         />
         
         <NotificationPanel
-          notifications={notifications}
+          notifications={notifications?.map(toPanelNotification)}
+          preferences={preferences}
+          settingsError={notificationError}
           userProfile={userProfile}
           onNotificationAction={handleNotificationAction}
-          onUpdateSettings={handleUpdateSettings}
+          onUpdateSettings={updatePreferences}
         />
       </div>
     </div>
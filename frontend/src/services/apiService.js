@@ -129,6 +129,24 @@ api.interceptors.response.use(
   }
 )
 
+// Server-sent events of GET /events (names match SocketEvent in shared/src/types.ts)
+const STREAM_EVENTS = [
+  'analysis:started',
+  'analysis:progress',
+  'analysis:completed',
+  'analysis:failed',
+  'violation:detected',
+  'batch:progress',
+  'notification:created'
+]
+
+// Events kept for subscribers that join an open stream after they arrived
+const STREAM_REPLAY_LIMIT = 200
+
+// Failed attempts in a row to (re)open the stream before subscribers are told to poll instead
+const STREAM_MAX_RECONNECTS = 3
+const STREAM_RECONNECT_DELAY_MS = 3000
+
 // ================================
 // API Service Class
 // ================================
@@ -431,6 +449,49 @@ class ComplianceApiService extends ApiService {
     })
   }
   
+  // Resumable chunked uploads for files too large for a single request
+  async initChunkedUpload({ fileName, mimetype, size, scanConfig, previousVersionId }) {
+    return this.post('/documents/uploads', { fileName, mimetype, size, scanConfig, previousVersionId })
+  }
+
+  async getChunkedUpload(uploadId) {
+    return this.get(`/documents/uploads/${uploadId}`)
+  }
+
+  async uploadChunk(uploadId, index, chunk, checksum, options = {}) {
+    const config = {
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'X-Chunk-SHA256': checksum
+      },
+      onUploadProgress: options.onProgress,
+      timeout: options.timeout || 120000 // 2 minute timeout per chunk
+    }
+
+    // Cancelling the requestKey (e.g. the queued file's id) aborts the chunk in flight
+    if (options.requestKey) {
+      const cancelToken = axios.CancelToken.source()
+      this.cancelTokens.set(options.requestKey, cancelToken)
+      config.cancelToken = cancelToken.token
+    }
+
+    try {
+      return await this.put(`/documents/uploads/${uploadId}/chunks/${index}`, chunk, config)
+    } finally {
+      if (options.requestKey) {
+        this.cancelTokens.delete(options.requestKey)
+      }
+    }
+  }
+
+  async completeChunkedUpload(uploadId, checksum) {
+    return this.post(`/documents/uploads/${uploadId}/complete`, { checksum })
+  }
+
+  async abortChunkedUpload(uploadId) {
+    return this.delete(`/documents/uploads/${uploadId}`)
+  }
+  
   async getDocuments(params = {}) {
     return this.get('/documents', { params })
   }
@@ -442,6 +503,31 @@ class ComplianceApiService extends ApiService {
   async deleteDocument(id) {
     return this.delete(`/documents/${id}`)
   }
+
+  // Pages of an image or PDF with violation regions, for the annotated view
+  async getAnnotatedPages(id) {
+    return this.get(`/documents/${id}/annotated-pages`)
+  }
+
+  async getAnnotatedPageImage(id, page) {
+    return this.get(`/documents/${id}/annotated-pages/${page}`, { responseType: 'blob' })
+  }
+
+  // Version chain of a document, oldest first, with each version's latest analysis
+  async getDocumentVersions(id) {
+    return this.get(`/documents/${id}/versions`)
+  }
+
+  // Text diff, fixed/introduced/unchanged violations and score delta against an earlier version
+  // (by default the latest one that has been analyzed)
+  async compareDocumentVersions(id, baseDocumentId = null) {
+    return this.get(`/documents/${id}/compare`, baseDocumentId ? { params: { with: baseDocumentId } } : {})
+  }
+
+  // Copy the analysis of an identical or near-duplicate document instead of analyzing again
+  async reuseAnalysis(id, sourceDocumentId) {
+    return this.post(`/documents/${id}/reuse-analysis`, { sourceDocumentId })
+  }
   
   async batchDeleteDocuments(ids) {
     return this.post('/documents/batch-delete', { documentIds: ids })
@@ -471,7 +557,160 @@ class ComplianceApiService extends ApiService {
   }
   
   async batchAnalyzeDocuments(documentIds, options = {}) {
-    return this.post('/batch/analyze', { documentIds, ...options })
+    return this.post('/batch/analyze', { documentIds, options })
+  }
+
+  async getBatchJobs() {
+    return this.get('/batch/jobs')
+  }
+
+  async getBatchJob(jobId) {
+    return this.get(`/batch/jobs/${jobId}`)
+  }
+
+  async pauseBatchJob(jobId) {
+    return this.post(`/batch/jobs/${jobId}/pause`)
+  }
+
+  async resumeBatchJob(jobId) {
+    return this.post(`/batch/jobs/${jobId}/resume`)
+  }
+
+  async cancelBatchJob(jobId) {
+    return this.post(`/batch/jobs/${jobId}/cancel`)
+  }
+
+  // Queues a finished job's failed documents as a new job
+  async retryFailedBatchDocuments(jobId) {
+    return this.post(`/batch/jobs/${jobId}/retry-failed`)
+  }
+
+  async requeueBatchDocument(jobId, documentId) {
+    return this.post(`/batch/jobs/${jobId}/documents/${documentId}/requeue`)
+  }
+
+  // Live analysis stages, violations, batch progress and new notifications. All subscribers share one stream, which
+  // closes when the last unsubscribes; onEvent gets { event, data, timestamp }. onUnavailable is
+  // called if the stream cannot be opened or is given up, so callers can poll instead.
+  subscribeToEvents(onEvent, onUnavailable = () => {}) {
+    if (!this.eventStream) {
+      const stream = { source: null, subscribers: new Set(), recent: [], lastEventId: 0, failures: 0, closed: false }
+      this.eventStream = stream
+      this.openEventStream(stream)
+    }
+
+    const stream = this.eventStream
+    const subscriber = { onEvent, onUnavailable }
+    stream.recent.forEach(payload => onEvent(payload))
+    stream.subscribers.add(subscriber)
+
+    return () => {
+      stream.subscribers.delete(subscriber)
+      if (stream.subscribers.size === 0 && this.eventStream === stream) {
+        stream.closed = true
+        stream.source?.close()
+        this.eventStream = null
+      }
+    }
+  }
+
+  // EventSource cannot send the Authorization header, so each connection is opened with a
+  // short-lived stream token. The token is only good for opening, so instead of letting EventSource
+  // reconnect with a stale one, every drop reconnects with a new token and the last event id.
+  async openEventStream(stream) {
+    const giveUp = () => {
+      stream.subscribers.forEach(subscriber => subscriber.onUnavailable())
+      if (this.eventStream === stream) this.eventStream = null
+    }
+    const retry = () => {
+      stream.failures += 1
+      if (stream.failures > STREAM_MAX_RECONNECTS) return giveUp()
+      setTimeout(() => {
+        if (!stream.closed) this.openEventStream(stream)
+      }, STREAM_RECONNECT_DELAY_MS * stream.failures)
+    }
+
+    let token
+    try {
+      const response = await this.post('/events/token')
+      token = response.data.token
+    } catch (error) {
+      return retry()
+    }
+    if (stream.closed) return
+
+    const source = new EventSource(`${API_BASE_URL}/events?since=${stream.lastEventId}&token=${encodeURIComponent(token)}`)
+    stream.source = source
+
+    source.onopen = () => {
+      stream.failures = 0
+    }
+
+    STREAM_EVENTS.forEach(name => source.addEventListener(name, (message) => {
+      const payload = JSON.parse(message.data)
+      stream.lastEventId = Number(message.lastEventId) || stream.lastEventId
+      stream.recent.push(payload)
+      if (stream.recent.length > STREAM_REPLAY_LIMIT) stream.recent.shift()
+      stream.subscribers.forEach(subscriber => subscriber.onEvent(payload))
+    }))
+
+    source.onerror = () => {
+      source.close()
+      if (!stream.closed) retry()
+    }
+  }
+
+  // Notifications (batch completions, critical violations, generated reports)
+  async getNotifications(params = {}) {
+    return this.get('/notifications', { params })
+  }
+
+  async markNotificationRead(notificationId) {
+    return this.post(`/notifications/${notificationId}/read`)
+  }
+
+  async markAllNotificationsRead() {
+    return this.post('/notifications/read-all')
+  }
+
+  async getNotificationPreferences() {
+    return this.get('/notifications/preferences')
+  }
+
+  // Email delivery; mutedTypes stay in the app
+  async updateNotificationPreferences(preferences) {
+    return this.put('/notifications/preferences', preferences)
+  }
+
+  // Webhook subscriptions to stream events (the names in STREAM_EVENTS)
+  async getWebhookEventTypes() {
+    return this.get('/webhooks/event-types')
+  }
+
+  async getWebhookSubscriptions() {
+    return this.get('/webhooks')
+  }
+
+  // The response includes the signing secret, generated unless one is given
+  async createWebhookSubscription(subscription) {
+    return this.post('/webhooks', subscription)
+  }
+
+  // rotateSecret replaces the signing secret and returns the new one
+  async updateWebhookSubscription(subscriptionId, update) {
+    return this.patch(`/webhooks/${subscriptionId}`, update)
+  }
+
+  async deleteWebhookSubscription(subscriptionId) {
+    return this.delete(`/webhooks/${subscriptionId}`)
+  }
+
+  async getWebhookDeliveries(subscriptionId, params = {}) {
+    return this.get(`/webhooks/${subscriptionId}/deliveries`, { params })
+  }
+
+  async replayWebhookDelivery(deliveryId) {
+    return this.post(`/webhooks/deliveries/${deliveryId}/replay`)
   }
   
   // Dashboard endpoints
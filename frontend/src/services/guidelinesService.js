@@ -32,6 +32,24 @@ class GuidelinesService {
       throw error
     }
   }
+
+  /**
+   * Dry-run a candidate marketing guidelines file against the active rules (admin only)
+   * @param {Object} guidelines - Parsed candidate rbi_marketing_guidelines.json
+   * @param {number} sampleSize - Number of previously analyzed documents to re-score
+   * @returns {Promise} Promise with rule diff and impact preview
+   */
+  async previewMarketingGuidelines(guidelines, sampleSize = 25) {
+    try {
+      const response = await apiService.post('/guidelines/marketing/preview', { guidelines, sampleSize }, {
+        timeout: 120000 // Re-scoring a document sample can take a while
+      })
+      return response.data
+    } catch (error) {
+      console.error('Failed to preview marketing guidelines:', error)
+      throw error
+    }
+  }
 }
 
 export const guidelinesService = new GuidelinesService()
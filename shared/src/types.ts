@@ -238,7 +238,10 @@ export enum SocketEvent {
   ANALYSIS_STARTED = 'analysis:started',
   ANALYSIS_PROGRESS = 'analysis:progress',
   ANALYSIS_COMPLETED = 'analysis:completed',
+  ANALYSIS_FAILED = 'analysis:failed',
   VIOLATION_DETECTED = 'violation:detected',
+  BATCH_PROGRESS = 'batch:progress',
+  NOTIFICATION_CREATED = 'notification:created',
   TEAM_NOTIFICATION = 'team:notification',
   PROJECT_UPDATE = 'project:update'
 }